@@ -0,0 +1,260 @@
+/**
+ * Agent requests for the chat UIs, shared by the floating chat (content.js) and the popup
+ * (popup.js). Both load this script before their own, the manifest lists it with the
+ * content script and popup.html includes it.
+ *
+ * createAgentChat() streams a request through the background script's 'agent-stream' port
+ * and shows its progress in the chat: a bubble per step, approval cards with
+ * Approve / Edit / Cancel, and the Stop button while the helper job runs.
+ *
+ * Options:
+ *    - classPrefix: prepended to the CSS class names, 'openseseme-' in the floating chat
+ *      so its styles don't clash with the page's
+ *    - getMessagesContainer(): the element the bubbles are added to, or null
+ *    - setStopButton(visible): turns the UI's submit button(s) into a Stop button and back
+ *    - showStatus(message, type): shows an error of the Stop button
+ */
+
+function createAgentChat({ classPrefix = '', getMessagesContainer, setStopButton, showStatus }) {
+  const className = (names) => names.split(' ').map(name => `${classPrefix}${name}`).join(' ');
+
+  // Approval cards by approval id, so 'approval-resolved' events can update them
+  const approvalCards = new Map();
+
+  // Helper job id of the running request, set while the Stop button is shown
+  let currentJobId = null;
+
+  // Resolves with the final answer; progress events go to onStep as they arrive
+  function invokeAgentStream(prompt, history, onStep) {
+    return new Promise((resolve) => {
+      const port = chrome.runtime.connect({ name: 'agent-stream' });
+      let settled = false;
+
+      port.onMessage.addListener((event) => {
+        if (event.type === 'final-answer') {
+          settled = true;
+          resolve({ success: true, ...event.data });
+        } else if (event.type === 'error') {
+          settled = true;
+          resolve({ success: false, ...event.data });
+        } else {
+          onStep(event);
+        }
+      });
+
+      port.onDisconnect.addListener(() => {
+        if (!settled) {
+          resolve({ success: false, error: 'Lost connection to the helper service' });
+        }
+      });
+
+      port.postMessage({ action: 'invokeAgent', prompt, chatHistory: history });
+    });
+  }
+
+  function formatAgentStep(event) {
+    const data = event.data || {};
+
+    if (event.type === 'log') {
+      return `💭 ${data.message}`;
+    }
+    if (event.type === 'tool-start') {
+      return `🔧 Running ${data.tool}...`;
+    }
+    if (event.type === 'tool-end') {
+      if (data.error || data.status === 'error') {
+        return `⚠️ ${data.tool} failed: ${data.error || data.output}`;
+      }
+      if (data.status === 'cancelled') {
+        return `✕ ${data.tool}: ${data.output}`;
+      }
+      return data.output ? `✓ ${data.output}` : `✓ ${data.tool} finished`;
+    }
+    return null;
+  }
+
+  // Step bubbles are only shown while a request runs, they are not saved to chat history
+  function addStepMessage(content) {
+    const messagesContainer = getMessagesContainer();
+    if (!messagesContainer) return;
+
+    const messageDiv = document.createElement('div');
+    messageDiv.className = className('chat-message message-assistant message-step');
+
+    const bubble = document.createElement('div');
+    bubble.className = className('message-bubble');
+    bubble.textContent = content;
+
+    messageDiv.appendChild(bubble);
+    messagesContainer.appendChild(messageDiv);
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+  }
+
+  // Shows a tool's preview with Approve / Edit / Cancel and any quick choices; the tool waits in the helper until answered
+  function addApprovalCard(approval) {
+    const messagesContainer = getMessagesContainer();
+    if (!messagesContainer) return;
+
+    const messageDiv = document.createElement('div');
+    messageDiv.className = className('chat-message message-assistant');
+
+    const card = document.createElement('div');
+    card.className = className('approval-card');
+
+    const title = document.createElement('div');
+    title.className = className('approval-title');
+    title.textContent = approval.title || `Allow ${approval.tool}?`;
+    card.appendChild(title);
+
+    const valueElements = {};
+    for (const field of approval.fields) {
+      const fieldDiv = document.createElement('div');
+      fieldDiv.className = className('approval-field');
+
+      const label = document.createElement('div');
+      label.className = className('approval-label');
+      label.textContent = field.label;
+
+      const value = document.createElement('div');
+      value.className = className('approval-value');
+      value.textContent = field.value || '—';
+
+      fieldDiv.appendChild(label);
+      fieldDiv.appendChild(value);
+      card.appendChild(fieldDiv);
+      valueElements[field.name] = value;
+    }
+
+    // Quick choices, e.g. free times for an event that overlaps another one
+    const choiceButtons = (approval.choices || []).map(choice => {
+      const button = document.createElement('button');
+      button.textContent = choice.label;
+      button.addEventListener('click', () => answer('approve', choice.id));
+      return button;
+    });
+    if (choiceButtons.length > 0) {
+      const choices = document.createElement('div');
+      choices.className = className('approval-choices');
+      choices.append(...choiceButtons);
+      card.appendChild(choices);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = className('approval-actions');
+    const approveBtn = document.createElement('button');
+    approveBtn.className = className('approval-approve');
+    approveBtn.textContent = 'Approve';
+    const editBtn = document.createElement('button');
+    editBtn.textContent = 'Edit';
+    const cancelBtn = document.createElement('button');
+    cancelBtn.textContent = 'Cancel';
+    // Some requests can only be answered with one of the choices
+    actions.append(...(approval.requireChoice ? [cancelBtn] : [approveBtn, editBtn, cancelBtn]));
+    card.appendChild(actions);
+
+    const statusDiv = document.createElement('div');
+    statusDiv.className = className('approval-status');
+    card.appendChild(statusDiv);
+
+    messageDiv.appendChild(card);
+    messagesContainer.appendChild(messageDiv);
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+
+    const inputs = {};
+    const buttons = [...choiceButtons, approveBtn, editBtn, cancelBtn];
+
+    editBtn.addEventListener('click', () => {
+      for (const field of approval.fields) {
+        if (field.readOnly) continue;
+        const input = document.createElement(field.multiline ? 'textarea' : 'input');
+        input.className = className('approval-input');
+        input.value = field.value;
+        valueElements[field.name].replaceWith(input);
+        inputs[field.name] = input;
+      }
+      editBtn.style.display = 'none';
+    });
+
+    const answer = async (decision, choice) => {
+      buttons.forEach(button => { button.disabled = true; });
+      const fields = Object.fromEntries(Object.entries(inputs).map(([name, input]) => [name, input.value]));
+
+      try {
+        const response = await chrome.runtime.sendMessage({ action: 'resolveApproval', id: approval.id, decision, fields, choice });
+        if (!response?.success) {
+          statusDiv.textContent = `⚠️ ${response?.error || 'Could not reach the helper service'}`;
+        }
+      } catch (error) {
+        statusDiv.textContent = `⚠️ ${error.message}`;
+      }
+    };
+
+    approveBtn.addEventListener('click', () => answer('approve'));
+    cancelBtn.addEventListener('click', () => answer('cancel'));
+
+    approvalCards.set(approval.id, { buttons, inputs, statusDiv, choices: approval.choices || [] });
+  }
+
+  function markApprovalResolved({ id, decision, reason, choice }) {
+    const card = approvalCards.get(id);
+    if (!card) return;
+
+    card.buttons.forEach(button => { button.disabled = true; });
+    Object.values(card.inputs).forEach(input => { input.disabled = true; });
+    const picked = card.choices.find(option => option.id === choice);
+    if (decision === 'approve') {
+      card.statusDiv.textContent = picked ? `✓ ${picked.label}` : '✓ Approved';
+    } else {
+      card.statusDiv.textContent = reason === 'timeout' ? '⏱ Not answered in time, cancelled' : '✕ Cancelled';
+    }
+    approvalCards.delete(id);
+  }
+
+  // Routes a streamed event to the right kind of bubble
+  function handleAgentEvent(event) {
+    if (event.type === 'job') {
+      currentJobId = event.data.jobId;
+      setStopButton(true);
+    } else if (event.type === 'approval-required') {
+      addApprovalCard(event.data);
+    } else if (event.type === 'approval-resolved') {
+      markApprovalResolved(event.data);
+    } else {
+      const stepText = formatAgentStep(event);
+      if (stepText) {
+        addStepMessage(stepText);
+      }
+    }
+  }
+
+  return {
+    // Runs a request and resolves with the final answer, { success, result, toolResults }
+    // or { success: false, error, cancelled }. The Stop button is shown while it runs.
+    async run(prompt, history) {
+      try {
+        return await invokeAgentStream(prompt, history, handleAgentEvent);
+      } finally {
+        currentJobId = null;
+        setStopButton(false);
+      }
+    },
+
+    isRunning() {
+      return currentJobId !== null;
+    },
+
+    async stop() {
+      const jobId = currentJobId;
+      if (!jobId) return;
+
+      try {
+        const response = await chrome.runtime.sendMessage({ action: 'cancelJob', jobId });
+        if (!response?.success) {
+          showStatus(`❌ ${response?.error || 'Could not stop the request'}`, 'error');
+        }
+      } catch (error) {
+        showStatus(`❌ ${error.message}`, 'error');
+      }
+    }
+  };
+}
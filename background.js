@@ -4,112 +4,183 @@
  * This file acts as a connection between the Chrome extension UI and the helper service
  * running on localhost:5185. It manages the following:
  * 
- * 1. Tab Request Polling (it continuously polls the helper service for pending tab
- *    operations (opening new tabs, taking screenshots) and executes them.)
+ * 1. Helper Command Socket keeps a WebSocket open to the helper service. The helper
+ *    pushes commands (opening new tabs, taking screenshots, saving files such as .ics
+ *    calendar events to Downloads) and the worker replies with the result or error of
+ *    each one.
  * 
  * 2. Screenshot Management handles screenshot capture requests with rate limiting
  *     and saves them to the Downloads folder with timestamped filenames.
  * 
  * 3. Agent Communication forwards LLM agent requests from the popup
- *    to the helper service and returns responses.
+ *    to the helper service and returns responses. Streaming requests arrive on an
+ *    'agent-stream' port and each Server-Sent Event from /invoke/stream is relayed
+ *    back on that port as it happens. Every request is a job in the helper, the chats'
+ *    Stop buttons cancel it by id. Files dropped on the chat are uploaded for the
+ *    helper's tools to read.
  * 
  * 4. Service Health Monitoring checks if the helper service is running and
- *    manages the polling lifecycle
+ *    (re)opens the command socket
  * 
  * 5. API Key Storage manages OpenAI API key storage in Chrome's local storage
  *    for use by the extension.
  * 
- * The service worker automatically starts polling when the helper service is
- * healthy and stops when the extension is suspended or the helper is unavailable.
+ * The socket is opened whenever the service worker starts and reconnects with backoff
+ * when the helper restarts. A periodic alarm wakes a suspended worker to reconnect.
  */
 
 const HELPER_SERVICE_URL = 'http://localhost:5185';
+const HELPER_SOCKET_URL = 'ws://localhost:5185/extension';
 
-let tabPollingInterval = null;
+const KEEPALIVE_INTERVAL = 20000;
+const MAX_RECONNECT_DELAY = 30000;
+
+let helperSocket = null;
+let keepaliveInterval = null;
+let reconnectTimer = null;
+let reconnectDelay = 1000;
 
 let lastScreenshotTime = null;
 
-async function startTabRequestPolling() {
-  if (tabPollingInterval) return;
+// Commands the helper can push over the socket. Each resolves with the result sent back.
+const helperCommands = {
+  async openTab({ url }) {
+    const tab = await chrome.tabs.create({ url, active: true });
+    console.log(`Opened tab for ${url}`);
+    return { tabId: tab.id };
+  },
   
-  tabPollingInterval = setInterval(async () => {
-    try {
-      const response = await fetch(`${HELPER_SERVICE_URL}/tab-requests`);
-      if (!response.ok) return;
-      
-      const data = await response.json();
-      if (data.requests && data.requests.length > 0) {
-        for (const request of data.requests) {
-          if (request.status === 'pending') {
-            if (request.action === 'screenshot') {
-              try {
-                const now = Date.now();
-                if (lastScreenshotTime && (now - lastScreenshotTime) < 500) {
-                  throw new Error('Screenshot rate limit exceeded. Please wait before taking another screenshot.');
-                }
-                lastScreenshotTime = now;
-                
-                const dataUrl = await chrome.tabs.captureVisibleTab(undefined, { 
-                  format: 'png' 
-                });
-                
-                const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-                const filename = `screenshot-${timestamp}.png`;
-                
-                const downloadId = await chrome.downloads.download({
-                  url: dataUrl,
-                  filename: filename,
-                  saveAs: false
-                });
-                
-                await fetch(`${HELPER_SERVICE_URL}/tab-requests/${request.id}/complete`, {
-                  method: 'POST',
-                  headers: {
-                    'Content-Type': 'application/json'
-                  },
-                  body: JSON.stringify({ 
-                    success: true, 
-                    filename: filename,
-                    downloadId: downloadId 
-                  })
-                });
-                
-                console.log(`Screenshot saved to Downloads as ${filename}`);
-              } catch (error) {
-                console.error('Failed to capture screenshot:', error);
-                
-                await fetch(`${HELPER_SERVICE_URL}/tab-requests/${request.id}/complete`, {
-                  method: 'POST',
-                  headers: {
-                    'Content-Type': 'application/json'
-                  },
-                  body: JSON.stringify({ error: error.message })
-                });
-              }
-            } else {
-              const tab = await chrome.tabs.create({ 
-                url: request.url, 
-                active: true 
-              });
-              
-              await fetch(`${HELPER_SERVICE_URL}/tab-requests/${request.id}/complete`, {
-                method: 'POST'
-              });
-              
-              console.log(`Opened tab for ${request.serviceName || request.url}`);
-            }
-          }
-        }
+  async screenshot() {
+    const now = Date.now();
+    if (lastScreenshotTime && (now - lastScreenshotTime) < 500) {
+      throw new Error('Screenshot rate limit exceeded. Please wait before taking another screenshot.');
+    }
+    lastScreenshotTime = now;
+    
+    const dataUrl = await chrome.tabs.captureVisibleTab(undefined, { 
+      format: 'png' 
+    });
+    
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+    const filename = `screenshot-${timestamp}.png`;
+    
+    const downloadId = await chrome.downloads.download({
+      url: dataUrl,
+      filename: filename,
+      saveAs: false
+    });
+    
+    console.log(`Screenshot saved to Downloads as ${filename}`);
+    return { filename, downloadId };
+  },
+  
+  // Service workers can't create object URLs, the content goes in a data URL
+  async downloadFile({ filename, content, mimeType = 'text/plain' }) {
+    const downloadId = await chrome.downloads.download({
+      url: `data:${mimeType};charset=utf-8,${encodeURIComponent(content)}`,
+      filename,
+      conflictAction: 'uniquify',
+      saveAs: false
+    });
+    
+    // A file with the same name gets a number, "team-sync (1).ics"
+    const [download] = await chrome.downloads.search({ id: downloadId });
+    const savedAs = download?.filename ? download.filename.split(/[\\/]/).pop() : filename;
+    console.log(`Saved ${savedAs} to Downloads`);
+    return { filename: savedAs, downloadId };
+  }
+};
+
+async function handleHelperCommand(socket, message) {
+  const command = helperCommands[message.action];
+  let reply;
+  
+  try {
+    if (!command) {
+      throw new Error(`Unknown command: ${message.action}`);
+    }
+    const result = await command(message.payload || {});
+    reply = { type: 'result', id: message.id, success: true, result };
+  } catch (error) {
+    console.error(`Failed to run ${message.action}:`, error);
+    reply = { type: 'result', id: message.id, success: false, error: error.message };
+  }
+  
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(reply));
+  }
+}
+
+function scheduleReconnect() {
+  if (reconnectTimer) return;
+  
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    connectToHelper();
+  }, reconnectDelay);
+  reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY);
+}
+
+// Opens the command socket to the helper unless one is already open or connecting
+function connectToHelper() {
+  if (helperSocket && (helperSocket.readyState === WebSocket.OPEN || helperSocket.readyState === WebSocket.CONNECTING)) {
+    return;
+  }
+  
+  const socket = new WebSocket(HELPER_SOCKET_URL);
+  helperSocket = socket;
+  
+  socket.onopen = () => {
+    console.log('Connected to helper service');
+    reconnectDelay = 1000;
+    cachedTools = null;
+    
+    // Regular traffic keeps the service worker from being suspended while connected
+    clearInterval(keepaliveInterval);
+    keepaliveInterval = setInterval(() => {
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ type: 'ping' }));
       }
+    }, KEEPALIVE_INTERVAL);
+  };
+  
+  socket.onmessage = (event) => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
     } catch (error) {
+      return;
     }
-  }, 500);
+    
+    if (message.type === 'command') {
+      handleHelperCommand(socket, message);
+    }
+  };
+  
+  socket.onclose = () => {
+    if (helperSocket !== socket) return;
+    
+    helperSocket = null;
+    clearInterval(keepaliveInterval);
+    keepaliveInterval = null;
+    scheduleReconnect();
+  };
+  
+  socket.onerror = () => {
+    // onclose follows and takes care of reconnecting
+  };
 }
 
-function stopTabRequestPolling() {
-  if (tabPollingInterval) {
-    clearInterval(tabPollingInterval);
-    tabPollingInterval = null;
+function disconnectFromHelper() {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  clearInterval(keepaliveInterval);
+  keepaliveInterval = null;
+  
+  if (helperSocket) {
+    const socket = helperSocket;
+    helperSocket = null;
+    socket.close();
   }
 }
 
@@ -120,64 +191,258 @@ async function checkHelperService() {
     const isHealthy = data.status === 'healthy';
     
     if (isHealthy) {
-      startTabRequestPolling();
-    } else {
-      stopTabRequestPolling();
+      connectToHelper();
     }
     
     return isHealthy;
   } catch (error) {
     console.error('Helper service not available:', error);
-    stopTabRequestPolling();
     return false;
   }
 }
 
-async function invokeAgent(prompt, chatHistory = []) {
+let cachedTools = null;
+
+// Tool metadata for the @-mention dropdowns, cached until the helper reconnects
+async function getAvailableTools() {
+  if (cachedTools) return cachedTools;
+  
+  const response = await fetch(`${HELPER_SERVICE_URL}/tools`);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  
+  const data = await response.json();
+  cachedTools = data.tools || [];
+  return cachedTools;
+}
+
+// Parses one Server-Sent Event block ("event: x\ndata: {...}") into { type, data }
+function parseServerSentEvent(block) {
+  let type = 'message';
+  const dataLines = [];
+  
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) {
+      type = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trim());
+    }
+  }
+  
+  if (dataLines.length === 0) return null;
+  
   try {
-    const response = await fetch(`${HELPER_SERVICE_URL}/invoke`, {
+    return { type, data: JSON.parse(dataLines.join('\n')) };
+  } catch (error) {
+    console.error('Invalid event from helper service:', error);
+    return null;
+  }
+}
+
+async function streamAgent(prompt, chatHistory = [], onEvent, signal) {
+  const response = await fetch(`${HELPER_SERVICE_URL}/invoke/stream`, {
+    signal,
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      prompt,
+      chatHistory
+    })
+  });
+  
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    
+    buffer += value;
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const event = parseServerSentEvent(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      if (event) onEvent(event);
+    }
+  }
+}
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'agent-stream') return;
+  
+  // A closed chat stops reading the stream, so the helper doesn't keep streaming to nobody
+  const controller = new AbortController();
+  let disconnected = false;
+  port.onDisconnect.addListener(() => {
+    disconnected = true;
+    controller.abort();
+  });
+  
+  const relay = (event) => {
+    if (!disconnected) port.postMessage(event);
+  };
+  
+  port.onMessage.addListener(async (request) => {
+    if (request.action !== 'invokeAgent') return;
+    
+    try {
+      await streamAgent(request.prompt, request.chatHistory, relay, controller.signal);
+    } catch (error) {
+      // Aborted because the chat went away, there is nobody to tell
+      if (disconnected) return;
+      console.error('Error streaming agent:', error);
+      relay({ type: 'error', data: { error: error.message } });
+    } finally {
+      if (!disconnected) port.disconnect();
+    }
+  });
+});
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'checkHelperService') {
+    checkHelperService().then(sendResponse);
+    return true;
+  }
+
+  if (request.action === 'getTools') {
+    getAvailableTools()
+      .then(tools => sendResponse({ success: true, tools }))
+      .catch(error => sendResponse({ success: false, error: error.message, tools: [] }));
+    
+    return true;
+  }
+
+  // Stop button in the chats
+  if (request.action === 'cancelJob') {
+    fetch(`${HELPER_SERVICE_URL}/jobs/${encodeURIComponent(request.jobId)}/cancel`, { method: 'POST' })
+      .then(response => response.json())
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true;
+  }
+
+  // Approve / Edit / Cancel answer for a tool waiting in the helper
+  if (request.action === 'resolveApproval') {
+    const { id, decision, fields, choice } = request;
+
+    fetch(`${HELPER_SERVICE_URL}/approvals/${encodeURIComponent(id)}`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
-      body: JSON.stringify({
-        prompt,
-        chatHistory
-      })
+      body: JSON.stringify({ decision, fields, choice })
+    })
+    .then(response => response.json())
+    .then(result => sendResponse(result))
+    .catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+
+    return true;
+  }
+
+  // A file dropped on the chat, e.g. an .ics file to import
+  if (request.action === 'uploadFile') {
+    const { name, content, type } = request;
+
+    fetch(`${HELPER_SERVICE_URL}/uploads?name=${encodeURIComponent(name)}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': type || 'text/plain',
+      },
+      body: content
+    })
+    .then(response => response.json())
+    .then(result => sendResponse(result))
+    .catch(error => {
+      sendResponse({ success: false, error: error.message });
     });
 
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+    return true;
+  }
+
+  // Tool invocation history for the popup, query: { tool, from, to, limit }
+  if (request.action === 'getAuditLog') {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(request.query || {})) {
+      if (value) params.set(key, value);
     }
 
-    const result = await response.json();
-    return result;
-  } catch (error) {
-    console.error('Error invoking agent:', error);
-    throw error;
+    fetch(`${HELPER_SERVICE_URL}/audit?${params}`)
+      .then(response => response.json())
+      .then(result => sendResponse(result.entries ? { success: true, entries: result.entries } : result))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true;
   }
-}
 
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === 'checkHelperService') {
-    checkHelperService().then(sendResponse);
+  if (request.action === 'getSettings') {
+    fetch(`${HELPER_SERVICE_URL}/settings`)
+      .then(response => response.json())
+      .then(result => sendResponse({ success: true, settings: result.settings }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
     return true;
   }
 
-  if (request.action === 'invokeAgent') {
-    const { prompt, chatHistory } = request;
-    
-    invokeAgent(prompt, chatHistory)
-      .then(result => {
-        sendResponse({ success: true, ...result });
-      })
-      .catch(error => {
-        sendResponse({ 
-          success: false, 
-          error: error.message 
-        });
-      });
-    
+  if (request.action === 'updateSettings') {
+    fetch(`${HELPER_SERVICE_URL}/settings`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(request.settings)
+    })
+    .then(response => response.json())
+    .then(result => sendResponse(result))
+    .catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+
+    return true;
+  }
+
+  if (request.action === 'getAddressBook') {
+    fetch(`${HELPER_SERVICE_URL}/address-book`)
+      .then(response => response.json())
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true;
+  }
+
+  // kind is 'contacts' or 'groups', an entry with an existing name replaces that one
+  if (request.action === 'saveAddressBookEntry') {
+    fetch(`${HELPER_SERVICE_URL}/address-book/${request.kind}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(request.entry)
+    })
+    .then(response => response.json())
+    .then(result => sendResponse(result))
+    .catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+
+    return true;
+  }
+
+  if (request.action === 'deleteAddressBookEntry') {
+    fetch(`${HELPER_SERVICE_URL}/address-book/${request.kind}/${encodeURIComponent(request.id)}`, { method: 'DELETE' })
+      .then(response => response.json())
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
     return true;
   }
 
@@ -231,6 +496,19 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   }
 });
 
+chrome.runtime.onStartup.addListener(connectToHelper);
+
+// The alarm wakes a suspended service worker so the socket gets re-established
+chrome.alarms.create('helperReconnect', { periodInMinutes: 1 });
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === 'helperReconnect') {
+    connectToHelper();
+  }
+});
+
 chrome.runtime.onSuspend.addListener(() => {
-  stopTabRequestPolling();
-}); 
\ No newline at end of file
+  disconnectFromHelper();
+});
+
+// Runs every time the service worker starts, including after it was suspended
+connectToHelper();
@@ -1,6 +1,7 @@
 /**
  * Content script for floating chat functionality
  * Handles creation and management of the draggable chat window
+ * An .ics file dropped on the chat is uploaded to the helper and its events imported
  */
 
 console.log('OpenSeseme floating chat content script loaded');
@@ -19,34 +20,26 @@ let allChats = {};
 let isMinimized = false;
 let lastUpdateTimestamp = 0; // Track the timestamp of the last update to prevent race conditions
 
-// Available tools configuration (same as popup.js)
-const availableTools = [
-  {
-    name: 'open_new_tab',
-    description: 'Opens a new tab with Google services or any URL',
-    examples: ['@open_new_tab sheets', '@open_new_tab gmail', '@open_new_tab new docs']
-  },
-  {
-    name: 'navigate_browser',
-    description: 'Navigate to a URL',
-    examples: ['@navigate_browser https://example.com']
-  },
-  {
-    name: 'create_calendar_event',
-    description: 'Create a Google Calendar event',
-    examples: ['@create_calendar_event Meeting tomorrow at 2pm']
-  },
-  {
-    name: 'search',
-    description: 'Search Google for anything',
-    examples: ['@search pizza recipes', '@search how to bake cookies']
-  },
-  {
-    name: 'take_screenshot',
-    description: 'Take a screenshot of current page',
-    examples: ['@take_screenshot']
+// Available tools, loaded from the helper service's /tools endpoint through the background script
+let availableTools = [];
+
+async function loadAvailableTools() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getTools' });
+    if (response && response.success) {
+      availableTools = response.tools;
+    }
+  } catch (error) {
+    console.log('OpenSeseme: Could not load tools from helper service');
   }
-];
+  return availableTools;
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text ?? '';
+  return div.innerHTML;
+}
 
 // Create floating chat automatically on page load with proper error handling
 (async function initializeFloatingChat() {
@@ -87,6 +80,7 @@ const availableTools = [
     
     // Create floating chat directly (minimized by default)
     createFloatingChat();
+    loadAvailableTools();
     
     // Start in minimized state
     if (floatingChat) {
@@ -693,6 +687,120 @@ function createFloatingChat(chatData) {
       border-bottom-left-radius: 4px;
     }
     
+    .openseseme-message-step {
+      margin-bottom: 6px;
+    }
+    
+    .openseseme-message-step .openseseme-message-bubble {
+      background: transparent;
+      color: #5f6368;
+      font-size: 12px;
+      padding: 2px 14px;
+    }
+    
+    .openseseme-approval-card {
+      display: inline-block;
+      width: 85%;
+      padding: 10px 14px;
+      border: 1px solid #d4cce0;
+      border-radius: 12px;
+      background: #faf8fc;
+      font-size: 13px;
+      color: #202124;
+    }
+    
+    .openseseme-approval-title {
+      font-weight: 600;
+      margin-bottom: 8px;
+    }
+    
+    .openseseme-approval-field {
+      margin-bottom: 6px;
+    }
+    
+    .openseseme-approval-label {
+      font-size: 11px;
+      color: #5f6368;
+    }
+    
+    .openseseme-approval-value {
+      white-space: pre-wrap;
+      word-wrap: break-word;
+    }
+    
+    .openseseme-approval-input {
+      width: 100%;
+      box-sizing: border-box;
+      padding: 4px 6px;
+      border: 1px solid #dadce0;
+      border-radius: 6px;
+      font-family: inherit;
+      font-size: 13px;
+    }
+    
+    textarea.openseseme-approval-input {
+      min-height: 90px;
+      resize: vertical;
+    }
+    
+    #openseseme-floating-chat.openseseme-drop-target {
+      box-shadow: 0 0 0 3px #8a6aae, 0 8px 32px rgba(0, 0, 0, 0.15);
+    }
+    
+    .openseseme-approval-choices {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 6px;
+      margin-top: 8px;
+    }
+    
+    .openseseme-approval-choices button {
+      padding: 4px 12px;
+      border: 1px solid #5a3a7e;
+      border-radius: 12px;
+      background: #ffffff;
+      color: #5a3a7e;
+      font-size: 12px;
+      cursor: pointer;
+    }
+    
+    .openseseme-approval-choices button:disabled {
+      opacity: 0.5;
+      cursor: default;
+    }
+    
+    .openseseme-approval-actions {
+      display: flex;
+      gap: 6px;
+      margin-top: 8px;
+    }
+    
+    .openseseme-approval-actions button {
+      padding: 4px 12px;
+      border: 1px solid #dadce0;
+      border-radius: 12px;
+      background: #ffffff;
+      font-size: 12px;
+      cursor: pointer;
+    }
+    
+    .openseseme-approval-actions .openseseme-approval-approve {
+      background: #5a3a7e;
+      border-color: #5a3a7e;
+      color: #ffffff;
+    }
+    
+    .openseseme-approval-actions button:disabled {
+      opacity: 0.5;
+      cursor: default;
+    }
+    
+    .openseseme-approval-status {
+      margin-top: 6px;
+      font-size: 12px;
+      color: #5f6368;
+    }
+    
     .openseseme-loading-indicator {
       display: none;
       padding: 10px 14px;
@@ -1073,13 +1181,31 @@ function initializeEventHandlers() {
   submitBtn.addEventListener('click', (event) => {
     event.preventDefault();
     event.stopPropagation();
-    handleSubmit();
+    // While a request runs the submit button is its Stop button
+    if (agentChat.isRunning()) {
+      agentChat.stop();
+    } else {
+      handleSubmit();
+    }
   });
   
   // New chat button
   const newChatBtn = floatingChat.querySelector('.openseseme-new-chat-btn');
   newChatBtn.addEventListener('click', createNewChat);
   
+  // Dropped files, highlighted while dragged over the chat
+  floatingChat.addEventListener('dragover', (event) => {
+    if (!event.dataTransfer?.types.includes('Files')) return;
+    event.preventDefault();
+    floatingChat.classList.add('openseseme-drop-target');
+  });
+  floatingChat.addEventListener('dragleave', (event) => {
+    if (!floatingChat.contains(event.relatedTarget)) {
+      floatingChat.classList.remove('openseseme-drop-target');
+    }
+  });
+  floatingChat.addEventListener('drop', handleFileDrop);
+  
   // Click outside to close tools dropdown
   document.addEventListener('click', (event) => {
     const toolsDropdown = floatingChat?.querySelector('#openseseme-tools-dropdown');
@@ -1093,6 +1219,43 @@ function initializeEventHandlers() {
   });
 }
 
+// Uploads a dropped .ics file to the helper and imports its events as a chat request,
+// so the events are listed in an approval card before anything is added
+async function handleFileDrop(event) {
+  if (!event.dataTransfer?.files.length) return;
+  event.preventDefault();
+  floatingChat.classList.remove('openseseme-drop-target');
+  
+  const file = [...event.dataTransfer.files].find(dropped => /\.ics$/i.test(dropped.name) || dropped.type === 'text/calendar');
+  if (!file) {
+    showStatus('Only .ics calendar files can be dropped here', 'error');
+    return;
+  }
+  if (agentChat.isRunning()) {
+    showStatus('Wait for the current request to finish', 'error');
+    return;
+  }
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'uploadFile',
+      name: file.name,
+      type: file.type || 'text/calendar',
+      content: await file.text()
+    });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Could not upload the file');
+    }
+  } catch (error) {
+    showStatus(`❌ ${error.message}`, 'error');
+    return;
+  }
+  
+  if (isMinimized) toggleMinimize();
+  floatingChat.querySelector('.openseseme-user-input').value = `@import_calendar_events ${file.name}`;
+  await handleSubmit();
+}
+
 function toggleMinimize() {
   isMinimized = !isMinimized;
   
@@ -1238,6 +1401,23 @@ function addChatMessage(content, isUser = false) {
   }
 }
 
+function setStopButton(visible) {
+  const submitBtn = floatingChat?.querySelector('.openseseme-submit-btn');
+  if (!submitBtn) return;
+  
+  submitBtn.textContent = visible ? '■' : '⏎';
+  submitBtn.title = visible ? 'Stop' : '';
+  if (visible) submitBtn.disabled = false;
+}
+
+// Streams requests and shows their steps, approval cards and the Stop button (see agent-chat.js)
+const agentChat = createAgentChat({
+  classPrefix: 'openseseme-',
+  getMessagesContainer: () => floatingChat?.querySelector('.openseseme-chat-messages'),
+  setStopButton,
+  showStatus
+});
+
 async function handleSubmit() {
   try {
     const userInput = floatingChat.querySelector('.openseseme-user-input');
@@ -1250,6 +1430,9 @@ async function handleSubmit() {
     
     const input = userInput.value.trim();
     
+    // One request at a time, the running one can be stopped with the Stop button
+    if (agentChat.isRunning()) return;
+    
     if (!input) {
       showStatus('Please enter a request', 'error');
       return;
@@ -1289,17 +1472,14 @@ async function handleSubmit() {
     showLoadingIndicator();
     
     try {
-      // Send message to background script via runtime message
-      const response = await chrome.runtime.sendMessage({
-        action: 'invokeAgent',
-        prompt: input,
-        chatHistory: chatHistory
-      });
+      // Stream the request through the background script so each step shows up live
+      const response = await agentChat.run(input, chatHistory);
       
       hideLoadingIndicator();
       
       if (response && response.success) {
-        chatHistory.push({ role: 'assistant', content: response.result });
+        // Tool results are kept with the answer so follow-up requests can refer back to them
+        chatHistory.push({ role: 'assistant', content: response.result, toolResults: response.toolResults || [] });
         allChats[currentChatId].messages = chatHistory;
         addChatMessage(response.result, false);
         showStatus('✅ Response received', 'success');
@@ -1316,6 +1496,12 @@ async function handleSubmit() {
             allChats
           }
         });
+      } else if (response && response.cancelled) {
+        const stoppedMsg = '⏹ Stopped';
+        chatHistory.push({ role: 'assistant', content: stoppedMsg });
+        addChatMessage(stoppedMsg, false);
+        
+        await saveChats();
       } else {
         const errorMessage = response?.error || 'Failed to process request';
         const errorMsg = `❌ Error: ${errorMessage}`;
@@ -1776,22 +1962,31 @@ setInterval(async () => {
   }
 }, 30000); // Save every 30 seconds
 
-function showToolsDropdown(inputElement) {
+async function showToolsDropdown(inputElement) {
   const toolsDropdown = floatingChat.querySelector('#openseseme-tools-dropdown');
   if (!toolsDropdown) return;
   
+  if (availableTools.length === 0) {
+    await loadAvailableTools();
+  }
+  
   // Build dropdown content
   toolsDropdown.innerHTML = `
     <div class="openseseme-tools-dropdown-header">
       <div class="openseseme-tools-dropdown-title">Available Tools</div>
       <div class="openseseme-tools-dropdown-subtitle">Type @ followed by a tool name</div>
     </div>
+    ${availableTools.length === 0 ? `
+      <div class="openseseme-tool-item">
+        <div class="openseseme-tool-description">Tools are unavailable. Is the helper service running?</div>
+      </div>
+    ` : ''}
     ${availableTools.map(tool => `
-      <div class="openseseme-tool-item" data-tool="${tool.name}">
-        <div class="openseseme-tool-name">@${tool.name}</div>
-        <div class="openseseme-tool-description">${tool.description}</div>
+      <div class="openseseme-tool-item" data-tool="${escapeHtml(tool.name)}">
+        <div class="openseseme-tool-name">@${escapeHtml(tool.name)}</div>
+        <div class="openseseme-tool-description">${escapeHtml(tool.summary || tool.description)}</div>
         <div class="openseseme-tool-examples">
-          ${tool.examples.map(ex => `<code>${ex}</code>`).join('')}
+          ${(tool.examples || []).map(ex => `<code>${escapeHtml(ex)}</code>`).join('')}
         </div>
       </div>
     `).join('')}
@@ -1818,6 +2013,7 @@ function showToolsDropdown(inputElement) {
   toolItems.forEach(item => {
     item.addEventListener('click', function() {
       const toolName = this.getAttribute('data-tool');
+      if (!toolName) return;
       const currentValue = inputElement.value;
       const lastAtIndex = currentValue.lastIndexOf('@');
       
@@ -0,0 +1,193 @@
+/**
+ * Address book for send_email, managed from the extension.
+ *
+ * Stored as JSON in helper/data/address-book.json:
+ *
+ *    { contacts: [{ id, name, email }], groups: [{ id, name, members }] }
+ *
+ * Group members are email addresses or the names of contacts, so a group follows a
+ * contact's new address, and a contact can't be deleted while a group lists it. Names
+ * are unique regardless of case, saving an entry with the name of an existing one
+ * replaces it.
+ *
+ * resolveRecipient() turns what a request calls someone ("Sarah", "the design team",
+ * "bob@example.com") into email addresses. A whole name matches before the start of
+ * one ("Sarah" is "Sarah Chen" when there is no contact called just Sarah), and several
+ * equally good matches are returned for the chat to ask which one is meant.
+ */
+
+import path from "path";
+import fs from "fs";
+import { z } from "zod";
+import { v4 as uuidv4 } from "uuid";
+import { dataDir } from "./settings.js";
+
+const addressBookFile = path.join(dataDir, 'address-book.json');
+
+const emailAddress = z.string().email();
+
+// Words that are part of how a group is called rather than its name
+const FILLER_WORDS = new Set(['the', 'my', 'our', 'team', 'group', 'list']);
+
+let addressBook = null;
+
+export function isEmailAddress(text) {
+  return emailAddress.safeParse(text).success;
+}
+
+function loadAddressBook() {
+  try {
+    const saved = JSON.parse(fs.readFileSync(addressBookFile, 'utf8'));
+    return { contacts: saved.contacts ?? [], groups: saved.groups ?? [] };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error("Could not read the address book, starting empty:", error.message);
+    }
+    return { contacts: [], groups: [] };
+  }
+}
+
+export function getAddressBook() {
+  if (!addressBook) {
+    addressBook = loadAddressBook();
+  }
+  return addressBook;
+}
+
+function save(next) {
+  fs.mkdirSync(dataDir, { recursive: true });
+  fs.writeFileSync(addressBookFile, JSON.stringify(next, null, 2));
+  addressBook = next;
+}
+
+function sameName(a, b) {
+  return a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+// Replaces the entry with the same name, keeping its id, or adds it
+function upsert(entries, entry) {
+  const existing = entries.find(candidate => sameName(candidate.name, entry.name));
+  const saved = { id: existing?.id ?? uuidv4(), ...entry };
+  return { saved, entries: existing ? entries.map(candidate => candidate === existing ? saved : candidate) : [...entries, saved] };
+}
+
+export function saveContact({ name, email } = {}) {
+  const contactName = typeof name === 'string' ? name.trim() : '';
+  if (!contactName) {
+    throw new Error('The contact needs a name');
+  }
+  if (isEmailAddress(contactName)) {
+    throw new Error("The name of a contact can't be an email address");
+  }
+  const address = typeof email === 'string' ? email.trim() : '';
+  if (!isEmailAddress(address)) {
+    throw new Error(`"${address}" is not a valid email address`);
+  }
+
+  const current = getAddressBook();
+  const { saved, entries } = upsert(current.contacts, { name: contactName, email: address });
+  save({ ...current, contacts: entries });
+  return saved;
+}
+
+export function saveGroup({ name, members } = {}) {
+  const groupName = typeof name === 'string' ? name.trim() : '';
+  if (!groupName) {
+    throw new Error('The group needs a name');
+  }
+  if (!Array.isArray(members) || members.length === 0) {
+    throw new Error('The group needs at least one member');
+  }
+
+  const current = getAddressBook();
+  const memberNames = [...new Set(members.map(member => String(member).trim()).filter(Boolean))];
+  const unknown = memberNames.filter(member => !isEmailAddress(member) && !current.contacts.some(contact => sameName(contact.name, member)));
+  if (unknown.length > 0) {
+    throw new Error(`Not email addresses or contacts: ${unknown.join(', ')}`);
+  }
+
+  const { saved, entries } = upsert(current.groups, { name: groupName, members: memberNames });
+  save({ ...current, groups: entries });
+  return saved;
+}
+
+// Returns false when there is no such contact, throws while groups list the contact
+export function deleteContact(id) {
+  const current = getAddressBook();
+  const contact = current.contacts.find(candidate => candidate.id === id);
+  if (!contact) return false;
+
+  const groups = current.groups.filter(group => group.members.some(member => sameName(member, contact.name)));
+  if (groups.length > 0) {
+    throw new Error(`${contact.name} is a member of ${groups.map(group => group.name).join(', ')}. Remove them from the group${groups.length > 1 ? 's' : ''} first.`);
+  }
+  save({ ...current, contacts: current.contacts.filter(contact => contact.id !== id) });
+  return true;
+}
+
+export function deleteGroup(id) {
+  const current = getAddressBook();
+  if (!current.groups.some(group => group.id === id)) return false;
+  save({ ...current, groups: current.groups.filter(group => group.id !== id) });
+  return true;
+}
+
+function words(text) {
+  return text.toLowerCase().split(/[^\p{L}\p{N}@.'-]+/u).filter(Boolean);
+}
+
+// "the design team" is called "design", fillers only count when nothing else is left
+function nameWords(text) {
+  const all = words(text);
+  const meaningful = all.filter(word => !FILLER_WORDS.has(word));
+  return meaningful.length > 0 ? meaningful : all;
+}
+
+// 2 when the names are the same, 1 when each word of the query starts a word of the name
+function matchScore(name, queryWords) {
+  const candidateWords = nameWords(name);
+  if (candidateWords.join(' ') === queryWords.join(' ')) return 2;
+  const prefixes = queryWords.every(word => candidateWords.some(candidate => candidate.startsWith(word)));
+  return prefixes ? 1 : 0;
+}
+
+function groupAddresses(group, contacts) {
+  return group.members.map(member => {
+    if (isEmailAddress(member)) return member;
+    const contact = contacts.find(candidate => sameName(candidate.name, member));
+    if (!contact) {
+      throw new Error(`The group "${group.name}" lists ${member}, who is no longer in the address book`);
+    }
+    return contact.email;
+  });
+}
+
+/**
+ * What a request calls someone, as the matching address book entries:
+ * [{ name, emails, group }], one when it is clear who is meant, several when the chat
+ * should ask, none when nobody matches. Email addresses are returned as they are.
+ */
+export function resolveRecipient(text, { contacts, groups } = getAddressBook()) {
+  const query = text.trim();
+  if (isEmailAddress(query)) return [{ name: query, emails: [query], group: false }];
+
+  const queryWords = nameWords(query);
+  if (queryWords.length === 0) return [];
+
+  const scored = [
+    ...contacts.map(contact => ({ entry: { name: contact.name, emails: [contact.email], group: false }, score: matchScore(contact.name, queryWords) })),
+    ...groups.map(group => ({ entry: { name: group.name, group: true }, group, score: matchScore(group.name, queryWords) }))
+  ];
+  const best = Math.max(0, ...scored.map(({ score }) => score));
+  if (best === 0) return [];
+
+  return scored
+    .filter(({ score }) => score === best)
+    .map(({ entry, group }) => group ? { ...entry, emails: groupAddresses(group, contacts) } : entry);
+}
+
+// "Sarah Chen <sarah@example.com>", "Design team (3 people)"
+export function describeRecipient({ name, emails, group }) {
+  if (group) return `${name} (${emails.length} ${emails.length === 1 ? 'person' : 'people'})`;
+  return name === emails[0] ? name : `${name} <${emails[0]}>`;
+}
@@ -0,0 +1,78 @@
+/**
+ * Completion guard for the agent executor.
+ *
+ * The LLM decides which tool to call next, but the executor checks its decisions
+ * against the structured tool results (see tool-result.js) before running them:
+ *
+ *    - A 'cancelled' result ends the request, the user declined and must not be asked again
+ *    - Calling a tool again with exactly the same arguments ends the request, whether
+ *      the first call succeeded (the work is done) or failed (it would fail again)
+ *    - Running out of iterations ends the request with what was done so far
+ *
+ * In each case the answer is built from the messages of the tool results instead of
+ * LangChain's "Agent stopped due to max iterations.", so the iteration cap can be high
+ * enough for genuine multi-step requests.
+ */
+
+import { parseToolResult } from "./tool-result.js";
+
+// Same tool with the same arguments, regardless of key order
+function callKey(action) {
+  const sortKeys = (value) => {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+    }
+    return value;
+  };
+  return `${action.tool}:${JSON.stringify(sortKeys(action.toolInput ?? {}))}`;
+}
+
+function toolSteps(steps) {
+  return steps.filter(step => step.action.tool !== '_Exception');
+}
+
+export function summarizeResults(steps) {
+  const results = toolSteps(steps).map(step => parseToolResult(step.observation));
+  if (results.length === 0) {
+    return "I wasn't able to complete the request.";
+  }
+
+  const messages = results.map(result =>
+    result.status === 'error' ? `Something went wrong: ${result.message}` : result.message
+  );
+  return [...new Set(messages)].join('\n');
+}
+
+function finish(steps, reason) {
+  console.log(`Finishing the request from tool results (${reason})`);
+  return { returnValues: { output: summarizeResults(steps) }, log: '' };
+}
+
+export function installCompletionGuard(executor) {
+  const agent = executor.agent;
+  const plan = agent.plan.bind(agent);
+
+  agent.plan = async (steps, inputs, callbackManager) => {
+    const lastStep = toolSteps(steps).at(-1);
+    if (lastStep && parseToolResult(lastStep.observation).status === 'cancelled') {
+      return finish(steps, 'cancelled by the user');
+    }
+
+    const decision = await plan(steps, inputs, callbackManager);
+    if ('returnValues' in decision) return decision;
+
+    const actions = Array.isArray(decision) ? decision : [decision];
+    const previousCalls = new Set(toolSteps(steps).map(step => callKey(step.action)));
+    const repeated = actions.find(action => action.tool !== '_Exception' && previousCalls.has(callKey(action)));
+    if (repeated) {
+      return finish(steps, `repeated ${repeated.tool} call`);
+    }
+
+    return decision;
+  };
+
+  agent.returnStoppedResponse = async (earlyStoppingMethod, steps) => finish(steps, 'iteration limit');
+
+  return executor;
+}
@@ -0,0 +1,137 @@
+/**
+ * Human approval for tools with side effects.
+ *
+ * Tools like send_email call requestApproval() with a preview of what they are about
+ * to do. The helper sends an 'approval-required' event to the chat, which shows the
+ * preview with Approve / Edit / Cancel buttons, and the tool waits until the user
+ * answers through POST /approvals/:id:
+ *
+ *    { decision: 'approve', fields: { subject: 'edited subject' } }
+ *    { decision: 'approve', choice: 'slot-1' }
+ *    { decision: 'cancel' }
+ *
+ * Edited fields replace the preview values the tool proceeds with. A request can also
+ * offer choices, shown as quick buttons next to Approve (e.g. free times for an event
+ * that overlaps another one); picking one approves with that choice. With requireChoice
+ * only the choices and Cancel are offered (e.g. which of several matching events).
+ * Requests that are not answered within APPROVAL_TIMEOUT_SECONDS (default 300) are
+ * cancelled.
+ *
+ * Whether a tool asks at all is the per-tool policy in settings.approvals (see
+ * settings.js). Tools ask by default, and always when there are choices to make.
+ */
+
+import { v4 as uuidv4 } from "uuid";
+import { getRunContext } from "./run-context.js";
+import { getSettings } from "./settings.js";
+
+const APPROVAL_TIMEOUT = (parseInt(process.env.APPROVAL_TIMEOUT_SECONDS) || 300) * 1000;
+
+const pendingApprovals = new Map();
+
+export function isApprovalRequired(toolName) {
+  return getSettings().approvals[toolName] ?? true;
+}
+
+function fieldValues(fields) {
+  return Object.fromEntries(fields.map(field => [field.name, field.value]));
+}
+
+// Only editable preview fields can be changed, everything else keeps its preview value
+function applyEdits(fields, edits = {}) {
+  const values = fieldValues(fields);
+  for (const field of fields) {
+    if (field.readOnly) continue;
+    if (typeof edits[field.name] === 'string') {
+      values[field.name] = edits[field.name];
+    }
+  }
+  return values;
+}
+
+function settle(id, outcome) {
+  const pending = pendingApprovals.get(id);
+  if (!pending) return false;
+
+  clearTimeout(pending.timer);
+  pendingApprovals.delete(id);
+  // Answers arrive through their own HTTP request, so use the emitter of the waiting run
+  pending.emit?.('approval-resolved', { id, decision: outcome.approved ? 'approve' : 'cancel', reason: outcome.reason, choice: outcome.choice });
+  pending.resolve(outcome);
+  return true;
+}
+
+/**
+ * Pauses the calling tool until the user approves, edits or cancels the action.
+ *
+ * fields: [{ name, label, value, multiline?, readOnly? }] shown in the chat preview.
+ * choices: optional [{ id, label }] offered as quick buttons, requireChoice: approving
+ * needs one of them.
+ * Resolves with { approved: true, values, choice } where values maps field names to the
+ * (possibly edited) values and choice is the id of the picked choice or null, or with
+ * { approved: false, reason } when cancelled or timed out.
+ */
+export function requestApproval({ tool, title, fields = [], choices = [], requireChoice = false }) {
+  // A choice is the user's to make, even for tools that don't ask otherwise
+  if (!isApprovalRequired(tool) && choices.length === 0) {
+    return Promise.resolve({ approved: true, values: fieldValues(fields), choice: null });
+  }
+
+  const id = uuidv4();
+  const { runId, emit } = getRunContext();
+  const expiresAt = new Date(Date.now() + APPROVAL_TIMEOUT).toISOString();
+
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      console.log(`Approval ${id} for ${tool} timed out`);
+      settle(id, { approved: false, reason: 'timeout' });
+    }, APPROVAL_TIMEOUT);
+
+    pendingApprovals.set(id, { id, runId, emit, tool, title, fields, choices, requireChoice, expiresAt, resolve, timer });
+    console.log(`Waiting for approval of ${tool} (${id})`);
+    emit?.('approval-required', { id, tool, title, fields, choices, requireChoice, expiresAt });
+  });
+}
+
+// Answers a pending approval, returns false if it does not exist (anymore).
+// Throws when the choice is not one of those offered, or missing where one is required.
+export function resolveApproval(id, { decision, fields, choice } = {}) {
+  const pending = pendingApprovals.get(id);
+  if (!pending) return false;
+
+  if (decision === 'approve') {
+    if (choice != null && !pending.choices.some(option => option.id === choice)) {
+      throw new Error(`Unknown choice "${choice}"`);
+    }
+    if (choice == null && pending.requireChoice) {
+      throw new Error('Pick one of the choices');
+    }
+    return settle(id, { approved: true, values: applyEdits(pending.fields, fields), choice: choice ?? null });
+  }
+  return settle(id, { approved: false, reason: 'cancelled' });
+}
+
+/**
+ * Why a request was not approved, to finish a tool's message: "... was not sent because
+ * the user cancelled it". answered says what nobody did before the timeout, e.g.
+ * 'picked one' when the user was asked to pick from choices.
+ */
+export function describeRejection(approval, answered = 'approved it') {
+  return approval.reason === 'timeout' ? `nobody ${answered} in time` : 'the user cancelled it';
+}
+
+// Cancels the approvals of a request whose client went away, so its tools stop waiting
+export function cancelApprovalsForRun(runId) {
+  for (const pending of [...pendingApprovals.values()]) {
+    if (pending.runId === runId) {
+      settle(pending.id, { approved: false, reason: 'cancelled' });
+    }
+  }
+}
+
+// All pending approvals, or only those of one request when runId is given
+export function listPendingApprovals(runId) {
+  return [...pendingApprovals.values()]
+    .filter(pending => !runId || pending.runId === runId)
+    .map(({ id, tool, title, fields, choices, requireChoice, expiresAt }) => ({ id, tool, title, fields, choices, requireChoice, expiresAt }));
+}
@@ -0,0 +1,128 @@
+/**
+ * Audit log of tool invocations.
+ *
+ * Every tool call the agent or an @tool command makes is appended as one JSON line to
+ * helper/data/audit.jsonl (see tool-registry.js). Entries are never rewritten:
+ *
+ *    { id, tool, args, prompt, jobId, startedAt, finishedAt, durationMs,
+ *      outcome: 'success' | 'error' | 'cancelled', output, data, error }
+ *
+ * args are the arguments after schema validation, prompt is the chat message that
+ * started the job. GET /audit reads the log back with queryAuditLog().
+ */
+
+import path from "path";
+import fs from "fs";
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from "uuid";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const defaultAuditFile = path.join(__dirname, 'data', 'audit.jsonl');
+let auditFile = defaultAuditFile;
+
+const MAX_OUTPUT_LENGTH = 1000;
+const DEFAULT_QUERY_LIMIT = 100;
+
+// Appends are chained so lines from concurrent jobs never interleave
+let writeQueue = Promise.resolve();
+
+function truncate(text) {
+  if (typeof text !== 'string') return text;
+  return text.length > MAX_OUTPUT_LENGTH ? `${text.slice(0, MAX_OUTPUT_LENGTH)}...` : text;
+}
+
+// Moves the log to another file, null goes back to helper/data/audit.jsonl
+export function setAuditLogFile(file) {
+  auditFile = file ?? defaultAuditFile;
+}
+
+// result is the tool's structured result (see tool-result.js)
+export function recordToolInvocation({ tool, args, prompt, jobId, startedAt, finishedAt, result }) {
+  const failed = result.status === 'error';
+  const entry = {
+    id: uuidv4(),
+    tool,
+    args,
+    prompt: prompt ?? null,
+    jobId: jobId ?? null,
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - startedAt,
+    outcome: result.status,
+    output: failed ? null : truncate(result.message),
+    data: result.data,
+    error: failed ? result.message : null
+  };
+
+  const file = auditFile;
+  writeQueue = writeQueue
+    .then(async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, JSON.stringify(entry) + '\n');
+    })
+    .catch(writeError => {
+      console.error("Could not write audit log entry:", writeError.message);
+    });
+
+  return entry;
+}
+
+// "2024-05-01" as an upper bound means the end of that day
+function parseBound(value, name, endOfDay = false) {
+  if (!value) return null;
+
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(dateOnly ? `${value}T00:00:00` : value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name} date "${value}"`);
+  }
+  if (dateOnly && endOfDay) {
+    date.setDate(date.getDate() + 1);
+    date.setMilliseconds(-1);
+  }
+  return date;
+}
+
+/**
+ * Returns matching entries, newest first.
+ * tool: exact tool name, from/to: dates or ISO timestamps on startedAt, limit: max entries
+ */
+export async function queryAuditLog({ tool, from, to, limit = DEFAULT_QUERY_LIMIT } = {}) {
+  const fromDate = parseBound(from, 'from');
+  const toDate = parseBound(to, 'to', true);
+  const maxEntries = parseInt(limit);
+  if (Number.isNaN(maxEntries) || maxEntries < 1) {
+    throw new Error(`Invalid limit "${limit}"`);
+  }
+
+  await writeQueue;
+  let contents;
+  try {
+    contents = await fs.promises.readFile(auditFile, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const entries = [];
+  for (const line of contents.split('\n')) {
+    if (!line.trim()) continue;
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      continue; // a partially written line, e.g. after a crash
+    }
+
+    const startedAt = new Date(entry.startedAt);
+    if (tool && entry.tool !== tool) continue;
+    if (fromDate && startedAt < fromDate) continue;
+    if (toDate && startedAt > toDate) continue;
+    entries.push(entry);
+  }
+
+  return entries.reverse().slice(0, maxEntries);
+}
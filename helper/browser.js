@@ -0,0 +1,218 @@
+/**
+ * Playwright browser used by the automation tools.
+ *
+ * Uses Playwright with Chrome to maintain a persistent browser context that preserves
+ * login sessions. The browser runs in non-headless mode so users can see automation in
+ * progress. Special configurations remove automation indicators to avoid detection.
+ *
+ * There is one browser and one page, so all automation goes through withBrowser(),
+ * which hands out the page to one task at a time, in order. The browser is opened for
+ * the task and closed again when it is done. Browser data lives in helper/browser-data
+ * so logins survive restarts.
+ */
+
+import { chromium } from "playwright";
+import path from "path";
+import { fileURLToPath } from 'url';
+import fs from 'fs';
+import { getRunContext } from "./run-context.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const userDataDir = path.join(__dirname, 'browser-data');
+if (!fs.existsSync(userDataDir)) {
+  fs.mkdirSync(userDataDir, { recursive: true });
+}
+
+let browserContext;
+let page;
+
+export function getPage() {
+  return page;
+}
+
+export function isBrowserOpen() {
+  return !!browserContext;
+}
+
+// A stored profile means the user completed the Google login at least once
+export function hasStoredSession() {
+  return fs.existsSync(path.join(userDataDir, 'Default'));
+}
+
+async function initializeBrowser() {
+  console.log("Initializing Chrome browser with persistent context...");
+
+  try {
+
+    browserContext = await chromium.launchPersistentContext(userDataDir, {
+      headless: false,
+      channel: 'chrome',
+      args: [
+        '--start-maximized',
+        '--disable-blink-features=AutomationControlled',
+        '--disable-features=IsolateOrigins,site-per-process',
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-infobars',
+        '--window-position=0,0',
+        '--ignore-certificate-errors',
+        '--ignore-certificate-errors-spki-list',
+        '--user-agent=Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+      ],
+      viewport: null,
+
+      ignoreDefaultArgs: ['--enable-automation'],
+    });
+
+
+    const pages = browserContext.pages();
+    page = pages.length > 0 ? pages[0] : await browserContext.newPage();
+
+
+    await page.addInitScript(() => {
+
+      Object.defineProperty(navigator, 'webdriver', {
+        get: () => undefined
+      });
+
+
+      Object.defineProperty(navigator, 'plugins', {
+        get: () => [1, 2, 3, 4, 5]
+      });
+
+
+      window.chrome = {
+        runtime: {},
+      };
+
+      // Override permissions
+      const originalQuery = window.navigator.permissions.query;
+      window.navigator.permissions.query = (parameters) => (
+        parameters.name === 'notifications' ?
+          Promise.resolve({ state: Notification.permission }) :
+          originalQuery(parameters)
+      );
+    });
+
+    console.log("Chrome browser initialized with persistent context");
+    console.log("User data saved in:", userDataDir);
+
+
+
+  } catch (error) {
+    console.error("Failed to initialize browser:", error);
+    throw error;
+  }
+}
+
+export async function closeBrowser() {
+  console.log("Closing browser...");
+  try {
+    if (browserContext) {
+      await browserContext.close();
+      browserContext = null;
+      page = null;
+    }
+    console.log("Browser closed successfully");
+  } catch (error) {
+    console.error("Error closing browser:", error);
+  }
+}
+
+async function ensureBrowserOpen() {
+  try {
+
+    if (browserContext && !browserContext.isConnected?.()) {
+      console.log('Browser context disconnected, reinitializing...');
+      browserContext = null;
+      page = null;
+    }
+
+
+    if (page && page.isClosed?.()) {
+      console.log('Page was closed, creating new page...');
+      page = null;
+    }
+
+    if (!browserContext || !page) {
+      await initializeBrowser();
+    }
+
+
+    if (page) {
+      try {
+        await page.evaluate(() => document.readyState);
+      } catch (e) {
+        console.log('Page not responsive, creating new page...');
+        page = await browserContext.newPage();
+
+        // Re-add init script to new page
+        await page.addInitScript(() => {
+          Object.defineProperty(navigator, 'webdriver', {
+            get: () => undefined
+          });
+          Object.defineProperty(navigator, 'plugins', {
+            get: () => [1, 2, 3, 4, 5]
+          });
+          window.chrome = { runtime: {} };
+        });
+      }
+    }
+  } catch (error) {
+    console.error('Error ensuring browser is open:', error);
+
+    browserContext = null;
+    page = null;
+    await initializeBrowser();
+  }
+
+  return page;
+}
+
+// Tail of the chain of browser tasks, each task starts when the previous one settled
+let browserQueue = Promise.resolve();
+let waitingTasks = 0;
+
+/**
+ * True while tasks wait for the browser. A task that waits on the user, like the Google
+ * login, checks it to give the browser up instead of blocking everyone else.
+ */
+export function hasWaitingBrowserTasks() {
+  return waitingTasks > 0;
+}
+
+/**
+ * Runs task(page) with exclusive use of the browser and closes the browser afterwards.
+ * Tasks wait for each other in the order they were requested. If the request that
+ * started the task is cancelled, a waiting task is skipped and a running task has its
+ * browser closed, which makes its pending Playwright calls fail.
+ */
+export function withBrowser(task) {
+  const { signal } = getRunContext();
+
+  waitingTasks++;
+  const run = browserQueue.then(async () => {
+    waitingTasks--;
+    if (signal?.aborted) throw signal.reason;
+
+    const onAbort = () => {
+      console.log('Request cancelled, closing the browser');
+      closeBrowser();
+    };
+    signal?.addEventListener('abort', onAbort);
+
+    try {
+      const page = await ensureBrowserOpen();
+      if (!page) throw new Error("Browser not initialized");
+      return await task(page);
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+      await closeBrowser();
+    }
+  });
+
+  browserQueue = run.catch(() => {});
+  return run;
+}
@@ -0,0 +1,121 @@
+/**
+ * Conflict checks for new calendar events.
+ *
+ * Before create_calendar_event asks for approval it reads the events around the requested
+ * time through the Calendar API (see google-calendar.js). Without the API the approval
+ * card says that the time was not checked.
+ *    - findConflicts(schedule, events): the events that overlap the requested time
+ *    - suggestFreeSlots(schedule, events, { now }): the nearest free times of the same
+ *      length, offered as quick choices in the approval card
+ *
+ * Only timed events that block time count: all-day events, events marked "free" and
+ * declined invitations don't. Suggestions fall within SLOT_HOURS, are never in the past
+ * and start on the half hour or right after another event.
+ *
+ * now is injectable so tests run against a fixed clock.
+ */
+
+import { isCalendarApiAvailable, listEvents } from "./google-calendar.js";
+import { getRunContext } from "./run-context.js";
+
+export const SLOT_COUNT = 3;
+
+// Suggested slots start at 8am at the earliest and end by 8pm
+const SLOT_HOURS = [8, 20];
+const SLOT_STEP_MINUTES = 30;
+// How many days, starting with the requested one, are searched for free slots
+const SEARCH_DAYS = 7;
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function atHour(day, hour, minute = 0) {
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour, minute);
+}
+
+function blocksTime(event) {
+  return event.busy && !event.allDay;
+}
+
+function overlaps(a, b) {
+  return a.start < b.end && a.end > b.start;
+}
+
+export function findConflicts(schedule, events) {
+  return events.filter(event => blocksTime(event) && overlaps(event, schedule));
+}
+
+// Slot starts on one day: every half hour, and whenever a busy event ends
+function candidateStarts(day, busy) {
+  const starts = [];
+  for (let minutes = SLOT_HOURS[0] * 60; minutes < SLOT_HOURS[1] * 60; minutes += SLOT_STEP_MINUTES) {
+    starts.push(atHour(day, 0, minutes));
+  }
+  for (const event of busy) {
+    if (startOfDay(event.end).getTime() === day.getTime()) starts.push(event.end);
+  }
+  return starts;
+}
+
+/**
+ * Free times of the same length as the schedule, nearest to its start first. days limits
+ * the search to that many days from the schedule's day, 1 keeps it on the same day.
+ */
+export function suggestFreeSlots(schedule, events, { now = new Date(), count = SLOT_COUNT, days = SEARCH_DAYS } = {}) {
+  const length = schedule.end - schedule.start;
+  const busy = events.filter(blocksTime);
+  const firstDay = startOfDay(schedule.start);
+
+  const slots = [];
+  for (let offset = 0; offset < days; offset++) {
+    const day = new Date(firstDay.getFullYear(), firstDay.getMonth(), firstDay.getDate() + offset);
+    const dayStart = atHour(day, SLOT_HOURS[0]);
+    const dayEnd = atHour(day, SLOT_HOURS[1]);
+
+    for (const start of candidateStarts(day, busy)) {
+      const slot = { start, end: new Date(start.getTime() + length) };
+      if (start < now || start < dayStart || slot.end > dayEnd) continue;
+      if (start.getTime() === schedule.start.getTime()) continue;
+      if (busy.some(event => overlaps(event, slot))) continue;
+      if (slots.some(other => other.start.getTime() === start.getTime())) continue;
+      slots.push(slot);
+    }
+  }
+
+  const distance = (slot) => Math.abs(slot.start - schedule.start);
+  return slots
+    .sort((a, b) => distance(a) - distance(b) || a.start - b.start)
+    .slice(0, count);
+}
+
+/**
+ * The conflicts of a timed schedule and free slots to offer instead, or null when there
+ * is nothing to check: no schedule or an all-day one. Without the Calendar API, or when
+ * the lookup fails, the result has no conflicts and unchecked says why, so the approval
+ * card can tell the user that the time was not checked. A failed lookup is logged, it
+ * should not keep the event from being created.
+ */
+export async function checkAvailability(schedule, { sameDay = false, now = new Date() } = {}) {
+  if (!schedule || schedule.allDay) return null;
+  if (!isCalendarApiAvailable()) {
+    return { conflicts: [], slots: [], unchecked: 'Not checked, the Calendar API is not set up (see docs/CALENDAR_USAGE.md). Look at your calendar before approving.' };
+  }
+
+  const days = sameDay ? 1 : SEARCH_DAYS;
+  const from = startOfDay(schedule.start);
+  const to = new Date(from.getFullYear(), from.getMonth(), from.getDate() + days);
+
+  let events;
+  try {
+    events = await listEvents({ start: from, end: schedule.end > to ? schedule.end : to });
+  } catch (error) {
+    if (getRunContext().signal?.aborted) throw error;
+    console.log(`Could not check the calendar for conflicts: ${error.message}`);
+    return { conflicts: [], slots: [], unchecked: `Not checked. ${error.message.replace(/\.?$/, '.')} Look at your calendar before approving.` };
+  }
+
+  const conflicts = findConflicts(schedule, events);
+  const slots = conflicts.length > 0 ? suggestFreeSlots(schedule, events, { now, days }) : [];
+  return { conflicts, slots };
+}
@@ -0,0 +1,25 @@
+/**
+ * "api" calendar backend: creates new events with the Google Calendar API (events.insert,
+ * see google-calendar.js) instead of typing them into the page, so changes to Google
+ * Calendar's UI don't break it. Guests get their invitations from Google.
+ *
+ * Needs the GOOGLE_* credentials in helper/.env with the calendar.events scope. Without
+ * them selectCalendarBackend() uses the browser backend instead.
+ */
+
+import { createEvent, isCalendarApiAvailable } from "../google-calendar.js";
+
+export default {
+  name: 'api',
+  needsBrowser: false,
+  missingDateError: 'The Calendar API needs the date/time of the event, there is no calendar page to fill in a default.',
+  isAvailable: isCalendarApiAvailable,
+  createEvent: async (event, { describe }) => {
+    const created = await createEvent(event);
+    console.log(`✓ Created the calendar event "${created.title}" through the Calendar API`);
+    return {
+      message: `Created the calendar event ${describe(event)} in Google Calendar.`,
+      data: { id: created.id, link: created.link }
+    };
+  }
+};
@@ -0,0 +1,292 @@
+/**
+ * "browser" calendar backend: enters new events in Google Calendar with keyboard
+ * navigation in the Playwright browser (see browser.js).
+ *
+ * The quick event dialog gets the title, date and times typed in. Location, description
+ * and guests are filled in the full event editor ("More options") and guests are invited
+ * when the event is saved. The editor's repeat menu is set to the matching option, or to
+ * "Custom..." for intervals, several weekdays and ends. All-day events get the "All day"
+ * box checked. Buttons and fields are found through the selector registry (see
+ * selectors.js), with keyboard fallbacks for Create and Save.
+ *
+ * Dates and times are typed the way the date format of the settings writes them (see
+ * dateLocale in settings.js), which should match the language of Google Calendar.
+ *
+ * Needs the browser to be logged into Google, but no other setup.
+ */
+
+import { withBrowser } from "../browser.js";
+import { clickElement, findElement } from "../selectors.js";
+import { getSettings } from "../settings.js";
+import { describeRecurrence } from "../recurrence.js";
+import { formatTime, lastDayOf } from "../tools/_calendar-format.js";
+
+// The format the date field understands: "May, 16, 2024", "16 May 2024" with the day
+// first, "16.05.2024" in German
+function formatDate(date, locale) {
+  if (locale.language === 'de') {
+    return date.toLocaleDateString('de-DE', { day: '2-digit', month: '2-digit', year: 'numeric' });
+  }
+  const monthName = date.toLocaleDateString('en-US', { month: 'long' });
+  if (locale.dateOrder === 'DMY') return `${date.getDate()} ${monthName} ${date.getFullYear()}`;
+  return `${monthName}, ${date.getDate()}, ${date.getFullYear()}`;
+}
+
+// "2:00 PM", or "14:00" with the 24-hour clock
+function formatTypedTime(date, locale) {
+  if (locale.hourCycle === 12) return formatTime(date);
+  return date.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+}
+
+// The quick dialog only has title and time, the rest is in the full editor
+async function openEventEditor(page) {
+  await clickElement(page, 'calendar.moreOptionsButton');
+  await page.waitForTimeout(1500);
+  console.log('✓ Opened the full event editor');
+}
+
+async function fillEventDetails(page, { location, description, guests }) {
+  if (location) {
+    const { locator } = await findElement(page, 'calendar.locationInput');
+    await locator.fill(location);
+    console.log(`✓ Filled location: "${location}"`);
+    await page.waitForTimeout(500);
+  }
+
+  if (description) {
+    const { locator } = await findElement(page, 'calendar.descriptionInput');
+    await locator.fill(description);
+    console.log('✓ Filled description');
+    await page.waitForTimeout(500);
+  }
+
+  for (const guest of guests) {
+    const { locator: guestField } = await findElement(page, 'calendar.guestsInput');
+    await guestField.fill(guest);
+    await guestField.press('Enter');
+    console.log(`✓ Added guest: ${guest}`);
+    await page.waitForTimeout(500);
+  }
+}
+
+const RECURRENCE_UNITS = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+const DAY_NAMES = { MO: 'Monday', TU: 'Tuesday', WE: 'Wednesday', TH: 'Thursday', FR: 'Friday', SA: 'Saturday', SU: 'Sunday' };
+
+// The repeat menu has "Daily", "Weekly on Tuesday", "Every weekday (Monday to Friday)",
+// "Monthly on the first Monday" and "Annually on June 10", worded like describeRecurrence()
+function recurrencePreset(rule) {
+  if (rule.interval > 1 || rule.count || rule.until) return null;
+  if (rule.frequency === 'WEEKLY' && rule.weekdays.length > 1 && rule.weekdays.length !== 5) return null;
+  if (rule.frequency === 'MONTHLY' && !rule.monthWeek) return null;
+
+  const label = describeRecurrence(rule).replace(/[()]/g, '\\$&');
+  return new RegExp(`^${label}`);
+}
+
+async function configureRecurrence(page, rule, locale) {
+  await clickElement(page, 'calendar.recurrenceMenu');
+  await page.waitForTimeout(500);
+
+  const preset = recurrencePreset(rule);
+  if (preset) {
+    await page.getByRole('option', { name: preset }).click();
+    console.log(`✓ Set repeat: ${describeRecurrence(rule)}`);
+    return;
+  }
+
+  await clickElement(page, 'calendar.customRecurrenceOption');
+  const { locator: dialog } = await findElement(page, 'calendar.customRecurrenceDialog');
+
+  await (await findElement(dialog, 'calendar.recurrenceInterval')).locator.fill(String(rule.interval));
+  await clickElement(dialog, 'calendar.recurrenceUnit');
+  await page.getByRole('option', { name: new RegExp(`^${RECURRENCE_UNITS[rule.frequency]}s?$`) }).click();
+
+  if (rule.frequency === 'WEEKLY' && rule.weekdays.length > 0) {
+    // Day toggles start with the first event's day selected
+    for (const [code, name] of Object.entries(DAY_NAMES)) {
+      const toggle = dialog.getByRole('button', { name });
+      const selected = (await toggle.getAttribute('aria-pressed')) === 'true';
+      if (selected !== rule.weekdays.includes(code)) await toggle.click();
+    }
+  }
+
+  if (rule.until) {
+    await (await findElement(dialog, 'calendar.recurrenceEndsOn')).locator.check();
+    await (await findElement(dialog, 'calendar.recurrenceEndDate')).locator.fill(formatDate(rule.until, locale));
+  } else if (rule.count) {
+    await (await findElement(dialog, 'calendar.recurrenceEndsAfter')).locator.check();
+    await (await findElement(dialog, 'calendar.recurrenceCount')).locator.fill(String(rule.count));
+  }
+
+  await clickElement(dialog, 'calendar.recurrenceDoneButton');
+  console.log(`✓ Set custom repeat: ${describeRecurrence(rule)}`);
+}
+
+async function saveEvent(page, { inviteGuests }) {
+  try {
+    await clickElement(page, 'calendar.saveButton');
+    console.log('✓ Clicked Save (adding the event)');
+  } catch (e) {
+    // Fallback to keyboard
+    await page.keyboard.press('Enter');
+    console.log('✓ Pressed Enter (adding the event)');
+  }
+
+  if (inviteGuests) {
+    // "Would you like to send invitation emails to Google Calendar guests?"
+    try {
+      await clickElement(page, 'calendar.sendInvitationsButton');
+      console.log('✓ Sent invitations to guests');
+    } catch (e) {
+      console.log('No invitation prompt shown');
+    }
+  }
+}
+
+async function enterEvent(page, event, locale) {
+  const { title, start, end, allDay, recurrence } = event;
+  const hasDetails = Boolean(recurrence || event.location || event.description || event.guests.length > 0);
+
+  // Navigate to Google Calendar
+  await page.goto('https://calendar.google.com', {
+    waitUntil: 'domcontentloaded',
+    timeout: 1000 // CHANGE THIS
+  });
+  console.log('Navigated to Google Calendar');
+
+  // Wait for page to load - reduced wait time
+  await page.waitForTimeout(1000);
+  await page.waitForLoadState('networkidle', { timeout: 1000 }).catch(() => {
+    console.log('Network idle timeout - proceeding anyway');
+  });
+
+  // Step 1: Select Create (same way its being done now)
+  try {
+    await clickElement(page, 'calendar.createButton');
+    console.log('✓ Clicked Create button');
+  } catch (e) {
+    // Fallback to keyboard shortcut
+    console.log('Using keyboard shortcut "c"');
+    await page.keyboard.press('c');
+  }
+
+  await page.waitForTimeout(500);
+
+  // Step 2: Select Event (same way its being done now)
+  try {
+    await clickElement(page, 'calendar.eventMenuItem', { timeout: 2000 });
+    console.log('✓ Selected Event option');
+    await page.waitForTimeout(500);
+  } catch (e) {
+    console.log('Event option not needed or already selected');
+  }
+
+  await page.waitForTimeout(500);
+
+  // Step 3: Type the event title immediately after selecting Event
+  await page.keyboard.type(title);
+  console.log(`✓ Typed event title: "${title}"`);
+  await page.waitForTimeout(500);
+
+  // Step 4: Type tab
+  await page.keyboard.press('Tab');
+  console.log('✓ Pressed Tab (1)');
+  await page.waitForTimeout(500);
+
+  // Step 5: Type tab
+  await page.keyboard.press('Tab');
+  console.log('✓ Pressed Tab (2)');
+  await page.waitForTimeout(500);
+
+  // Step 6: Type enter (take advantage of Google's built-in language processing)
+  await page.keyboard.press('Enter');
+  console.log('✓ Pressed Enter (activating natural language processing)');
+  await page.waitForTimeout(500);
+
+  // Step 7: Type the date in the format of the settings
+  if (start) {
+    const formattedDate = formatDate(start, locale);
+    await page.keyboard.type(formattedDate);
+    console.log(`✓ Typed date: "${formattedDate}"`);
+  }
+  await page.waitForTimeout(500);
+
+
+  await page.keyboard.press('Tab');
+  console.log('✓ Pressed Tab (3) - moving to start time field');
+  await page.waitForTimeout(500);
+
+
+  if (start && !allDay) {
+    const startTimeString = formatTypedTime(start, locale);
+    await page.keyboard.type(startTimeString);
+    console.log(`✓ Typed start time: "${startTimeString}"`);
+  }
+  await page.waitForTimeout(500);
+
+
+  await page.keyboard.press('Tab');
+  console.log('✓ Pressed Tab (4) - moving to end time field');
+  await page.waitForTimeout(500);
+
+
+  if (start && !allDay) {
+    const endTimeString = formatTypedTime(end, locale);
+    await page.keyboard.type(endTimeString);
+    console.log(`✓ Typed end time: "${endTimeString}"`);
+  }
+  await page.waitForTimeout(500);
+
+
+  await page.keyboard.press('Tab');
+  console.log('✓ Pressed Tab (5) - moving to end date field');
+  await page.waitForTimeout(500);
+
+  // Multi-day and overnight events end on another day
+  if (start) {
+    const formattedEndDate = formatDate(lastDayOf(event), locale);
+    await page.keyboard.type(formattedEndDate);
+    console.log(`✓ Typed end date: "${formattedEndDate}"`);
+  }
+  await page.waitForTimeout(500);
+
+  if (hasDetails) {
+    await openEventEditor(page);
+  }
+
+  if (allDay) {
+    // Checking the box hides the time fields and keeps the dates
+    await (await findElement(page, 'calendar.allDayCheckbox')).locator.check();
+    console.log('✓ Checked All day');
+  }
+
+  if (recurrence) {
+    await configureRecurrence(page, recurrence, locale);
+  }
+
+  await fillEventDetails(page, event);
+  await saveEvent(page, { inviteGuests: event.guests.length > 0 });
+
+
+  await page.waitForTimeout(1000);
+}
+
+export default {
+  name: 'browser',
+  needsBrowser: true,
+  // Without a date the event is created at the time Google Calendar suggests
+  missingDateError: null,
+  createEvent: async (event, { describe }) => {
+    try {
+      // The browser is closed again once the event is saved
+      await withBrowser(async (page) => {
+        console.log(`Creating calendar event: ${describe(event)}`);
+        await enterEvent(page, event, getSettings().dateLocale);
+      });
+    } catch (error) {
+      console.error('Error creating calendar event:', error);
+      throw error;
+    }
+    return { message: `Created the calendar event ${describe(event)}.`, data: {} };
+  }
+};
@@ -0,0 +1,44 @@
+/**
+ * "ics" calendar backend: writes new events as .ics files (see ics.js), which the
+ * extension saves to the Downloads folder. Opening the file adds the event to any
+ * calendar app. Needs neither the browser nor the Calendar API.
+ */
+
+import { sendExtensionCommand } from "../extension-bridge.js";
+import { getOrganizer, toICS } from "../ics.js";
+
+// "Team sync" as "team-sync.ics"
+function icsFileName(title) {
+  const name = title.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '').slice(0, 50);
+  return `${name || 'event'}.ics`;
+}
+
+// Resolves with the name the extension saved the file as in the Downloads folder
+async function saveEventFile(event) {
+  const content = toICS([event]);
+  try {
+    const { filename } = await sendExtensionCommand('downloadFile', { filename: icsFileName(event.title), content, mimeType: 'text/calendar' });
+    return filename;
+  } catch (error) {
+    throw new Error(`Could not save the .ics file: ${error.message}`);
+  }
+}
+
+export default {
+  name: 'ics',
+  needsBrowser: false,
+  missingDateError: 'An .ics file needs the date/time of the event, there is no calendar to fill in a default.',
+  createEvent: async (event, { describe }) => {
+    const file = await saveEventFile(event);
+    console.log(`✓ Saved the calendar event as ${file}`);
+
+    // Without an organizer the file can't list guests (see ics.js)
+    const guestsLeftOut = event.guests.length > 0 && !getOrganizer();
+    const saved = guestsLeftOut ? { ...event, guests: [] } : event;
+    const note = guestsLeftOut ? ' The guests are not in the file, enter your email address under ⚙ in the popup (Create calendar events) to include them.' : '';
+    return {
+      message: `Saved the calendar event ${describe(saved)} as "${file}" in the Downloads folder. Open it to add the event to a calendar.${note}`,
+      data: { guests: saved.guests, file }
+    };
+  }
+};
@@ -0,0 +1,36 @@
+/**
+ * Calendar backends: the ways create_calendar_event can put a new event in a calendar,
+ * picked with the calendarBackend setting (see settings.js).
+ *
+ *    - browser: types the event into Google Calendar in the Playwright browser
+ *    - api: creates it with the Google Calendar API
+ *    - ics: saves it as an .ics file to the Downloads folder
+ *
+ * A backend is { name, needsBrowser, missingDateError, isAvailable?, createEvent }:
+ *    - needsBrowser: the Google login of the browser is used, so requests check it first
+ *    - missingDateError: why an event without a date/time can't be created, null when the
+ *      calendar picks a default
+ *    - isAvailable(): whether the backend is set up, backends without it always are
+ *    - createEvent(event, { describe }): creates { title, start, end, allDay, recurrence,
+ *      location, description, guests } and resolves with { message, data } for the tool
+ *      result. describe(event) words the event for the message.
+ */
+
+import { getSettings } from "../settings.js";
+import browserBackend from "./browser.js";
+import apiBackend from "./api.js";
+import icsBackend from "./ics.js";
+
+const BACKENDS = new Map([browserBackend, apiBackend, icsBackend].map(backend => [backend.name, backend]));
+
+/**
+ * The backend to create events with, by default the one in the settings. A backend that
+ * isn't set up falls back to the browser, fallbackFrom then names the chosen one.
+ */
+export function selectCalendarBackend(name = getSettings().calendarBackend) {
+  const backend = BACKENDS.get(name) ?? browserBackend;
+  if (backend.isAvailable && !backend.isAvailable()) {
+    return { backend: browserBackend, fallbackFrom: backend.name };
+  }
+  return { backend, fallbackFrom: null };
+}
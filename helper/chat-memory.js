@@ -0,0 +1,77 @@
+/**
+ * Conversation memory for the agent.
+ *
+ * The extension sends the whole chat with every request. This module turns it into
+ * LangChain messages for the agent's "chat_history" placeholder so follow-ups like
+ * "actually make it 3pm" can refer back to earlier turns. Assistant turns carry the
+ * tool results of that turn (toolResults) so the agent also sees what was actually done.
+ *
+ * History is capped by message count (MAX_HISTORY_MESSAGES) and each message is
+ * truncated (MAX_HISTORY_MESSAGE_CHARS) so long chats don't blow up the prompt.
+ */
+
+import { AIMessage, HumanMessage } from "@langchain/core/messages";
+import { parseToolResult } from "./tool-result.js";
+
+const MAX_HISTORY_MESSAGES = parseInt(process.env.MAX_HISTORY_MESSAGES || '10', 10);
+const MAX_HISTORY_MESSAGE_CHARS = parseInt(process.env.MAX_HISTORY_MESSAGE_CHARS || '1500', 10);
+const MAX_TOOL_OUTPUT_CHARS = 300;
+
+function truncate(text, maxLength) {
+  const value = typeof text === 'string' ? text : JSON.stringify(text ?? '');
+  return value.length > maxLength ? `${value.slice(0, maxLength)}...` : value;
+}
+
+// Compact form of the executor's intermediate steps, stored by the extension with the answer
+export function summarizeSteps(intermediateSteps = []) {
+  return intermediateSteps
+    .filter(step => step.action && step.action.tool !== '_Exception')
+    .map(step => {
+      const result = parseToolResult(step.observation);
+      return {
+        tool: step.action.tool,
+        input: step.action.toolInput,
+        status: result.status,
+        output: truncate(result.message, MAX_TOOL_OUTPUT_CHARS)
+      };
+    });
+}
+
+function formatAssistantTurn(message) {
+  if (!Array.isArray(message.toolResults) || message.toolResults.length === 0) {
+    return message.content;
+  }
+
+  const results = message.toolResults
+    .map(result => {
+      const status = result.status && result.status !== 'success' ? ` (${result.status})` : '';
+      return `- ${result.tool} ${JSON.stringify(result.input ?? {})} → ${result.output}${status}`;
+    })
+    .join('\n');
+  return `${message.content}\n\nTool results from this turn:\n${results}`;
+}
+
+/**
+ * Converts the extension's chat history into messages for the agent prompt.
+ * The current prompt is usually the last entry of the history, it is dropped here
+ * because the agent receives it as its input.
+ */
+export function buildChatHistory(chatHistory = [], currentPrompt) {
+  if (!Array.isArray(chatHistory)) return [];
+
+  let turns = chatHistory.filter(message =>
+    message && typeof message.content === 'string' &&
+    (message.role === 'user' || message.role === 'assistant')
+  );
+
+  const lastTurn = turns[turns.length - 1];
+  if (lastTurn && lastTurn.role === 'user' && lastTurn.content.trim() === currentPrompt?.trim()) {
+    turns = turns.slice(0, -1);
+  }
+
+  return turns.slice(-MAX_HISTORY_MESSAGES).map(message => (
+    message.role === 'user'
+      ? new HumanMessage(truncate(message.content, MAX_HISTORY_MESSAGE_CHARS))
+      : new AIMessage(truncate(formatAssistantTurn(message), MAX_HISTORY_MESSAGE_CHARS))
+  ));
+}
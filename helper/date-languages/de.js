@@ -0,0 +1,137 @@
+/**
+ * German for date-parser.js and recurrence.js.
+ *
+ * The parsers' rules are written in English, so German text is rewritten into the English
+ * phrases they understand first: "nächsten Freitag um 14 Uhr" becomes "next friday at
+ * 14:00", "10.06.2025" becomes "10 june 2025". The replacements run in order on the
+ * lowercased text, longer phrases come before the words they contain ("heute abend"
+ * before "heute", "morgen früh" before "morgen"). English words are left alone, so mixed
+ * text like "Freitag 2pm" still works.
+ */
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+// Whole words only, \b doesn't know umlauts
+function word(text) {
+  return new RegExp(`(?<!\\p{L})(?:${text})(?!\\p{L})`, 'gu');
+}
+
+// "10.06.2025", "10.06.25" and "10.06." are day first, the trailing dot tells them from "14.30 Uhr"
+function dottedDate(match, day, month, year) {
+  if (month < 1 || month > 12) return match;
+  const fullYear = year ? (year.length === 2 ? `20${year}` : year) : '';
+  return `${day} ${MONTHS[month - 1]} ${fullYear}`;
+}
+
+export default {
+  language: 'de',
+  name: 'Deutsch',
+  replacements: [
+    [/(?<![\d.])(\d{1,2})\.(\d{1,2})\.(\d{4}|\d{2})?(?![\d.])/g, dottedDate],
+
+    // Times: "14 Uhr", "14:30 Uhr", "14.30 Uhr"
+    [/(?<!\d)(\d{1,2})[:.](\d{2})\s*uhr(?!\p{L})/gu, '$1:$2'],
+    [/(?<!\d)(\d{1,2})\s*uhr(?!\p{L})/gu, '$1:00'],
+
+    // Months, "10. Juni" is the 10th of June
+    [word('januar|jänner'), 'january'],
+    [word('februar'), 'february'],
+    [word('märz|maerz|mrz|mär'), 'march'],
+    [word('mai'), 'may'],
+    [word('juni'), 'june'],
+    [word('juli'), 'july'],
+    [word('oktober|okt'), 'october'],
+    [word('dezember|dez'), 'december'],
+    [/(\d{1,2})\.(?=\s*(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec))/g, '$1'],
+    // "am 3." is the 3rd of the month
+    [/(?<!\p{L})am\s+(\d{1,2})\.(?!\d)/gu, 'on the $1th'],
+
+    // Repeating events (see recurrence.js)
+    [word('jeden zweiten|jede zweite|jedes zweite'), 'every other'],
+    [word('jeden|jede|jedes|alle'), 'every'],
+    [word('täglich'), 'daily'],
+    [word('werktags|wochentags'), 'weekdays'],
+    [word('wöchentlich'), 'weekly'],
+    [word('zweiwöchentlich'), 'biweekly'],
+    [word('monatlich'), 'monthly'],
+    [word('jährlich'), 'yearly'],
+    [word('montags'), 'mondays'],
+    [word('dienstags'), 'tuesdays'],
+    [word('mittwochs'), 'wednesdays'],
+    [word('donnerstags'), 'thursdays'],
+    [word('freitags'), 'fridays'],
+    [word('samstags'), 'saturdays'],
+    [word('sonntags'), 'sundays'],
+    [/(?<!\p{L})(\d+)\s*mal(?!\p{L})/gu, '$1 times'],
+
+    // Days
+    [word('übermorgen'), 'the day after tomorrow'],
+    [word('heute abend|heute nacht'), 'tonight'],
+    [word('heute morgen|heute früh|heute vormittag'), 'today morning'],
+    [word('morgen früh|morgen vormittag'), 'tomorrow morning'],
+    [word('morgen nachmittag'), 'tomorrow afternoon'],
+    [word('morgen abend'), 'tomorrow evening'],
+    [word('morgen'), 'tomorrow'],
+    [word('heute'), 'today'],
+    [word('gestern'), 'yesterday'],
+    [word('montag'), 'monday'],
+    [word('dienstag'), 'tuesday'],
+    [word('mittwoch'), 'wednesday'],
+    [word('donnerstag'), 'thursday'],
+    [word('freitag'), 'friday'],
+    [word('samstag|sonnabend'), 'saturday'],
+    [word('sonntag'), 'sunday'],
+
+    // Periods
+    [word('ende des monats|monatsende'), 'end of the month'],
+    [word('ende der woche'), 'end of the week'],
+    [word('ende des jahres|jahresende'), 'end of the year'],
+    [word('wochenende'), 'weekend'],
+    [word('nächste|nächsten|nächster|nächstes|kommende|kommenden|kommender'), 'next'],
+    [word('diese|diesen|dieser|dieses'), 'this'],
+    [word('wochen'), 'weeks'],
+    [word('woche'), 'week'],
+    [word('monaten|monate'), 'months'],
+    [word('monat'), 'month'],
+    [word('jahren|jahre'), 'years'],
+    [word('jahr'), 'year'],
+    [word('tagen|tage'), 'days'],
+    [word('tag'), 'day'],
+
+    // Parts of the day
+    [word('morgens|vormittags|vormittag|früh'), 'morning'],
+    [word('nachmittags|nachmittag'), 'afternoon'],
+    [word('abends|abend'), 'evening'],
+    [word('mittags|mittag'), 'noon'],
+    [word('mitternacht'), 'midnight'],
+
+    // Durations: "für eine halbe Stunde", "für 2 Stunden"
+    [word('eine halbe stunde'), 'half an hour'],
+    [word('anderthalb stunden|eineinhalb stunden'), 'an hour and a half'],
+    [word('stunden'), 'hours'],
+    [word('stunde'), 'hour'],
+    [word('minuten|minute'), 'minutes'],
+
+    // Numbers and small words
+    [word('einer|einem|eine|ein'), 'a'],
+    [word('zwei'), 'two'],
+    [word('drei'), 'three'],
+    [word('vier'), 'four'],
+    [word('fünf'), 'five'],
+    [word('sechs'), 'six'],
+    [word('sieben'), 'seven'],
+    [word('acht'), 'eight'],
+    [word('neun'), 'nine'],
+    [word('zehn'), 'ten'],
+    [word('zwischen'), 'between'],
+    [word('von|ab'), 'from'],
+    [word('bis zum|bis'), 'until'],
+    [word('und'), 'and'],
+    [word('für'), 'for'],
+    [word('um|gegen'), 'at'],
+    // "am" after a number is English ("10 am")
+    [/(?<!\d\s*)(?<!\p{L})am(?!\p{L})/gu, 'on'],
+    [word('im'), 'in'],
+    [word('den|dem|der|die|das'), 'the']
+  ]
+};
@@ -0,0 +1,709 @@
+/**
+ * Natural-language date parsing for calendar requests.
+ *
+ * parseDateTime(text, { now, locale }) understands phrases like:
+ *    - relative days: "today", "tonight", "tomorrow", "the day after tomorrow", "in 3 days", "in 2 weeks"
+ *    - weekdays: "friday" (the coming one), "this friday" (today counts), "next friday" (in next week)
+ *    - periods: "this week", "next week", "this weekend", "next month", "end of month"
+ *    - dates: "June 10th", "10 June 2025", "Dec 25, 2025", "12/25", "12/25/2025", "2025-12-25",
+ *      "the 3rd", "March"
+ *    - times: "2pm", "2:30 pm", "14:30", "at 9", "noon", "midnight", "morning", "evening"
+ *
+ * Ranges and durations set the end: "2-4pm", "from 9:15 to 10:45", "friday 6pm to sunday noon",
+ * "june 10-12", "monday to friday", "between 2 and 4pm", "tomorrow at 9 for 30 minutes",
+ * "next monday for 3 days". A duration in hours after a date without a time starts in the
+ * morning and is flagged as a guess: "tomorrow for 2 hours" is 9 to 11am. The bare end of a range borrows from the other end: "2-4pm" is
+ * 2pm to 4pm, "11-1pm" is 11am to 1pm, "june 10-12" is June 10th to 12th. Two bare hours
+ * after a date guess the half of the day like "at 2": "tomorrow 2-4" is 2pm to 4pm.
+ *
+ * It returns { start, end, allDay, confidence }, or null when the text has no date or time:
+ *    - start and end are local Dates, end is exclusive
+ *    - allDay is true when no time was given, end is then the midnight after the last day
+ *    - without an end, a timed event lasts DEFAULT_EVENT_MINUTES, a time without a date means the next
+ *      time the clock shows it (today, or tomorrow if it has passed)
+ *    - confidence (0-1) drops for guesses: a bare "at 3" (AM or PM?), vague times like
+ *      "morning", and words that were not understood
+ *
+ * parseDateRange(startText, endText) does the same for a start and an end given separately.
+ * parseTimeSpan(text) reads a part of the day as the whole of it, for questions about a period.
+ * moveSchedule(schedule, text) moves an existing schedule, keeping what the text doesn't change.
+ *
+ * now defaults to the current time and is injectable so tests run against a fixed clock.
+ *
+ * locale sets the conventions of the text, each part defaults to DEFAULT_DATE_LOCALE:
+ *    - language: "en", or a language pack from date-languages/ ("de") whose words are
+ *      rewritten into English before parsing
+ *    - dateOrder: "MDY" reads "12/05" as December 5th, "DMY" as May 12th
+ *    - hourCycle: 12 guesses the half of the day of a bare "at 3" (3pm), 24 takes it as
+ *      written (3am)
+ *    - weekStart: "monday" or "sunday", the first day of "this week" and "next week"
+ */
+
+import german from "./date-languages/de.js";
+
+export const DEFAULT_EVENT_MINUTES = 60;
+
+const LANGUAGE_PACKS = new Map([german].map(pack => [pack.language, pack]));
+
+export const DATE_LOCALE_OPTIONS = {
+  language: ['en', ...LANGUAGE_PACKS.keys()],
+  dateOrder: ['MDY', 'DMY'],
+  hourCycle: [12, 24],
+  weekStart: ['monday', 'sunday']
+};
+
+export const DEFAULT_DATE_LOCALE = { language: 'en', dateOrder: 'MDY', hourCycle: 12, weekStart: 'monday' };
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const WEEKDAY = `(${WEEKDAYS.join('|')})`;
+const ORDINAL = '(?:st|nd|rd|th)?';
+const PERIOD = '(a\\.?m\\.?|p\\.?m\\.?)';
+const COUNT = `(\\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+
+// Words that may surround a date or time without changing its meaning
+const FILLER_WORDS = new Set(['at', 'on', 'the', 'in', 'of', 'for', 'from', 'by', 'and', 'around', 'about']);
+
+// Words between the two ends of a range. A dash without spaces only joins numbers
+// ("2-4pm", "june 10-12"), never the parts of an ISO date.
+const RANGE_CONNECTOR = /\s+(?:to|until|till|through|thru)\s+|\s+[-–—]\s+|[–—]|(?<!\d{4}-\d{1,2})(?<=\b\d{1,2}(?::\d{2})?(?:\s*[ap]\.?m\.?)?)-(?=\d{1,2}(?!\d))/g;
+
+// for 30 minutes, for an hour and a half, for 2 days, for half an hour
+const DURATION = new RegExp(`\\bfor\\s+(?:half\\s+an?\\s+hour|(\\d+(?:\\.\\d+)?|${Object.keys(NUMBER_WORDS).join('|')})\\s*(minutes?|mins?|m|hours?|hrs?|h|days?|weeks?)(\\s+and\\s+a\\s+half)?)\\b`);
+const MINUTES_PER_UNIT = { m: 1, h: 60, d: 24 * 60, w: 7 * 24 * 60 };
+const MINUTES_PER_DAY = MINUTES_PER_UNIT.d;
+
+// Hours for vague times of day
+const TIMES_OF_DAY = { morning: 9, afternoon: 14, evening: 18, tonight: 20 };
+
+// Hours covered by a part of the day in parseTimeSpan(), the end is exclusive
+const PARTS_OF_DAY = { morning: [6, 12], afternoon: [12, 17], evening: [17, 22], tonight: [17, 24] };
+
+// ---------------------------------------------------------------------------
+// Date arithmetic, all in local time
+// ---------------------------------------------------------------------------
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+// Keeps the time of day, also across daylight saving changes
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days, date.getHours(), date.getMinutes());
+}
+
+function addMonths(date, months) {
+  return new Date(date.getFullYear(), date.getMonth() + months, 1);
+}
+
+// null for dates that don't exist, e.g. February 30th
+function makeDate(year, month, day) {
+  const date = new Date(year, month, day);
+  return date.getMonth() === month && date.getDate() === day ? date : null;
+}
+
+// Without a year, a date that has already passed this year means next year
+function upcomingDate(month, day, today) {
+  const date = makeDate(today.getFullYear(), month, day);
+  if (date && date >= today) return date;
+  return makeDate(today.getFullYear() + 1, month, day);
+}
+
+function parseYear(text) {
+  if (!text) return null;
+  const year = parseInt(text, 10);
+  return text.length <= 2 ? 2000 + year : year;
+}
+
+function monthIndex(name) {
+  return MONTHS.findIndex(month => month.startsWith(name.replace('.', '').slice(0, 3)));
+}
+
+function firstWeekday(locale) {
+  return locale.weekStart === 'sunday' ? 0 : 1;
+}
+
+// The first day of the week after today's
+function startOfNextWeek(today, locale) {
+  return addDays(today, ((firstWeekday(locale) + 7 - today.getDay()) % 7) || 7);
+}
+
+function parseCount(text) {
+  return NUMBER_WORDS[text] ?? parseInt(text, 10);
+}
+
+function singleDay(start, confidence = 1) {
+  return start ? { start, end: addDays(start, 1), confidence } : null;
+}
+
+// ---------------------------------------------------------------------------
+// Date rules: the first rule that matches and resolves decides the day(s)
+// ---------------------------------------------------------------------------
+
+const DATE_RULES = [
+  // 2025-12-25, also the date part of 2025-12-25T14:30
+  {
+    pattern: /\b(\d{4})-(\d{1,2})-(\d{1,2})(?:t|\b)/,
+    resolve: (match) => singleDay(makeDate(+match[1], match[2] - 1, +match[3]))
+  },
+  // 12/25, 12/25/2025, or 25/12 with the day first
+  {
+    pattern: /\b(\d{1,2})\/(\d{1,2})(?:\/(\d{4}|\d{2}))?\b/,
+    resolve: (match, today, locale) => {
+      const year = parseYear(match[3]);
+      const [month, day] = locale.dateOrder === 'DMY' ? [match[2] - 1, +match[1]] : [match[1] - 1, +match[2]];
+      return singleDay(year ? makeDate(year, month, day) : upcomingDate(month, day, today));
+    }
+  },
+  // June 10th, Dec 25, 2025 - the day must not be the hour of a time ("march 3 2pm")
+  {
+    kind: 'dayOfMonth',
+    pattern: new RegExp(`\\b${MONTH}\\s+(?:the\\s+)?(\\d{1,2})${ORDINAL}(?![:\\d]|\\s*[ap]\\.?m\\b)(?:,?\\s+(\\d{4}))?\\b`),
+    resolve: (match, today) => {
+      const year = parseYear(match[3]);
+      const month = monthIndex(match[1]);
+      return singleDay(year ? makeDate(year, month, +match[2]) : upcomingDate(month, +match[2], today));
+    }
+  },
+  // 10 June, the 3rd of March 2025
+  {
+    kind: 'dayOfMonth',
+    pattern: new RegExp(`\\b(?:the\\s+)?(\\d{1,2})${ORDINAL}\\s+(?:of\\s+)?${MONTH}(?:,?\\s+(\\d{4}))?\\b`),
+    resolve: (match, today) => {
+      const year = parseYear(match[3]);
+      const month = monthIndex(match[2]);
+      return singleDay(year ? makeDate(year, month, +match[1]) : upcomingDate(month, +match[1], today));
+    }
+  },
+  // the 3rd: this month, or next month once it has passed (skipping months without that day)
+  {
+    pattern: /\b(?:the\s+)?(\d{1,2})(?:st|nd|rd|th)\b/,
+    resolve: (match, today) => {
+      const day = +match[1];
+      for (let offset = 0; offset < 12; offset++) {
+        const month = addMonths(today, offset);
+        const date = makeDate(month.getFullYear(), month.getMonth(), day);
+        if (date && date >= today) return singleDay(date);
+      }
+      return null;
+    }
+  },
+  {
+    pattern: /\b(?:the\s+)?day after tomorrow\b/,
+    resolve: (match, today) => singleDay(addDays(today, 2))
+  },
+  {
+    pattern: /\btomorrow\b/,
+    resolve: (match, today) => singleDay(addDays(today, 1))
+  },
+  {
+    pattern: /\byesterday\b/,
+    resolve: (match, today) => singleDay(addDays(today, -1))
+  },
+  {
+    pattern: /\btoday\b/,
+    resolve: (match, today) => singleDay(today)
+  },
+  // Evening of today, "tonight at 8" means 8pm
+  {
+    pattern: /\btonight\b/,
+    resolve: (match, today) => ({ ...singleDay(today), defaultHour: TIMES_OF_DAY.tonight, part: 'tonight', afternoon: true })
+  },
+  // in 3 days, in a week, 2 weeks from now
+  {
+    pattern: new RegExp(`\\b(?:in\\s+${COUNT}\\s+(day|week|month)s?|${COUNT}\\s+(day|week|month)s?\\s+from\\s+(?:now|today))\\b`),
+    resolve: (match, today) => {
+      const count = parseCount(match[1] ?? match[3]);
+      const unit = match[2] ?? match[4];
+      if (unit === 'month') {
+        // Jan 31st + 1 month is the last day of February
+        const month = addMonths(today, count);
+        const lastDay = addDays(addMonths(today, count + 1), -1).getDate();
+        return singleDay(makeDate(month.getFullYear(), month.getMonth(), Math.min(today.getDate(), lastDay)));
+      }
+      return singleDay(addDays(today, unit === 'week' ? count * 7 : count));
+    }
+  },
+  {
+    pattern: /\b(?:the\s+)?end of (?:the\s+)?month\b/,
+    resolve: (match, today) => singleDay(addDays(addMonths(today, 1), -1))
+  },
+  // The Friday of this week, or of next week at the weekend
+  {
+    pattern: /\b(?:the\s+)?end of (?:the\s+)?week\b/,
+    resolve: (match, today) => singleDay(addDays(today, (5 - today.getDay() + 7) % 7))
+  },
+  {
+    pattern: /\b(?:the\s+)?end of (?:the\s+)?year\b/,
+    resolve: (match, today) => singleDay(new Date(today.getFullYear(), 11, 31))
+  },
+  {
+    pattern: /\bnext week\b/,
+    resolve: (match, today, locale) => {
+      const start = startOfNextWeek(today, locale);
+      return { start, end: addDays(start, 7), confidence: 1 };
+    }
+  },
+  {
+    pattern: /\bthis week\b/,
+    resolve: (match, today, locale) => ({ start: today, end: startOfNextWeek(today, locale), confidence: 1 })
+  },
+  // Saturday and Sunday, "this weekend" includes today at the weekend
+  {
+    pattern: /\b(this\s+|next\s+)?weekend\b/,
+    resolve: (match, today) => {
+      const day = today.getDay();
+      let start = day === 0 ? addDays(today, -1) : addDays(today, 6 - day);
+      if (match[1]?.trim() === 'next') start = addDays(start, 7);
+      return { start: start < today ? today : start, end: addDays(start, 2), confidence: 1 };
+    }
+  },
+  {
+    pattern: /\bnext month\b/,
+    resolve: (match, today) => {
+      const start = addMonths(today, 1);
+      return { start, end: addMonths(today, 2), confidence: 1 };
+    }
+  },
+  {
+    pattern: /\bthis month\b/,
+    resolve: (match, today) => ({ start: today, end: addMonths(today, 1), confidence: 1 })
+  },
+  // friday: the coming one, this friday: today counts, next friday: the one in next week
+  {
+    kind: 'weekday',
+    pattern: new RegExp(`\\b(this\\s+|next\\s+|on\\s+)?${WEEKDAY}\\b`),
+    resolve: (match, today, locale) => {
+      const qualifier = match[1]?.trim();
+      const weekday = WEEKDAYS.indexOf(match[2]);
+      if (qualifier === 'next') {
+        // People disagree whether this is the coming one or the one after
+        return singleDay(addDays(startOfNextWeek(today, locale), (weekday - firstWeekday(locale) + 7) % 7), 0.9);
+      }
+      const days = (weekday - today.getDay() + 7) % 7;
+      return singleDay(addDays(today, qualifier === 'this' ? days : days || 7));
+    }
+  },
+  // A month on its own is the whole month. "may" needs "in" or a year, it is also a verb.
+  // A month followed by a number that wasn't a valid day ("february 30") is not a month.
+  {
+    pattern: new RegExp(`\\b(in\\s+)?${MONTH}(?:\\s+(\\d{4}))?\\b(?!\\s*\\d)`),
+    resolve: (match, today) => {
+      const name = match[2].replace('.', '');
+      if (name === 'may' && !match[1] && !match[3]) return null;
+
+      const month = monthIndex(name);
+      let year = parseYear(match[3]) ?? today.getFullYear();
+      if (!match[3] && month < today.getMonth()) year++;
+      const start = new Date(year, month, 1);
+      return { start, end: addMonths(start, 1), confidence: 0.6 };
+    }
+  }
+];
+
+// ---------------------------------------------------------------------------
+// Time rules
+// ---------------------------------------------------------------------------
+
+function toHour24(hour, period) {
+  if (period.startsWith('a')) return hour === 12 ? 0 : hour;
+  return hour === 12 ? 12 : hour + 12;
+}
+
+// "at 3" without am/pm: 1-6 are afternoon, 7-11 morning, 12 noon. With the 24-hour
+// clock the hour is taken as written, unless the date is in the evening ("tonight at 8").
+function guessHour(hour, afternoon, locale) {
+  if (hour === 0 || hour > 12) return hour;
+  if (afternoon) return hour === 12 ? 12 : hour + 12;
+  if (locale.hourCycle === 24) return hour;
+  return hour >= 1 && hour <= 6 ? hour + 12 : hour;
+}
+
+// How sure a time without am/pm is: 24-hour times are, apart from early hours that may
+// mean the afternoon
+function bareHourConfidence(hour, afternoon, locale, guessed) {
+  if (hour > 12 || afternoon) return 1;
+  if (locale.hourCycle === 24) return hour >= 7 ? 1 : guessed;
+  return guessed;
+}
+
+const TIME_RULES = [
+  // 14:30, 2:30pm, 09:00
+  {
+    pattern: new RegExp(`\\b(?:at\\s+)?(\\d{1,2}):(\\d{2})(?::\\d{2})?(?:\\s*${PERIOD}(?!\\w))?`),
+    resolve: (match, context, locale) => {
+      const hour = +match[1];
+      const minute = +match[2];
+      if (minute > 59) return null;
+      if (match[3]) {
+        return hour >= 1 && hour <= 12 ? { hour: toHour24(hour, match[3]), minute, confidence: 1 } : null;
+      }
+      if (hour > 23) return null;
+      // Leading zeros and hours past 12 are unambiguous 24-hour times
+      if (hour > 12 || match[1].startsWith('0')) return { hour, minute, confidence: 1 };
+      return { hour: guessHour(hour, context.afternoon, locale), minute, confidence: bareHourConfidence(hour, context.afternoon, locale, 0.85) };
+    }
+  },
+  // 2pm, 11 a.m.
+  {
+    pattern: new RegExp(`\\b(?:at\\s+)?(\\d{1,2})\\s*${PERIOD}(?!\\w)`),
+    resolve: (match) => {
+      const hour = +match[1];
+      return hour >= 1 && hour <= 12 ? { hour: toHour24(hour, match[2]), minute: 0, confidence: 1 } : null;
+    }
+  },
+  {
+    pattern: /\b(?:at\s+)?(noon|midday|midnight)\b/,
+    resolve: (match) => match[1] === 'midnight'
+      ? { hour: 0, minute: 0, confidence: 0.9 }
+      : { hour: 12, minute: 0, confidence: 1 }
+  },
+  // at 3, at 3 o'clock
+  {
+    pattern: /\bat\s+(\d{1,2})(?:\s*o'?clock)?(?![:\/\d])\b/,
+    resolve: (match, context, locale) => {
+      const hour = +match[1];
+      if (hour > 23) return null;
+      return { hour: guessHour(hour, context.afternoon, locale), minute: 0, confidence: bareHourConfidence(hour, context.afternoon, locale, 0.75) };
+    }
+  },
+  {
+    pattern: /\b(?:in\s+the\s+|this\s+)?(morning|afternoon|evening)\b/,
+    resolve: (match) => ({ hour: TIMES_OF_DAY[match[1]], minute: 0, confidence: 0.7, part: match[1] })
+  }
+];
+
+// ---------------------------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------------------------
+
+// Runs the rules in order and removes the text of the first match that resolves
+function applyRules(rules, state, context, locale) {
+  for (const rule of rules) {
+    const match = state.text.match(rule.pattern);
+    if (!match) continue;
+
+    const result = rule.resolve(match, context, locale);
+    if (!result) continue;
+
+    state.text = `${state.text.slice(0, match.index)} ${state.text.slice(match.index + match[0].length)}`;
+    return { ...result, kind: rule.kind };
+  }
+  return null;
+}
+
+function countUnknownWords(text) {
+  return text
+    .split(/[\s,.;]+/)
+    .filter(word => word && !FILLER_WORDS.has(word))
+    .length;
+}
+
+function atTime(day, time) {
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate(), time.hour, time.minute);
+}
+
+function unknownWordFactor(unknownWords) {
+  return Math.max(0.5, 1 - 0.1 * unknownWords);
+}
+
+function roundConfidence(confidence) {
+  return Math.round(confidence * 100) / 100;
+}
+
+// A number left over next to a date is likely a time that wasn't understood ("tomorrow 25-30")
+const BARE_NUMBER_FACTOR = 0.7;
+
+function momentConfidence(date, time, unknownWords, bareNumber) {
+  const bare = bareNumber === null ? 1 : BARE_NUMBER_FACTOR;
+  return roundConfidence((date?.confidence ?? 1) * (time?.confidence ?? 1) * unknownWordFactor(unknownWords) * bare);
+}
+
+// One date and/or time: a whole value, or one end of a range
+function parseMoment(text, today, locale) {
+  const state = { text };
+  const date = applyRules(DATE_RULES, state, today, locale);
+  let time = applyRules(TIME_RULES, state, { afternoon: date?.afternoon ?? false }, locale);
+  if (!time && date?.defaultHour !== undefined) {
+    time = { hour: date.defaultHour, minute: 0, confidence: 0.8, part: date.part };
+  }
+
+  // A lone number is only meaningful next to the other end of a range
+  let bareNumber = null;
+  const number = !time && state.text.match(/\b(\d{1,2})\b/);
+  if (number) {
+    bareNumber = +number[1];
+    state.text = state.text.replace(number[0], ' ');
+  }
+
+  return { date, time, bareNumber, unknownWords: countUnknownWords(state.text) };
+}
+
+// Removes "for 30 minutes" from the text and returns the minutes
+function extractDuration(state) {
+  const match = state.text.match(DURATION);
+  if (!match) return null;
+
+  state.text = `${state.text.slice(0, match.index)} ${state.text.slice(match.index + match[0].length)}`;
+  if (!match[1]) return 30; // half an hour
+
+  const unit = MINUTES_PER_UNIT[match[2][0]];
+  const count = NUMBER_WORDS[match[1]] ?? parseFloat(match[1]);
+  return Math.round((count + (match[3] ? 0.5 : 0)) * unit);
+}
+
+/**
+ * Sets the end of a parsed schedule from a duration in minutes. All-day schedules only
+ * take whole days, null when the duration doesn't fit the schedule.
+ */
+export function withDuration(schedule, minutes) {
+  if (!(minutes > 0)) return null;
+  if (schedule.allDay) {
+    if (minutes % MINUTES_PER_DAY !== 0) return null;
+    return { ...schedule, end: addDays(schedule.start, minutes / MINUTES_PER_DAY) };
+  }
+  return { ...schedule, end: new Date(schedule.start.getTime() + minutes * 60 * 1000) };
+}
+
+// "2" next to "4pm" is 2pm, "11" next to "1pm" is 11am: the same half of the day,
+// unless that would put the start after the end (or the end before the start)
+function borrowTime(hour, other, isStart) {
+  const otherMinutes = other.hour * 60 + other.minute;
+  let result = (hour % 12) + (other.hour >= 12 ? 12 : 0);
+  if (isStart && result * 60 > otherMinutes) result -= 12;
+  if (!isStart && result * 60 < otherMinutes) result += 12;
+  return { hour: (result + 24) % 24, minute: 0, confidence: other.confidence };
+}
+
+// "12" next to "june 10" is June 12th
+function borrowDay(day, other) {
+  const date = makeDate(other.start.getFullYear(), other.start.getMonth(), day);
+  return singleDay(date, other.confidence);
+}
+
+// Resolves a lone number on one end from the other end, false when it can't be
+function completeEnd(end, other, isStart) {
+  if (end.bareNumber === null) return Boolean(end.date || end.time);
+  if (other.time && end.bareNumber <= 12) {
+    end.time = borrowTime(end.bareNumber, other.time, isStart);
+    return true;
+  }
+  if (!other.time && other.date?.kind === 'dayOfMonth') {
+    end.date = borrowDay(end.bareNumber, other.date);
+    return Boolean(end.date);
+  }
+  return false;
+}
+
+// "tomorrow 2-4" has a bare hour on both ends: the start is guessed like "at 2" and the
+// end takes the same half of the day. Without a date the numbers may not be hours at all.
+function completeBareHours(from, to, locale) {
+  if (from.bareNumber === null || to.bareNumber === null || from.time || to.time) return true;
+  const date = from.date ?? to.date;
+  if (!date || from.bareNumber > 23 || to.bareNumber > 23) return false;
+
+  const afternoon = date.afternoon ?? false;
+  const hour = from.bareNumber;
+  from.time = { hour: guessHour(hour, afternoon, locale), minute: 0, confidence: bareHourConfidence(hour, afternoon, locale, 0.75) };
+  to.time = to.bareNumber > 12
+    ? { hour: to.bareNumber, minute: 0, confidence: 1 }
+    : { ...borrowTime(to.bareNumber, from.time, false), confidence: 1 };
+  from.bareNumber = null;
+  to.bareNumber = null;
+  return true;
+}
+
+function combineRange(from, to, today, now, locale) {
+  // Only text made of dates and times is split, "2pm to discuss the 3rd quarter" is not a range
+  if (from.unknownWords > 1 || to.unknownWords > 1) return null;
+  if (!completeBareHours(from, to, locale)) return null;
+  if (!completeEnd(from, to, true) || !completeEnd(to, from, false)) return null;
+
+  const confidence = (from.date?.confidence ?? 1) * (from.time?.confidence ?? 1) *
+    (to.date?.confidence ?? 1) * (to.time?.confidence ?? 1) *
+    unknownWordFactor(from.unknownWords + to.unknownWords);
+
+  // An end without a date is on the day of the other end ("2-4pm tomorrow")
+  const startDay = from.date?.start ?? to.date?.start ?? today;
+  const endDay = to.date?.start ?? startDay;
+
+  if (!from.time && !to.time) {
+    let end = to.date.end;
+    // "monday to friday" on a Wednesday is next week's
+    if (end <= from.date.start && to.date.kind === 'weekday') end = addDays(end, 7);
+    if (end <= from.date.start) return null;
+    return { start: from.date.start, end, allDay: true, confidence: roundConfidence(confidence) };
+  }
+
+  let start = atTime(startDay, from.time ?? { hour: 0, minute: 0 });
+  let end = to.time ? atTime(endDay, to.time) : to.date.end;
+  if (!from.date && !to.date && start < now) {
+    start = addDays(start, 1);
+    end = addDays(end, 1);
+  }
+  if (end <= start && !to.date) end = addDays(end, 1); // overnight, "10pm-2am"
+  if (end <= start && to.date?.kind === 'weekday') end = addDays(end, 7);
+  if (end <= start) return null;
+
+  return { start, end, allDay: false, confidence: roundConfidence(confidence) };
+}
+
+// Candidate ways to split the text into two ends, in order
+function rangeCandidates(text) {
+  const candidates = [];
+  const between = text.match(/^(.*?)\bbetween\s+(.+?)\s+and\s+(.+)$/);
+  if (between) {
+    candidates.push([`${between[1]} ${between[2]}`, between[3]]);
+  }
+  for (const match of text.matchAll(RANGE_CONNECTOR)) {
+    candidates.push([text.slice(0, match.index), text.slice(match.index + match[0].length)]);
+  }
+  return candidates;
+}
+
+function parseRange(text, today, now, locale) {
+  for (const [left, right] of rangeCandidates(text)) {
+    const schedule = combineRange(parseMoment(left, today, locale), parseMoment(right, today, locale), today, now, locale);
+    if (schedule) return schedule;
+  }
+  return null;
+}
+
+function parseSingle(text, today, now, locale, { spans = false } = {}) {
+  const { date, time, bareNumber, unknownWords } = parseMoment(text, today, locale);
+  if (!date && !time) return null;
+
+  const confidence = momentConfidence(date, time, unknownWords, bareNumber);
+
+  if (!time) {
+    return { start: date.start, end: date.end, allDay: true, confidence };
+  }
+
+  // "thursday afternoon" as a span is all of it, not a guessed 2pm
+  if (spans && time.part) {
+    const [fromHour, toHour] = PARTS_OF_DAY[time.part];
+    let day = date?.start ?? today;
+    if (!date && atTime(day, { hour: toHour, minute: 0 }) <= now) day = addDays(day, 1);
+    return {
+      start: atTime(day, { hour: fromHour, minute: 0 }),
+      end: atTime(day, { hour: toHour, minute: 0 }),
+      allDay: false,
+      confidence: momentConfidence(date, null, unknownWords, bareNumber)
+    };
+  }
+
+  let start = atTime(date?.start ?? today, time);
+  if (!date && start < now) {
+    start = atTime(addDays(today, 1), time);
+  }
+
+  const end = new Date(start.getTime() + DEFAULT_EVENT_MINUTES * 60 * 1000);
+  return { start, end, allDay: false, confidence };
+}
+
+function resolveLocale(locale) {
+  return { ...DEFAULT_DATE_LOCALE, ...locale };
+}
+
+/**
+ * Lowercases the text and rewrites it into English with the language pack of the
+ * locale, e.g. "Nächsten Freitag um 14 Uhr" as "next friday at 14:00".
+ */
+export function translateDateText(text, locale) {
+  const pack = LANGUAGE_PACKS.get(resolveLocale(locale).language);
+  let translated = text.toLowerCase();
+  for (const [pattern, replacement] of pack?.replacements ?? []) {
+    translated = translated.replace(pattern, replacement);
+  }
+  return translated.replace(/\s+/g, ' ').trim();
+}
+
+function parseText(text, now, { locale, spans } = {}) {
+  if (typeof text !== 'string' || !text.trim()) return null;
+
+  const today = startOfDay(now);
+  const resolved = resolveLocale(locale);
+  const state = { text: translateDateText(text, resolved) };
+  const duration = extractDuration(state);
+
+  const range = parseRange(state.text, today, now, resolved);
+  if (range) return range; // the range's own end wins over a duration
+
+  const schedule = parseSingle(state.text, today, now, resolved, { spans });
+  if (!schedule || !duration) return schedule;
+
+  const withEnd = withDuration(schedule, duration);
+  if (withEnd) return withEnd;
+
+  // "tomorrow for 2 hours" has no start time to count from, it starts in the morning
+  // and is flagged as a guess
+  const start = atTime(schedule.start, { hour: TIMES_OF_DAY.morning, minute: 0 });
+  return { ...withDuration({ start, allDay: false }, duration), confidence: roundConfidence(schedule.confidence * 0.6) };
+}
+
+export function parseDateTime(text, { now = new Date(), locale } = {}) {
+  return parseText(text, now, { locale });
+}
+
+/**
+ * The stretch of time a question is about, e.g. "am I free thursday afternoon?". Same as
+ * parseDateTime, except that a part of the day covers all of it: "thursday afternoon" is
+ * 12pm to 5pm instead of an event at 2pm, "this morning" is 6am to noon.
+ */
+export function parseTimeSpan(text, { now = new Date(), locale } = {}) {
+  return parseText(text, now, { locale, spans: true });
+}
+
+/**
+ * Parses a start and an end given separately, e.g. a tool's dateTime and endDateTime.
+ * The end borrows from the start like in "2-4pm": ("tomorrow at 2", "4pm") is
+ * tomorrow 2pm to 4pm. null when either can't be understood or the end is not after the start.
+ */
+export function parseDateRange(startText, endText, { now = new Date(), locale } = {}) {
+  if (typeof startText !== 'string' || typeof endText !== 'string') return null;
+
+  const today = startOfDay(now);
+  const resolved = resolveLocale(locale);
+  const moment = (text) => parseMoment(translateDateText(text, resolved), today, resolved);
+  return combineRange(moment(startText), moment(endText), today, now, resolved);
+}
+
+/**
+ * Moves an existing schedule as text like "friday", "3pm" or "june 10 at 9" describes:
+ *    - a date alone keeps the time of day and the length ("move it to friday")
+ *    - a time alone keeps the day and the length ("make it 3pm"), an all-day schedule
+ *      becomes DEFAULT_EVENT_MINUTES long
+ *    - a range or a duration sets the end ("friday 2-4pm", "monday at 9 for 2 hours")
+ * null when the text has no date or time.
+ */
+export function moveSchedule(schedule, text, { now = new Date(), locale } = {}) {
+  if (typeof text !== 'string' || !text.trim()) return null;
+
+  const today = startOfDay(now);
+  const resolved = resolveLocale(locale);
+  const state = { text: translateDateText(text, resolved) };
+  const duration = extractDuration(state);
+
+  const range = parseRange(state.text, today, now, resolved);
+  if (range) return range;
+
+  const { date, time, bareNumber, unknownWords } = parseMoment(state.text, today, resolved);
+  if (!date && !time) return null;
+
+  const confidence = momentConfidence(date, time, unknownWords, bareNumber);
+  const length = duration ? duration * 60 * 1000 : schedule.end - schedule.start;
+
+  if (!time && schedule.allDay) {
+    const days = Math.max(1, Math.round(length / (MINUTES_PER_DAY * 60 * 1000)));
+    return { start: date.start, end: addDays(date.start, days), allDay: true, confidence };
+  }
+
+  const start = time
+    ? atTime(date?.start ?? schedule.start, time)
+    : atTime(date.start, { hour: schedule.start.getHours(), minute: schedule.start.getMinutes() });
+  const minutes = schedule.allDay && !duration ? DEFAULT_EVENT_MINUTES : length / (60 * 1000);
+  return { start, end: new Date(start.getTime() + minutes * 60 * 1000), allDay: false, confidence };
+}
@@ -0,0 +1,30 @@
+/**
+ * Checks the selector registry (see selectors.js) against the live Google Calendar and
+ * Gmail pages and prints which strategies still find their elements, run with
+ * `npm run test:selectors -- [calendar|gmail]`. Same check as GET /diagnostics/selectors.
+ *
+ * Opens Chrome with the helper's stored login (see browser.js), so the helper itself
+ * should not be running. Exits with 1 when an element was not found at all.
+ */
+
+import { hasStoredSession, withBrowser } from "./browser.js";
+import { SELECTOR_AREAS, formatSelectorReports, runSelectorDiagnostics, summarizeSelectorReport } from "./selector-diagnostics.js";
+
+const area = process.argv[2];
+if (area && !SELECTOR_AREAS.includes(area)) {
+  console.error(`Unknown area "${area}", use one of: ${SELECTOR_AREAS.join(', ')}`);
+  process.exit(2);
+}
+if (!hasStoredSession()) {
+  console.error('Not logged into Google. Start the helper and log in first.');
+  process.exit(2);
+}
+
+try {
+  const reports = await withBrowser(page => runSelectorDiagnostics(page, { areas: area ? [area] : SELECTOR_AREAS }));
+  console.log(`\n${formatSelectorReports(reports)}`);
+  process.exit(reports.some(report => summarizeSelectorReport(report).missing > 0) ? 1 : 0);
+} catch (error) {
+  console.error('Selector check failed:', error.message);
+  process.exit(2);
+}
@@ -0,0 +1,137 @@
+/**
+ * WebSocket channel between the helper service and the Chrome extension.
+ *
+ * The extension's background service worker connects to ws://localhost:5185/extension
+ * and keeps the socket open. The helper pushes commands that only the extension can
+ * perform (opening tabs in the user's browser, capturing screenshots) and the extension
+ * answers each one with a result or an error, so tools can await the real outcome.
+ *
+ * Messages are JSON:
+ *    - helper → extension: { type: 'command', id, action, payload }
+ *    - extension → helper: { type: 'result', id, success, result, error }
+ *    - extension → helper: { type: 'ping' } keepalive, answered with { type: 'pong' }
+ *
+ * Only the most recent extension connection is used. The service worker reconnects
+ * on its own after being suspended, commands sent while it is away fail fast.
+ *
+ * Web pages can open sockets to localhost too, so only chrome-extension:// origins are
+ * accepted. With EXTENSION_ID set (the id chrome://extensions shows for the unpacked
+ * extension) only that extension may connect.
+ */
+
+import { WebSocketServer } from "ws";
+import { v4 as uuidv4 } from "uuid";
+
+const DEFAULT_COMMAND_TIMEOUT = 15000;
+const EXTENSION_ID = process.env.EXTENSION_ID?.trim();
+
+let extensionSocket = null;
+const pendingCommands = new Map();
+
+function rejectPendingCommands(reason) {
+  for (const [id, pending] of pendingCommands) {
+    clearTimeout(pending.timer);
+    pending.reject(new Error(reason));
+    pendingCommands.delete(id);
+  }
+}
+
+function handleExtensionMessage(socket, raw) {
+  let message;
+  try {
+    message = JSON.parse(raw.toString());
+  } catch (error) {
+    console.error("Ignoring invalid message from extension:", error.message);
+    return;
+  }
+
+  if (message.type === 'ping') {
+    socket.send(JSON.stringify({ type: 'pong' }));
+    return;
+  }
+
+  if (message.type !== 'result') return;
+
+  const pending = pendingCommands.get(message.id);
+  if (!pending) return;
+
+  clearTimeout(pending.timer);
+  pendingCommands.delete(message.id);
+
+  if (message.success) {
+    pending.resolve(message.result ?? {});
+  } else {
+    pending.reject(new Error(message.error || `Extension failed to run ${pending.action}`));
+  }
+}
+
+// Origin of a socket asking to connect, extensionId pins one extension (EXTENSION_ID)
+export function isExtensionOrigin(origin, extensionId = EXTENSION_ID) {
+  if (typeof origin !== 'string') return false;
+  if (extensionId) return origin === `chrome-extension://${extensionId}`;
+  return /^chrome-extension:\/\/[a-p]{32}$/.test(origin);
+}
+
+export function attachExtensionBridge(server) {
+  const wss = new WebSocketServer({
+    server,
+    path: '/extension',
+    verifyClient: ({ origin }) => {
+      if (isExtensionOrigin(origin)) return true;
+      console.warn(`Refused an extension connection from ${origin || 'an unknown origin'}`);
+      return false;
+    }
+  });
+
+  wss.on('connection', (socket) => {
+    if (extensionSocket && extensionSocket !== socket) {
+      // The old socket's close no longer counts, its commands won't be answered here
+      rejectPendingCommands('Chrome extension reconnected before finishing the request');
+      extensionSocket.close(1000, 'Replaced by a newer connection');
+    }
+    extensionSocket = socket;
+    console.log("Chrome extension connected");
+
+    socket.on('message', (raw) => handleExtensionMessage(socket, raw));
+
+    socket.on('close', () => {
+      if (extensionSocket === socket) {
+        extensionSocket = null;
+        rejectPendingCommands('Chrome extension disconnected before finishing the request');
+        console.log("Chrome extension disconnected");
+      }
+    });
+
+    socket.on('error', (error) => {
+      console.error("Extension socket error:", error.message);
+    });
+  });
+
+  return wss;
+}
+
+export function isExtensionConnected() {
+  return !!extensionSocket && extensionSocket.readyState === extensionSocket.OPEN;
+}
+
+/**
+ * Sends a command to the extension and resolves with its result.
+ * Rejects if the extension is not connected, reports an error, or does not answer in time.
+ */
+export function sendExtensionCommand(action, payload = {}, { timeout = DEFAULT_COMMAND_TIMEOUT } = {}) {
+  if (!isExtensionConnected()) {
+    return Promise.reject(new Error("The Chrome extension is not connected to the helper service. Make sure it is installed and enabled."));
+  }
+
+  const id = uuidv4();
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      pendingCommands.delete(id);
+      reject(new Error(`Chrome extension did not respond to ${action} within ${timeout / 1000}s`));
+    }, timeout);
+
+    pendingCommands.set(id, { action, resolve, reject, timer });
+    extensionSocket.send(JSON.stringify({ type: 'command', id, action, payload }));
+  });
+}
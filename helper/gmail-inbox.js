@@ -0,0 +1,150 @@
+/**
+ * Reads Gmail's message lists and threads in the Playwright browser, for summarize_inbox
+ * and reply_to_email.
+ *
+ * readInbox() reads the inbox search for unread messages ("unread") or the inbox itself
+ * ("recent"), and only looks: nothing is opened, marked as read or changed. Rows are found
+ * through the selector registry (gmail.messageRow, see selectors.js) and each row is read
+ * in the page, trying the selectors of FIELD_SELECTORS in order since Gmail's class names
+ * change. A message is { sender, email, subject, snippet, time, unread }, time being
+ * Gmail's full date when it shows one.
+ *
+ * openThread() searches for a sender and words of the subject and opens the newest thread
+ * found, which marks it as read, to read its last messages as { sender, email, time, text }.
+ */
+
+import { findElement, toLocator } from "./selectors.js";
+
+export const INBOX_SCOPES = ['unread', 'recent'];
+export const MAX_MESSAGES = 50;
+
+// Older messages of a thread and the end of long ones are left out of what is read
+const MAX_THREAD_MESSAGES = 5;
+const MAX_MESSAGE_CHARS = 2000;
+
+const INBOX_URLS = {
+  unread: 'https://mail.google.com/mail/u/0/#search/is%3Aunread+in%3Ainbox',
+  recent: 'https://mail.google.com/mail/u/0/#inbox'
+};
+const SEARCH_URL = 'https://mail.google.com/mail/u/0/#search/';
+
+// Inside a row, the first selector that finds something wins
+const FIELD_SELECTORS = {
+  sender: ['span[email]', '.yX .yW span', '.yW'],
+  subject: ['span.bog', '.y6 span', '.xT .y6'],
+  snippet: ['span.y2', '.xT .y2'],
+  time: ['td.xW span[title]', 'td.xW span', '.apt span[title]']
+};
+
+// Inside a message of an open thread; collapsed messages only have their snippet
+const THREAD_SELECTORS = {
+  sender: ['span.gD[email]', 'span[email]'],
+  time: ['span.g3[title]', 'span.g3'],
+  text: ['div.a3s', 'div[dir="ltr"]', 'span.iA.g6', '.snippet']
+};
+
+// Runs in the page, so it only uses what it is given
+function readRow(row, selectors) {
+  const first = (list) => list.map(selector => row.querySelector(selector)).find(Boolean) ?? null;
+  const text = (element) => element?.textContent.replace(/\s+/g, ' ').trim() ?? '';
+
+  const sender = first(selectors.sender);
+  const time = first(selectors.time);
+  return {
+    sender: sender?.getAttribute('name') || text(sender),
+    email: sender?.getAttribute('email') || null,
+    subject: text(first(selectors.subject)),
+    // Gmail puts " - " before the snippet
+    snippet: text(first(selectors.snippet)).replace(/^[-–]\s*/, ''),
+    time: time?.getAttribute('title') || text(time),
+    // Unread rows are bold, with the class zE
+    unread: row.classList.contains('zE')
+  };
+}
+
+// Runs in the page like readRow
+function readThreadMessage(item, selectors) {
+  const first = (list) => list.map(selector => item.querySelector(selector)).find(Boolean) ?? null;
+  const text = (element) => element?.innerText?.trim() ?? element?.textContent.trim() ?? '';
+
+  const sender = first(selectors.sender);
+  const time = first(selectors.time);
+  return {
+    sender: sender?.getAttribute('name') || text(sender),
+    email: sender?.getAttribute('email') || null,
+    time: time?.getAttribute('title') || text(time),
+    text: text(first(selectors.text) ?? item)
+  };
+}
+
+// The first limit visible rows of the list at url, with their messages
+async function readMessageList(page, url, { limit, timeout }) {
+  await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+
+  let rows;
+  try {
+    const { strategy } = await findElement(page, 'gmail.messageRow', { timeout });
+    rows = await toLocator(page, strategy).all();
+  } catch (error) {
+    // No rows can also mean there is nothing to show
+    const empty = await findElement(page, 'gmail.emptyList', { timeout: 0 }).catch(() => null);
+    if (empty) return [];
+    throw error;
+  }
+
+  const listed = [];
+  for (const row of rows) {
+    if (listed.length >= Math.min(limit, MAX_MESSAGES)) break;
+    // Gmail keeps the rows of the other tabs hidden in the page
+    if (!(await row.isVisible())) continue;
+    listed.push({ row, message: await row.evaluate(readRow, FIELD_SELECTORS) });
+  }
+  return listed;
+}
+
+/**
+ * The first limit messages of the list (at most MAX_MESSAGES), newest first. An empty
+ * list is [], a list that can't be found within timeout milliseconds throws.
+ */
+export async function readInbox(page, { scope = 'unread', limit = 20, timeout = 15000 } = {}) {
+  const listed = await readMessageList(page, INBOX_URLS[scope], { limit, timeout });
+  return listed.map(({ message }) => message);
+}
+
+// Gmail's search for a thread: from:(mark) subject:(launch date)
+export function threadQuery({ from, subject }) {
+  const terms = [];
+  if (from) terms.push(`from:(${from})`);
+  if (subject) terms.push(`subject:(${subject})`);
+  return terms.join(' ');
+}
+
+/**
+ * Opens the newest thread Gmail finds for { from, subject } and reads it. Resolves with
+ * { message, url, thread }: the message of its row in the search, the thread's own URL to
+ * come back to, and its last messages oldest first. null when nothing matches.
+ */
+export async function openThread(page, { from, subject }, { timeout = 15000 } = {}) {
+  const query = encodeURIComponent(threadQuery({ from, subject })).replace(/%20/g, '+');
+  const [newest] = await readMessageList(page, SEARCH_URL + query, { limit: 1, timeout });
+  if (!newest) return null;
+
+  await newest.row.click();
+  const { strategy } = await findElement(page, 'gmail.threadMessage', { timeout });
+  const items = await toLocator(page, strategy).all();
+  const thread = [];
+  for (const item of items.slice(-MAX_THREAD_MESSAGES)) {
+    const message = await item.evaluate(readThreadMessage, THREAD_SELECTORS);
+    thread.push({ ...message, text: message.text.slice(0, MAX_MESSAGE_CHARS) });
+  }
+  console.log(`✓ Opened the thread "${newest.message.subject}" with ${items.length} messages`);
+  return { message: newest.message, url: page.url(), thread };
+}
+
+// "- Ana Lopez <ana@example.com>, Mon, Oct 19, 9:14 AM: Launch date - Can we move..."
+export function describeMessage({ sender, email, subject, snippet, time }) {
+  const from = email && email !== sender ? `${sender} <${email}>` : sender;
+  let line = `- ${from}, ${time}: ${subject || '(no subject)'}`;
+  if (snippet) line += ` - ${snippet}`;
+  return line;
+}
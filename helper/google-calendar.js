@@ -0,0 +1,250 @@
+/**
+ * Google Calendar API access for reading, creating and changing events.
+ *
+ * Reading, moving, renaming, deleting and importing events from .ics files goes through
+ * the Calendar API, and so does creating them with the "api" calendar backend (see
+ * calendar-backends/): it is faster, needs no open browser and works on the events as
+ * data instead of a page to scrape. Credentials come from the environment (helper/.env):
+ *    - GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET: an OAuth client of the "Desktop app" type
+ *    - GOOGLE_REFRESH_TOKEN: a refresh token of that client with the calendar.events scope,
+ *      or calendar.readonly to only read
+ *    - GOOGLE_CALENDAR_ID: the calendar to use, defaults to "primary"
+ *
+ * The API client is created on first use. setCalendarClient() replaces it with anything
+ * that has the same events.list/insert/patch/delete/import(params, options) methods, so
+ * tests run against a local fake.
+ *
+ * Events are returned as { id, title, start, end, allDay, location, description, attendees,
+ * recurring, busy, link } with local Dates and an exclusive end, like date-parser.js schedules.
+ */
+
+import { google } from "googleapis";
+import { OAuth2Client } from "google-auth-library";
+import { v4 as uuidv4 } from "uuid";
+import { getRunContext } from "./run-context.js";
+import { toRRule } from "./recurrence.js";
+
+const CREDENTIAL_VARIABLES = ['GOOGLE_CLIENT_ID', 'GOOGLE_CLIENT_SECRET', 'GOOGLE_REFRESH_TOKEN'];
+
+// events.list returns at most 250 events per page, a range with more is cut off
+const PAGE_SIZE = 250;
+const MAX_PAGES = 4;
+
+let calendarClient = null;
+
+// Credentials are set up, or a client was put in place with setCalendarClient()
+export function isCalendarApiAvailable() {
+  return calendarClient !== null || CREDENTIAL_VARIABLES.every(name => process.env[name]);
+}
+
+function createCalendarClient() {
+  const missing = CREDENTIAL_VARIABLES.filter(name => !process.env[name]);
+  if (missing.length > 0) {
+    throw new Error(`The Google Calendar API is not set up, add ${missing.join(', ')} to helper/.env (see docs/CALENDAR_USAGE.md).`);
+  }
+
+  const auth = new OAuth2Client(process.env.GOOGLE_CLIENT_ID, process.env.GOOGLE_CLIENT_SECRET);
+  auth.setCredentials({ refresh_token: process.env.GOOGLE_REFRESH_TOKEN });
+  return google.calendar({ version: 'v3', auth });
+}
+
+export function getCalendarClient() {
+  if (!calendarClient) {
+    calendarClient = createCalendarClient();
+  }
+  return calendarClient;
+}
+
+// Replaces the API client, null goes back to the real one on next use
+export function setCalendarClient(client) {
+  calendarClient = client;
+}
+
+export function getCalendarId() {
+  return process.env.GOOGLE_CALENDAR_ID || 'primary';
+}
+
+// All-day events have a "2024-05-16" date, timed events a dateTime with an offset
+function parseEventTime(time) {
+  if (time.dateTime) return new Date(time.dateTime);
+  const [year, month, day] = time.date.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+function normalizeEvent(event) {
+  const self = (event.attendees ?? []).find(attendee => attendee.self);
+  return {
+    id: event.id,
+    title: event.summary || '(No title)',
+    start: parseEventTime(event.start),
+    end: parseEventTime(event.end),
+    allDay: Boolean(event.start.date),
+    location: event.location || null,
+    description: event.description || null,
+    attendees: (event.attendees ?? []).filter(attendee => !attendee.self).map(attendee => attendee.email),
+    recurring: Boolean(event.recurringEventId),
+    // Declined invitations and events marked "free" don't take up the time
+    busy: event.transparency !== 'transparent' && self?.responseStatus !== 'declined',
+    link: event.htmlLink || null
+  };
+}
+
+// "2024-05-16" for all-day events, which have dates without a time zone
+function formatEventDate(date) {
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Patches merge into the event, so the other kind of time is cleared explicitly
+function toEventTime(date, allDay) {
+  return allDay ? { date: formatEventDate(date), dateTime: null } : { dateTime: date.toISOString(), date: null };
+}
+
+function describeApiError(error, action) {
+  const status = error.response?.status ?? error.code;
+  const reason = error.response?.data?.error_description || error.response?.data?.error?.message || error.message;
+  if (reason === 'invalid_grant' || status === 401) {
+    return 'Google rejected the calendar credentials, the refresh token may have expired or been revoked.';
+  }
+  if (status === 403 && /insufficient/i.test(reason)) {
+    return 'The calendar credentials only allow reading. Changing events needs a refresh token with the calendar.events scope.';
+  }
+  if (status === 410) {
+    return 'The event was already deleted.';
+  }
+  if (status === 404) {
+    return `Calendar "${getCalendarId()}" or the event was not found.`;
+  }
+  return `Could not ${action}: ${reason}`;
+}
+
+// Runs one API call with the request's abort signal, failures get a message for the user
+async function callApi(action, call) {
+  const client = getCalendarClient();
+  const { signal } = getRunContext();
+  try {
+    return await call(client, { signal });
+  } catch (error) {
+    if (signal?.aborted) throw signal.reason;
+    throw new Error(describeApiError(error, action));
+  }
+}
+
+// Guests hear about changes to events they are invited to
+function sendUpdatesFor(event) {
+  return event.attendees.length > 0 ? 'all' : 'none';
+}
+
+/**
+ * The events overlapping start to end, in order of their start. Recurring events are
+ * expanded into their occurrences and cancelled ones left out. Throws with a message
+ * for the user when the API is not set up or the request fails.
+ */
+export async function listEvents({ start, end, calendarId = getCalendarId() }) {
+  const events = [];
+  let pageToken;
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const response = await callApi('read the calendar', (client, options) => client.events.list({
+      calendarId,
+      timeMin: start.toISOString(),
+      timeMax: end.toISOString(),
+      singleEvents: true,
+      orderBy: 'startTime',
+      maxResults: PAGE_SIZE,
+      pageToken
+    }, options));
+
+    events.push(...(response.data.items ?? []));
+    pageToken = response.data.nextPageToken;
+    if (!pageToken) break;
+  }
+
+  return events
+    .filter(event => event.status !== 'cancelled')
+    .map(normalizeEvent);
+}
+
+/**
+ * Changes the title and/or time of an event returned by listEvents(). One occurrence of a
+ * repeating event only changes that occurrence. Resolves with the updated event.
+ *
+ * changes: { title, start, end, allDay }, times are Dates and replaced together.
+ */
+export async function updateEvent(event, { title, start, end, allDay }, { calendarId = getCalendarId() } = {}) {
+  const requestBody = {};
+  if (title !== undefined) requestBody.summary = title;
+  if (start !== undefined) {
+    requestBody.start = toEventTime(start, allDay);
+    requestBody.end = toEventTime(end, allDay);
+  }
+
+  const response = await callApi('update the event', (client, options) => client.events.patch({
+    calendarId,
+    eventId: event.id,
+    sendUpdates: sendUpdatesFor(event),
+    requestBody
+  }, options));
+  return normalizeEvent(response.data);
+}
+
+// Deletes an event returned by listEvents(), only the one occurrence of a repeating event
+export async function deleteEvent(event, { calendarId = getCalendarId() } = {}) {
+  await callApi('delete the event', (client, options) => client.events.delete({
+    calendarId,
+    eventId: event.id,
+    sendUpdates: sendUpdatesFor(event)
+  }, options));
+}
+
+// The fields events.insert and events.import share, times in the event's zone so
+// repeating events keep their time of day
+function toEventBody(event) {
+  const timeZone = event.timeZone ?? Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const eventTime = (date) => (event.allDay ? { date: formatEventDate(date) } : { dateTime: date.toISOString(), timeZone });
+
+  const requestBody = {
+    summary: event.title,
+    start: eventTime(event.start),
+    end: eventTime(event.end)
+  };
+  if (event.location) requestBody.location = event.location;
+  if (event.description) requestBody.description = event.description;
+  return requestBody;
+}
+
+/**
+ * Creates a new event, the way create_calendar_event's "api" backend does. Guests are
+ * invited by Google. Resolves with the event.
+ *
+ * event: { title, start, end, allDay, recurrence, location, description, guests }, with a
+ * recurrence.js rule as recurrence.
+ */
+export async function createEvent(event, { calendarId = getCalendarId() } = {}) {
+  const requestBody = toEventBody(event);
+  if (event.recurrence) requestBody.recurrence = [toRRule(event.recurrence, { dateOnly: event.allDay })];
+  if (event.guests.length > 0) requestBody.attendees = event.guests.map(email => ({ email }));
+
+  const response = await callApi('create the event', (client, options) => client.events.insert({
+    calendarId,
+    sendUpdates: event.guests.length > 0 ? 'all' : 'none',
+    requestBody
+  }, options));
+  return normalizeEvent(response.data);
+}
+
+/**
+ * Adds an event read from an .ics file (see parseICS() in ics.js) as a private copy: its
+ * guests are listed but not invited. The file's UID becomes the iCalUID, so importing the
+ * same file again updates the event instead of adding it twice. Resolves with the event.
+ */
+export async function importEvent(event, { calendarId = getCalendarId() } = {}) {
+  const requestBody = { iCalUID: event.uid ?? `${uuidv4()}@opensesame`, ...toEventBody(event) };
+  if (event.recurrence.length > 0) requestBody.recurrence = event.recurrence;
+  if (event.attendees.length > 0) requestBody.attendees = event.attendees.map(email => ({ email }));
+
+  const response = await callApi('import the event', (client, options) => client.events.import({
+    calendarId,
+    requestBody
+  }, options));
+  return normalizeEvent(response.data);
+}
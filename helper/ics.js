@@ -0,0 +1,459 @@
+/**
+ * iCalendar files (.ics, RFC 5545) for calendar events.
+ *
+ *    - toICS(events, { now, organizer }): a VCALENDAR with one VEVENT per event, e.g. for
+ *      create_calendar_event when the calendar backend is "ics" (see settings.js)
+ *    - parseICS(text): the events of a file, for import_calendar_events
+ *
+ * Events are date-parser.js schedules with details: { title, start, end, allDay,
+ * recurrence, location, description, guests } where recurrence is a recurrence.js rule.
+ * Timed events are written in the helper's time zone with a VTIMEZONE built from its
+ * daylight saving changes, so repeating events keep their time of day across them.
+ * Guests become ATTENDEEs, which RFC 5545 only allows with an ORGANIZER: the user's address
+ * from the organizerEmail setting (or ICS_ORGANIZER_EMAIL in helper/.env), without it the
+ * guests are left out.
+ *
+ * Parsed events are { uid, title, start, end, allDay, timeZone, location, description,
+ * attendees, recurrence, rule }: local Dates with an exclusive end, the IANA time zone of
+ * the start if it had one, the raw RRULE/RDATE/EXDATE lines and the rule they describe
+ * (see parseRRule() in recurrence.js) or null. Times in zones Intl doesn't know (e.g.
+ * Outlook's "W. Europe Standard Time") use the file's VTIMEZONE. Cancelled events and
+ * changed occurrences of repeating ones (RECURRENCE-ID) are counted in skipped instead.
+ */
+
+import { v4 as uuidv4 } from "uuid";
+import { parseRRule, toRRule } from "./recurrence.js";
+import { getSettings } from "./settings.js";
+
+const PRODUCT_ID = '-//OpenSesame//Calendar Events//EN';
+// Lines are folded after 75 octets, continuation lines start with a space
+const MAX_LINE_OCTETS = 75;
+
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+// ---------------------------------------------------------------------------
+// Writing
+// ---------------------------------------------------------------------------
+
+function escapeText(text) {
+  return text
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Splits a line into chunks of at most 75 octets without cutting a character in two
+function foldLine(line) {
+  const chunks = [];
+  let chunk = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines lose one octet to the leading space
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      chunks.push(chunk);
+      chunk = '';
+      octets = 0;
+    }
+    chunk += char;
+    octets += size;
+  }
+  chunks.push(chunk);
+  return chunks.join('\r\n ');
+}
+
+// "20240516"
+function formatDate(date) {
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+}
+
+// "20240516T140000", local time
+function formatLocalTime(date) {
+  return `${formatDate(date)}T${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+// "20240516T180000Z"
+function formatUtcTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// "+0200", "-0500"
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  return `${sign}${pad(Math.floor(Math.abs(minutes) / 60))}${pad(Math.abs(minutes) % 60)}`;
+}
+
+function localOffset(time) {
+  return -new Date(time).getTimezoneOffset();
+}
+
+// The moments in a year the local offset changes, found day by day and then to the minute
+function offsetChanges(year) {
+  const changes = [];
+  const end = new Date(year + 1, 0, 1).getTime();
+  for (let time = new Date(year, 0, 1).getTime(); time < end; time += DAY) {
+    if (localOffset(time) === localOffset(time + DAY)) continue;
+
+    let [before, after] = [time, time + DAY];
+    while (after - before > MINUTE) {
+      const middle = before + Math.floor((after - before) / 2 / MINUTE) * MINUTE;
+      if (localOffset(middle) === localOffset(before)) before = middle;
+      else after = middle;
+    }
+    changes.push({ time: after, from: localOffset(before), to: localOffset(after) });
+  }
+  return changes;
+}
+
+// "the second Sunday of March" as BYDAY=2SU, or -1SU when it is the last one
+function yearlyRule(wallTime) {
+  const day = wallTime.getUTCDate();
+  const daysInMonth = new Date(Date.UTC(wallTime.getUTCFullYear(), wallTime.getUTCMonth() + 1, 0)).getUTCDate();
+  const week = day + 7 > daysInMonth ? -1 : Math.ceil(day / 7);
+  return `RRULE:FREQ=YEARLY;BYMONTH=${wallTime.getUTCMonth() + 1};BYDAY=${week}${DAY_CODES[wallTime.getUTCDay()]}`;
+}
+
+// The VTIMEZONE of the helper's time zone, with its daylight saving rules as of the year given
+function timeZoneLines(timeZone, year) {
+  const changes = offsetChanges(year);
+  if (changes.length === 0) {
+    const offset = formatOffset(localOffset(new Date(year, 0, 1).getTime()));
+    return [
+      'BEGIN:VTIMEZONE', `TZID:${timeZone}`,
+      'BEGIN:STANDARD', 'DTSTART:19700101T000000', `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`, 'END:STANDARD',
+      'END:VTIMEZONE'
+    ];
+  }
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+  for (const change of changes) {
+    const kind = change.to > change.from ? 'DAYLIGHT' : 'STANDARD';
+    // Observances start at the local time just before the change
+    const wallTime = new Date(change.time + change.from * MINUTE);
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${formatUtcTime(wallTime).slice(0, -1)}`,
+      yearlyRule(wallTime),
+      `TZOFFSETFROM:${formatOffset(change.from)}`,
+      `TZOFFSETTO:${formatOffset(change.to)}`,
+      `END:${kind}`
+    );
+  }
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+function eventTime(name, date, { allDay, timeZone }) {
+  return allDay ? `${name};VALUE=DATE:${formatDate(date)}` : `${name};TZID=${timeZone}:${formatLocalTime(date)}`;
+}
+
+function eventLines(event, { now, timeZone, organizer }) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid ?? `${uuidv4()}@opensesame`}`,
+    `DTSTAMP:${formatUtcTime(now)}`,
+    eventTime('DTSTART', event.start, { allDay: event.allDay, timeZone }),
+    eventTime('DTEND', event.end, { allDay: event.allDay, timeZone }),
+    `SUMMARY:${escapeText(event.title)}`
+  ];
+  if (event.recurrence) lines.push(toRRule(event.recurrence, { dateOnly: event.allDay }));
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+
+  const guests = event.guests ?? [];
+  if (organizer && guests.length > 0) {
+    lines.push(`ORGANIZER:mailto:${organizer}`);
+    for (const guest of guests) {
+      lines.push(`ATTENDEE;CUTYPE=INDIVIDUAL;ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:${guest}`);
+    }
+  }
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+// The address written as ORGANIZER of events with guests, null when it is not set up
+export function getOrganizer() {
+  return getSettings().organizerEmail?.trim() || process.env.ICS_ORGANIZER_EMAIL?.trim() || null;
+}
+
+/**
+ * A VCALENDAR file with the events, lines ending in CRLF as the standard requires.
+ * organizer is the address guests are invited by, see getOrganizer().
+ */
+export function toICS(events, { now = new Date(), organizer = getOrganizer() } = {}) {
+  const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const timed = events.filter(event => !event.allDay);
+
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODUCT_ID}`, 'CALSCALE:GREGORIAN'];
+  if (timed.length > 0) {
+    const firstYear = Math.min(...timed.map(event => event.start.getFullYear()));
+    lines.push(...timeZoneLines(timeZone, firstYear));
+  }
+  for (const event of events) {
+    lines.push(...eventLines(event, { now, timeZone, organizer }));
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// ---------------------------------------------------------------------------
+// Reading
+// ---------------------------------------------------------------------------
+
+function unescapeText(text) {
+  return text.replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+}
+
+// 'DTSTART;TZID="America/New_York":20240516T090000' as { name, params, value }
+function parseLine(line) {
+  let index = 0;
+  let inQuotes = false;
+  while (index < line.length && (inQuotes || (line[index] !== ':'))) {
+    if (line[index] === '"') inQuotes = !inQuotes;
+    index++;
+  }
+  const [name, ...paramParts] = line.slice(0, index).match(/(?:[^;"]|"[^"]*")+/g) ?? [''];
+  const params = {};
+  for (const part of paramParts) {
+    const [key, ...rest] = part.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(index + 1) };
+}
+
+// The components of a file as { type, properties: [{ name, params, value }], children }
+function parseComponents(text) {
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(line => line.trim());
+  const root = { type: 'ROOT', properties: [], children: [] };
+  const stack = [root];
+  for (const line of lines) {
+    const property = parseLine(line);
+    if (property.name === 'BEGIN') {
+      const component = { type: property.value.trim().toUpperCase(), properties: [], children: [] };
+      stack.at(-1).children.push(component);
+      stack.push(component);
+    } else if (property.name === 'END') {
+      if (stack.length > 1) stack.pop();
+    } else {
+      stack.at(-1).properties.push(property);
+    }
+  }
+  return root;
+}
+
+function findAll(component, type) {
+  return component.children.flatMap(child => (child.type === type ? [child] : findAll(child, type)));
+}
+
+function property(component, name) {
+  return component.properties.find(prop => prop.name === name);
+}
+
+// "+0200" in minutes
+function parseOffset(text) {
+  const match = text?.trim().match(/^([+-])(\d{2})(\d{2})/);
+  if (!match) return null;
+  return (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3]));
+}
+
+// "20240516T090000Z" as its parts, hours missing for dates
+function parseTimeValue(value) {
+  const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) return null;
+  return {
+    year: Number(match[1]), month: Number(match[2]), day: Number(match[3]),
+    hour: match[4] === undefined ? null : Number(match[4]),
+    minute: Number(match[5] ?? 0), second: Number(match[6] ?? 0),
+    utc: Boolean(match[7])
+  };
+}
+
+function wallClockMillis({ year, month, day, hour, minute, second }) {
+  return Date.UTC(year, month - 1, day, hour ?? 0, minute, second);
+}
+
+function isKnownTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Minutes the zone is ahead of UTC at that moment
+function zoneOffset(timeZone, time) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(new Date(time));
+  const get = (type) => Number(parts.find(part => part.type === type).value);
+  const wall = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return Math.round((wall - Math.floor(time / 1000) * 1000) / MINUTE);
+}
+
+// The wall time of an observance's start in a year, from its yearly BYMONTH/BYDAY rule
+function observanceStart(observance, year) {
+  const start = parseTimeValue(property(observance, 'DTSTART')?.value ?? '');
+  if (!start) return null;
+
+  const rule = property(observance, 'RRULE')?.value ?? '';
+  const month = rule.match(/BYMONTH=(\d+)/)?.[1];
+  const byDay = rule.match(/BYDAY=([+-]?\d)(SU|MO|TU|WE|TH|FR|SA)/);
+  if (!/FREQ=YEARLY/.test(rule) || !month || !byDay) {
+    return year === start.year ? wallClockMillis(start) : null;
+  }
+  if (year < start.year) return null;
+
+  const weekday = DAY_CODES.indexOf(byDay[2]);
+  const week = Number(byDay[1]);
+  const first = new Date(Date.UTC(year, Number(month) - 1, 1));
+  let day;
+  if (week > 0) {
+    day = 1 + ((weekday - first.getUTCDay() + 7) % 7) + (week - 1) * 7;
+  } else {
+    const last = new Date(Date.UTC(year, Number(month), 0));
+    day = last.getUTCDate() - ((last.getUTCDay() - weekday + 7) % 7);
+  }
+  return Date.UTC(year, Number(month) - 1, day, start.hour ?? 0, start.minute, start.second);
+}
+
+// The offset a VTIMEZONE has at a wall time: that of the observance that started last
+function vtimezoneOffset(vtimezone, wall) {
+  const year = new Date(wall).getUTCFullYear();
+  let latest = null;
+  for (const observance of vtimezone.children.filter(child => ['STANDARD', 'DAYLIGHT'].includes(child.type))) {
+    for (const candidateYear of [year - 1, year]) {
+      const start = observanceStart(observance, candidateYear);
+      if (start !== null && start <= wall && (!latest || start > latest.start)) {
+        latest = { start, offset: parseOffset(property(observance, 'TZOFFSETTO')?.value) };
+      }
+    }
+  }
+  return latest?.offset ?? null;
+}
+
+/**
+ * A DTSTART or DTEND value as { date, allDay, timeZone }. Dates are local
+ * midnight, UTC times exact, times with a TZID converted from that zone and times
+ * without one (floating) taken as local time.
+ */
+function parseEventTime(prop, vtimezones) {
+  const value = parseTimeValue(prop.value.split(',')[0]);
+  if (!value) return null;
+  if (value.hour === null || prop.params.VALUE === 'DATE') {
+    return { date: new Date(value.year, value.month - 1, value.day), allDay: true, timeZone: null };
+  }
+  if (value.utc) {
+    return { date: new Date(wallClockMillis(value)), allDay: false, timeZone: null };
+  }
+
+  const timeZone = prop.params.TZID;
+  const wall = wallClockMillis(value);
+  if (timeZone && isKnownTimeZone(timeZone)) {
+    // The offset at the guessed moment is right unless a daylight saving change lies between
+    let time = wall - zoneOffset(timeZone, wall) * MINUTE;
+    time = wall - zoneOffset(timeZone, time) * MINUTE;
+    return { date: new Date(time), allDay: false, timeZone };
+  }
+
+  const vtimezone = timeZone && vtimezones.get(timeZone);
+  const offset = vtimezone ? vtimezoneOffset(vtimezone, wall) : null;
+  if (offset !== null) {
+    return { date: new Date(wall - offset * MINUTE), allDay: false, timeZone: null };
+  }
+  return { date: new Date(value.year, value.month - 1, value.day, value.hour, value.minute, value.second), allDay: false, timeZone: null };
+}
+
+// "P1DT2H30M", "PT45M", "P2W" in milliseconds
+function parseDuration(text) {
+  const match = text?.trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+  const [weeks, days, hours, minutes, seconds] = match.slice(2).map(part => Number(part ?? 0));
+  const length = ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+  return match[1] === '-' ? -length : length;
+}
+
+function addLength(start, length, allDay) {
+  if (!allDay) return new Date(start.getTime() + length);
+  // Whole days, so a daylight saving change doesn't shift all-day events
+  return new Date(start.getFullYear(), start.getMonth(), start.getDate() + Math.round(length / DAY));
+}
+
+function parseEvent(component, vtimezones) {
+  const startProp = property(component, 'DTSTART');
+  const start = startProp && parseEventTime(startProp, vtimezones);
+  if (!start) return null;
+
+  const endProp = property(component, 'DTEND');
+  const duration = parseDuration(property(component, 'DURATION')?.value);
+  let end = endProp ? parseEventTime(endProp, vtimezones)?.date : null;
+  if (!end) {
+    // Without an end a date lasts the day, a time is just that moment
+    end = addLength(start.date, duration ?? (start.allDay ? DAY : 0), start.allDay);
+  }
+
+  const text = (name) => {
+    const prop = property(component, name);
+    return prop ? unescapeText(prop.value).trim() : '';
+  };
+  const recurrence = component.properties
+    .filter(prop => ['RRULE', 'RDATE', 'EXDATE'].includes(prop.name))
+    .map(prop => {
+      const params = Object.entries(prop.params).map(([key, value]) => `;${key}=${value}`).join('');
+      return `${prop.name}${params}:${prop.value}`;
+    });
+  const rrule = property(component, 'RRULE');
+
+  return {
+    uid: text('UID') || null,
+    title: text('SUMMARY') || '(No title)',
+    start: start.date,
+    end: end < start.date ? start.date : end,
+    allDay: start.allDay,
+    timeZone: start.timeZone,
+    location: text('LOCATION'),
+    description: text('DESCRIPTION'),
+    attendees: component.properties
+      .filter(prop => prop.name === 'ATTENDEE')
+      .map(prop => prop.value.replace(/^mailto:/i, '').trim())
+      .filter(Boolean),
+    recurrence,
+    rule: rrule ? parseRRule(rrule.value) : null
+  };
+}
+
+/**
+ * The events of an .ics file as { events, skipped }. Throws when the text is not a
+ * calendar file.
+ */
+export function parseICS(text) {
+  const root = parseComponents(text);
+  const calendars = findAll(root, 'VCALENDAR');
+  if (calendars.length === 0) {
+    throw new Error('This is not a calendar file, it has no BEGIN:VCALENDAR.');
+  }
+
+  const vtimezones = new Map();
+  for (const vtimezone of calendars.flatMap(calendar => findAll(calendar, 'VTIMEZONE'))) {
+    const tzid = property(vtimezone, 'TZID')?.value;
+    if (tzid) vtimezones.set(tzid, vtimezone);
+  }
+
+  const events = [];
+  let skipped = 0;
+  for (const component of calendars.flatMap(calendar => findAll(calendar, 'VEVENT'))) {
+    const status = property(component, 'STATUS')?.value.toUpperCase();
+    const event = status === 'CANCELLED' || property(component, 'RECURRENCE-ID') ? null : parseEvent(component, vtimezones);
+    if (event) events.push(event);
+    else skipped++;
+  }
+  return { events, skipped };
+}
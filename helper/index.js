@@ -6,39 +6,64 @@
  * the Components:
  * 
  * Environment Settup: Loads environment variables and configures the Express app with
- *    CORS support for cross-origin requests from the Chrome extension.
+ *    CORS support for cross-origin requests from the Chrome extension. The LLM provider,
+ *    base URL, model and temperature are configurable per role (see llm.js).
  * 
  * Uses Playwright with Chrome to maintain a persistent browser
- *    context that preserves login sessions. The browser runs in non-headless mode so
- *    users can see automation in progress. Special configurations remove automation
- *    indicators to avoid detection.
+ *    context that preserves login sessions (see browser.js). Runs take turns using it.
  * 
- * Google Services Integration provides mappings for all major Google services
- *    (Sheets, Docs, Calendar, Gmail, etc.) and handles creating new documents.
+ * Every prompt runs as a job (see jobs.js) so several chats can use the helper at once
+ *    and a run can be followed or cancelled by its id.
  * 
- * Date/Time Parsing handles natural language date/time
- *    inputs like "tomorrow at 2pm", "next Monday", or specific dates. Supports 
- *    dates + day names + and various time formats with intelligent AM/PM detection.
- * 
- * LangChain Tools used:
+ * LangChain Tools are plugins loaded from the tools/ directory (see tool-registry.js):
  *    - open_new_tab: opens new tabs for Google services, URLs, and search queries
  *    - navigate_browser: opens URLs in new tabs in the user's Chrome browser
- *    - create_calendar_event: automates Google Calendar event creation with keyboard navigation
+ *    - create_calendar_event: creates a Google Calendar event through the browser or the
+ *      Calendar API, or saves it as an .ics file (calendarBackend setting, see calendar-backends/)
+ *    - list_calendar_events: lists the Google Calendar events of a day or range (Calendar API)
+ *    - reschedule_calendar_event, rename_calendar_event, delete_calendar_event: change an
+ *      existing event found by its title and day (Calendar API)
+ *    - import_calendar_events: imports the events of an .ics file dropped on the chat (Calendar API)
  *    - take_screenshot: captures browser screenshots via Chrome Extension API
+ *    - send_email: composes and sends an email through Gmail to To/Cc/Bcc addresses or
+ *      address book names, or saves it to Drafts (emailMode setting or "draft an email to...")
+ *    - reply_to_email: replies or replies all to the newest Gmail thread from a sender or
+ *      with a subject, written from the thread, or saves the reply to Drafts
+ *    - summarize_inbox: summarizes the unread Gmail messages with their action items, read-only
  *    - wait: utility tool for adding delays in automation sequences
  * 
  * Agent Configuration creates a structured chat agent with specific instructions
  *    for handling user requests, detecting search queries, and choosing appropriate tools.
- *    Includes safeguards against infinite loops and proper task completion detection.
+ *    Tools return structured results and the completion guard ends a request from them,
+ *    including when the agent tries to repeat a call (see agent-guard.js).
  * 
  * API Endpoints:
- *    - POST /invoke: Main endpoint for processing natural language commands
- *    - GET /tab-requests: Polling endpoint for Chrome extension to check pending actions
- *    - POST /tab-requests/:id/complete: Marks tab requests as completed
+ *    - POST /invoke: Main endpoint for processing natural language commands. Queues a job
+ *      and returns its id. Prompts that start with "@tool_name" run that tool directly
+ *      (see tool-commands.js)
+ *    - GET /jobs/:id: Status and result of a job
+ *    - POST /jobs/:id/cancel: Cancels a queued or running job
+ *    - POST /invoke/stream: Same as /invoke, streaming the job id and tool-start, tool-end,
+ *      log and final-answer events (Server-Sent Events) while the agent runs
+ *    - GET /tools: Metadata of the loaded tools (description, examples, parameters)
+ *    - GET /approvals, POST /approvals/:id: Pending confirmations of tools with side
+ *      effects and the user's Approve / Edit / Cancel answer (see approvals.js)
+ *    - GET /settings, PUT /settings: User settings such as the per-tool approval policy
+ *    - GET /address-book, POST /address-book/contacts, POST /address-book/groups,
+ *      DELETE /address-book/contacts/:id, DELETE /address-book/groups/:id: Contacts and
+ *      groups that emails can be sent to by name (see address-book.js)
+ *    - POST /uploads?name=: A file dropped on the chat (text body), for the tools that
+ *      read files such as import_calendar_events (see uploads.js)
+ *    - GET /audit: Log of every tool invocation, filtered by ?tool=&from=&to=&limit=
+ *    - WS /extension: Persistent socket the Chrome extension keeps open. The helper pushes
+ *      commands (open tab, screenshot, download file) over it and the extension answers
+ *      with results
  *    - POST /auth/google-login: Initiates Google login flow
- *    - GET /auth/status: Checks authentication status
+ *    - GET /auth/status: Checks authentication status and how the last login attempt ended
  *    - POST /auth/logout: Logs out of Google services
  *    - POST /browser/navigate: Direct browser navigation
+ *    - GET /diagnostics/selectors?area=: Checks which strategies of the selector registry
+ *      still find their elements on the live Calendar and Gmail pages (see selectors.js)
  *    - GET /health: Service health check
  * 
  * Session Persistence - Stores browser data in a local directory to maintain login
@@ -46,21 +71,33 @@
  * 
  */
 
+// Loaded first so every module sees helper/.env when it is evaluated
+import "dotenv/config";
 import express from "express";
 import cors from "cors";
-import { ChatOpenAI } from "@langchain/openai";
-import { HumanMessage, SystemMessage } from "@langchain/core/messages";
-import { chromium } from "playwright";
-import dotenv from "dotenv";
+import { MessagesPlaceholder } from "@langchain/core/prompts";
 import path from "path";
 import { fileURLToPath } from 'url';
-import fs from 'fs';
-import { DynamicStructuredTool } from "@langchain/core/tools";
-import { z } from "zod";
 import { initializeAgentExecutorWithOptions } from "langchain/agents";
+import { buildChatHistory, summarizeSteps } from "./chat-memory.js";
+import { createChatModel, describeLlmConfig } from "./llm.js";
+import { closeBrowser, getPage, hasStoredSession, hasWaitingBrowserTasks, isBrowserOpen, userDataDir, withBrowser } from "./browser.js";
+import { loadToolRegistry } from "./tool-registry.js";
+import { parseToolCommand, runToolCommand, ToolCommandError } from "./tool-commands.js";
+import { attachExtensionBridge, isExtensionConnected } from "./extension-bridge.js";
+import { runWithContext } from "./run-context.js";
+import { cancelApprovalsForRun, listPendingApprovals, resolveApproval } from "./approvals.js";
+import { getSettings, updateSettings } from "./settings.js";
+import { deleteContact, deleteGroup, getAddressBook, saveContact, saveGroup } from "./address-book.js";
+import { MAX_UPLOAD_BYTES, saveUpload } from "./uploads.js";
+import { selectCalendarBackend } from "./calendar-backends/index.js";
+import { createJobQueue } from "./jobs.js";
+import { installCompletionGuard } from "./agent-guard.js";
+import { createProgressCallbacks, openEventStream, sendJobOutcome } from "./progress-events.js";
+import { queryAuditLog } from "./audit-log.js";
+import { SELECTOR_AREAS, runSelectorDiagnostics } from "./selector-diagnostics.js";
 
 
-dotenv.config();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
@@ -68,817 +105,11 @@ const __dirname = path.dirname(__filename);
 const app = express();
 app.use(express.json());
 app.use(cors());
-const llm = new ChatOpenAI({ 
-  model: "gpt-4o-mini", 
-  temperature: 0,
-  openAIApiKey: process.env.OPENAI_API_KEY 
-});
-
-
-const userDataDir = path.join(__dirname, 'browser-data');
-if (!fs.existsSync(userDataDir)) {
-  fs.mkdirSync(userDataDir, { recursive: true });
-}
-let browser;
-let browserContext;
-let page;
-let pendingTabRequests = new Map();
-
-
-const GOOGLE_SERVICES = {
-  'sheets': 'https://sheets.google.com',
-  'docs': 'https://docs.google.com',
-  'slides': 'https://slides.google.com',
-  'forms': 'https://forms.google.com',
-  'drive': 'https://drive.google.com',
-  'calendar': 'https://calendar.google.com',
-  'gmail': 'https://mail.google.com',
-  'mail': 'https://mail.google.com',
-  'maps': 'https://maps.google.com',
-  'meet': 'https://meet.google.com',
-  'keep': 'https://keep.google.com',
-  'photos': 'https://photos.google.com',
-  'contacts': 'https://contacts.google.com',
-  'tasks': 'https://tasks.google.com',
-  'translate': 'https://translate.google.com',
-  'news': 'https://news.google.com',
-  'youtube': 'https://youtube.com',
-  'scholar': 'https://scholar.google.com',
-  'books': 'https://books.google.com',
-  'earth': 'https://earth.google.com'
-};
-const CREATE_NEW_URLS = {
-  'sheets': 'https://sheets.google.com/create',
-  'docs': 'https://docs.google.com/create',
-  'slides': 'https://slides.google.com/create',
-  'forms': 'https://forms.google.com/create'
-};
-
-
-function parseDateTimeString(dateTimeStr) {
-  const now = new Date();
-  let targetDate = new Date();
-  let targetTime = null;
-  
-  const lowerDateTime = dateTimeStr.toLowerCase();
-  
-  // Parse relative dates
-  if (lowerDateTime.includes('tomorrow')) {
-    targetDate.setDate(targetDate.getDate() + 1);
-  } else if (lowerDateTime.includes('today')) {
-
-  } else if (lowerDateTime.includes('next week')) {
-    targetDate.setDate(targetDate.getDate() + 7);
-  } else if (lowerDateTime.includes('next monday')) {
-    targetDate.setDate(targetDate.getDate() + ((1 + 7 - targetDate.getDay()) % 7 || 7));
-  } else if (lowerDateTime.includes('next tuesday')) {
-    targetDate.setDate(targetDate.getDate() + ((2 + 7 - targetDate.getDay()) % 7 || 7));
-  } else if (lowerDateTime.includes('next wednesday')) {
-    targetDate.setDate(targetDate.getDate() + ((3 + 7 - targetDate.getDay()) % 7 || 7));
-  } else if (lowerDateTime.includes('next thursday')) {
-    targetDate.setDate(targetDate.getDate() + ((4 + 7 - targetDate.getDay()) % 7 || 7));
-  } else if (lowerDateTime.includes('next friday')) {
-    targetDate.setDate(targetDate.getDate() + ((5 + 7 - targetDate.getDay()) % 7 || 7));
-  } else if (lowerDateTime.includes('next saturday')) {
-    targetDate.setDate(targetDate.getDate() + ((6 + 7 - targetDate.getDay()) % 7 || 7));
-  } else if (lowerDateTime.includes('next sunday')) {
-    targetDate.setDate(targetDate.getDate() + ((0 + 7 - targetDate.getDay()) % 7 || 7));
-  } else if (lowerDateTime.includes('monday')) {
-    const daysUntilMonday = (1 - targetDate.getDay() + 7) % 7;
-    targetDate.setDate(targetDate.getDate() + (daysUntilMonday || 7));
-  } else if (lowerDateTime.includes('tuesday')) {
-    const daysUntilTuesday = (2 - targetDate.getDay() + 7) % 7;
-    targetDate.setDate(targetDate.getDate() + (daysUntilTuesday || 7));
-  } else if (lowerDateTime.includes('wednesday')) {
-    const daysUntilWednesday = (3 - targetDate.getDay() + 7) % 7;
-    targetDate.setDate(targetDate.getDate() + (daysUntilWednesday || 7));
-  } else if (lowerDateTime.includes('thursday')) {
-    const daysUntilThursday = (4 - targetDate.getDay() + 7) % 7;
-    targetDate.setDate(targetDate.getDate() + (daysUntilThursday || 7));
-  } else if (lowerDateTime.includes('friday')) {
-    const daysUntilFriday = (5 - targetDate.getDay() + 7) % 7;
-    targetDate.setDate(targetDate.getDate() + (daysUntilFriday || 7));
-  } else if (lowerDateTime.includes('saturday')) {
-    const daysUntilSaturday = (6 - targetDate.getDay() + 7) % 7;
-    targetDate.setDate(targetDate.getDate() + (daysUntilSaturday || 7));
-  } else if (lowerDateTime.includes('sunday')) {
-    const daysUntilSunday = (0 - targetDate.getDay() + 7) % 7;
-    targetDate.setDate(targetDate.getDate() + (daysUntilSunday || 7));
-  } else {
-    // Check for "in X days" pattern
-    const inDaysMatch = lowerDateTime.match(/in\s+(\d+)\s+days?/);
-    if (inDaysMatch) {
-      targetDate.setDate(targetDate.getDate() + parseInt(inDaysMatch[1]));
-    } else {
-      // Check for specific date formats like "June 10th", "Dec 25" or "12/25"
-      const monthNames = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
-      const shortMonthNames = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
-      
-      // Try to match "June 10th" or "June 10" format
-      const monthDayMatch = dateTimeStr.match(/(\w+)\s+(\d+)(?:st|nd|rd|th)?/i);
-      if (monthDayMatch) {
-        const monthStr = monthDayMatch[1].toLowerCase();
-        const day = parseInt(monthDayMatch[2]);
-        
-        // Check full month names
-        let monthIndex = monthNames.findIndex(m => m.startsWith(monthStr));
-        if (monthIndex === -1) {
-          // Check short month names
-          monthIndex = shortMonthNames.findIndex(m => m === monthStr.substring(0, 3));
-        }
-        
-        if (monthIndex !== -1) {
-          targetDate.setMonth(monthIndex);
-          targetDate.setDate(day);
-          // If the date is in the past, assume next year
-          if (targetDate < now) {
-            targetDate.setFullYear(targetDate.getFullYear() + 1);
-          }
-        }
-      } else {
-        // Check for MM/DD format
-        const slashDateMatch = dateTimeStr.match(/(\d{1,2})\/(\d{1,2})/);
-        if (slashDateMatch) {
-          targetDate.setMonth(parseInt(slashDateMatch[1]) - 1);
-          targetDate.setDate(parseInt(slashDateMatch[2]));
-          // If the date is in the past, assume next year
-          if (targetDate < now) {
-            targetDate.setFullYear(targetDate.getFullYear() + 1);
-          }
-        }
-      }
-    }
-  }
-  
-  // Extract time if present - improved regex
-  const timeMatch = dateTimeStr.match(/(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm|AM|PM)|(?:at\s+)?noon|(?:at\s+)?midnight/i);
-  if (timeMatch) {
-    const fullMatch = timeMatch[0].toLowerCase();
-    
-    if (fullMatch.includes('noon')) {
-      targetTime = { hour: 12, minute: 0, period: 'PM' };
-    } else if (fullMatch.includes('midnight')) {
-      targetTime = { hour: 12, minute: 0, period: 'AM' };
-    } else {
-      // Extract hour, minute, and period
-      const hour = parseInt(timeMatch[1] || '12');
-      const minute = parseInt(timeMatch[2] || '0');
-      const period = (timeMatch[3] || '').toUpperCase();
-      
-      // If no period specified, make reasonable assumptions
-      let finalPeriod = period;
-      if (!period) {
-        if (hour === 12) {
-          finalPeriod = 'PM'; // 12 without AM/PM = noon (PM)
-        } else if (hour >= 1 && hour <= 6) {
-          finalPeriod = 'PM'; // 1-6 without AM/PM likely PM
-        } else if (hour >= 7 && hour <= 11) {
-          finalPeriod = 'AM'; // 7-11 without AM/PM likely AM
-        } else {
-          finalPeriod = 'PM'; // Default to PM
-        }
-      }
-      
-      targetTime = {
-        hour: hour,
-        minute: minute,
-        period: finalPeriod
-      };
-    }
-  }
-  
-  return { targetDate, targetTime };
-}
-
-async function initializeBrowser() {
-  console.log("Initializing Chrome browser with persistent context...");
-  
-  try {
-
-    browserContext = await chromium.launchPersistentContext(userDataDir, {
-      headless: false,
-      channel: 'chrome', 
-      args: [
-        '--start-maximized',
-        '--disable-blink-features=AutomationControlled',
-        '--disable-features=IsolateOrigins,site-per-process',
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-infobars',
-        '--window-position=0,0',
-        '--ignore-certificate-errors',
-        '--ignore-certificate-errors-spki-list',
-        '--user-agent=Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-      ],
-      viewport: null,
-
-      ignoreDefaultArgs: ['--enable-automation'],
-    });
-    
-
-    const pages = browserContext.pages();
-    page = pages.length > 0 ? pages[0] : await browserContext.newPage();
-    
-
-    await page.addInitScript(() => {
-
-      Object.defineProperty(navigator, 'webdriver', {
-        get: () => undefined
-      });
-      
-
-      Object.defineProperty(navigator, 'plugins', {
-        get: () => [1, 2, 3, 4, 5]
-      });
-      
-
-      window.chrome = {
-        runtime: {},
-      };
-      
-      // Override permissions
-      const originalQuery = window.navigator.permissions.query;
-      window.navigator.permissions.query = (parameters) => (
-        parameters.name === 'notifications' ?
-          Promise.resolve({ state: Notification.permission }) :
-          originalQuery(parameters)
-      );
-    });
-    
-    console.log("Chrome browser initialized with persistent context");
-    console.log("User data saved in:", userDataDir);
-    
-
-    
-  } catch (error) {
-    console.error("Failed to initialize browser:", error);
-    throw error;
-  }
-}
-
-async function closeBrowser() {
-  console.log("Closing browser...");
-  try {
-    if (browserContext) {
-      await browserContext.close();
-      browserContext = null;
-      page = null;
-    }
-    console.log("Browser closed successfully");
-  } catch (error) {
-    console.error("Error closing browser:", error);
-  }
-}
-
-async function ensureBrowserOpen() {
-  try {
-
-    if (browserContext && !browserContext.isConnected?.()) {
-      console.log('Browser context disconnected, reinitializing...');
-      browserContext = null;
-      page = null;
-    }
-    
-
-    if (page && page.isClosed?.()) {
-      console.log('Page was closed, creating new page...');
-      page = null;
-    }
-    
-    if (!browserContext || !page) {
-      await initializeBrowser();
-    }
-    
-
-    if (page) {
-      try {
-        await page.evaluate(() => document.readyState);
-      } catch (e) {
-        console.log('Page not responsive, creating new page...');
-        page = await browserContext.newPage();
-        
-        // Re-add init script to new page
-        await page.addInitScript(() => {
-          Object.defineProperty(navigator, 'webdriver', {
-            get: () => undefined
-          });
-          Object.defineProperty(navigator, 'plugins', {
-            get: () => [1, 2, 3, 4, 5]
-          });
-          window.chrome = { runtime: {} };
-        });
-      }
-    }
-  } catch (error) {
-    console.error('Error ensuring browser is open:', error);
-   
-    browserContext = null;
-    page = null;
-    await initializeBrowser();
-  }
-}
-
-// Create LangChain tools
-const tools = [
- 
-  new DynamicStructuredTool({
-    name: "open_new_tab",
-    description: "Opens a new tab in the user's Chrome browser with the specified URL. Use this for opening Google services like Sheets, Docs, Gmail, etc., any URL, or Google searches.",
-    schema: z.object({
-      service: z.string().optional().describe("The Google service name (e.g., 'sheets', 'docs', 'gmail') or 'new docs', 'new sheets' to create new documents"),
-      url: z.string().optional().describe("Direct URL to open (if not a Google service)"),
-      search: z.string().optional().describe("Search query to google (will be automatically formatted into a Google search URL)")
-    }),
-    func: async ({ service, url, search }) => {
-      let finalUrl = url;
-      let serviceName = service;
-      
-
-      if (search && !url && !service) {
-        finalUrl = `https://www.google.com/search?q=${encodeURIComponent(search)}`;
-        serviceName = `Google Search: ${search}`;
-      }
-      
-  
-      if (service && !url && !search) {
-        const lowerService = service.toLowerCase();
-        
-     
-        if (lowerService.startsWith('new ')) {
-          const docType = lowerService.replace('new ', '');
-          if (CREATE_NEW_URLS[docType]) {
-            finalUrl = CREATE_NEW_URLS[docType];
-            serviceName = `New ${docType.charAt(0).toUpperCase() + docType.slice(1)}`;
-          }
-        } else if (GOOGLE_SERVICES[lowerService]) {
-          finalUrl = GOOGLE_SERVICES[lowerService];
-          serviceName = lowerService.charAt(0).toUpperCase() + lowerService.slice(1);
-        } else if (lowerService === 'google') {
-          finalUrl = 'https://www.google.com';
-          serviceName = 'Google';
-        }
-      }
-      
-      if (!finalUrl) {
-        throw new Error("Please provide either a service name, URL, or search query");
-      }
-      
-      // Create a unique request ID
-      const requestId = Date.now().toString();
-      
-      
-      pendingTabRequests.set(requestId, {
-        url: finalUrl,
-        serviceName,
-        status: 'pending'
-      });
-      
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-
-      const request = pendingTabRequests.get(requestId);
-      if (request && request.status === 'completed') {
-        pendingTabRequests.delete(requestId);
-        return `Task completed successfully! I have opened ${serviceName || finalUrl} in a new tab for you.`;
-      }
-      
-      return `Task completed! I have requested to open ${serviceName || finalUrl} in a new tab.`;
-    }
-  }),
-
- 
-  new DynamicStructuredTool({
-    name: "navigate_browser",
-    description: "Open a URL in a new tab in the current browser window. Use this to navigate to any website in your actual Chrome browser.",
-    schema: z.object({
-      url: z.string().describe("The URL to navigate to")
-    }),
-    func: async ({ url }) => {
-    
-      const requestId = Date.now().toString();
-      
- 
-      pendingTabRequests.set(requestId, {
-        url: url,
-        serviceName: url,
-        status: 'pending'
-      });
-      
- 
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      
-      const request = pendingTabRequests.get(requestId);
-      if (request && request.status === 'completed') {
-        pendingTabRequests.delete(requestId);
-        return `Successfully opened ${url} in a new tab in your current browser window.`;
-      }
-      
-      return `Requested to open ${url} in a new tab in your current browser window.`;
-    }
-  }),
-
-  //Tool for creating calendar events
-  new DynamicStructuredTool({
-    name: "create_calendar_event",
-    description: "Create a Google Calendar event with title and optional date/time. This requires browser automation.",
-    schema: z.object({
-      title: z.string().describe("The title of the calendar event"),
-      dateTime: z.string().optional().describe("The date and time of the event (e.g., 'tomorrow at 2pm', 'next Monday at noon')")
-    }),
-    func: async ({ title, dateTime }) => {
-      await ensureBrowserOpen();
-      if (!page) throw new Error("Browser not initialized");
-      
-      try {
-        console.log(`Creating calendar event: "${title}"${dateTime ? ` at ${dateTime}` : ''}`);
-        
-        // Navigate to Google Calendar
-        await page.goto('https://calendar.google.com', { 
-          waitUntil: 'domcontentloaded',
-          timeout: 1000 // CHANGE THIS
-        });
-        console.log('Navigated to Google Calendar');
-        
-        // Wait for page to load - reduced wait time
-        await page.waitForTimeout(1000);
-        await page.waitForLoadState('networkidle', { timeout: 1000 }).catch(() => {
-          console.log('Network idle timeout - proceeding anyway');
-        });
-        
-        // Step 1: Select Create (same way its being done now)
-        try {
-          await page.getByRole('button', { name: 'Create' }).click();
-          console.log('✓ Clicked Create button');
-        } catch (e) {
-          // Fallback to keyboard shortcut
-          console.log('Using keyboard shortcut "c"');
-          await page.keyboard.press('c');
-        }
-        
-        await page.waitForTimeout(500); 
-        
-        // Step 2: Select Event (same way its being done now)
-        try {
-          await page.getByRole('menuitem', { name: 'Event' }).click();
-          console.log('✓ Selected Event option');
-          await page.waitForTimeout(500); 
-        } catch (e) {
-          console.log('Event option not needed or already selected');
-        }
-        
-        await page.waitForTimeout(500); 
-        
-        // Step 3: Type the event title immediately after selecting Event
-        await page.keyboard.type(title);
-        console.log(`✓ Typed event title: "${title}"`);
-        await page.waitForTimeout(500); 
-        
-        // Step 4: Type tab
-        await page.keyboard.press('Tab');
-        console.log('✓ Pressed Tab (1)');
-        await page.waitForTimeout(500); 
-        
-        // Step 5: Type tab
-        await page.keyboard.press('Tab');
-        console.log('✓ Pressed Tab (2)');
-        await page.waitForTimeout(500); 
-        
-        // Step 6: Type enter (take advantage of Google's built-in language processing)
-        await page.keyboard.press('Enter');
-        console.log('✓ Pressed Enter (activating natural language processing)');
-        await page.waitForTimeout(500); 
-        
-        // Step 7: Type the date in "MONTH, DAY, YEAR" format
-        if (dateTime) {
-          const { targetDate } = parseDateTimeString(dateTime);
-          
-          if (targetDate) {
-            // Format date as "MONTH, DAY, YEAR" as specified
-            const monthName = targetDate.toLocaleDateString('en-US', { month: 'long' });
-            const day = targetDate.getDate();
-            const year = targetDate.getFullYear();
-            const formattedDate = `${monthName}, ${day}, ${year}`;
-            
-            await page.keyboard.type(formattedDate);
-            console.log(`✓ Typed date: "${formattedDate}"`);
-          }
-        }
-        await page.waitForTimeout(500); 
-        
-      
-        await page.keyboard.press('Tab');
-        console.log('✓ Pressed Tab (3) - moving to start time field');
-        await page.waitForTimeout(500); 
-        
- 
-        if (dateTime) {
-          const { targetTime } = parseDateTimeString(dateTime);
-          if (targetTime) {
-            const startTimeString = `${targetTime.hour}:${targetTime.minute.toString().padStart(2, '0')} ${targetTime.period}`;
-            await page.keyboard.type(startTimeString);
-            console.log(`✓ Typed start time: "${startTimeString}"`);
-          }
-        }
-        await page.waitForTimeout(500);
-        
-      
-        await page.keyboard.press('Tab');
-        console.log('✓ Pressed Tab (4) - moving to end time field');
-        await page.waitForTimeout(500); 
-        
-
-        if (dateTime) {
-          const { targetTime } = parseDateTimeString(dateTime);
-          if (targetTime) {
-
-            let endHour = targetTime.hour;
-            let endPeriod = targetTime.period;
-            
-            if (endHour === 12 && targetTime.period === 'AM') {
-              endHour = 1;
-              endPeriod = 'AM';
-            } else if (endHour === 11 && targetTime.period === 'AM') {
-              endHour = 12;
-              endPeriod = 'PM';
-            } else if (endHour === 12 && targetTime.period === 'PM') {
-              endHour = 1;
-              endPeriod = 'PM';
-            } else if (endHour === 11 && targetTime.period === 'PM') {
-              endHour = 12;
-              endPeriod = 'AM';
-            } else if (targetTime.period === 'AM') {
-              endHour = endHour + 1;
-            } else {
-              endHour = endHour + 1;
-            }
-            
-            const endTimeString = `${endHour}:${targetTime.minute.toString().padStart(2, '0')} ${endPeriod}`;
-            await page.keyboard.type(endTimeString);
-            console.log(`✓ Typed end time: "${endTimeString}"`);
-          }
-        }
-        await page.waitForTimeout(500); 
-        
-
-        for (let i = 0; i < 10; i++) {
-          await page.keyboard.press('Tab');
-          console.log(`✓ Pressed Tab (${5 + i})`);
-          await page.waitForTimeout(500); 
-        }
-        
-
-        await page.keyboard.press('Enter');
-        console.log('✓ Pressed Enter (adding the event)');
-        
-
-        await page.waitForTimeout(1000); 
-
- 
-        await closeBrowser();
-        console.log('✓ Browser closed after event creation');
-        
-        return `Successfully created calendar event: "${title}"${dateTime ? ` at ${dateTime}` : ''}`;
-        
-      } catch (error) {
-        console.error('Error creating calendar event:', error);
-
-        await closeBrowser();
-        throw error;
-      }
-    }
-  }),
-
-  // Additional browser automation tools
-
-  new DynamicStructuredTool({
-    name: "take_screenshot",
-    description: "Take a screenshot of the current browser tab using Chrome Extension API",
-    schema: z.object({}),
-    func: async () => {
-      try {
-  
-        const requestId = Date.now().toString();
-        
-
-        pendingTabRequests.set(requestId, {
-          action: 'screenshot',
-          status: 'pending'
-        });
-        
-
-        let attempts = 0;
-        const maxAttempts = 10; 
-        
-        while (attempts < maxAttempts) {
-          await new Promise(resolve => setTimeout(resolve, 500));
-          
-          const request = pendingTabRequests.get(requestId);
-          if (request && request.status === 'completed') {
-            pendingTabRequests.delete(requestId);
-            
-            if (request.error) {
-              throw new Error(request.error);
-            }
-            
-            if (request.success && request.filename) {
-              return `Screenshot taken successfully and saved to Downloads folder as "${request.filename}"`;
-            }
-            
-            return `Screenshot taken successfully using Chrome Extension API`;
-          }
-          attempts++;
-        }
-        
-
-        pendingTabRequests.delete(requestId);
-        throw new Error('Screenshot request timed out - make sure the Chrome extension is active');
-        
-      } catch (error) {
-        console.error('Error taking screenshot:', error);
-        throw new Error(`Failed to take screenshot: ${error.message}`);
-      }
-    }
-  }),
-
-  new DynamicStructuredTool({
-    name: "wait",
-    description: "Wait for a specified number of milliseconds",
-    schema: z.object({
-      milliseconds: z.number().describe("Number of milliseconds to wait")
-    }),
-    func: async ({ milliseconds }) => {
-      await new Promise(resolve => setTimeout(resolve, milliseconds));
-      return `Waited for ${milliseconds}ms`;
-    }
-  }),
-
-
-
-
-
-
-  // Tool for sending emails via Gmail
-  new DynamicStructuredTool({
-    name: "send_email",
-    description: "Send an email through Gmail using browser automation. This tool will open Gmail, compose an email with the specified recipient and request, generate an appropriate subject and body, and send it.",
-    schema: z.object({
-      recipientEmail: z.string().describe("The email address to send to (e.g., 'example@gmail.com')"),
-      request: z.string().describe("What the email is requesting or about (e.g., 'requesting a meeting next week', 'asking for project update')")
-    }),
-    func: async ({ recipientEmail, request }) => {
-      await ensureBrowserOpen();
-      if (!page) throw new Error("Browser not initialized");
-      
-      try {
-        console.log(`Sending email to: ${recipientEmail} about: ${request}`);
-        
-        // Check if logged into Gmail
-        const hasStoredSession = fs.existsSync(path.join(userDataDir, 'Default'));
-        if (!hasStoredSession) {
-          throw new Error("Not logged into Gmail. Please log in first using the Google login tool.");
-        }
-        
-        // Navigate to Gmail
-        await page.goto('https://mail.google.com/mail/', { 
-          waitUntil: 'domcontentloaded',
-          timeout: 30000
-        });
-        
-        // Wait for Gmail to load - wait for compose button
-        await page.waitForTimeout(3000);
-        
-        // Click compose button - try multiple selectors
-        try {
-          // Try the common compose button selectors
-          const composeClicked = await page.evaluate(() => {
-            // Look for compose button by text content
-            const buttons = Array.from(document.querySelectorAll('div[role="button"], button'));
-            const composeButton = buttons.find(btn => {
-              const text = btn.textContent?.toLowerCase() || '';
-              return text.includes('compose') || text.includes('new');
-            });
-            
-            if (composeButton) {
-              composeButton.click();
-              return true;
-            }
-            
-            // Try common Gmail compose button classes/attributes
-            const selectors = [
-              '[gh="cm"]', // Gmail's compose button attribute
-              '.T-I.T-I-KE.L3', // Common compose button class
-              '.T-I.J-J5-Ji.T-I-KE.L3', // Another common class
-              'div[jsaction*="compose"]' // Action-based selector
-            ];
-            
-            for (const selector of selectors) {
-              const el = document.querySelector(selector);
-              if (el) {
-                el.click();
-                return true;
-              }
-            }
-            
-            return false;
-          });
-          
-          if (!composeClicked) {
-            // Fallback to keyboard shortcut
-            console.log('Using keyboard shortcut "c" for compose');
-            await page.keyboard.press('c');
-          }
-          
-          console.log('✓ Opened compose window');
-        } catch (e) {
-          console.log('Using keyboard shortcut for compose');
-          await page.keyboard.press('c');
-        }
-        
-        // Wait for compose window to open
-        await page.waitForTimeout(2000);
-        
-        // Fill in the recipient - the To field should be focused
-        await page.keyboard.type(recipientEmail);
-        console.log(`✓ Entered recipient: ${recipientEmail}`);
-        
-        // Press Enter to confirm the email address in Gmail
-        await page.keyboard.press('Enter');
-        await page.waitForTimeout(500);
-        
-        // Now Tab to subject field
-        await page.keyboard.press('Tab');
-        await page.waitForTimeout(500);
-        
-        // Generate subject using LLM
-        const subjectPrompt = `Generate a concise, professional email subject line for an email that is ${request}. Keep it under 10 words. Only return the subject line, nothing else.`;
-        const subjectResponse = await llm.invoke([
-          new SystemMessage("You are a helpful assistant that generates email subject lines."),
-          new HumanMessage(subjectPrompt)
-        ]);
-        const subject = subjectResponse.content.trim().replace(/^["']|["']$/g, ''); // Remove quotes if present
-        
-        await page.keyboard.type(subject);
-        console.log(`✓ Entered subject: ${subject}`);
-        
-        // Tab to body field
-        await page.keyboard.press('Tab');
-        await page.waitForTimeout(500);
-        
-        // Generate email body using LLM
-        const bodyPrompt = `Write a professional email body for ${request}. 
-        Keep it concise, polite, and to the point. 
-        Include a proper greeting and sign-off.
-        Do not include a subject line or email headers.
-        Keep it under 150 words.`;
-        
-        const bodyResponse = await llm.invoke([
-          new SystemMessage("You are a helpful assistant that writes professional emails."),
-          new HumanMessage(bodyPrompt)
-        ]);
-        const emailBody = bodyResponse.content.trim();
-        
-        // Type the email body
-        await page.keyboard.type(emailBody);
-        console.log('✓ Entered email body');
-        
-        // Wait a moment before sending
-        await page.waitForTimeout(1000);
-        
-        // Send the email using Ctrl+Enter (Windows/Linux) or Cmd+Enter (Mac)
-        const isMac = process.platform === 'darwin';
-        if (isMac) {
-          await page.keyboard.down('Meta');
-          await page.keyboard.press('Enter');
-          await page.keyboard.up('Meta');
-        } else {
-          await page.keyboard.down('Control');
-          await page.keyboard.press('Enter');
-          await page.keyboard.up('Control');
-        }
-        
-        console.log('✓ Email sent successfully');
-        
-        // Wait for confirmation
-        await page.waitForTimeout(2000);
-        
-        // Close the browser
-        await closeBrowser();
-        console.log('✓ Browser closed after sending email');
-        
-        return `Successfully sent email to ${recipientEmail} with subject "${subject}" regarding: ${request}`;
-        
-      } catch (error) {
-        console.error('Error sending email:', error);
-        await closeBrowser();
-        throw new Error(`Failed to send email: ${error.message}`);
-      }
-    }
-  })
-];
-
+// Provider, base URL, model and temperature come from helper/.env, see llm.js
+const llm = createChatModel('agent');
 
 
+const toolRegistry = await loadToolRegistry(path.join(__dirname, 'tools'));
 
 
 // LLM PROMPT HERE
@@ -897,185 +128,326 @@ When the user asks to open a Google service, website, or search for something, u
 IMPORTANT SEARCH DETECTION: If the user's request contains words like "google", "search", "look up", "find", or asks about something they want to search for, use the 'search' parameter in open_new_tab tool.
 
 When the user asks to send an email, use the send_email tool. Examples:
-- "Send an email to example@gmail.com requesting a meeting" → use send_email with recipientEmail: "example@gmail.com" and request: "requesting a meeting"
-- "Email john@company.com asking for the project update" → use send_email with recipientEmail: "john@company.com" and request: "asking for the project update"
-- "Send a message to alice@example.com about the deadline extension" → use send_email with recipientEmail: "alice@example.com" and request: "about the deadline extension"
+- "Send an email to example@gmail.com requesting a meeting" → use send_email with to: ["example@gmail.com"] and request: "requesting a meeting"
+- "Email john@company.com asking for the project update" → use send_email with to: ["john@company.com"] and request: "asking for the project update"
+- "Email Sarah and the design team about the launch, cc Bob" → use send_email with to: ["Sarah", "the design team"], cc: ["Bob"] and request: "about the launch"
+- "Draft an email to bob@example.com declining the offer" → use send_email with to: ["bob@example.com"], request: "declining the offer" and draft: true
+
+Recipients may be email addresses or names and groups from the user's address book. Pass names exactly as the user said them, never make up email addresses; send_email looks them up and asks the user when a name is ambiguous.
 
 The send_email tool will automatically:
 1. Open Gmail in the browser
 2. Compose a new email
 3. Generate an appropriate subject line based on the request
 4. Generate a professional email body
-5. Send the email
+5. Send the email, or save it to Gmail's Drafts when draft is true or the user's settings say so. Its message says which, tell the user where to find a draft
 6. Close the browser
 
+When the user asks to reply to an email they received ("reply to Mark's last email saying I'll join Thursday"), use reply_to_email, not send_email. Pass the sender as "from" as the user said it, words of the subject as "subject" if they mention it, and what to say as "request" (e.g. from: "Mark", request: "I'll join Thursday"). Set replyAll: true only when they say "reply all" or to reply to everyone, and draft: true when they ask for a draft. The tool finds the newest matching email and writes the reply from the thread, don't look the email up first.
+
+When the user asks what they missed or about their unread email ("what did I miss?", "anything urgent in my inbox?"), use summarize_inbox. Pass scope "recent" only when they ask about their latest emails whether read or not, and a limit only when they give a number. Its message is the summary, answer from it in the Final Answer. It only reads the inbox, never reply to or act on the emails unless the user asks.
+
 When the user asks to create calendar events or perform complex automation, use the browser automation tools like create_calendar_event.
 
+Pass dates and times to the calendar tools in the user's own words and language, don't convert them (e.g. "12/05", "morgen um 14 Uhr"). They are read with the user's date format settings, which know whether the day or the month comes first.
+
+When the user asks what is on their calendar or whether they are free ("what's on my calendar tomorrow?", "am I free Thursday afternoon?"), use list_calendar_events with the day or range as "when". Its message lists the events, answer from it in the Final Answer: summarize the events, or say whether the time is free. Events marked [free] don't block the time.
+
+When the user asks to move, rename or cancel an existing event, use reschedule_calendar_event, rename_calendar_event or delete_calendar_event. Pass the words of the event's title as "event" and, if the user said which day it is on, that day as "when" (e.g. "move my dentist appointment tomorrow to friday 3pm": event "dentist", when "tomorrow", newDateTime "friday 3pm"). When several events match, the user is asked which one is meant, don't list the events first.
+
+When the user asks to import a calendar (.ics) file they dropped on the chat, use import_calendar_events with the file's name.
+
 For ANY search queries or requests to "google" something, always use the open_new_tab tool with the search parameter.
 
 Always prefer opening a new tab for navigation and search requests. Only use browser automation when you need to interact with page elements or fill forms.
 
-CRITICAL: When any tool returns a message containing "Task completed successfully!" or "Successfully", you MUST IMMEDIATELY stop and provide a Final Answer. Do NOT repeat the same action. Do NOT continue thinking about alternative approaches. The task is DONE.`;
+Tool results are JSON objects with a "status" of "success", "error" or "cancelled", a "message" and some "data":
+- "success": that step is done. Continue with the next part of the request, or give the Final Answer when everything is done.
+- "error": explain the problem in the Final Answer, or try a different tool or input if one fits better.
+- "cancelled": the user declined the action. Do NOT retry it. Give a Final Answer saying it was not done.
 
-  const agent = await initializeAgentExecutorWithOptions(tools, llm, {
+The conversation so far is included before the latest request. Use it to resolve follow-ups: "actually make it 3pm" means redo the previous calendar event with the new time, "send the same email to Bob" means reuse the previous request with the new recipient. Earlier tool results show what was already done, reuse their titles, dates and recipients instead of asking again.
+
+CRITICAL: Never repeat a tool call with the same input. A request like "open gmail and take a screenshot" needs two different tool calls, after that the task is DONE.`;
+
+  const agent = await initializeAgentExecutorWithOptions(toolRegistry.getLangChainTools(), llm, {
     agentType: "structured-chat-zero-shot-react-description",
     verbose: true,
-    maxIterations: 2, // Reduced from 5 to prevent loops
+    // Repeated calls are stopped by the completion guard, so multi-step requests get room
+    maxIterations: 8,
     returnIntermediateSteps: true,
-    earlyStoppingMethod: "force", // Changed from "generate" to "force"
+    earlyStoppingMethod: "force",
     handleParsingErrors: true,
     agentArgs: {
       prefix: systemMessage,
-      suffix: `REMEMBER: If a tool returns "Task completed successfully!" or any success message, you MUST immediately respond with a Final Answer confirming the task is done. Do NOT repeat the action.`
+      memoryPrompts: [new MessagesPlaceholder("chat_history")],
+      suffix: `REMEMBER: Each tool returns a JSON result with "status", "message" and "data". When every part of the request has a "success" result, respond with a Final Answer based on the messages. Never call a tool again with the same input.`
     }
   });
   
-  // Custom wrapper to detect successful completions and force stop
-  const originalCall = agent.call.bind(agent);
-  agent.call = async function(inputs, ...args) {
-    let result = await originalCall(inputs, ...args);
-    
-    // Check if any intermediate step contains a successful completion
-    if (result.intermediateSteps && result.intermediateSteps.length > 0) {
-      const successfulSteps = result.intermediateSteps.filter(step => 
-        step.observation && (
-          step.observation.includes("Task completed successfully") ||
-          step.observation.includes("Successfully opened") ||
-          step.observation.includes("Successfully created") ||
-          step.observation.includes("Successfully sent")
-        )
-      );
-      
-      // If we found a successful step, use its observation as the output
-      if (successfulSteps.length > 0) {
-        const firstSuccess = successfulSteps[0];
-        result.output = firstSuccess.observation;
-        
-        // Remove any duplicate steps after the first success
-        const firstSuccessIndex = result.intermediateSteps.indexOf(firstSuccess);
-        result.intermediateSteps = result.intermediateSteps.slice(0, firstSuccessIndex + 1);
-      }
-    }
-    
-    // Handle max iterations error
-    if (result.output && result.output.includes("Agent stopped due to max iterations") && 
-        result.intermediateSteps && result.intermediateSteps.length > 0) {
-      const lastStep = result.intermediateSteps[result.intermediateSteps.length - 1];
-      if (lastStep.observation && lastStep.observation.includes("Task completed")) {
-        result.output = lastStep.observation;
-      }
-    }
-    
-    return result;
-  };
-  
-  return agent;
+  // Completion is decided from the tools' structured results (see agent-guard.js)
+  return installCompletionGuard(agent);
 }
 
+const CALENDAR_API_TOOLS = new Set(['list_calendar_events', 'reschedule_calendar_event', 'rename_calendar_event', 'delete_calendar_event', 'import_calendar_events']);
 
-app.post("/invoke", async (req, res) => {
-  try {
-    const { prompt, debug = false } = req.body;
-    
-    if (!prompt) {
-      return res.status(400).json({ error: "Prompt is required" });
-    }
-    
-    console.log(`\nReceived prompt: ${prompt}`);
-    if (debug) console.log('Debug mode enabled');
-    
-
-    if (prompt.toLowerCase().includes('calendar') || prompt.toLowerCase().includes('event')) {
+function requiresLogin(prompt) {
+  // These tools go through the Calendar API, not the browser session
+  if (CALENDAR_API_TOOLS.has(parseToolCommand(prompt)?.toolName)) {
+    return false;
+  }
+  // New events are created through the Calendar API or saved as .ics files
+  if (!selectCalendarBackend().backend.needsBrowser) {
+    return false;
+  }
+  const lowerPrompt = prompt.toLowerCase();
+  if (!lowerPrompt.includes('calendar') && !lowerPrompt.includes('event')) {
+    return false;
+  }
+  return !hasStoredSession();
+}
 
-      const hasStoredSession = fs.existsSync(path.join(userDataDir, 'Default'));
-      if (!hasStoredSession) {
-        return res.json({
-          success: false,
-          error: "Not logged into Google Calendar. Please log in first.",
-          needsLogin: true
-        });
-      }
+// Runs a single prompt. "@tool_name ..." prompts run that tool directly, everything else
+// goes through the agent. Tools can reach the request (e.g. to ask for approval or check
+// for cancellation) through the run context.
+async function runAgent(prompt, chatHistory, { runId, signal, callbacks = [], emit } = {}) {
+  return runWithContext({ runId, prompt, emit, signal }, async () => {
+    const command = parseToolCommand(prompt);
+    if (command) {
+      return await runToolCommand(toolRegistry, command, { llm, callbacks });
     }
     
-
     const agent = await createAgent();
-    const result = await agent.call({ input: prompt });
-    
+    const result = await agent.call({
+      input: prompt,
+      chat_history: buildChatHistory(chatHistory, prompt),
+      signal
+    }, callbacks);
     console.log("Agent execution completed");
-    
+    return result;
+  });
+}
 
-    await closeBrowser();
+// Job runner, the job's error message is what the chat shows
+async function runJob(job, { signal, emit }) {
+  try {
+    const result = await runAgent(job.prompt, job.input.chatHistory, {
+      runId: job.id,
+      signal,
+      emit,
+      callbacks: createProgressCallbacks(emit)
+    });
     
-    res.json({
-      success: true,
+    return {
       result: result.output,
       intermediateSteps: result.intermediateSteps || [],
-      output: result.output
-    });
-    
+      toolResults: summarizeSteps(result.intermediateSteps)
+    };
   } catch (error) {
+    if (error instanceof ToolCommandError || signal.aborted) throw error;
+    
     console.error("Error executing agent:", error);
+    throw new Error(`Failed to execute agent: ${error.message}`);
+  }
+}
 
-    await closeBrowser();
-    res.status(500).json({ 
-      error: "Failed to execute agent",
-      details: error.message 
+const jobs = createJobQueue(runJob);
+
+app.post("/invoke", (req, res) => {
+  const { prompt, chatHistory = [], debug = false } = req.body;
+  
+  if (!prompt) {
+    return res.status(400).json({ error: "Prompt is required" });
+  }
+  
+  console.log(`\nReceived prompt: ${prompt}`);
+  if (debug) console.log('Debug mode enabled');
+  
+  if (requiresLogin(prompt)) {
+    return res.json({
+      success: false,
+      error: "Not logged into Google Calendar. Please log in first.",
+      needsLogin: true
     });
   }
+  
+  const job = jobs.enqueue({ prompt, input: { chatHistory } });
+  
+  res.status(202).json({ success: true, jobId: job.id, status: job.status });
 });
 
 
-app.get("/tab-requests", (req, res) => {
-  const requests = Array.from(pendingTabRequests.entries()).map(([id, data]) => ({
-    id,
-    ...data
-  }));
+app.get("/jobs/:id", (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: "Job not found" });
+  }
+  
+  res.json({ ...job, pendingApprovals: listPendingApprovals(job.id) });
+});
+
+app.post("/jobs/:id/cancel", (req, res) => {
+  const job = jobs.cancel(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: "Job not found" });
+  }
   
-  res.json({ requests });
+  // Tools waiting for approval give up instead of waiting for the timeout
+  cancelApprovalsForRun(job.id);
+  res.json({ success: true, job });
 });
 
 
-app.post("/tab-requests/:id/complete", (req, res) => {
-  const { id } = req.params;
-  const { dataUrl, error, success, filename, downloadId } = req.body;
+// Same as /invoke, but reports each agent step as a Server-Sent Event while it runs
+app.post("/invoke/stream", async (req, res) => {
+  const { prompt, chatHistory = [] } = req.body;
   
-  if (pendingTabRequests.has(id)) {
-    const request = pendingTabRequests.get(id);
-    request.status = 'completed';
-    
+  if (!prompt) {
+    return res.status(400).json({ error: "Prompt is required" });
+  }
+  
+  console.log(`\nReceived streaming prompt: ${prompt}`);
+  
+  let jobId = null;
+  const sendEvent = openEventStream(res, {
+    // Nobody is left to answer, so tools waiting for approval give up
+    onClose: () => { if (jobId) cancelApprovalsForRun(jobId); }
+  });
+  
+  if (requiresLogin(prompt)) {
+    sendEvent('error', {
+      error: "Not logged into Google Calendar. Please log in first.",
+      needsLogin: true
+    });
+    return res.end();
+  }
+  
+  const job = jobs.enqueue({ prompt, input: { chatHistory }, onEvent: sendEvent });
+  jobId = job.id;
+  sendEvent('job', { jobId, status: job.status });
+  
+  sendJobOutcome(sendEvent, await jobs.wait(jobId));
+  res.end();
+});
 
-    if (dataUrl) {
-      request.dataUrl = dataUrl;
-    }
-    
 
-    if (success && filename) {
-      request.success = true;
-      request.filename = filename;
-      request.downloadId = downloadId;
+app.get("/tools", (req, res) => {
+  res.json({ tools: toolRegistry.describe() });
+});
+
+
+app.get("/approvals", (req, res) => {
+  res.json({ approvals: listPendingApprovals() });
+});
+
+// Body: { decision: 'approve' | 'cancel', fields: { ...edited preview fields }, choice: 'id of a picked choice' }
+app.post("/approvals/:id", (req, res) => {
+  const { decision, fields, choice } = req.body;
+  
+  if (decision !== 'approve' && decision !== 'cancel') {
+    return res.status(400).json({ success: false, error: "decision must be 'approve' or 'cancel'" });
+  }
+  
+  try {
+    if (!resolveApproval(req.params.id, { decision, fields, choice })) {
+      return res.status(404).json({ success: false, error: "This request is no longer waiting for approval" });
     }
-    
- 
-    if (error) {
-      request.error = error;
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  
+  res.json({ success: true });
+});
+
+
+app.get("/audit", async (req, res) => {
+  try {
+    const { tool, from, to, limit } = req.query;
+    res.json({ entries: await queryAuditLog({ tool, from, to, limit }) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+
+app.get("/settings", (req, res) => {
+  res.json({ settings: getSettings() });
+});
+
+app.put("/settings", (req, res) => {
+  try {
+    res.json({ success: true, settings: updateSettings(req.body) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.get("/address-book", (req, res) => {
+  res.json({ success: true, ...getAddressBook() });
+});
+
+// Saving a contact or group with the name of an existing one replaces it
+app.post("/address-book/contacts", (req, res) => {
+  try {
+    res.json({ success: true, contact: saveContact(req.body) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.post("/address-book/groups", (req, res) => {
+  try {
+    res.json({ success: true, group: saveGroup(req.body) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete("/address-book/contacts/:id", (req, res) => {
+  try {
+    if (!deleteContact(req.params.id)) {
+      return res.status(404).json({ success: false, error: "Contact not found" });
     }
-    
     res.json({ success: true });
-  } else {
-    res.status(404).json({ error: "Request not found" });
+  } catch (error) {
+    res.status(409).json({ success: false, error: error.message });
   }
 });
 
+app.delete("/address-book/groups/:id", (req, res) => {
+  if (!deleteGroup(req.params.id)) {
+    return res.status(404).json({ success: false, error: "Group not found" });
+  }
+  res.json({ success: true });
+});
 
-app.post("/auth/google-login", async (req, res) => {
+app.post("/uploads", express.text({ type: 'text/*', limit: MAX_UPLOAD_BYTES }), (req, res) => {
   try {
-    await ensureBrowserOpen();
-    
-    if (!page) {
-      return res.status(500).json({ error: "Browser not initialized" });
-    }
-    
+    const { name, receivedAt } = saveUpload(req.query.name, typeof req.body === 'string' ? req.body : '');
+    console.log(`Received dropped file "${name}"`);
+    res.json({ success: true, name, receivedAt });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Files over the size limit are refused by the body parser before the route runs
+app.use("/uploads", (error, req, res, next) => {
+  const message = error.type === 'entity.too.large' ? `The file is larger than ${MAX_UPLOAD_BYTES / 1024 / 1024} MB` : error.message;
+  res.status(error.status ?? 400).json({ success: false, error: message });
+});
+
+
+// Outcome of the last Google login, reported by /auth/status so the client can tell the
+// user when the login window was closed before the login completed
+let loginAttempt = null;
+
+app.post("/auth/google-login", (req, res) => {
+  // The login page stays open in the browser until the login completes, times out or
+  // another request needs the browser
+  withBrowser(async (page) => {
     console.log("Initiating Google login flow...");
+    loginAttempt = { status: 'waiting', message: "Waiting for the Google login to complete" };
 
     await page.goto('https://accounts.google.com');
     
@@ -1086,48 +458,69 @@ app.post("/auth/google-login", async (req, res) => {
     });
     
 
-    monitorLoginCompletion();
-    
-  } catch (error) {
+    await monitorLoginCompletion(page);
+  }).catch(error => {
     console.error("Login error:", error);
-    res.status(500).json({ error: error.message });
-  }
+    if (!res.headersSent) {
+      res.status(500).json({ error: error.message });
+    }
+  });
 });
 
-async function monitorLoginCompletion() {
-  try {
+const LOGIN_TIMEOUT = 5 * 60 * 1000;
 
-    await page.waitForFunction(() => {
-      return window.location.href.includes('myaccount.google.com') || 
-             window.location.href.includes('calendar.google.com') ||
-             (window.location.href.includes('google.com') && !window.location.href.includes('accounts'));
-    }, { timeout: 300000 });
+function isPastLogin(url) {
+  return url.includes('myaccount.google.com') ||
+         url.includes('calendar.google.com') ||
+         (url.includes('google.com') && !url.includes('accounts'));
+}
+
+// Checks the page once a second instead of waiting on it, so queued tools and jobs
+// don't wait for the user to finish logging in. Giving the browser up closes the login
+// window, the outcome is kept in loginAttempt for /auth/status.
+async function monitorLoginCompletion(page) {
+  try {
+    const deadline = Date.now() + LOGIN_TIMEOUT;
+    while (!isPastLogin(page.url())) {
+      if (hasWaitingBrowserTasks()) {
+        console.log("Login monitoring stopped: another request needs the browser");
+        loginAttempt = { status: 'interrupted', message: "The login window was closed because another request needed the browser. Start the login again." };
+        return;
+      }
+      if (Date.now() > deadline) {
+        console.log("Login monitoring stopped: timed out");
+        loginAttempt = { status: 'timed-out', message: "The login was not completed in time. Start the login again." };
+        return;
+      }
+      await page.waitForTimeout(1000);
+    }
     
     console.log("✅ Google login successful!");
+    loginAttempt = { status: 'succeeded', message: "Logged into Google" };
 
     await page.goto('https://calendar.google.com');
     
 
-    setTimeout(async () => {
-      await closeBrowser();
-    }, 5000); 
+    await page.waitForTimeout(5000);
     
   } catch (error) {
     console.log("Login monitoring stopped:", error.message);
-
-    await closeBrowser();
+    if (loginAttempt?.status === 'waiting') {
+      loginAttempt = { status: 'interrupted', message: `The login window was closed: ${error.message}` };
+    }
   }
 }
 
 app.get("/auth/status", async (req, res) => {
   try {
-    const hasStoredSession = fs.existsSync(path.join(userDataDir, 'Default'));
+    const page = getPage();
     
     res.json({ 
-      loggedIn: hasStoredSession, 
+      loggedIn: hasStoredSession(), 
       currentUrl: page ? page.url() : null,
       browserDataDir: userDataDir,
-      browserOpen: !!page
+      browserOpen: !!page,
+      login: loginAttempt
     });
     
   } catch (error) {
@@ -1137,26 +530,21 @@ app.get("/auth/status", async (req, res) => {
 
 app.post("/auth/logout", async (req, res) => {
   try {
-    await ensureBrowserOpen();
-    
-    if (!page) {
-      return res.status(500).json({ error: "Browser not initialized" });
-    }
-    
-    await page.goto('https://accounts.google.com/Logout');
-    
-    setTimeout(async () => {
-      await closeBrowser();
-    }, 3000);
-    
-    res.json({ 
-      success: true, 
-      message: "Logged out of Google" 
+    await withBrowser(async (page) => {
+      await page.goto('https://accounts.google.com/Logout');
+      
+      res.json({ 
+        success: true, 
+        message: "Logged out of Google" 
+      });
+      
+      await page.waitForTimeout(3000);
     });
     
   } catch (error) {
-    await closeBrowser();
-    res.status(500).json({ error: error.message });
+    if (!res.headersSent) {
+      res.status(500).json({ error: error.message });
+    }
   }
 });
 
@@ -1164,45 +552,63 @@ app.post("/browser/navigate", async (req, res) => {
   try {
     const { url } = req.body;
     
-    await ensureBrowserOpen();
-    
-    if (!page) {
-      return res.status(500).json({ error: "Browser not initialized" });
-    }
-    
-    await page.goto(url);
-    
-    setTimeout(async () => {
-      await closeBrowser();
-    }, 3000);
-    
-    res.json({ success: true, url });
+    await withBrowser(async (page) => {
+      await page.goto(url);
+      
+      res.json({ success: true, url });
+      
+      await page.waitForTimeout(3000);
+    });
   } catch (error) {
     console.error("Navigation error:", error);
-    await closeBrowser();
-    res.status(500).json({ error: error.message });
+    if (!res.headersSent) {
+      res.status(500).json({ error: error.message });
+    }
   }
 });
 
 
 
+// Checks the selector registry against the live pages, nothing is saved or sent
+app.get("/diagnostics/selectors", async (req, res) => {
+  const { area } = req.query;
+  if (area && !SELECTOR_AREAS.includes(area)) {
+    return res.status(400).json({ success: false, error: `Unknown area "${area}", use one of: ${SELECTOR_AREAS.join(', ')}` });
+  }
+  if (!hasStoredSession()) {
+    return res.status(400).json({ success: false, error: "Not logged into Google. Please log in first using the Google login tool." });
+  }
+
+  try {
+    const reports = await withBrowser(page => runSelectorDiagnostics(page, { areas: area ? [area] : SELECTOR_AREAS }));
+    res.json({ success: true, reports });
+  } catch (error) {
+    console.error("Selector diagnostics error:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 app.get("/health", (req, res) => {
   res.json({ 
     status: "healthy",
-    browserInitialized: !!browserContext
+    browserInitialized: isBrowserOpen(),
+    extensionConnected: isExtensionConnected(),
+    llm: describeLlmConfig()
   });
 });
 
 process.on("SIGINT", async () => {
   console.log("\nShutting down...");
-  if (browserContext) {
+  if (isBrowserOpen()) {
     await closeBrowser();
   }
   process.exit(0);
 });
 
 const PORT = process.env.PORT || 5185;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Agent server running on http://localhost:${PORT}`);
   console.log("Browser will open on-demand when commands are executed");
-}); 
\ No newline at end of file
+  console.log("LLM configuration:", JSON.stringify(describeLlmConfig()));
+});
+attachExtensionBridge(server);
@@ -0,0 +1,153 @@
+/**
+ * Job queue for agent requests.
+ *
+ * Every prompt becomes a job with an id. POST /invoke returns the id right away and
+ * clients follow it with GET /jobs/:id, /invoke/stream streams the job's events.
+ * Up to JOB_CONCURRENCY jobs (default 2) run at the same time, the rest wait in order.
+ * Browser automation is serialized separately (see withBrowser in browser.js), so
+ * concurrent jobs only wait for each other when they need the browser.
+ *
+ * Job states: queued → running → succeeded | failed | cancelled, with "cancelling" between
+ * running and cancelled
+ *
+ * Cancelling aborts the job's AbortSignal. The agent executor and LLM calls stop on it,
+ * tools check it before they start, and a tool holding the browser has it closed.
+ * A queued job is cancelled right away. A running job stays "cancelling", and keeps its
+ * concurrency slot, until its work has actually stopped; it then ends as cancelled
+ * whatever the work returned. Finished jobs are kept in memory for GET /jobs/:id, the oldest are dropped after
+ * JOB_HISTORY_LIMIT (default 100).
+ */
+
+import { v4 as uuidv4 } from "uuid";
+
+const FINISHED_STATES = ['succeeded', 'failed', 'cancelled'];
+const CANCELLED_ERROR = 'Cancelled by user';
+
+export class JobCancelledError extends Error {
+  constructor(message = 'The request was cancelled') {
+    super(message);
+    this.name = 'JobCancelledError';
+  }
+}
+
+export function isFinished(job) {
+  return FINISHED_STATES.includes(job.status);
+}
+
+/**
+ * run(job, { signal, emit }) does the work and resolves with the job's result.
+ * emit(event, data) forwards progress to whoever enqueued the job (onEvent).
+ */
+export function createJobQueue(run, {
+  concurrency = parseInt(process.env.JOB_CONCURRENCY) || 2,
+  historyLimit = parseInt(process.env.JOB_HISTORY_LIMIT) || 100
+} = {}) {
+  const jobs = new Map();
+  const waiting = [];
+  let running = 0;
+
+  function toJSON(job) {
+    const { id, prompt, status, createdAt, startedAt, finishedAt, result, error } = job;
+    return { id, prompt, status, createdAt, startedAt, finishedAt, result, error };
+  }
+
+  function finish(job, status, fields = {}) {
+    if (isFinished(job)) return;
+    if (job.status === 'cancelling') {
+      status = 'cancelled';
+      fields = { error: CANCELLED_ERROR };
+    }
+
+    Object.assign(job, fields, { status, finishedAt: new Date().toISOString() });
+    console.log(`Job ${job.id} ${status}`);
+    job.resolveDone(toJSON(job));
+    pruneHistory();
+  }
+
+  function pruneHistory() {
+    const finished = [...jobs.values()].filter(isFinished);
+    for (const job of finished.slice(0, Math.max(0, finished.length - historyLimit))) {
+      jobs.delete(job.id);
+    }
+  }
+
+  async function start(job) {
+    running++;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    const emit = (event, data) => job.onEvent?.(event, data);
+
+    try {
+      const result = await run(job, { signal: job.controller.signal, emit });
+      finish(job, 'succeeded', { result });
+    } catch (error) {
+      finish(job, 'failed', { error: error.message });
+    } finally {
+      running--;
+      startNext();
+    }
+  }
+
+  function startNext() {
+    while (running < concurrency && waiting.length > 0) {
+      start(waiting.shift());
+    }
+  }
+
+  return {
+    // input is passed to run() as job.input, onEvent receives the job's progress events
+    enqueue({ prompt, input = {}, onEvent } = {}) {
+      const job = {
+        id: uuidv4(),
+        prompt,
+        input,
+        onEvent,
+        status: 'queued',
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        result: null,
+        error: null,
+        controller: new AbortController()
+      };
+      job.done = new Promise(resolve => { job.resolveDone = resolve; });
+
+      jobs.set(job.id, job);
+      waiting.push(job);
+      startNext();
+      return toJSON(job);
+    },
+
+    get(id) {
+      const job = jobs.get(id);
+      return job ? toJSON(job) : null;
+    },
+
+    // Resolves with the finished job, for callers that want to wait for the outcome
+    wait(id) {
+      return jobs.get(id)?.done;
+    },
+
+    // Returns the job after cancelling, null if unknown. Finished jobs are left as they are.
+    cancel(id) {
+      const job = jobs.get(id);
+      if (!job) return null;
+      if (isFinished(job)) return toJSON(job);
+
+      job.controller.abort(new JobCancelledError());
+      if (job.status === 'queued') {
+        waiting.splice(waiting.indexOf(job), 1);
+        finish(job, 'cancelled', { error: CANCELLED_ERROR });
+      } else {
+        // Finished by start() once the work has stopped
+        job.status = 'cancelling';
+        console.log(`Job ${job.id} cancelling`);
+      }
+      return toJSON(job);
+    },
+
+    list() {
+      return [...jobs.values()].map(toJSON);
+    }
+  };
+}
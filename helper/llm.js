@@ -0,0 +1,93 @@
+/**
+ * LLM provider configuration.
+ *
+ * Chat models are created per role so routing and drafting can use different models:
+ *    - agent: the structured chat agent that picks tools
+ *    - drafting: writing email subjects, bodies and replies, and summarizing the inbox
+ *
+ * Settings come from the environment (helper/.env):
+ *    - LLM_PROVIDER: "openai" (default) or "openai-compatible" for local servers
+ *      such as Ollama, LM Studio, llama.cpp or vLLM
+ *    - LLM_BASE_URL: base URL of the OpenAI-compatible API (e.g. http://localhost:11434/v1)
+ *    - LLM_API_KEY: API key, defaults to OPENAI_API_KEY
+ *    - LLM_MODEL: model name, defaults to gpt-4o-mini
+ *    - LLM_TEMPERATURE: sampling temperature, defaults to 0
+ *
+ * Any of them can be overridden for one role by prefixing the role name,
+ * e.g. DRAFTING_LLM_MODEL=gpt-4o or AGENT_LLM_BASE_URL=http://localhost:1234/v1.
+ */
+
+import { ChatOpenAI } from "@langchain/openai";
+
+const PROVIDERS = ['openai', 'openai-compatible'];
+export const LLM_ROLES = ['agent', 'drafting'];
+
+const DEFAULTS = {
+  provider: 'openai',
+  model: 'gpt-4o-mini',
+  temperature: 0
+};
+
+function readSetting(role, name) {
+  const roleValue = process.env[`${role.toUpperCase()}_LLM_${name}`];
+  if (roleValue !== undefined && roleValue !== '') return roleValue;
+
+  const sharedValue = process.env[`LLM_${name}`];
+  if (sharedValue !== undefined && sharedValue !== '') return sharedValue;
+
+  return undefined;
+}
+
+export function getLlmConfig(role = 'agent') {
+  if (!LLM_ROLES.includes(role)) {
+    throw new Error(`Unknown LLM role "${role}". Expected one of: ${LLM_ROLES.join(', ')}`);
+  }
+
+  const provider = (readSetting(role, 'PROVIDER') || DEFAULTS.provider).toLowerCase();
+  if (!PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown LLM provider "${provider}" for ${role}. Expected one of: ${PROVIDERS.join(', ')}`);
+  }
+
+  const baseURL = readSetting(role, 'BASE_URL');
+  if (provider === 'openai-compatible' && !baseURL) {
+    throw new Error(`LLM_BASE_URL (or ${role.toUpperCase()}_LLM_BASE_URL) is required for the openai-compatible provider`);
+  }
+
+  const temperatureSetting = readSetting(role, 'TEMPERATURE');
+  const temperature = temperatureSetting === undefined ? DEFAULTS.temperature : parseFloat(temperatureSetting);
+  if (Number.isNaN(temperature)) {
+    throw new Error(`Invalid LLM temperature "${temperatureSetting}" for ${role}`);
+  }
+
+  // Local servers generally ignore the key but the OpenAI client refuses to start without one
+  const apiKey = readSetting(role, 'API_KEY') || process.env.OPENAI_API_KEY ||
+    (provider === 'openai-compatible' ? 'not-needed' : undefined);
+
+  return {
+    role,
+    provider,
+    baseURL,
+    apiKey,
+    model: readSetting(role, 'MODEL') || DEFAULTS.model,
+    temperature
+  };
+}
+
+export function createChatModel(role = 'agent') {
+  const config = getLlmConfig(role);
+
+  return new ChatOpenAI({
+    modelName: config.model,
+    temperature: config.temperature,
+    openAIApiKey: config.apiKey,
+    configuration: config.baseURL ? { baseURL: config.baseURL } : undefined
+  });
+}
+
+// Config without secrets, for logs and the health endpoint
+export function describeLlmConfig() {
+  return Object.fromEntries(LLM_ROLES.map(role => {
+    const { provider, baseURL, model, temperature } = getLlmConfig(role);
+    return [role, { provider, baseURL: baseURL || null, model, temperature }];
+  }));
+}
@@ -0,0 +1,79 @@
+/**
+ * Progress events of /invoke/stream.
+ *
+ * A streamed job reports what the agent does as Server-Sent Events:
+ *
+ *    event: job            { jobId, status }
+ *    event: log            { message }             the agent's thought before a tool call
+ *    event: tool-start     { tool, input }
+ *    event: tool-end       { tool, status, output, data } or { tool, error }
+ *    event: final-answer   { result, intermediateSteps, toolResults }
+ *    event: error          { error, cancelled, needsLogin? }
+ *
+ * Tools also emit their own events through the run context (approval-required,
+ * approval-resolved, see approvals.js), they are written the same way.
+ */
+
+import { parseToolResult } from "./tool-result.js";
+
+// Translates LangChain callbacks into progress events
+export function createProgressCallbacks(sendEvent) {
+  const toolNames = new Map();
+  let pendingTool = null;
+
+  return [{
+    handleAgentAction(action) {
+      pendingTool = action.tool;
+      const thought = (action.log || '').split(/Action:|```/)[0].trim();
+      if (thought) {
+        sendEvent('log', { message: thought });
+      }
+    },
+    handleToolStart(tool, input, runId, parentRunId, tags, metadata, runName) {
+      const name = runName || pendingTool || tool?.id?.[tool.id.length - 1] || 'tool';
+      toolNames.set(runId, name);
+      sendEvent('tool-start', { tool: name, input });
+    },
+    handleToolEnd(output, runId) {
+      const { status, message, data } = parseToolResult(output);
+      sendEvent('tool-end', { tool: toolNames.get(runId), status, output: message, data });
+      toolNames.delete(runId);
+    },
+    handleToolError(error, runId) {
+      sendEvent('tool-end', { tool: toolNames.get(runId), error: error.message });
+      toolNames.delete(runId);
+    }
+  }];
+}
+
+/**
+ * Starts an event stream on an HTTP response and returns sendEvent(event, data).
+ * Events sent after the client went away are dropped, onClose is called when it does.
+ */
+export function openEventStream(res, { onClose } = {}) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  let clientClosed = false;
+  res.on('close', () => {
+    clientClosed = true;
+    onClose?.();
+  });
+
+  return (event, data) => {
+    if (clientClosed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+}
+
+// The last event of a finished job (see jobs.js)
+export function sendJobOutcome(sendEvent, job) {
+  if (job.status === 'succeeded') {
+    sendEvent('final-answer', job.result);
+  } else {
+    sendEvent('error', { error: job.error, cancelled: job.status === 'cancelled' });
+  }
+}
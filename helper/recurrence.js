@@ -0,0 +1,347 @@
+/**
+ * Recurring events from natural language.
+ *
+ * parseRecurrence(text, { now, locale }) finds the repeat phrase in a date/time text and returns
+ * { rule, remainder, confidence }, or null when the text doesn't repeat. remainder is the
+ * text without the phrase, for parseDateTime: "every Tuesday at 10am until December"
+ * gives a weekly rule and "at 10am". Rules use the terms of RFC 5545 (RRULE):
+ *
+ *    { frequency: 'DAILY' | 'WEEKLY' | 'MONTHLY' | 'YEARLY', interval,
+ *      weekdays: ['TU', 'TH'], monthWeek, count, until }
+ *
+ *    - weekdays: the days of a weekly rule or the day of a "first Monday of the month"
+ *      rule, empty means the weekday of the first event
+ *    - monthWeek: 1-4 or -1 (last) for "the last Friday of every month", otherwise null
+ *    - count: number of events ("10 times"), until: the last day as a local Date
+ *      ("until December" is until December 31st), both null when the rule never ends
+ *
+ * Understood: "daily", "every other day", "every 3 days", "weekdays", "every weekday",
+ * "weekly", "every 2 weeks", "biweekly", "every 2 weeks on Monday and Wednesday",
+ * "every Tuesday", "every Tue and Thu", "on Mondays and Wednesdays", "every other Friday",
+ * "monthly", "every month",
+ * "the first Monday of every month", "the last Friday of the month", "yearly",
+ * "annually", ended by "until <date>", "through <date>", "10 times" or "for 6 weeks".
+ * Text in another language is rewritten into English first with the locale's language
+ * pack (see date-parser.js), so the remainder is English too.
+ *
+ * firstOccurrence() moves a parsed schedule to the first day that matches the rule,
+ * toRRule() and describeRecurrence() format a rule for calendars and for people.
+ * parseRRule() reads an RRULE from a calendar file back into a rule, as far as the rule
+ * can express it.
+ */
+
+import { parseDateTime, translateDateText } from "./date-parser.js";
+
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const WORKWEEK = ['MO', 'TU', 'WE', 'TH', 'FR'];
+
+const NUMBER_WORDS = { other: 2, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, twelve: 12 };
+const WEEK_OF_MONTH = { first: 1, '1st': 1, second: 2, '2nd': 2, third: 3, '3rd': 3, fourth: 4, '4th': 4, last: -1 };
+const ORDINAL_NAMES = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', '-1': 'last' };
+
+// "tue", "tues", "tuesday", "tuesdays", but not "monthly"
+const DAY = '(?:sun(?:day)?|mon(?:day)?|tues?(?:day)?|wed(?:nesday)?|thu(?:rs?)?(?:day)?|fri(?:day)?|sat(?:urday)?)s?';
+const DAY_LIST = `${DAY}(?:\\s*(?:,\\s*and|,|&|\\/|and)\\s*${DAY})*`;
+const COUNT = `(\\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+
+// weekly, biweekly, every week, every 2 weeks
+const WEEK_INTERVAL = `(?:weekly|(bi-?)weekly|(?:every|each)\\s+week|every\\s+${COUNT}\\s+weeks?)`;
+
+function dayCode(word) {
+  const index = DAY_NAMES.findIndex(name => name.toLowerCase().startsWith(word.slice(0, 3)));
+  return DAY_CODES[index];
+}
+
+function parseDays(list) {
+  const codes = list.match(new RegExp(DAY, 'g')).map(dayCode);
+  // Calendar order, Monday first
+  return [...new Set(codes)].sort((a, b) => ((DAY_CODES.indexOf(a) + 6) % 7) - ((DAY_CODES.indexOf(b) + 6) % 7));
+}
+
+function parseInterval(text) {
+  if (!text) return 1;
+  return NUMBER_WORDS[text.trim()] ?? parseInt(text, 10);
+}
+
+function weekInterval(match) {
+  return match[1] ? 2 : parseInterval(match[2]);
+}
+
+function rule(frequency, fields = {}) {
+  return { frequency, interval: 1, weekdays: [], monthWeek: null, count: null, until: null, ...fields };
+}
+
+// Keeps the time of day
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days, date.getHours(), date.getMinutes());
+}
+
+// ---------------------------------------------------------------------------
+// Frequency rules: the first one that matches decides how the event repeats
+// ---------------------------------------------------------------------------
+
+const FREQUENCY_RULES = [
+  // the first Monday of every month, the last Friday of the month
+  {
+    pattern: new RegExp(`\\b(?:on\\s+)?(?:the\\s+|every\\s+)?(first|second|third|fourth|last|1st|2nd|3rd|4th)\\s+(${DAY})\\s+of\\s+(?:every|each|the)\\s+month\\b`),
+    resolve: (match) => rule('MONTHLY', { weekdays: [dayCode(match[2])], monthWeek: WEEK_OF_MONTH[match[1]] })
+  },
+  // every weekday, on weekdays - "daily standup weekdays" is weekdays, not daily
+  {
+    pattern: /\b(?:(?:every|each)\s+weekday|(?:on\s+)?weekdays)\b/,
+    resolve: () => rule('WEEKLY', { weekdays: WORKWEEK }),
+    alsoRemove: /\b(?:daily|every\s+day)\b/
+  },
+  // every Tuesday, every other Friday, each Mon, Wed and Fri
+  {
+    pattern: new RegExp(`\\b(?:every|each)\\s+(other\\s+)?(${DAY_LIST})\\b`),
+    resolve: (match) => rule('WEEKLY', { interval: match[1] ? 2 : 1, weekdays: parseDays(match[2]) })
+  },
+  // every 2 weeks on Monday and Wednesday, biweekly on Tuesday
+  {
+    pattern: new RegExp(`\\b${WEEK_INTERVAL}\\s+on\\s+(${DAY_LIST})\\b`),
+    resolve: (match) => rule('WEEKLY', { interval: weekInterval(match), weekdays: parseDays(match[3]) })
+  },
+  // on Tuesdays and Thursdays - only plurals, "on Monday" is a single date
+  {
+    pattern: new RegExp(`\\b(?:on\\s+)?(${DAY_LIST})\\b`),
+    resolve: (match) => {
+      const words = match[1].match(new RegExp(DAY, 'g'));
+      return words.every(word => word.endsWith('days')) ? rule('WEEKLY', { weekdays: parseDays(match[1]) }) : null;
+    }
+  },
+  {
+    pattern: new RegExp(`\\b(?:daily|(?:every|each)\\s+day|every\\s+${COUNT}\\s+days?)\\b`),
+    resolve: (match) => rule('DAILY', { interval: parseInterval(match[1]) })
+  },
+  {
+    pattern: new RegExp(`\\b${WEEK_INTERVAL}\\b`),
+    resolve: (match) => rule('WEEKLY', { interval: weekInterval(match) })
+  },
+  {
+    pattern: new RegExp(`\\b(?:monthly|(?:of\\s+)?(?:every|each)\\s+month|every\\s+${COUNT}\\s+months?)\\b`),
+    resolve: (match) => rule('MONTHLY', { interval: parseInterval(match[1]) })
+  },
+  {
+    pattern: new RegExp(`\\b(?:yearly|annually|(?:every|each)\\s+year|every\\s+${COUNT}\\s+years?)\\b`),
+    resolve: (match) => rule('YEARLY', { interval: parseInterval(match[1]) })
+  }
+];
+
+const END_COUNT = new RegExp(`\\b(?:for\\s+)?(\\d+|${Object.keys(NUMBER_WORDS).filter(word => word !== 'other').join('|')})\\s+(?:times|occurrences|events|sessions|meetings)\\b`);
+const END_PERIOD = new RegExp(`\\bfor\\s+(?:the\\s+next\\s+)?(\\d+|a|an|${Object.keys(NUMBER_WORDS).join('|')})\\s+(day|week|month|year)s?\\b`);
+const END_UNTIL = /\b(?:until|till|through|thru|ending(?:\s+on)?|up\s+to)\s+(.+)$/;
+
+function remove(text, match) {
+  return `${text.slice(0, match.index)} ${text.slice(match.index + match[0].length)}`;
+}
+
+// The longest start of "december 15 at 10am" that is a date, the rest stays in the text
+function parseUntil(tail, now, locale) {
+  const words = tail.split(' ');
+  let best = null;
+  for (let length = 1; length <= words.length; length++) {
+    const parsed = parseDateTime(words.slice(0, length).join(' '), { now, locale });
+    if (parsed?.allDay && (!best || parsed.confidence >= best.parsed.confidence)) {
+      best = { parsed, rest: words.slice(length).join(' ') };
+    }
+  }
+  return best;
+}
+
+// "for 6 weeks" from today, the last day included
+function untilAfter(count, unit, now) {
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const end = {
+    day: addDays(today, count),
+    week: addDays(today, count * 7),
+    month: new Date(today.getFullYear(), today.getMonth() + count, today.getDate()),
+    year: new Date(today.getFullYear() + count, today.getMonth(), today.getDate())
+  }[unit];
+  return addDays(end, -1);
+}
+
+export function parseRecurrence(text, { now = new Date(), locale } = {}) {
+  if (typeof text !== 'string' || !text.trim()) return null;
+
+  let remainder = translateDateText(text, locale);
+  let result = null;
+  for (const frequencyRule of FREQUENCY_RULES) {
+    const match = remainder.match(frequencyRule.pattern);
+    if (!match) continue;
+
+    result = frequencyRule.resolve(match);
+    if (!result) continue;
+
+    remainder = remove(remainder, match);
+    if (frequencyRule.alsoRemove) remainder = remainder.replace(frequencyRule.alsoRemove, ' ');
+    break;
+  }
+  if (!result) return null;
+
+  let confidence = 1;
+  const count = remainder.match(END_COUNT);
+  const period = !count && remainder.match(END_PERIOD);
+  const until = !count && !period && remainder.match(END_UNTIL);
+  if (count) {
+    result.count = NUMBER_WORDS[count[1]] ?? parseInt(count[1], 10);
+    remainder = remove(remainder, count);
+  } else if (period) {
+    const amount = ['a', 'an'].includes(period[1]) ? 1 : parseInterval(period[1]);
+    result.until = untilAfter(amount, period[2], now);
+    remainder = remove(remainder, period);
+  } else if (until) {
+    const end = parseUntil(until[1], now, locale);
+    if (end) {
+      // The last day of what the date covers: "until december" includes all of December
+      result.until = addDays(end.parsed.end, -1);
+      confidence = end.parsed.confidence;
+      remainder = `${remainder.slice(0, until.index)} ${end.rest}`;
+    }
+  }
+
+  return { rule: result, remainder: remainder.replace(/\s+/g, ' ').trim(), confidence };
+}
+
+// ---------------------------------------------------------------------------
+// Using a rule
+// ---------------------------------------------------------------------------
+
+function isNthWeekday(date, monthWeek, code) {
+  if (DAY_CODES[date.getDay()] !== code) return false;
+  if (monthWeek === -1) return addDays(date, 7).getMonth() !== date.getMonth();
+  return Math.ceil(date.getDate() / 7) === monthWeek;
+}
+
+function matchesRule(date, rule) {
+  if (rule.monthWeek) return isNthWeekday(date, rule.monthWeek, rule.weekdays[0]);
+  if (rule.frequency === 'WEEKLY' && rule.weekdays.length > 0) {
+    return rule.weekdays.includes(DAY_CODES[date.getDay()]);
+  }
+  return true;
+}
+
+/**
+ * Moves a schedule ({ start, end, ... } from parseDateTime) forward to the first day
+ * that matches the rule, e.g. "every Tuesday" starting on a Wednesday starts next Tuesday.
+ */
+export function firstOccurrence(schedule, rule) {
+  let offset = 0;
+  // A monthly weekday is at most ~5 weeks away
+  while (offset < 40 && !matchesRule(addDays(schedule.start, offset), rule)) offset++;
+  if (offset === 0) return schedule;
+  return { ...schedule, start: addDays(schedule.start, offset), end: addDays(schedule.end, offset) };
+}
+
+// The end of the last day in UTC, "20241201T235959Z"
+function formatUntil(until) {
+  const endOfDay = new Date(until.getFullYear(), until.getMonth(), until.getDate(), 23, 59, 59);
+  return endOfDay.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// "20241201", the form UNTIL takes for all-day events
+function formatUntilDate(until) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${until.getFullYear()}${pad(until.getMonth() + 1)}${pad(until.getDate())}`;
+}
+
+// "RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH;UNTIL=20241201T235959Z", dateOnly for all-day events
+export function toRRule(rule, { dateOnly = false } = {}) {
+  const parts = [`FREQ=${rule.frequency}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.weekdays.length > 0) {
+    parts.push(`BYDAY=${rule.weekdays.map(day => `${rule.monthWeek ?? ''}${day}`).join(',')}`);
+  }
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${dateOnly ? formatUntilDate(rule.until) : formatUntil(rule.until)}`);
+  return `RRULE:${parts.join(';')}`;
+}
+
+// UNTIL as a date ("20241201") or a time ("20241201T235959Z"), the local day it falls on
+function parseUntilValue(value) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/);
+  if (!match) return null;
+
+  const [year, month, day, hour, minute, second] = match.slice(1, 7).map(Number);
+  if (match[4] === undefined) return new Date(year, month - 1, day);
+  const time = match[7] ? new Date(Date.UTC(year, month - 1, day, hour, minute, second)) : new Date(year, month - 1, day, hour, minute, second);
+  return new Date(time.getFullYear(), time.getMonth(), time.getDate());
+}
+
+const RRULE_PARTS = new Set(['FREQ', 'INTERVAL', 'BYDAY', 'COUNT', 'UNTIL', 'WKST']);
+
+/**
+ * The rule of "RRULE:FREQ=MONTHLY;BYDAY=-1FR" (with or without "RRULE:"), or null when it
+ * uses parts a rule can't express, like BYMONTHDAY or several weekdays of the month.
+ */
+export function parseRRule(text) {
+  const parts = Object.fromEntries(
+    text.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean)
+      .map(part => part.split('='))
+      .map(([name, value = '']) => [name.toUpperCase(), value.toUpperCase()])
+  );
+  if (Object.keys(parts).some(name => !RRULE_PARTS.has(name))) return null;
+  if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(parts.FREQ)) return null;
+
+  const result = rule(parts.FREQ, { interval: parts.INTERVAL ? parseInt(parts.INTERVAL, 10) : 1 });
+  if (!(result.interval > 0)) return null;
+
+  if (parts.BYDAY) {
+    const days = parts.BYDAY.split(',').map(day => day.match(/^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/));
+    if (days.some(day => !day)) return null;
+
+    if (parts.FREQ === 'WEEKLY' && days.every(([, week]) => !week)) {
+      result.weekdays = parseDays(days.map(([, , code]) => dayName(code).toLowerCase()).join(' '));
+    } else if (parts.FREQ === 'MONTHLY' && days.length === 1 && ORDINAL_NAMES[Number(days[0][1])]) {
+      result.weekdays = [days[0][2]];
+      result.monthWeek = Number(days[0][1]);
+    } else {
+      return null;
+    }
+  }
+
+  if (parts.COUNT) {
+    result.count = parseInt(parts.COUNT, 10);
+    if (!(result.count > 0)) return null;
+  } else if (parts.UNTIL) {
+    result.until = parseUntilValue(parts.UNTIL);
+    if (!result.until) return null;
+  }
+  return result;
+}
+
+function joinNames(names) {
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names.at(-1)}` : names[0];
+}
+
+function dayName(code) {
+  return DAY_NAMES[DAY_CODES.indexOf(code)];
+}
+
+// "Every 2 weeks on Tuesday and Thursday, until December 1, 2024"
+export function describeRecurrence(rule) {
+  const { frequency, interval, weekdays, monthWeek } = rule;
+  const every = (unit) => (interval > 1 ? `Every ${interval} ${unit}s` : null);
+  let description;
+
+  if (frequency === 'DAILY') {
+    description = every('day') ?? 'Daily';
+  } else if (frequency === 'WEEKLY' && interval === 1 && weekdays.join() === WORKWEEK.join()) {
+    description = 'Every weekday (Monday to Friday)';
+  } else if (frequency === 'WEEKLY') {
+    description = every('week') ?? 'Weekly';
+    if (weekdays.length > 0) description += ` on ${joinNames(weekdays.map(dayName))}`;
+  } else if (frequency === 'MONTHLY') {
+    description = every('month') ?? 'Monthly';
+    if (monthWeek) description += ` on the ${ORDINAL_NAMES[monthWeek]} ${dayName(weekdays[0])}`;
+  } else {
+    description = every('year') ?? 'Annually';
+  }
+
+  if (rule.count) description += `, ${rule.count} times`;
+  if (rule.until) {
+    description += `, until ${rule.until.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })}`;
+  }
+  return description;
+}
@@ -0,0 +1,31 @@
+/**
+ * Per-request context for tools.
+ *
+ * Tools are called by LangChain with their arguments only. runAgent() wraps each
+ * request in an AsyncLocalStorage context so code deep inside a tool can still reach
+ * the request that started it:
+ *    - runId: unique id of the request
+ *    - prompt: the chat message that started it
+ *    - emit(event, data): sends an event to the client streaming the request, if any
+ *    - signal: AbortSignal that fires when the request is cancelled (see jobs.js)
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+
+const storage = new AsyncLocalStorage();
+
+export function runWithContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+export function getRunContext() {
+  return storage.getStore() || {};
+}
+
+// Stops a tool from starting work for a request that was already cancelled
+export function throwIfCancelled() {
+  const { signal } = getRunContext();
+  if (signal?.aborted) {
+    throw signal.reason instanceof Error ? signal.reason : new Error('The request was cancelled');
+  }
+}
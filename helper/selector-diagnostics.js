@@ -0,0 +1,250 @@
+/**
+ * Self-test of the selector registry (see selectors.js) against the live Google pages,
+ * for GET /diagnostics/selectors and `npm run test:selectors` (diagnose-selectors.js).
+ *
+ * Each area opens its page and walks through stages the way the tools do (the Create
+ * menu, the quick event dialog, the event editor, the compose window), checking every
+ * strategy of the elements shown at that stage. Nothing is saved or sent, the browser is
+ * closed afterwards with the unsaved event or empty email in it. Elements that only show
+ * up after saving are listed as not checked.
+ *
+ * A report is { area, url, stages, elements }, each element being { key, description,
+ * stage, checked, resolvedBy, fallback, strategies: [{ strategy, matches, visible }] }.
+ * resolvedBy is the strategy findElement() would use, null when none finds the element.
+ */
+
+import { SELECTORS, clickElement, describeStrategy, findElement, toLocator } from "./selectors.js";
+import { throwIfCancelled } from "./run-context.js";
+
+// How long a stage may take to open and show its first element
+const STAGE_TIMEOUT_MS = 10000;
+
+const AREAS = {
+  calendar: {
+    url: 'https://calendar.google.com',
+    stages: [
+      { name: 'calendar page', elements: ['calendar.createButton'] },
+      {
+        name: 'create menu',
+        open: (page, options) => clickElement(page, 'calendar.createButton', options),
+        elements: ['calendar.eventMenuItem']
+      },
+      {
+        name: 'quick event dialog',
+        // Without the menu Create opens the dialog right away
+        open: (page, { timeout }) => clickElement(page, 'calendar.eventMenuItem', { timeout: Math.min(timeout, 2000) }).catch(() => {}),
+        elements: ['calendar.titleInput', 'calendar.dateInput', 'calendar.timeInput', 'calendar.moreOptionsButton']
+      },
+      {
+        name: 'event editor',
+        open: (page, options) => clickElement(page, 'calendar.moreOptionsButton', options),
+        elements: [
+          'calendar.allDayCheckbox', 'calendar.locationInput', 'calendar.descriptionInput',
+          'calendar.guestsInput', 'calendar.recurrenceMenu', 'calendar.saveButton'
+        ]
+      },
+      {
+        name: 'repeat menu',
+        open: (page, options) => clickElement(page, 'calendar.recurrenceMenu', options),
+        elements: ['calendar.customRecurrenceOption']
+      },
+      {
+        name: 'custom repeat dialog',
+        open: (page, options) => clickElement(page, 'calendar.customRecurrenceOption', options),
+        elements: ['calendar.customRecurrenceDialog']
+      },
+      {
+        name: 'custom repeat fields',
+        within: 'calendar.customRecurrenceDialog',
+        elements: [
+          'calendar.recurrenceInterval', 'calendar.recurrenceUnit', 'calendar.recurrenceEndsOn',
+          'calendar.recurrenceEndDate', 'calendar.recurrenceEndsAfter', 'calendar.recurrenceCount',
+          'calendar.recurrenceDoneButton'
+        ]
+      }
+    ]
+  },
+  gmail: {
+    url: 'https://mail.google.com/mail/',
+    stages: [
+      { name: 'inbox', elements: ['gmail.composeButton', 'gmail.messageRow'] },
+      {
+        name: 'compose window',
+        open: (page, options) => clickElement(page, 'gmail.composeButton', options),
+        elements: [
+          'gmail.toField', 'gmail.ccButton', 'gmail.bccButton', 'gmail.subjectField', 'gmail.bodyField',
+          'gmail.sendButton', 'gmail.saveAndCloseButton'
+        ]
+      },
+      {
+        name: 'Cc and Bcc fields',
+        open: async (page, options) => {
+          await clickElement(page, 'gmail.ccButton', options);
+          await clickElement(page, 'gmail.bccButton', options);
+        },
+        elements: ['gmail.ccField', 'gmail.bccField']
+      }
+    ]
+  }
+};
+
+// Why the elements no stage shows are not checked
+const NOT_CHECKED = {
+  'calendar.sendInvitationsButton': 'only shown after saving an event with guests',
+  'gmail.emptyList': 'only shown when there are no messages',
+  // Opening a thread would mark it as read
+  'gmail.threadMessage': 'only shown in an open thread',
+  'gmail.replyButton': 'only shown in an open thread',
+  'gmail.replyAllButton': 'only shown in an open thread'
+};
+
+export const SELECTOR_AREAS = Object.keys(AREAS);
+
+async function checkStrategy(scope, strategy) {
+  const elements = await toLocator(scope, strategy).all();
+  let visible = 0;
+  for (const element of elements) {
+    if (await element.isVisible()) visible++;
+  }
+  return { strategy: describeStrategy(strategy), matches: elements.length, visible };
+}
+
+async function checkElement(scope, key, stage) {
+  const { description, strategies } = SELECTORS[key];
+  const results = [];
+  for (const strategy of strategies) {
+    results.push(await checkStrategy(scope, strategy));
+  }
+  const index = results.findIndex(result => result.visible > 0);
+  return {
+    key,
+    description,
+    stage,
+    checked: true,
+    resolvedBy: index === -1 ? null : results[index].strategy,
+    fallback: index > 0,
+    strategies: results
+  };
+}
+
+// Waits for the stage to show up, but checks it either way, missing elements are the point
+async function waitForStage(scope, stage, options) {
+  await findElement(scope, stage.elements[0], options).catch(() => {});
+}
+
+async function diagnoseArea(page, name, options) {
+  const { url, stages } = AREAS[name];
+  const report = { area: name, url, stages: [], elements: [] };
+
+  await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+  console.log(`Checking the ${name} selectors on ${page.url()}`);
+
+  let failedStage = null;
+  for (const stage of stages) {
+    throwIfCancelled();
+    if (failedStage) {
+      report.stages.push({ name: stage.name, opened: false, error: `Not reached, the ${failedStage} did not open` });
+      continue;
+    }
+
+    try {
+      if (stage.open) await stage.open(page, options);
+      const scope = stage.within ? (await findElement(page, stage.within, options)).locator : page;
+      await waitForStage(scope, stage, options);
+      for (const key of stage.elements) {
+        report.elements.push(await checkElement(scope, key, stage.name));
+      }
+      report.stages.push({ name: stage.name, opened: true, error: null });
+    } catch (error) {
+      failedStage = stage.name;
+      report.stages.push({ name: stage.name, opened: false, error: error.message });
+    }
+  }
+
+  // Elements of unreached stages and the ones no stage shows
+  const checked = new Set(report.elements.map(element => element.key));
+  for (const [key, { description, strategies }] of Object.entries(SELECTORS)) {
+    if (!key.startsWith(`${name}.`) || checked.has(key)) continue;
+    const stage = stages.find(candidate => candidate.elements.includes(key));
+    report.elements.push({
+      key,
+      description,
+      stage: stage?.name ?? null,
+      checked: false,
+      note: stage ? `the ${stage.name} was not reached` : NOT_CHECKED[key] ?? 'not shown by any stage',
+      resolvedBy: null,
+      fallback: false,
+      strategies: strategies.map(strategy => ({ strategy: describeStrategy(strategy), matches: null, visible: null }))
+    });
+  }
+
+  return report;
+}
+
+/**
+ * Checks the selectors of the given areas (all by default) on the page, one report per
+ * area. Needs the browser to be logged into Google. timeout is how long each stage may
+ * take to open.
+ */
+export async function runSelectorDiagnostics(page, { areas = SELECTOR_AREAS, timeout = STAGE_TIMEOUT_MS } = {}) {
+  const unknown = areas.filter(area => !AREAS[area]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown selector area "${unknown[0]}", use one of: ${SELECTOR_AREAS.join(', ')}`);
+  }
+
+  const reports = [];
+  for (const area of areas) {
+    reports.push(await diagnoseArea(page, area, { timeout }));
+  }
+  return reports;
+}
+
+// Counts of a report's elements for summaries
+export function summarizeSelectorReport(report) {
+  const checked = report.elements.filter(element => element.checked);
+  return {
+    checked: checked.length,
+    resolved: checked.filter(element => element.resolvedBy && !element.fallback).length,
+    fallbacks: checked.filter(element => element.fallback).length,
+    missing: checked.filter(element => !element.resolvedBy).length,
+    notChecked: report.elements.length - checked.length
+  };
+}
+
+function formatElement(element) {
+  if (!element.checked) return [`  - ${element.key}: not checked, ${element.note}`];
+
+  const lines = [];
+  if (!element.resolvedBy) {
+    lines.push(`  ✗ ${element.key}: the ${element.description} was not found`);
+  } else if (element.fallback) {
+    lines.push(`  ⚠ ${element.key}: found by a fallback, ${element.resolvedBy}`);
+  } else {
+    lines.push(`  ✓ ${element.key}: ${element.resolvedBy}`);
+  }
+  // The strategies only matter when the first one failed
+  if (!element.resolvedBy || element.fallback) {
+    for (const { strategy, matches, visible } of element.strategies) {
+      lines.push(`      ${strategy}: ${matches} match${matches === 1 ? '' : 'es'}, ${visible} visible`);
+    }
+  }
+  return lines;
+}
+
+// The reports as text, for the command line
+export function formatSelectorReports(reports) {
+  const lines = [];
+  for (const report of reports) {
+    const { checked, resolved, fallbacks, missing, notChecked } = summarizeSelectorReport(report);
+    lines.push(`${report.area} (${report.url}): ${resolved} of ${checked} found by their first strategy, ${fallbacks} by a fallback, ${missing} missing, ${notChecked} not checked`);
+
+    for (const stage of report.stages.filter(stage => !stage.opened)) {
+      lines.push(`  ! ${stage.name}: ${stage.error}`);
+    }
+    for (const element of report.elements) {
+      lines.push(...formatElement(element));
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,397 @@
+/**
+ * The page elements the browser tools use, each with an ordered list of ways to find it.
+ *
+ * Google changes its pages without notice, so an element is not tied to one selector:
+ * findElement() tries the strategies of its entry in order and uses the first one that
+ * finds a visible element, logging when that was a fallback. Strategies are plain data:
+ *    - { role, name }: getByRole(), name may be a RegExp
+ *    - { placeholder }, { label }, { text }: getByPlaceholder(), getByLabel(), getByText()
+ *    - { css }: a CSS selector, for Gmail's class names and attributes
+ *
+ * Semantic strategies (role, label, placeholder) come first, CSS class names last. The
+ * same entries are checked against the live pages by selector-diagnostics.js
+ * (GET /diagnostics/selectors, `npm run test:selectors`).
+ *
+ * Elements are named "<area>.<element>", the area being the site they are on.
+ */
+
+import { throwIfCancelled } from "./run-context.js";
+
+const POLL_INTERVAL_MS = 250;
+
+export const SELECTORS = {
+  // Google Calendar: the main view and the quick event dialog
+  'calendar.createButton': {
+    description: 'Create button',
+    strategies: [
+      { role: 'button', name: 'Create' },
+      { css: '[aria-label="Create"]' },
+      { text: /^Create$/ }
+    ]
+  },
+  'calendar.eventMenuItem': {
+    description: '"Event" option of the Create menu',
+    strategies: [
+      { role: 'menuitem', name: 'Event' },
+      { css: '[role="menu"] [aria-label="Event"]' }
+    ]
+  },
+  'calendar.titleInput': {
+    description: 'title field of a new event',
+    strategies: [
+      { placeholder: 'Add title' },
+      { role: 'textbox', name: /title/i },
+      { label: /title/i }
+    ]
+  },
+  'calendar.dateInput': {
+    description: 'date field of a new event',
+    strategies: [
+      { label: /date|when/i },
+      { role: 'textbox', name: /date/i }
+    ]
+  },
+  'calendar.timeInput': {
+    description: 'time field of a new event',
+    strategies: [
+      { label: /time|from/i },
+      { role: 'textbox', name: /time/i },
+      { css: 'input[aria-label*="Time"], input[aria-label*="Start time"]' }
+    ]
+  },
+  'calendar.moreOptionsButton': {
+    description: '"More options" button of the quick event dialog',
+    strategies: [
+      { role: 'button', name: 'More options' },
+      { css: '[aria-label="More options"]' },
+      { text: /^More options$/ }
+    ]
+  },
+
+  // Google Calendar: the full event editor
+  'calendar.allDayCheckbox': {
+    description: '"All day" checkbox',
+    strategies: [
+      { role: 'checkbox', name: 'All day' },
+      { label: 'All day' }
+    ]
+  },
+  'calendar.locationInput': {
+    description: 'location field',
+    strategies: [
+      { placeholder: 'Add location' },
+      { role: 'combobox', name: /location/i },
+      { label: /location/i }
+    ]
+  },
+  'calendar.descriptionInput': {
+    description: 'description field',
+    strategies: [
+      { role: 'textbox', name: 'Description' },
+      { label: /description/i },
+      { css: '[contenteditable="true"][aria-label*="Description"]' }
+    ]
+  },
+  'calendar.guestsInput': {
+    description: 'guests field',
+    strategies: [
+      { placeholder: 'Add guests' },
+      { role: 'combobox', name: /guests/i },
+      { label: /guests/i }
+    ]
+  },
+  'calendar.recurrenceMenu': {
+    description: 'repeat menu',
+    strategies: [
+      { role: 'combobox', name: 'Recurrence' },
+      { label: /recurrence/i },
+      { role: 'button', name: /does not repeat/i }
+    ]
+  },
+  'calendar.saveButton': {
+    description: 'Save button of the event editor',
+    strategies: [
+      { role: 'button', name: 'Save' },
+      { css: '[aria-label="Save"]' },
+      { text: /^Save$/ }
+    ]
+  },
+  'calendar.sendInvitationsButton': {
+    description: 'Send button of the "send invitation emails" prompt',
+    strategies: [
+      { role: 'button', name: 'Send' },
+      { css: '[role="dialog"] [aria-label="Send"]' },
+      { text: /^Send$/ }
+    ]
+  },
+
+  // Google Calendar: the custom repeat dialog, opened from the repeat menu
+  'calendar.customRecurrenceOption': {
+    description: '"Custom..." option of the repeat menu',
+    strategies: [
+      { role: 'option', name: /^Custom/ },
+      { text: /^Custom/ }
+    ]
+  },
+  'calendar.customRecurrenceDialog': {
+    description: 'custom repeat dialog',
+    strategies: [
+      { role: 'dialog', name: 'Custom recurrence' },
+      { css: '[role="dialog"][aria-label*="recurrence" i]' }
+    ]
+  },
+  'calendar.recurrenceInterval': {
+    description: '"Repeat every" number of the custom repeat dialog',
+    strategies: [
+      { role: 'spinbutton', name: 'Repeat every' },
+      { label: /repeat every/i }
+    ]
+  },
+  'calendar.recurrenceUnit': {
+    description: 'day/week/month/year menu of the custom repeat dialog',
+    strategies: [
+      { role: 'combobox', name: /unit/i },
+      { role: 'listbox', name: /unit/i }
+    ]
+  },
+  'calendar.recurrenceEndsOn': {
+    description: '"Ends on" choice of the custom repeat dialog',
+    strategies: [
+      { role: 'radio', name: 'On' },
+      { label: /^On$/ }
+    ]
+  },
+  'calendar.recurrenceEndDate': {
+    description: 'end date field of the custom repeat dialog',
+    strategies: [
+      { role: 'textbox', name: /end date|on/i },
+      { label: /end date/i }
+    ]
+  },
+  'calendar.recurrenceEndsAfter': {
+    description: '"Ends after" choice of the custom repeat dialog',
+    strategies: [
+      { role: 'radio', name: 'After' },
+      { label: /^After$/ }
+    ]
+  },
+  'calendar.recurrenceCount': {
+    description: 'number of occurrences of the custom repeat dialog',
+    strategies: [
+      { role: 'spinbutton', name: /occurrences/i },
+      { label: /occurrences/i }
+    ]
+  },
+  'calendar.recurrenceDoneButton': {
+    description: 'Done button of the custom repeat dialog',
+    strategies: [
+      { role: 'button', name: 'Done' },
+      { text: /^Done$/ }
+    ]
+  },
+
+  // Gmail
+  'gmail.composeButton': {
+    description: 'Compose button',
+    strategies: [
+      { role: 'button', name: /^compose$/i },
+      { css: '[gh="cm"]' },
+      { css: '.T-I.T-I-KE.L3' },
+      { css: '.T-I.J-J5-Ji.T-I-KE.L3' },
+      { css: 'div[jsaction*="compose"]' }
+    ]
+  },
+  'gmail.toField': {
+    description: 'To field of the compose window',
+    strategies: [
+      { role: 'combobox', name: /^to recipients$/i },
+      { label: /^to recipients$/i },
+      { css: 'input[aria-label="To recipients"]' },
+      { css: 'textarea[name="to"]' }
+    ]
+  },
+  // The Cc and Bcc fields show up once their link next to To is clicked
+  'gmail.ccButton': {
+    description: '"Cc" link of the compose window',
+    strategies: [
+      { role: 'link', name: /^add cc recipients/i },
+      { css: 'span[aria-label^="Add Cc recipients"]' },
+      { css: 'span.aB.gQ.pE' }
+    ]
+  },
+  'gmail.bccButton': {
+    description: '"Bcc" link of the compose window',
+    strategies: [
+      { role: 'link', name: /^add bcc recipients/i },
+      { css: 'span[aria-label^="Add Bcc recipients"]' },
+      { css: 'span.aB.gQ.pB' }
+    ]
+  },
+  'gmail.ccField': {
+    description: 'Cc field of the compose window',
+    strategies: [
+      { role: 'combobox', name: /^cc recipients$/i },
+      { label: /^cc recipients$/i },
+      { css: 'input[aria-label="CC recipients"]' },
+      { css: 'textarea[name="cc"]' }
+    ]
+  },
+  'gmail.bccField': {
+    description: 'Bcc field of the compose window',
+    strategies: [
+      { role: 'combobox', name: /^bcc recipients$/i },
+      { label: /^bcc recipients$/i },
+      { css: 'input[aria-label="BCC recipients"]' },
+      { css: 'textarea[name="bcc"]' }
+    ]
+  },
+  'gmail.subjectField': {
+    description: 'Subject field of the compose window',
+    strategies: [
+      { placeholder: 'Subject' },
+      { role: 'textbox', name: /^subject$/i },
+      { css: 'input[name="subjectbox"]' }
+    ]
+  },
+  'gmail.bodyField': {
+    description: 'message body of the compose window',
+    strategies: [
+      { role: 'textbox', name: /^message body$/i },
+      { css: 'div[aria-label="Message Body"][contenteditable="true"]' },
+      { css: 'div.Am.Al.editable' }
+    ]
+  },
+  'gmail.sendButton': {
+    description: 'Send button of the compose window',
+    strategies: [
+      { role: 'button', name: /^send\b/i },
+      { css: 'div[role="button"][aria-label^="Send"]' },
+      { css: '.T-I.J-J5-Ji.aoO' }
+    ]
+  },
+  // The message list, read by summarize_inbox (see gmail-inbox.js)
+  'gmail.messageRow': {
+    description: 'message rows of the inbox',
+    strategies: [
+      { css: 'div[role="main"] tr[role="row"]' },
+      { css: 'tr.zA' }
+    ]
+  },
+  'gmail.emptyList': {
+    description: 'note that the message list is empty',
+    strategies: [
+      { text: /no messages matched your search/i },
+      { text: /tab is empty|inbox is empty/i },
+      { css: 'td.TC' }
+    ]
+  },
+  // An open thread, read and replied to by reply_to_email
+  'gmail.threadMessage': {
+    description: 'messages of an open thread',
+    strategies: [
+      { css: 'div[role="main"] div[role="listitem"]' },
+      { css: 'div.adn' }
+    ]
+  },
+  'gmail.replyButton': {
+    description: 'Reply button of an open thread',
+    strategies: [
+      { role: 'button', name: /^reply$/i },
+      { css: '[aria-label="Reply"]' },
+      { css: 'span.ams.bkH' }
+    ]
+  },
+  'gmail.replyAllButton': {
+    description: 'Reply all button of an open thread',
+    strategies: [
+      { role: 'button', name: /^reply all$/i },
+      { css: '[aria-label="Reply all"]' },
+      { css: 'span.ams.bkI' }
+    ]
+  },
+  // Closing the compose window keeps the email in Drafts
+  'gmail.saveAndCloseButton': {
+    description: '"Save & close" button of the compose window',
+    strategies: [
+      { role: 'img', name: 'Save & close' },
+      { label: 'Save & close' },
+      { css: 'img[data-tooltip="Save & close"]' },
+      { css: 'img.Ha' }
+    ]
+  }
+};
+
+// "role=button name=Create", for logs and the diagnostics report
+export function describeStrategy(strategy) {
+  if (strategy.role) {
+    return strategy.name === undefined ? `role=${strategy.role}` : `role=${strategy.role} name=${strategy.name}`;
+  }
+  if (strategy.placeholder) return `placeholder=${strategy.placeholder}`;
+  if (strategy.label) return `label=${strategy.label}`;
+  if (strategy.text) return `text=${strategy.text}`;
+  return `css=${strategy.css}`;
+}
+
+// scope is a page or a locator (e.g. a dialog), both have the same getBy* methods
+export function toLocator(scope, strategy) {
+  if (strategy.role) {
+    return scope.getByRole(strategy.role, strategy.name === undefined ? {} : { name: strategy.name });
+  }
+  if (strategy.placeholder) return scope.getByPlaceholder(strategy.placeholder);
+  if (strategy.label) return scope.getByLabel(strategy.label);
+  if (strategy.text) return scope.getByText(strategy.text);
+  return scope.locator(strategy.css);
+}
+
+export function getSelector(key) {
+  const entry = SELECTORS[key];
+  if (!entry) {
+    throw new Error(`Unknown page element "${key}"`);
+  }
+  return entry;
+}
+
+// The first visible element of the locator, null when none is. Gmail keeps hidden
+// copies of some elements, so the first match is not always the one on screen.
+async function firstVisible(locator) {
+  for (const element of await locator.all()) {
+    if (await element.isVisible()) return element;
+  }
+  return null;
+}
+
+/**
+ * Waits up to timeout ms for the element, trying its strategies in order on each round.
+ * Resolves with { locator, strategy, index } of the first strategy that found a visible
+ * element, index 0 being the preferred one. Throws when none did in time, naming the
+ * strategies tried.
+ */
+export async function findElement(scope, key, { timeout = 5000 } = {}) {
+  const { description, strategies } = getSelector(key);
+  const deadline = Date.now() + timeout;
+
+  for (;;) {
+    for (const [index, strategy] of strategies.entries()) {
+      const locator = await firstVisible(toLocator(scope, strategy));
+      if (!locator) continue;
+
+      if (index === 0) {
+        console.log(`✓ Found the ${description} (${describeStrategy(strategy)})`);
+      } else {
+        console.log(`⚠ Found the ${description} with fallback ${index + 1} of ${strategies.length} (${describeStrategy(strategy)}), ${key} may need updating`);
+      }
+      return { locator, strategy, index };
+    }
+
+    throwIfCancelled();
+    if (Date.now() >= deadline) break;
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+
+  throw new Error(`Could not find the ${description} (${key}), tried ${strategies.map(describeStrategy).join(', ')}`);
+}
+
+export async function clickElement(scope, key, options) {
+  const { locator } = await findElement(scope, key, options);
+  await locator.click();
+}
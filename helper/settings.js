@@ -0,0 +1,140 @@
+/**
+ * User settings managed from the extension.
+ *
+ * Stored as JSON in helper/data/settings.json and read through getSettings(), so
+ * changes made in the popup apply to the next request without restarting the helper.
+ *
+ * Settings:
+ *    - approvals: per-tool approval policy, e.g. { send_email: false } lets send_email
+ *      run without asking. Tools that ask for approval do so unless disabled here.
+ *    - calendarBackend: where create_calendar_event puts new events, "browser" enters them
+ *      in Google Calendar, "api" creates them with the Calendar API (the browser when it
+ *      is not set up), "ics" saves them as .ics files to the Downloads folder.
+ *    - dateLocale: how dates and times in requests are read and typed into Google Calendar,
+ *      { language, dateOrder, hourCycle, weekStart } (see date-parser.js).
+ *    - emailMode: "send" lets send_email and reply_to_email send emails, "draft" makes them
+ *      save every email to Gmail's Drafts instead. Requests to draft an email always do.
+ *    - organizerEmail: the user's address, written as the organizer of .ics files so
+ *      they can list guests (see ics.js). Empty falls back to ICS_ORGANIZER_EMAIL.
+ */
+
+import path from "path";
+import fs from "fs";
+import { fileURLToPath } from 'url';
+import { z } from "zod";
+import { DATE_LOCALE_OPTIONS, DEFAULT_DATE_LOCALE } from "./date-parser.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const dataDir = path.join(__dirname, 'data');
+const settingsFile = path.join(dataDir, 'settings.json');
+
+export const CALENDAR_BACKENDS = ['browser', 'api', 'ics'];
+export const EMAIL_MODES = ['send', 'draft'];
+
+const DEFAULT_SETTINGS = {
+  approvals: {},
+  calendarBackend: 'browser',
+  dateLocale: DEFAULT_DATE_LOCALE,
+  emailMode: 'send',
+  organizerEmail: ''
+};
+
+const emailAddress = z.string().email();
+
+let settings = null;
+
+function loadSettings() {
+  try {
+    const saved = JSON.parse(fs.readFileSync(settingsFile, 'utf8'));
+    return { ...DEFAULT_SETTINGS, ...saved };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error("Could not read settings, using defaults:", error.message);
+    }
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+export function getSettings() {
+  if (!settings) {
+    settings = loadSettings();
+  }
+  return settings;
+}
+
+function validateSettings(patch) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    throw new Error('Settings must be an object');
+  }
+
+  for (const key of Object.keys(patch)) {
+    if (!(key in DEFAULT_SETTINGS)) {
+      throw new Error(`Unknown setting "${key}"`);
+    }
+  }
+
+  if (patch.approvals !== undefined) {
+    if (typeof patch.approvals !== 'object' || Array.isArray(patch.approvals)) {
+      throw new Error('approvals must map tool names to true or false');
+    }
+    for (const [tool, value] of Object.entries(patch.approvals)) {
+      if (typeof value !== 'boolean') {
+        throw new Error(`approvals.${tool} must be true or false`);
+      }
+    }
+  }
+
+  if (patch.calendarBackend !== undefined && !CALENDAR_BACKENDS.includes(patch.calendarBackend)) {
+    throw new Error(`calendarBackend must be one of ${CALENDAR_BACKENDS.join(', ')}`);
+  }
+
+  if (patch.emailMode !== undefined && !EMAIL_MODES.includes(patch.emailMode)) {
+    throw new Error(`emailMode must be one of ${EMAIL_MODES.join(', ')}`);
+  }
+
+  if (patch.organizerEmail !== undefined) {
+    if (typeof patch.organizerEmail !== 'string') {
+      throw new Error('organizerEmail must be an email address or empty');
+    }
+    const address = patch.organizerEmail.trim();
+    if (address && !emailAddress.safeParse(address).success) {
+      throw new Error(`"${address}" is not a valid email address`);
+    }
+  }
+
+  if (patch.dateLocale !== undefined) {
+    if (typeof patch.dateLocale !== 'object' || Array.isArray(patch.dateLocale)) {
+      throw new Error('dateLocale must be an object');
+    }
+    for (const [key, value] of Object.entries(patch.dateLocale)) {
+      const allowed = DATE_LOCALE_OPTIONS[key];
+      if (!allowed) {
+        throw new Error(`Unknown dateLocale setting "${key}"`);
+      }
+      if (!allowed.includes(value)) {
+        throw new Error(`dateLocale.${key} must be one of ${allowed.join(', ')}`);
+      }
+    }
+  }
+}
+
+// Merges a partial update into the settings and saves them. Object values are merged
+// one level deep so { approvals: { send_email: false } } keeps the other tools' policies.
+export function updateSettings(patch) {
+  validateSettings(patch);
+
+  const current = getSettings();
+  const next = { ...current };
+  for (const [key, value] of Object.entries(patch)) {
+    next[key] = typeof value === 'object' && value !== null
+      ? { ...current[key], ...value }
+      : value;
+  }
+
+  fs.mkdirSync(dataDir, { recursive: true });
+  fs.writeFileSync(settingsFile, JSON.stringify(next, null, 2));
+  settings = next;
+  return settings;
+}
@@ -0,0 +1,170 @@
+/**
+ * Tests for the address book (see address-book.js) and how send_email turns names into
+ * recipients (see tools/_email-recipients.js), run with `npm test`.
+ *
+ * The address book is replaced in memory, nothing is written to helper/data.
+ */
+
+import { afterEach, before, beforeEach, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { deleteContact, describeRecipient, getAddressBook, resolveRecipient } from "./address-book.js";
+import { resolveApproval } from "./approvals.js";
+import { runWithContext } from "./run-context.js";
+import { describeRecipients, parseAddressList, recipientList, resolveRecipients } from "./tools/_email-recipients.js";
+
+// send_email creates its LLM client when it is loaded, which needs a key even though no test calls it
+process.env.OPENAI_API_KEY ??= 'test-key';
+const { default: sendEmail } = await import("./tools/send-email.js");
+
+const CONTACTS = [
+  { id: 'c1', name: 'Sarah Chen', email: 'sarah.chen@example.com' },
+  { id: 'c2', name: 'Sarah Miller', email: 'smiller@example.com' },
+  { id: 'c3', name: 'Bob Stone', email: 'bob@example.com' },
+  { id: 'c4', name: 'Ana', email: 'ana@example.com' },
+  { id: 'c5', name: 'Ana Lopez', email: 'ana.lopez@example.com' }
+];
+const GROUPS = [
+  { id: 'g1', name: 'Design team', members: ['Sarah Chen', 'Bob Stone', 'dana@example.com'] }
+];
+
+before(() => mock.method(console, 'log', () => {}));
+
+let saved;
+beforeEach(() => {
+  const book = getAddressBook();
+  saved = { ...book };
+  book.contacts = CONTACTS;
+  book.groups = GROUPS;
+});
+afterEach(() => Object.assign(getAddressBook(), saved));
+
+// Resolves the recipients, answering the chat's questions with answer(approval)
+function resolveAnswering(names, answer) {
+  const asked = [];
+  const emit = (event, data) => {
+    if (event !== 'approval-required') return;
+    asked.push(data);
+    setImmediate(() => resolveApproval(data.id, answer(data)));
+  };
+  return runWithContext({ runId: 'test', emit }, () => resolveRecipients(names, { tool: 'send_email' }))
+    .then(result => ({ ...result, asked }));
+}
+
+describe('resolveRecipient', () => {
+  test('email addresses are kept', () => {
+    assert.deepEqual(resolveRecipient('carl@example.com'), [{ name: 'carl@example.com', emails: ['carl@example.com'], group: false }]);
+  });
+
+  test('a whole name wins over the start of one', () => {
+    assert.deepEqual(resolveRecipient('ana').map(match => match.name), ['Ana']);
+    assert.deepEqual(resolveRecipient('bob').map(match => match.name), ['Bob Stone']);
+    assert.deepEqual(resolveRecipient('Sarah Miller').map(match => match.name), ['Sarah Miller']);
+  });
+
+  test('several equally good matches', () => {
+    assert.deepEqual(resolveRecipient('Sarah').map(match => match.name), ['Sarah Chen', 'Sarah Miller']);
+  });
+
+  test('groups are called with or without "the" and "team"', () => {
+    for (const name of ['the design team', 'design', 'Design Team']) {
+      assert.deepEqual(resolveRecipient(name), [{
+        name: 'Design team',
+        emails: ['sarah.chen@example.com', 'bob@example.com', 'dana@example.com'],
+        group: true
+      }], name);
+    }
+  });
+
+  test('names nobody has', () => {
+    assert.deepEqual(resolveRecipient('Zoe'), []);
+    assert.deepEqual(resolveRecipient('the team'), []);
+  });
+
+  test('describeRecipient', () => {
+    const [sarah, miller] = resolveRecipient('Sarah');
+    assert.equal(describeRecipient(sarah), 'Sarah Chen <sarah.chen@example.com>');
+    assert.equal(describeRecipient(miller), 'Sarah Miller <smiller@example.com>');
+    assert.equal(describeRecipient(resolveRecipient('design')[0]), 'Design team (3 people)');
+  });
+});
+
+describe('deleteContact', () => {
+  test('refuses contacts that groups list, naming the groups', () => {
+    assert.throws(() => deleteContact('c3'), { message: 'Bob Stone is a member of Design team. Remove them from the group first.' });
+    assert.equal(getAddressBook().contacts.length, CONTACTS.length);
+    assert.doesNotThrow(() => resolveRecipient('design'));
+  });
+
+  test('unknown contacts', () => {
+    assert.equal(deleteContact('nobody'), false);
+  });
+});
+
+describe('resolveRecipients', () => {
+  test('names, groups and addresses of To, Cc and Bcc', async () => {
+    const { recipients, asked } = await resolveAnswering({ to: ['the design team', 'ana'], cc: ['Bob', 'carl@example.com'], bcc: ['ana lopez'] });
+    assert.deepEqual(asked, []);
+    assert.deepEqual(recipients, {
+      to: ['sarah.chen@example.com', 'bob@example.com', 'dana@example.com', 'ana@example.com'],
+      // Bob already gets it through the design team
+      cc: ['carl@example.com'],
+      bcc: ['ana.lopez@example.com']
+    });
+  });
+
+  test('asks who an ambiguous name is', async () => {
+    const { recipients, asked } = await resolveAnswering({ to: ['Sarah'] }, () => ({ decision: 'approve', choice: 'recipient-1' }));
+    assert.equal(asked.length, 1);
+    assert.equal(asked[0].title, '"Sarah" matches 2 entries of the address book. Who is meant?');
+    assert.deepEqual(asked[0].choices.map(choice => choice.label), ['Sarah Chen <sarah.chen@example.com>', 'Sarah Miller <smiller@example.com>']);
+    assert.equal(asked[0].requireChoice, true);
+    assert.deepEqual(recipients.to, ['smiller@example.com']);
+  });
+
+  test('cancelling the question', async () => {
+    const { approval, name } = await resolveAnswering({ to: ['bob', 'Sarah'] }, () => ({ decision: 'cancel' }));
+    assert.equal(approval.approved, false);
+    assert.equal(name, 'Sarah');
+  });
+
+  test('unknown names are listed before anything is asked', async () => {
+    await assert.rejects(
+      resolveAnswering({ to: ['Sarah', 'Zoe'], cc: ['Yuri'] }, () => assert.fail('asked')),
+      { message: '"Zoe", "Yuri" are not in the address book. Add them under ⚙ in the extension or give their email addresses.' }
+    );
+  });
+});
+
+describe('recipient lists', () => {
+  test('a comma-separated string is a list', () => {
+    assert.deepEqual(recipientList.parse('Sarah, design team; bob@example.com'), ['Sarah', 'design team', 'bob@example.com']);
+    assert.deepEqual(recipientList.parse(['Sarah']), ['Sarah']);
+  });
+
+  test('edited addresses', () => {
+    assert.deepEqual(parseAddressList('a@example.com, b@example.com;a@example.com', 'To'), ['a@example.com', 'b@example.com']);
+    assert.deepEqual(parseAddressList('', 'Cc'), []);
+    assert.throws(() => parseAddressList('a@example.com, Sarah', 'Cc'), /Not valid Cc email addresses: Sarah/);
+  });
+
+  test('describeRecipients', () => {
+    assert.equal(describeRecipients({ to: ['a@example.com'] }), 'a@example.com');
+    assert.equal(
+      describeRecipients({ to: ['a@example.com', 'b@example.com', 'c@example.com'], cc: ['d@example.com'], bcc: ['e@example.com'] }),
+      'a@example.com, b@example.com and c@example.com (cc d@example.com, bcc e@example.com)'
+    );
+  });
+});
+
+describe('@send_email commands', () => {
+  test('recipients, copies and the draft keyword', () => {
+    assert.deepEqual(sendEmail.parseArguments('Sarah,design cc:bob@example.com the launch moved'), { to: ['Sarah', 'design'], cc: ['bob@example.com'], request: 'the launch moved' });
+    assert.deepEqual(sendEmail.parseArguments('draft bob@example.com declining the offer'), { to: ['bob@example.com'], request: 'declining the offer', draft: true });
+    assert.deepEqual(sendEmail.parseArguments('draft Ana asking for the slides'), { to: ['Ana'], request: 'asking for the slides', draft: true });
+  });
+
+  test('"draft" without recipients after it is left to the LLM', () => {
+    assert.equal(sendEmail.parseArguments('draft an email to bob about the offer'), null);
+    assert.equal(sendEmail.parseArguments('draft Zoe,Sarah asking for the slides'), null);
+  });
+});
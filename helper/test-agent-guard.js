@@ -0,0 +1,104 @@
+/**
+ * Unit tests for the completion guard (see agent-guard.js) and the structured tool
+ * results it reads (see tool-result.js), run with `npm test`.
+ *
+ * The agent is a fake whose plan() returns the decisions a test gives it.
+ */
+
+import { before, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { installCompletionGuard, summarizeResults } from "./agent-guard.js";
+import { cancelled, failure, normalizeToolResult, parseToolResult, serializeToolResult, success } from "./tool-result.js";
+
+before(() => {
+  mock.method(console, 'log', () => {});
+});
+
+const step = (tool, toolInput, result) => ({
+  action: { tool, toolInput, log: '' },
+  observation: serializeToolResult(result)
+});
+
+// An executor whose agent plans the given decision and counts its calls
+function guardedExecutor(decision) {
+  const agent = {
+    calls: 0,
+    async plan() {
+      this.calls++;
+      return decision;
+    }
+  };
+  installCompletionGuard({ agent });
+  return agent;
+}
+
+describe('tool results', () => {
+  test('plain text and unknown values count as success', () => {
+    assert.deepEqual(normalizeToolResult('Opened the tab'), { status: 'success', message: 'Opened the tab', data: {} });
+    assert.deepEqual(normalizeToolResult({ tabs: 2 }), { status: 'success', message: '{"tabs":2}', data: {} });
+    assert.deepEqual(normalizeToolResult({ status: 'done', message: 'x' }), { status: 'success', message: '{"status":"done","message":"x"}', data: {} });
+    assert.deepEqual(normalizeToolResult({ status: 'error', message: 42 }), { status: 'error', message: '42', data: {} });
+  });
+
+  test('observations are read back', () => {
+    const result = failure('No browser connected', { url: 'gmail.com' });
+    assert.deepEqual(parseToolResult(serializeToolResult(result)), result);
+    assert.deepEqual(parseToolResult('{not json'), success('{not json'));
+    assert.deepEqual(parseToolResult('Done'), success('Done'));
+  });
+});
+
+describe('summarizeResults', () => {
+  test('joins the messages of the tool results', () => {
+    const summary = summarizeResults([
+      step('open_new_tab', { url: 'gmail.com' }, success('Opened gmail.com')),
+      { action: { tool: '_Exception', toolInput: 'bad' }, observation: 'Invalid format' },
+      step('send_email', { to: ['bob'] }, failure('"bob" is not in the address book')),
+      step('send_email', { to: ['bob'] }, failure('"bob" is not in the address book'))
+    ]);
+    assert.equal(summary, 'Opened gmail.com\nSomething went wrong: "bob" is not in the address book');
+  });
+
+  test('without tool results', () => {
+    assert.equal(summarizeResults([]), "I wasn't able to complete the request.");
+  });
+});
+
+describe('installCompletionGuard', () => {
+  test('lets new tool calls through', async () => {
+    const decision = { tool: 'send_email', toolInput: { to: ['ana'] }, log: '' };
+    const agent = guardedExecutor(decision);
+    const steps = [step('open_new_tab', { url: 'gmail.com' }, success('Opened gmail.com'))];
+
+    assert.equal(await agent.plan(steps, {}), decision);
+  });
+
+  test('a cancelled result ends the request without asking the LLM', async () => {
+    const agent = guardedExecutor({ tool: 'send_email', toolInput: {}, log: '' });
+    const result = await agent.plan([step('send_email', { to: ['ana'] }, cancelled('Not sent, cancelled by the user'))], {});
+
+    assert.deepEqual(result, { returnValues: { output: 'Not sent, cancelled by the user' }, log: '' });
+    assert.equal(agent.calls, 0);
+  });
+
+  test('repeating a call with the same arguments ends the request', async () => {
+    const steps = [step('create_calendar_event', { summary: 'Lunch', start: 'noon' }, success('Created "Lunch"'))];
+
+    const repeated = guardedExecutor([{ tool: 'create_calendar_event', toolInput: { start: 'noon', summary: 'Lunch' }, log: '' }]);
+    assert.deepEqual(await repeated.plan(steps, {}), { returnValues: { output: 'Created "Lunch"' }, log: '' });
+
+    const changed = guardedExecutor({ tool: 'create_calendar_event', toolInput: { summary: 'Lunch', start: '1pm' }, log: '' });
+    assert.equal('returnValues' in await changed.plan(steps, {}), false);
+  });
+
+  test('final answers of the LLM are kept', async () => {
+    const decision = { returnValues: { output: 'All done' }, log: '' };
+    assert.equal(await guardedExecutor(decision).plan([], {}), decision);
+  });
+
+  test('running out of iterations answers with what was done', async () => {
+    const agent = guardedExecutor({});
+    const result = await agent.returnStoppedResponse('force', [step('open_new_tab', {}, success('Opened gmail.com'))]);
+    assert.deepEqual(result, { returnValues: { output: 'Opened gmail.com' }, log: '' });
+  });
+});
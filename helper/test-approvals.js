@@ -0,0 +1,123 @@
+/**
+ * Unit tests for approvals (see approvals.js), run with `npm test`.
+ *
+ * The approval policy is replaced in memory, nothing is written to helper/data.
+ */
+
+import { after, before, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { cancelApprovalsForRun, describeRejection, isApprovalRequired, listPendingApprovals, requestApproval, resolveApproval } from "./approvals.js";
+import { runWithContext } from "./run-context.js";
+import { getSettings } from "./settings.js";
+
+const fields = [
+  { name: 'to', label: 'To', value: 'ana@example.com', readOnly: true },
+  { name: 'subject', label: 'Subject', value: 'Lunch' },
+  { name: 'body', label: 'Message', value: 'Noon?', multiline: true }
+];
+
+const choices = [{ id: 'slot-0', label: '1:00 PM' }, { id: 'slot-1', label: '3:00 PM' }];
+
+let savedApprovals;
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  savedApprovals = getSettings().approvals;
+  getSettings().approvals = { send_email: true, open_new_tab: false };
+});
+
+after(() => {
+  getSettings().approvals = savedApprovals;
+});
+
+// Starts an approval in a run and resolves with it and the events the run saw,
+// once the chat has been asked
+function startApproval(request, runId = 'test') {
+  const events = [];
+  return new Promise((resolveStarted) => {
+    const emit = (event, data) => {
+      events.push({ event, data });
+      // The chat is asked while requestApproval() is still running
+      if (event === 'approval-required') setImmediate(() => resolveStarted({ id: data.id, data, events, result }));
+    };
+    const result = runWithContext({ runId, emit }, () => requestApproval(request));
+  });
+}
+
+describe('isApprovalRequired', () => {
+  test('follows the policy and asks by default', () => {
+    assert.equal(isApprovalRequired('send_email'), true);
+    assert.equal(isApprovalRequired('open_new_tab'), false);
+    assert.equal(isApprovalRequired('create_calendar_event'), true);
+  });
+});
+
+describe('requestApproval', () => {
+  test('tools that do not ask are approved with their preview', async () => {
+    const result = await requestApproval({ tool: 'open_new_tab', fields: [{ name: 'url', label: 'URL', value: 'gmail.com' }] });
+    assert.deepEqual(result, { approved: true, values: { url: 'gmail.com' }, choice: null });
+    assert.deepEqual(listPendingApprovals(), []);
+  });
+
+  test('approving applies edits to editable fields only', async () => {
+    const { id, data, events, result } = await startApproval({ tool: 'send_email', title: 'Send this email?', fields });
+
+    assert.equal(data.title, 'Send this email?');
+    assert.deepEqual(listPendingApprovals('test').map(pending => pending.id), [id]);
+
+    assert.equal(resolveApproval(id, { decision: 'approve', fields: { to: 'bob@example.com', subject: 'Dinner', body: 42 } }), true);
+    assert.deepEqual(await result, {
+      approved: true,
+      values: { to: 'ana@example.com', subject: 'Dinner', body: 'Noon?' },
+      choice: null
+    });
+    assert.deepEqual(events.at(-1), { event: 'approval-resolved', data: { id, decision: 'approve', reason: undefined, choice: null } });
+    assert.deepEqual(listPendingApprovals(), []);
+  });
+
+  test('cancelling resolves as not approved', async () => {
+    const { id, result } = await startApproval({ tool: 'send_email', fields });
+    resolveApproval(id, { decision: 'cancel' });
+    assert.deepEqual(await result, { approved: false, reason: 'cancelled' });
+    assert.equal(resolveApproval(id, { decision: 'approve' }), false);
+  });
+
+  test('choices are asked for even when the tool does not ask', async () => {
+    const { id, data, result } = await startApproval({ tool: 'open_new_tab', fields: [], choices });
+    assert.deepEqual(data.choices, choices);
+
+    assert.throws(() => resolveApproval(id, { decision: 'approve', choice: 'slot-9' }), { message: 'Unknown choice "slot-9"' });
+    resolveApproval(id, { decision: 'approve', choice: 'slot-1' });
+    assert.deepEqual(await result, { approved: true, values: {}, choice: 'slot-1' });
+  });
+
+  test('requireChoice needs one of the choices', async () => {
+    const { id, result } = await startApproval({ tool: 'send_email', fields, choices, requireChoice: true });
+
+    assert.throws(() => resolveApproval(id, { decision: 'approve' }), { message: 'Pick one of the choices' });
+    resolveApproval(id, { decision: 'approve', choice: 'slot-0' });
+    assert.equal((await result).choice, 'slot-0');
+  });
+});
+
+describe('cancelApprovalsForRun', () => {
+  test('only cancels the approvals of that run', async () => {
+    const first = await startApproval({ tool: 'send_email', fields }, 'run-1');
+    const second = await startApproval({ tool: 'send_email', fields }, 'run-2');
+
+    cancelApprovalsForRun('run-1');
+    assert.deepEqual(await first.result, { approved: false, reason: 'cancelled' });
+    assert.deepEqual(listPendingApprovals().map(pending => pending.id), [second.id]);
+
+    resolveApproval(second.id, { decision: 'cancel' });
+    await second.result;
+  });
+});
+
+describe('describeRejection', () => {
+  test('says why the request was not approved', () => {
+    assert.equal(describeRejection({ approved: false, reason: 'cancelled' }), 'the user cancelled it');
+    assert.equal(describeRejection({ approved: false, reason: 'timeout' }), 'nobody approved it in time');
+    assert.equal(describeRejection({ approved: false, reason: 'timeout' }, 'picked one'), 'nobody picked one in time');
+  });
+});
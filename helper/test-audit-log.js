@@ -0,0 +1,112 @@
+/**
+ * Unit tests for the audit log (see audit-log.js), run with `npm test`.
+ *
+ * The log is written to a temporary directory, nothing is written to helper/data.
+ */
+
+import { after, afterEach, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { queryAuditLog, recordToolInvocation, setAuditLogFile } from "./audit-log.js";
+import { cancelled, failure, success } from "./tool-result.js";
+
+let tmpDir;
+let file;
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-'));
+});
+
+after(() => {
+  setAuditLogFile(null);
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach((t) => {
+  file = path.join(tmpDir, `${t.name.replace(/\W+/g, '-')}.jsonl`);
+  setAuditLogFile(file);
+});
+
+afterEach(() => setAuditLogFile(null));
+
+function record(tool, startedAt, result = success('Done')) {
+  const start = new Date(startedAt);
+  return recordToolInvocation({
+    tool,
+    args: { id: 1 },
+    prompt: `run ${tool}`,
+    jobId: 'job-1',
+    startedAt: start,
+    finishedAt: new Date(start.getTime() + 250),
+    result
+  });
+}
+
+describe('recordToolInvocation', () => {
+  test('appends one line per invocation', async () => {
+    const entry = record('send_email', '2024-05-01T10:00:00Z', success('Sent the email', { to: ['ana@example.com'] }));
+
+    assert.equal(entry.durationMs, 250);
+    assert.equal(entry.outcome, 'success');
+    assert.equal(entry.output, 'Sent the email');
+    assert.deepEqual(entry.data, { to: ['ana@example.com'] });
+    assert.equal(entry.error, null);
+
+    await queryAuditLog();
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+    assert.deepEqual(lines.map(line => JSON.parse(line)), [entry]);
+  });
+
+  test('errors are kept apart from output, long output is cut', () => {
+    const failed = record('send_email', '2024-05-01T10:00:00Z', failure('No browser connected'));
+    assert.equal(failed.outcome, 'error');
+    assert.equal(failed.output, null);
+    assert.equal(failed.error, 'No browser connected');
+
+    const stopped = record('send_email', '2024-05-01T10:00:00Z', cancelled('Not sent'));
+    assert.equal(stopped.outcome, 'cancelled');
+    assert.equal(stopped.output, 'Not sent');
+
+    const long = record('read_page', '2024-05-01T10:00:00Z', success('x'.repeat(1200)));
+    assert.equal(long.output, `${'x'.repeat(1000)}...`);
+  });
+});
+
+describe('queryAuditLog', () => {
+  test('an empty log has no entries', async () => {
+    assert.deepEqual(await queryAuditLog(), []);
+  });
+
+  test('filters by tool and date, newest first', async () => {
+    record('send_email', '2024-04-30T23:00:00');
+    record('open_new_tab', '2024-05-01T09:00:00');
+    record('send_email', '2024-05-01T18:00:00');
+    record('send_email', '2024-05-02T08:00:00');
+
+    const tools = (entries) => entries.map(entry => `${entry.tool} ${entry.startedAt}`);
+    const at = (local) => new Date(local).toISOString();
+
+    assert.deepEqual(tools(await queryAuditLog({ tool: 'send_email', from: '2024-05-01', to: '2024-05-01' })), [
+      `send_email ${at('2024-05-01T18:00:00')}`
+    ]);
+    assert.deepEqual(tools(await queryAuditLog({ from: '2024-05-01' })), [
+      `send_email ${at('2024-05-02T08:00:00')}`,
+      `send_email ${at('2024-05-01T18:00:00')}`,
+      `open_new_tab ${at('2024-05-01T09:00:00')}`
+    ]);
+    assert.equal((await queryAuditLog({ limit: '2' })).length, 2);
+  });
+
+  test('partially written lines are skipped', async () => {
+    fs.writeFileSync(file, '{"tool":"send_email","startedAt":"2024-05-01T10:00:00Z"}\n{"tool":"send_');
+    assert.deepEqual((await queryAuditLog()).map(entry => entry.tool), ['send_email']);
+  });
+
+  test('bad filters are errors', async () => {
+    await assert.rejects(queryAuditLog({ from: 'yesterday' }), { message: 'Invalid from date "yesterday"' });
+    await assert.rejects(queryAuditLog({ to: '2024-13-45' }), { message: 'Invalid to date "2024-13-45"' });
+    await assert.rejects(queryAuditLog({ limit: 0 }), { message: 'Invalid limit "0"' });
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Unit tests for the browser queue (see withBrowser in browser.js), run with `npm test`.
+ *
+ * The tasks belong to cancelled requests, so they are skipped before the browser would
+ * be opened and no Chrome is needed.
+ */
+
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { hasWaitingBrowserTasks, withBrowser } from "./browser.js";
+import { JobCancelledError } from "./jobs.js";
+import { runWithContext } from "./run-context.js";
+
+function cancelledRequest() {
+  const controller = new AbortController();
+  controller.abort(new JobCancelledError());
+  return { runId: 'test', signal: controller.signal };
+}
+
+describe('withBrowser', () => {
+  test('counts the tasks waiting for the browser', async () => {
+    assert.equal(hasWaitingBrowserTasks(), false);
+
+    const first = runWithContext(cancelledRequest(), () => withBrowser(async () => 'first'));
+    const second = runWithContext(cancelledRequest(), () => withBrowser(async () => 'second'));
+    assert.equal(hasWaitingBrowserTasks(), true);
+
+    await assert.rejects(first, JobCancelledError);
+    await assert.rejects(second, JobCancelledError);
+    assert.equal(hasWaitingBrowserTasks(), false);
+  });
+
+  test('tasks of cancelled requests never get the page', async () => {
+    let ran = false;
+    await assert.rejects(runWithContext(cancelledRequest(), () => withBrowser(async () => { ran = true; })), JobCancelledError);
+    assert.equal(ran, false);
+    assert.equal(hasWaitingBrowserTasks(), false);
+  });
+});
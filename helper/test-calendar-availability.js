@@ -0,0 +1,148 @@
+/**
+ * Tests for calendar-availability.js, run with `npm test`.
+ *
+ * Like test-date-parser.js, everything runs against a fixed clock: Wednesday 15 May 2024,
+ * 10:00 local time. checkAvailability() reads events from a fake Calendar API client.
+ */
+
+import { afterEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { checkAvailability, findConflicts, suggestFreeSlots } from "./calendar-availability.js";
+import { setCalendarClient } from "./google-calendar.js";
+
+const NOW = new Date(2024, 4, 15, 10, 0);
+
+// Local time on a day in May 2024
+function may(day, hour, minute = 0) {
+  return new Date(2024, 4, day, hour, minute);
+}
+
+function event(title, start, end, extra = {}) {
+  return { id: title, title, start, end, allDay: false, busy: true, ...extra };
+}
+
+function slotTimes(slots) {
+  return slots.map(slot => [slot.start, slot.end]);
+}
+
+const thursday = [
+  event('Standup', may(16, 9), may(16, 9, 30)),
+  event('Review', may(16, 14), may(16, 15)),
+  event('Planning', may(16, 15), may(16, 16, 15))
+];
+
+describe('findConflicts', () => {
+  test('busy timed events that overlap', () => {
+    const conflicts = findConflicts({ start: may(16, 14, 30), end: may(16, 15, 30) }, thursday);
+    assert.deepEqual(conflicts.map(conflict => conflict.title), ['Review', 'Planning']);
+  });
+
+  test('touching is not overlapping', () => {
+    assert.deepEqual(findConflicts({ start: may(16, 13), end: may(16, 14) }, thursday), []);
+  });
+
+  test('all-day events, free time and declined invitations do not conflict', () => {
+    const events = [
+      event('Holiday', may(16, 0), may(17, 0), { allDay: true }),
+      event('Focus time', may(16, 11), may(16, 12), { busy: false })
+    ];
+    assert.deepEqual(findConflicts({ start: may(16, 11), end: may(16, 12) }, events), []);
+  });
+});
+
+describe('suggestFreeSlots', () => {
+  test('the nearest free times of the same length', () => {
+    const slots = suggestFreeSlots({ start: may(16, 14), end: may(16, 15) }, thursday, { now: NOW });
+    assert.deepEqual(slotTimes(slots), [
+      [may(16, 13), may(16, 14)],
+      [may(16, 12, 30), may(16, 13, 30)],
+      [may(16, 12), may(16, 13)]
+    ]);
+  });
+
+  test('a slot can start right when an event ends', () => {
+    const [first] = suggestFreeSlots({ start: may(16, 15, 30), end: may(16, 16) }, thursday, { now: NOW, count: 1 });
+    assert.deepEqual([first.start, first.end], [may(16, 16, 15), may(16, 16, 45)]);
+  });
+
+  test('slots stay within the day and after now', () => {
+    const slots = suggestFreeSlots({ start: may(15, 10), end: may(15, 11) }, [event('Busy', may(15, 8), may(15, 20))], { now: NOW });
+    assert.deepEqual(slotTimes(slots), [
+      [may(16, 8), may(16, 9)],
+      [may(16, 8, 30), may(16, 9, 30)],
+      [may(16, 9), may(16, 10)]
+    ]);
+  });
+
+  test('days limits the search', () => {
+    const fullDay = [event('Workshop', may(16, 8), may(16, 20))];
+    assert.deepEqual(suggestFreeSlots({ start: may(16, 9), end: may(16, 10) }, fullDay, { now: NOW, days: 1 }), []);
+    assert.equal(suggestFreeSlots({ start: may(16, 9), end: may(16, 10) }, fullDay, { now: NOW }).length, 3);
+  });
+});
+
+describe('checkAvailability', () => {
+  afterEach(() => setCalendarClient(null));
+
+  function fakeCalendar(list) {
+    const requests = [];
+    setCalendarClient({
+      events: {
+        list: async (params) => {
+          requests.push(params);
+          return list(params);
+        }
+      }
+    });
+    return requests;
+  }
+
+  const apiEvent = (summary, start, end) => ({ id: summary, summary, start: { dateTime: start.toISOString() }, end: { dateTime: end.toISOString() } });
+
+  test('conflicts and free slots from the calendar', async () => {
+    const requests = fakeCalendar(() => ({ data: { items: [apiEvent('Review', may(16, 14), may(16, 15))] } }));
+    const result = await checkAvailability({ start: may(16, 14, 30), end: may(16, 15, 30), allDay: false }, { now: NOW });
+
+    assert.equal(requests[0].timeMin, may(16, 0).toISOString());
+    assert.equal(requests[0].timeMax, may(23, 0).toISOString());
+    assert.deepEqual(result.conflicts.map(conflict => conflict.title), ['Review']);
+    assert.deepEqual(slotTimes(result.slots)[0], [may(16, 15), may(16, 16)]);
+  });
+
+  test('no slots are needed without conflicts', async () => {
+    fakeCalendar(() => ({ data: { items: [] } }));
+    assert.deepEqual(await checkAvailability({ start: may(16, 9), end: may(16, 10), allDay: false }, { now: NOW }), { conflicts: [], slots: [] });
+  });
+
+  test('same-day searches only read that day', async () => {
+    const requests = fakeCalendar(() => ({ data: { items: [] } }));
+    await checkAvailability({ start: may(16, 9), end: may(16, 10), allDay: false }, { now: NOW, sameDay: true });
+    assert.equal(requests[0].timeMax, may(17, 0).toISOString());
+  });
+
+  test('nothing to check', async () => {
+    fakeCalendar(() => assert.fail('the calendar should not be read'));
+    assert.equal(await checkAvailability(null), null);
+    assert.equal(await checkAvailability({ start: may(16, 0), end: may(17, 0), allDay: true }), null);
+  });
+
+  test('a failed lookup is skipped and reported as unchecked', async () => {
+    fakeCalendar(() => { throw new Error('Backend Error'); });
+    const result = await checkAvailability({ start: may(16, 9), end: may(16, 10), allDay: false }, { now: NOW });
+
+    assert.deepEqual(result.conflicts, []);
+    assert.match(result.unchecked, /^Not checked\. Could not read the calendar: Backend Error\. Look at your calendar/);
+  });
+
+  test('without the Calendar API the time is reported as unchecked', async (t) => {
+    for (const name of ['GOOGLE_CLIENT_ID', 'GOOGLE_CLIENT_SECRET', 'GOOGLE_REFRESH_TOKEN']) {
+      const saved = process.env[name];
+      delete process.env[name];
+      t.after(() => { if (saved !== undefined) process.env[name] = saved; });
+    }
+    const result = await checkAvailability({ start: may(16, 9), end: may(16, 10), allDay: false }, { now: NOW });
+
+    assert.deepEqual(result.conflicts, []);
+    assert.match(result.unchecked, /^Not checked, the Calendar API is not set up/);
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Tests for the calendar backends of create_calendar_event (see calendar-backends/), run
+ * with `npm test`.
+ *
+ * The "api" backend creates events on a fake Calendar API client, the browser and .ics
+ * backends need Chrome and the extension and are only checked for being picked.
+ */
+
+import { afterEach, before, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { setCalendarClient } from "./google-calendar.js";
+import { getSettings } from "./settings.js";
+import { resolveApproval } from "./approvals.js";
+import { runWithContext } from "./run-context.js";
+import { parseRecurrence } from "./recurrence.js";
+import { selectCalendarBackend } from "./calendar-backends/index.js";
+import apiBackend from "./calendar-backends/api.js";
+import createCalendarEvent from "./tools/create-calendar-event.js";
+
+const TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+const describeTitle = (event) => `"${event.title}"`;
+
+// Records events.insert calls, events.list returns no events so nothing overlaps
+function fakeCalendar() {
+  const inserted = [];
+  setCalendarClient({
+    events: {
+      list: async () => ({ data: { items: [] } }),
+      insert: async (params) => {
+        inserted.push(params);
+        return { data: { id: 'new-event', htmlLink: 'https://calendar.google.com/event?eid=new', ...params.requestBody } };
+      }
+    }
+  });
+  return inserted;
+}
+
+// Runs a tool with the given calendar backend, answering what it asks with answer
+async function runWithBackend(name, tool, args, answer = { decision: 'approve' }) {
+  const settings = getSettings();
+  const saved = settings.calendarBackend;
+  settings.calendarBackend = name;
+  const emit = (event, data) => {
+    if (event === 'approval-required') setImmediate(() => resolveApproval(data.id, answer));
+  };
+  try {
+    return await runWithContext({ runId: 'test', emit }, () => tool.func(args));
+  } finally {
+    settings.calendarBackend = saved;
+  }
+}
+
+before(() => mock.method(console, 'log', () => {}));
+afterEach(() => setCalendarClient(null));
+
+describe('selectCalendarBackend', () => {
+  test('the backend of the setting', () => {
+    fakeCalendar();
+    assert.equal(selectCalendarBackend('api').backend.name, 'api');
+    assert.equal(selectCalendarBackend('ics').backend.name, 'ics');
+    assert.equal(selectCalendarBackend('browser').backend.name, 'browser');
+    assert.equal(selectCalendarBackend('api').fallbackFrom, null);
+  });
+
+  test('the API without credentials falls back to the browser', () => {
+    const saved = process.env.GOOGLE_REFRESH_TOKEN;
+    delete process.env.GOOGLE_REFRESH_TOKEN;
+    try {
+      assert.deepEqual(selectCalendarBackend('api'), { backend: selectCalendarBackend('browser').backend, fallbackFrom: 'api' });
+    } finally {
+      if (saved !== undefined) process.env.GOOGLE_REFRESH_TOKEN = saved;
+    }
+  });
+
+  test('only the browser backend needs the login', () => {
+    fakeCalendar();
+    assert.deepEqual(['browser', 'api', 'ics'].map(name => selectCalendarBackend(name).backend.needsBrowser), [true, false, false]);
+  });
+});
+
+describe('api backend', () => {
+  test('creates a repeating event and invites the guests', async () => {
+    const inserted = fakeCalendar();
+    const event = {
+      title: 'Team sync',
+      start: new Date(2024, 4, 21, 10),
+      end: new Date(2024, 4, 21, 11),
+      allDay: false,
+      recurrence: parseRecurrence('every tuesday').rule,
+      location: 'Room 4B',
+      guests: ['ana@example.com']
+    };
+    const { message, data } = await runWithContext({ runId: 'test' }, () => apiBackend.createEvent(event, { describe: describeTitle }));
+
+    assert.equal(message, 'Created the calendar event "Team sync" in Google Calendar.');
+    assert.deepEqual(data, { id: 'new-event', link: 'https://calendar.google.com/event?eid=new' });
+    assert.deepEqual(inserted, [{
+      calendarId: 'primary',
+      sendUpdates: 'all',
+      requestBody: {
+        summary: 'Team sync',
+        start: { dateTime: event.start.toISOString(), timeZone: TIME_ZONE },
+        end: { dateTime: event.end.toISOString(), timeZone: TIME_ZONE },
+        location: 'Room 4B',
+        recurrence: ['RRULE:FREQ=WEEKLY;BYDAY=TU'],
+        attendees: [{ email: 'ana@example.com' }]
+      }
+    }]);
+  });
+
+  test('all-day events have dates', async () => {
+    const inserted = fakeCalendar();
+    const event = { title: 'Offsite', start: new Date(2024, 5, 10), end: new Date(2024, 5, 13), allDay: true, guests: [] };
+    await runWithContext({ runId: 'test' }, () => apiBackend.createEvent(event, { describe: describeTitle }));
+
+    const [{ sendUpdates, requestBody }] = inserted;
+    assert.equal(sendUpdates, 'none');
+    assert.deepEqual([requestBody.start, requestBody.end], [{ date: '2024-06-10' }, { date: '2024-06-13' }]);
+  });
+});
+
+describe('create_calendar_event', () => {
+  test('uses the backend of the settings', async () => {
+    const inserted = fakeCalendar();
+    const result = await runWithBackend('api', createCalendarEvent, { title: 'Dentist', dateTime: 'tomorrow at 2pm' });
+
+    assert.equal(result.status, 'success');
+    assert.match(result.message, /^Created the calendar event "Dentist" for .* in Google Calendar\.$/);
+    assert.equal(result.data.backend, 'api');
+    assert.equal(result.data.id, 'new-event');
+    assert.equal(new Date(inserted[0].requestBody.start.dateTime).getHours(), 14);
+  });
+
+  test('the API needs a date/time', async () => {
+    const inserted = fakeCalendar();
+    await assert.rejects(runWithBackend('api', createCalendarEvent, { title: 'Dentist' }), /The Calendar API needs the date\/time of the event/);
+    assert.deepEqual(inserted, []);
+  });
+
+  test('the approval card says when the time was not checked for conflicts', async () => {
+    let card;
+    const emit = (event, data) => {
+      if (event !== 'approval-required') return;
+      card = data;
+      setImmediate(() => resolveApproval(data.id, { decision: 'cancel' }));
+    };
+    // No fake client and no credentials: the Calendar API is not set up
+    const result = await runWithContext({ runId: 'test', emit }, () => createCalendarEvent.func({ title: 'Dentist', dateTime: 'tomorrow at 2pm' }));
+
+    assert.equal(result.status, 'cancelled');
+    const conflicts = card.fields.find(field => field.name === 'conflicts');
+    assert.match(conflicts.value, /^Not checked, the Calendar API is not set up/);
+  });
+
+  test('creates the event at the location with the guests', async () => {
+    const inserted = fakeCalendar();
+    const result = await runWithBackend('api', createCalendarEvent, {
+      title: 'Team sync',
+      dateTime: 'tomorrow at 10am',
+      location: 'Room 4B',
+      guests: ['ana@example.com']
+    });
+
+    assert.match(result.message, /^Created the calendar event "Team sync" for .* at Room 4B, inviting ana@example\.com in Google Calendar\.$/);
+    assert.equal(result.data.location, 'Room 4B');
+    assert.deepEqual(result.data.guests, ['ana@example.com']);
+    assert.equal(inserted[0].requestBody.location, 'Room 4B');
+    assert.deepEqual(inserted[0].requestBody.attendees, [{ email: 'ana@example.com' }]);
+  });
+
+  test('location and guests edited in the approval card', async () => {
+    const inserted = fakeCalendar();
+    const result = await runWithBackend('api', createCalendarEvent, { title: 'Team sync', dateTime: 'tomorrow at 10am', location: 'Room 4B' }, {
+      decision: 'approve',
+      fields: { location: '  ', guests: 'ana@example.com, bo@example.com;ana@example.com' }
+    });
+
+    assert.equal(result.data.location, null);
+    assert.deepEqual(result.data.guests, ['ana@example.com', 'bo@example.com']);
+    assert.equal('location' in inserted[0].requestBody, false);
+    assert.deepEqual(inserted[0].requestBody.attendees, [{ email: 'ana@example.com' }, { email: 'bo@example.com' }]);
+  });
+
+  test('guests that are not email addresses are rejected', async () => {
+    const inserted = fakeCalendar();
+    await assert.rejects(
+      runWithBackend('api', createCalendarEvent, { title: 'Team sync', dateTime: 'tomorrow at 10am' }, {
+        decision: 'approve',
+        fields: { guests: 'ana@example.com, bo' }
+      }),
+      { message: 'Not valid guest email addresses: bo' }
+    );
+    assert.deepEqual(inserted, []);
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Tests for the tools that change existing events (reschedule, rename and delete), run
+ * with `npm test`.
+ *
+ * The Calendar API client is a local fake (see setCalendarClient() in google-calendar.js)
+ * and approvals are answered by the test through the run context's emit(), the way the
+ * chat answers them through POST /approvals/:id.
+ */
+
+import { afterEach, before, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { setCalendarClient } from "./google-calendar.js";
+import { resolveApproval } from "./approvals.js";
+import { runWithContext } from "./run-context.js";
+import { matchEvents, parseEventText } from "./tools/_find-calendar-event.js";
+import rescheduleCalendarEvent from "./tools/reschedule-calendar-event.js";
+import renameCalendarEvent from "./tools/rename-calendar-event.js";
+import deleteCalendarEvent from "./tools/delete-calendar-event.js";
+
+// Tomorrow at the given local time
+function tomorrowAt(hour, minute = 0) {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1, hour, minute);
+}
+
+function apiEvent(id, summary, start, end, extra = {}) {
+  return { id, summary, start: { dateTime: start.toISOString() }, end: { dateTime: end.toISOString() }, ...extra };
+}
+
+// Lists the given events and records the calls that change them
+function fakeCalendar(items) {
+  const calls = [];
+  setCalendarClient({
+    events: {
+      list: async () => ({ data: { items } }),
+      patch: async (params) => {
+        calls.push(['patch', params]);
+        const event = items.find(item => item.id === params.eventId);
+        return { data: { ...event, ...params.requestBody, summary: params.requestBody.summary ?? event.summary } };
+      },
+      delete: async (params) => {
+        calls.push(['delete', params]);
+        return { data: '' };
+      }
+    }
+  });
+  return calls;
+}
+
+// Runs a tool, answering each approval it asks for with the next answer
+async function runTool(tool, args, answers) {
+  const asked = [];
+  const emit = (event, data) => {
+    if (event !== 'approval-required') return;
+    asked.push(data);
+    const answer = answers.shift() ?? { decision: 'cancel' };
+    setImmediate(() => resolveApproval(data.id, answer));
+  };
+  const result = await runWithContext({ runId: 'test', emit }, () => tool.func(args));
+  return { result, asked };
+}
+
+const standup = apiEvent('standup-1', 'Daily Standup', tomorrowAt(9), tomorrowAt(9, 15), { recurringEventId: 'standup' });
+const dentist = apiEvent('dentist', 'Dentist', tomorrowAt(14), tomorrowAt(15));
+const review = apiEvent('review', 'Design review', tomorrowAt(16), tomorrowAt(17), { attendees: [{ email: 'ana@example.com' }] });
+const reviewPrep = apiEvent('review-prep', 'Review prep', tomorrowAt(11), tomorrowAt(11, 30));
+
+// The tools log each approval and change, which only clutters the test output
+before(() => mock.method(console, 'log', () => {}));
+afterEach(() => setCalendarClient(null));
+
+describe('finding the event', () => {
+  const events = [
+    { title: 'Daily Standup' },
+    { title: 'Dentist' },
+    { title: 'Design review' },
+    { title: 'Review prep' }
+  ];
+  const titles = (matches) => matches.map(event => event.title);
+
+  test('the titles matching the most words', () => {
+    assert.deepEqual(titles(matchEvents(events, 'standup')), ['Daily Standup']);
+    assert.deepEqual(titles(matchEvents(events, 'my dentist appointment')), ['Dentist']);
+    assert.deepEqual(titles(matchEvents(events, 'design review')), ['Design review']);
+    assert.deepEqual(titles(matchEvents(events, 'review')), ['Design review', 'Review prep']);
+  });
+
+  test('generic words match everything, unknown words nothing', () => {
+    assert.equal(matchEvents(events, 'my meeting').length, 4);
+    assert.deepEqual(matchEvents(events, 'yoga'), []);
+  });
+
+  test('@-command text', () => {
+    assert.deepEqual(parseEventText('standup tomorrow'), { event: 'standup', when: 'tomorrow' });
+    assert.deepEqual(parseEventText('lunch with ana on friday'), { event: 'lunch with ana', when: 'on friday' });
+    assert.deepEqual(parseEventText('march planning'), { event: 'march planning' });
+    assert.deepEqual(rescheduleCalendarEvent.parseArguments('dentist tomorrow to friday 3pm'), { event: 'dentist', when: 'tomorrow', newDateTime: 'friday 3pm' });
+    assert.deepEqual(renameCalendarEvent.parseArguments('sync to Design review'), { event: 'sync', newTitle: 'Design review' });
+  });
+});
+
+describe('reschedule_calendar_event', () => {
+  test('a new day keeps the time and length', async () => {
+    const calls = fakeCalendar([standup, dentist]);
+    const { result, asked } = await runTool(rescheduleCalendarEvent, { event: 'dentist', newDateTime: 'in 3 days' }, [{ decision: 'approve' }]);
+
+    assert.equal(result.status, 'success');
+    assert.equal(asked[0].title, 'Move this event?');
+    const [kind, params] = calls[0];
+    assert.equal(kind, 'patch');
+    assert.equal(params.eventId, 'dentist');
+    const start = new Date(params.requestBody.start.dateTime);
+    assert.deepEqual([start.getHours(), new Date(params.requestBody.end.dateTime) - start], [14, 60 * 60 * 1000]);
+    assert.equal(params.requestBody.start.date, null);
+  });
+
+  test('overlaps at the new time are shown', async () => {
+    fakeCalendar([dentist, review]);
+    const { asked } = await runTool(rescheduleCalendarEvent, { event: 'dentist', when: 'tomorrow', newDateTime: '4:30pm' }, [{ decision: 'cancel' }]);
+
+    assert.equal(asked[0].fields.find(field => field.name === 'conflicts').value, 'Design review (4:00 PM - 5:00 PM)');
+  });
+
+  test('several matches ask which one first', async () => {
+    const calls = fakeCalendar([reviewPrep, review]);
+    const { result, asked } = await runTool(rescheduleCalendarEvent, { event: 'review', newDateTime: '6pm' }, [
+      { decision: 'approve', choice: 'event-1' },
+      { decision: 'approve' }
+    ]);
+
+    assert.match(asked[0].title, /^2 events match "review" in the next 30 days\. Which one should be moved\?$/);
+    assert.equal(asked[0].requireChoice, true);
+    assert.equal(asked[0].choices.length, 2);
+    assert.equal(result.status, 'success');
+    assert.equal(calls[0][1].eventId, 'review');
+    assert.equal(calls[0][1].sendUpdates, 'all');
+  });
+
+  test('cancelling the choice changes nothing', async () => {
+    const calls = fakeCalendar([reviewPrep, review]);
+    const { result } = await runTool(rescheduleCalendarEvent, { event: 'review', newDateTime: '6pm' }, [{ decision: 'cancel' }]);
+
+    assert.equal(result.status, 'cancelled');
+    assert.equal(result.message, 'No event was moved because the user cancelled it.');
+    assert.deepEqual(calls, []);
+  });
+});
+
+describe('rename_calendar_event', () => {
+  test('uses the approved title', async () => {
+    const calls = fakeCalendar([dentist]);
+    const { result } = await runTool(renameCalendarEvent, { event: 'dentist', newTitle: 'Dentist checkup' }, [
+      { decision: 'approve', fields: { title: 'Dentist (Dr. Lee)' } }
+    ]);
+
+    assert.equal(calls[0][1].requestBody.summary, 'Dentist (Dr. Lee)');
+    assert.equal(calls[0][1].requestBody.start, undefined);
+    assert.match(result.message, /^Renamed "Dentist" \(.*\) to "Dentist \(Dr\. Lee\)"\.$/);
+  });
+});
+
+describe('delete_calendar_event', () => {
+  test('deletes one occurrence of a repeating event', async () => {
+    const calls = fakeCalendar([standup, dentist]);
+    const { result, asked } = await runTool(deleteCalendarEvent, { event: 'standup', when: 'tomorrow' }, [{ decision: 'approve' }]);
+
+    assert.ok(asked[0].fields.some(field => field.name === 'series'));
+    assert.deepEqual(calls, [['delete', { calendarId: 'primary', eventId: 'standup-1', sendUpdates: 'none' }]]);
+    assert.equal(result.data.recurring, true);
+  });
+
+  test('no matching event fails', async () => {
+    fakeCalendar([standup]);
+    await assert.rejects(runTool(deleteCalendarEvent, { event: 'yoga', when: 'tomorrow' }, []), /No event matching "yoga" found tomorrow/);
+  });
+
+  test('read-only credentials', async () => {
+    fakeCalendar([dentist]);
+    setCalendarClient({
+      events: {
+        list: async () => ({ data: { items: [dentist] } }),
+        delete: async () => {
+          throw Object.assign(new Error('Request had insufficient authentication scopes.'), { response: { status: 403, data: { error: { message: 'Request had insufficient authentication scopes.' } } } });
+        }
+      }
+    });
+    await assert.rejects(runTool(deleteCalendarEvent, { event: 'dentist' }, [{ decision: 'approve' }]), /calendar\.events scope/);
+  });
+});
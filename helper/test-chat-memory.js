@@ -0,0 +1,88 @@
+/**
+ * Unit tests for chat-memory.js, run with `npm test`.
+ *
+ * Uses the default limits: the last 10 messages of 1500 characters each.
+ */
+
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { AIMessage, HumanMessage } from "@langchain/core/messages";
+import { buildChatHistory, summarizeSteps } from "./chat-memory.js";
+import { cancelled, failure, serializeToolResult, success } from "./tool-result.js";
+
+const user = (content) => ({ role: 'user', content });
+const assistant = (content, toolResults) => ({ role: 'assistant', content, toolResults });
+
+describe('buildChatHistory', () => {
+  test('user and assistant turns become messages', () => {
+    const messages = buildChatHistory([user('Book lunch'), assistant('Done'), user('Actually make it 3pm')], 'Actually make it 3pm');
+
+    assert.equal(messages.length, 2);
+    assert.ok(messages[0] instanceof HumanMessage);
+    assert.ok(messages[1] instanceof AIMessage);
+    assert.deepEqual(messages.map(message => message.content), ['Book lunch', 'Done']);
+  });
+
+  test('the current prompt is only dropped when it is the last turn', () => {
+    const history = [user('Book lunch'), assistant('Done')];
+    assert.equal(buildChatHistory(history, 'Book lunch').length, 2);
+    assert.equal(buildChatHistory([...history, user('  next  ')], 'next').length, 2);
+  });
+
+  test('assistant turns carry their tool results', () => {
+    const [message] = buildChatHistory([
+      assistant('Sent it', [
+        { tool: 'send_email', input: { to: ['ana@example.com'] }, status: 'success', output: 'Sent the email' },
+        { tool: 'create_calendar_event', input: {}, status: 'cancelled', output: 'Not created' }
+      ])
+    ]);
+
+    assert.equal(message.content, [
+      'Sent it',
+      '',
+      'Tool results from this turn:',
+      '- send_email {"to":["ana@example.com"]} → Sent the email',
+      '- create_calendar_event {} → Not created (cancelled)'
+    ].join('\n'));
+  });
+
+  test('other roles and malformed entries are skipped', () => {
+    const messages = buildChatHistory([null, { role: 'system', content: 'x' }, { role: 'user', content: 42 }, user('hi')]);
+    assert.deepEqual(messages.map(message => message.content), ['hi']);
+    assert.deepEqual(buildChatHistory('not a list'), []);
+  });
+
+  test('long chats keep the last messages, long messages are cut', () => {
+    const history = Array.from({ length: 14 }, (_, index) => user(`message ${index}`));
+    const messages = buildChatHistory(history);
+    assert.equal(messages.length, 10);
+    assert.equal(messages[0].content, 'message 4');
+
+    const [long] = buildChatHistory([user('x'.repeat(2000))]);
+    assert.equal(long.content, `${'x'.repeat(1500)}...`);
+  });
+});
+
+describe('summarizeSteps', () => {
+  test('keeps the tool, input, status and message of each step', () => {
+    const steps = [
+      { action: { tool: 'open_new_tab', toolInput: { url: 'gmail' } }, observation: serializeToolResult(success('Opened Gmail', { tabId: 1 })) },
+      { action: { tool: '_Exception', toolInput: 'bad output' }, observation: 'Invalid format' },
+      { action: { tool: 'send_email', toolInput: { to: ['bob'] } }, observation: serializeToolResult(failure('"bob" is not in the address book')) },
+      { action: { tool: 'create_calendar_event', toolInput: {} }, observation: serializeToolResult(cancelled('Not created')) }
+    ];
+
+    assert.deepEqual(summarizeSteps(steps), [
+      { tool: 'open_new_tab', input: { url: 'gmail' }, status: 'success', output: 'Opened Gmail' },
+      { tool: 'send_email', input: { to: ['bob'] }, status: 'error', output: '"bob" is not in the address book' },
+      { tool: 'create_calendar_event', input: {}, status: 'cancelled', output: 'Not created' }
+    ]);
+  });
+
+  test('plain text observations and long outputs', () => {
+    const [step] = summarizeSteps([{ action: { tool: 'wait', toolInput: {} }, observation: 'y'.repeat(400) }]);
+    assert.equal(step.status, 'success');
+    assert.equal(step.output, `${'y'.repeat(300)}...`);
+    assert.deepEqual(summarizeSteps(), []);
+  });
+});
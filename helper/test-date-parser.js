@@ -0,0 +1,526 @@
+/**
+ * Unit tests for date-parser.js, run with `npm test`.
+ *
+ * Every test parses against the same fixed clock (Wednesday 15 May 2024, 10:00 local
+ * time) so results don't depend on when the suite runs.
+ */
+
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { parseDateTime, parseDateRange, parseTimeSpan, moveSchedule, withDuration, DEFAULT_EVENT_MINUTES } from "./date-parser.js";
+import { parseRecurrence } from "./recurrence.js";
+
+const NOW = new Date(2024, 4, 15, 10, 0);
+
+function parse(text, now = NOW) {
+  return parseDateTime(text, { now });
+}
+
+// Local time, months are 1-based to keep the expectations readable
+function local(year, month, day, hour = 0, minute = 0) {
+  return new Date(year, month - 1, day, hour, minute);
+}
+
+function assertAllDay(text, [year, month, day], endDay = [year, month, day + 1]) {
+  const result = parse(text);
+  assert.ok(result, `"${text}" was not parsed`);
+  assert.equal(result.allDay, true, `"${text}" should be all-day`);
+  assert.deepEqual(result.start, local(year, month, day), `start of "${text}"`);
+  assert.deepEqual(result.end, local(...endDay), `end of "${text}"`);
+  return result;
+}
+
+function assertTimed(text, [year, month, day, hour, minute = 0]) {
+  const result = parse(text);
+  assert.ok(result, `"${text}" was not parsed`);
+  assert.equal(result.allDay, false, `"${text}" should have a time`);
+  assert.deepEqual(result.start, local(year, month, day, hour, minute), `start of "${text}"`);
+  assert.equal(result.end - result.start, DEFAULT_EVENT_MINUTES * 60 * 1000, `duration of "${text}"`);
+  return result;
+}
+
+describe('relative days', () => {
+  test('today and tomorrow', () => {
+    assertAllDay('today', [2024, 5, 15]);
+    assertAllDay('tomorrow', [2024, 5, 16]);
+    assertAllDay('Tomorrow', [2024, 5, 16]);
+    assertAllDay('the day after tomorrow', [2024, 5, 17]);
+    assertAllDay('yesterday', [2024, 5, 14]);
+  });
+
+  test('tonight is this evening', () => {
+    const result = assertTimed('tonight', [2024, 5, 15, 20]);
+    assert.ok(result.confidence < 1);
+    assertTimed('tonight at 8', [2024, 5, 15, 20]);
+    assertTimed('tonight at 7:30', [2024, 5, 15, 19, 30]);
+  });
+
+  test('in N days, weeks and months', () => {
+    assertAllDay('in 3 days', [2024, 5, 18]);
+    assertAllDay('in a day', [2024, 5, 16]);
+    assertAllDay('in 2 weeks', [2024, 5, 29]);
+    assertAllDay('in one month', [2024, 6, 15]);
+    assertAllDay('2 days from now', [2024, 5, 17]);
+  });
+
+  test('in a month from the 31st ends on the last day of the shorter month', () => {
+    const result = parse('in 1 month', local(2024, 1, 31, 9));
+    assert.deepEqual(result.start, local(2024, 2, 29));
+  });
+});
+
+describe('weekdays', () => {
+  test('a bare weekday is the coming one, never today', () => {
+    assertAllDay('friday', [2024, 5, 17]);
+    assertAllDay('on monday', [2024, 5, 20]);
+    assertAllDay('wednesday', [2024, 5, 22]);
+  });
+
+  test('this <weekday> includes today', () => {
+    assertAllDay('this wednesday', [2024, 5, 15]);
+    assertAllDay('this friday', [2024, 5, 17]);
+  });
+
+  test('next <weekday> is in next week', () => {
+    const result = assertAllDay('next friday', [2024, 5, 24]);
+    assert.ok(result.confidence < 1, 'next friday is ambiguous');
+    assertAllDay('next monday', [2024, 5, 20]);
+    assertAllDay('next sunday', [2024, 5, 26]);
+  });
+
+  test('weekday with a time', () => {
+    assertTimed('friday at 2pm', [2024, 5, 17, 14]);
+    assertTimed('next Monday at noon', [2024, 5, 20, 12]);
+  });
+});
+
+describe('periods', () => {
+  test('next week is Monday to Sunday of next week, not today + 7', () => {
+    assertAllDay('next week', [2024, 5, 20], [2024, 5, 27]);
+    assertAllDay('this week', [2024, 5, 15], [2024, 5, 20]);
+  });
+
+  test('this weekend', () => {
+    assertAllDay('this weekend', [2024, 5, 18], [2024, 5, 20]);
+    assertAllDay('weekend', [2024, 5, 18], [2024, 5, 20]);
+    assertAllDay('next weekend', [2024, 5, 25], [2024, 5, 27]);
+  });
+
+  test('this weekend on a Sunday starts today', () => {
+    const result = parse('this weekend', local(2024, 5, 19, 10));
+    assert.deepEqual(result.start, local(2024, 5, 19));
+    assert.deepEqual(result.end, local(2024, 5, 20));
+  });
+
+  test('end of month, week and year', () => {
+    assertAllDay('end of month', [2024, 5, 31]);
+    assertAllDay('by the end of the month', [2024, 5, 31]);
+    assertAllDay('end of the week', [2024, 5, 17]);
+    assertAllDay('end of year', [2024, 12, 31]);
+    assert.deepEqual(parse('end of month', local(2024, 2, 10)).start, local(2024, 2, 29));
+  });
+
+  test('next month and this month', () => {
+    assertAllDay('next month', [2024, 6, 1], [2024, 7, 1]);
+    assertAllDay('this month', [2024, 5, 15], [2024, 6, 1]);
+  });
+});
+
+describe('dates', () => {
+  test('month and day', () => {
+    assertAllDay('June 10th', [2024, 6, 10]);
+    assertAllDay('june 10', [2024, 6, 10]);
+    assertAllDay('Dec 25', [2024, 12, 25]);
+    assertAllDay('Sept 3rd', [2024, 9, 3]);
+    assertAllDay('10 June', [2024, 6, 10]);
+    assertAllDay('the 3rd of March', [2025, 3, 3]);
+  });
+
+  test('a date that has passed this year is next year', () => {
+    assertAllDay('March 3', [2025, 3, 3]);
+    assertAllDay('May 15', [2024, 5, 15]);
+    assertAllDay('May 14', [2025, 5, 14]);
+  });
+
+  test('explicit years', () => {
+    assertAllDay('March 3 2024', [2024, 3, 3]);
+    assertAllDay('Dec 25, 2025', [2025, 12, 25]);
+    assertAllDay('3 March 2026', [2026, 3, 3]);
+    assertAllDay('12/25/2025', [2025, 12, 25]);
+    assertAllDay('1/2/25', [2025, 1, 2]);
+  });
+
+  test('slash dates are month first', () => {
+    assertAllDay('12/25', [2024, 12, 25]);
+    assertAllDay('2/1', [2025, 2, 1]);
+  });
+
+  test('ISO dates', () => {
+    assertAllDay('2024-07-04', [2024, 7, 4]);
+    assertTimed('2024-07-04T14:30', [2024, 7, 4, 14, 30]);
+    assertTimed('2024-07-04 09:15', [2024, 7, 4, 9, 15]);
+  });
+
+  test('the Nth is this month, or next month once it has passed', () => {
+    assertAllDay('the 20th', [2024, 5, 20]);
+    assertAllDay('on the 3rd', [2024, 6, 3]);
+    assertAllDay('the 15th', [2024, 5, 15]);
+    assertAllDay('the 31st', [2024, 5, 31]);
+    assert.deepEqual(parse('the 31st', local(2024, 6, 1)).start, local(2024, 7, 31));
+  });
+
+  test('a bare month is the whole month, not a day', () => {
+    const result = assertAllDay('March', [2025, 3, 1], [2025, 4, 1]);
+    assert.ok(result.confidence < 0.8);
+    assertAllDay('in June', [2024, 6, 1], [2024, 7, 1]);
+    assertAllDay('in may', [2024, 5, 1], [2024, 6, 1]);
+  });
+
+  test('dates that do not exist are not parsed', () => {
+    assert.equal(parse('February 30'), null);
+    assert.equal(parse('2024-13-01'), null);
+  });
+
+  test('date with a time', () => {
+    assertTimed('June 10th at 3pm', [2024, 6, 10, 15]);
+    assertTimed('March 3 2pm', [2025, 3, 3, 14]);
+    assertTimed('12/25 at 9am', [2024, 12, 25, 9]);
+    assertTimed('Dec 25, 2025 at 18:00', [2025, 12, 25, 18]);
+  });
+});
+
+describe('times', () => {
+  test('am and pm', () => {
+    assertTimed('tomorrow at 2pm', [2024, 5, 16, 14]);
+    assertTimed('tomorrow at 2:30 PM', [2024, 5, 16, 14, 30]);
+    assertTimed('tomorrow 11 a.m.', [2024, 5, 16, 11]);
+    assertTimed('tomorrow at 12am', [2024, 5, 16, 0]);
+    assertTimed('tomorrow at 12pm', [2024, 5, 16, 12]);
+  });
+
+  test('24-hour times', () => {
+    const result = assertTimed('tomorrow at 14:30', [2024, 5, 16, 14, 30]);
+    assert.equal(result.confidence, 1);
+    assertTimed('tomorrow 09:00', [2024, 5, 16, 9]);
+    assertTimed('tomorrow at 0:15', [2024, 5, 16, 0, 15]);
+  });
+
+  test('noon and midnight', () => {
+    assertTimed('tomorrow at noon', [2024, 5, 16, 12]);
+    assertTimed('friday at midnight', [2024, 5, 17, 0]);
+  });
+
+  test('a bare hour is guessed and marked as uncertain', () => {
+    const afternoon = assertTimed('tomorrow at 3', [2024, 5, 16, 15]);
+    assert.ok(afternoon.confidence < 0.9);
+    assertTimed('tomorrow at 9', [2024, 5, 16, 9]);
+    assertTimed("tomorrow at 10 o'clock", [2024, 5, 16, 10]);
+  });
+
+  test('vague times of day', () => {
+    const result = assertTimed('tomorrow morning', [2024, 5, 16, 9]);
+    assert.ok(result.confidence < 0.8);
+    assertTimed('friday afternoon', [2024, 5, 17, 14]);
+    assertTimed('tomorrow in the evening', [2024, 5, 16, 18]);
+  });
+
+  test('a time without a date is the next time the clock shows it', () => {
+    assertTimed('at 3pm', [2024, 5, 15, 15]);
+    assertTimed('9am', [2024, 5, 16, 9]);
+    assertTimed('9:30', [2024, 5, 16, 9, 30]);
+    assertTimed('10:00', [2024, 5, 15, 10]);
+  });
+
+  test('invalid times are not parsed as times', () => {
+    assert.equal(parse('13pm'), null);
+    assertAllDay('tomorrow at 25:00', [2024, 5, 16]);
+  });
+});
+
+function assertRange(text, start, end, allDay = false) {
+  const result = parse(text);
+  assert.ok(result, `"${text}" was not parsed`);
+  assert.equal(result.allDay, allDay, `all-day of "${text}"`);
+  assert.deepEqual(result.start, local(...start), `start of "${text}"`);
+  assert.deepEqual(result.end, local(...end), `end of "${text}"`);
+  return result;
+}
+
+describe('time ranges', () => {
+  test('the bare start borrows am/pm from the end', () => {
+    assertRange('2-4pm', [2024, 5, 15, 14], [2024, 5, 15, 16]);
+    assertRange('tomorrow 2-4pm', [2024, 5, 16, 14], [2024, 5, 16, 16]);
+    assertRange('2-4pm tomorrow', [2024, 5, 16, 14], [2024, 5, 16, 16]);
+    assertRange('11-1pm friday', [2024, 5, 17, 11], [2024, 5, 17, 13]);
+  });
+
+  test('the bare end borrows from the start', () => {
+    assertRange('tomorrow 10am-2', [2024, 5, 16, 10], [2024, 5, 16, 14]);
+    assertRange('tomorrow 9am - 11', [2024, 5, 16, 9], [2024, 5, 16, 11]);
+  });
+
+  test('from ... to ... and between ... and ...', () => {
+    assertRange('tomorrow from 9:15 to 10:45', [2024, 5, 16, 9, 15], [2024, 5, 16, 10, 45]);
+    assertRange('from 14:00 until 15:30 on friday', [2024, 5, 17, 14], [2024, 5, 17, 15, 30]);
+    assertRange('between 2 and 4pm tomorrow', [2024, 5, 16, 14], [2024, 5, 16, 16]);
+    assertRange('tomorrow between 9am and noon', [2024, 5, 16, 9], [2024, 5, 16, 12]);
+  });
+
+  test('bare hours after a date are guessed like "at 3"', () => {
+    for (const text of ['tomorrow 2-4', 'tomorrow from 2 to 4']) {
+      const result = assertRange(text, [2024, 5, 16, 14], [2024, 5, 16, 16]);
+      assert.ok(result.confidence < 0.8, `confidence of "${text}"`);
+    }
+    assertRange('tomorrow 9-10', [2024, 5, 16, 9], [2024, 5, 16, 10]);
+    assertRange('tomorrow 10-11', [2024, 5, 16, 10], [2024, 5, 16, 11]);
+    assertRange('friday 11-1', [2024, 5, 17, 11], [2024, 5, 17, 13]);
+    assertRange('tomorrow 13-15', [2024, 5, 16, 13], [2024, 5, 16, 15]);
+  });
+
+  test('bare numbers that are not hours are flagged, not dropped silently', () => {
+    assert.equal(parse('2-4'), null);
+    assert.ok(parse('tomorrow 25-30').confidence < 0.8);
+    assert.ok(parse('tomorrow from 2 to 40').confidence < 0.8);
+  });
+
+  test('overnight ranges end the next day', () => {
+    assertRange('friday 10pm-2am', [2024, 5, 17, 22], [2024, 5, 18, 2]);
+  });
+
+  test('a time range without a date that has passed is tomorrow', () => {
+    assertRange('8-9am', [2024, 5, 16, 8], [2024, 5, 16, 9]);
+  });
+
+  test('ISO dates are not split at their dashes', () => {
+    assertRange('2024-07-04T14:30 - 16:00', [2024, 7, 4, 14, 30], [2024, 7, 4, 16]);
+  });
+});
+
+describe('multi-day ranges', () => {
+  test('timed across days', () => {
+    assertRange('friday 6pm to sunday noon', [2024, 5, 17, 18], [2024, 5, 19, 12]);
+  });
+
+  test('all-day ranges include the last day', () => {
+    assertRange('june 10-12', [2024, 6, 10], [2024, 6, 13], true);
+    assertRange('10-12 june', [2024, 6, 10], [2024, 6, 13], true);
+    assertRange('June 10 to June 14', [2024, 6, 10], [2024, 6, 15], true);
+    assertRange('dec 30 to jan 2', [2024, 12, 30], [2025, 1, 3], true);
+  });
+
+  test('a weekday range that wraps around is next week', () => {
+    assertRange('friday to monday', [2024, 5, 17], [2024, 5, 21], true);
+    assertRange('monday to friday', [2024, 5, 20], [2024, 5, 25], true);
+  });
+
+  test('text after "to" that is not a date is not a range', () => {
+    const result = parse('tomorrow at 2pm to discuss plans');
+    assert.equal(result.end - result.start, DEFAULT_EVENT_MINUTES * 60 * 1000);
+    assert.ok(result.confidence < 1);
+  });
+
+  test('backwards ranges are not parsed as ranges', () => {
+    const result = assertRange('june 14 to june 10', [2024, 6, 14], [2024, 6, 15], true);
+    assert.ok(result.confidence < 0.8);
+  });
+});
+
+describe('separate start and end', () => {
+  test('the end borrows the date and am/pm from the start', () => {
+    const range = parseDateRange('tomorrow at 2pm', '4', { now: NOW });
+    assert.deepEqual(range.start, local(2024, 5, 16, 14));
+    assert.deepEqual(range.end, local(2024, 5, 16, 16));
+    assert.deepEqual(parseDateRange('friday 6pm', 'sunday noon', { now: NOW }).end, local(2024, 5, 19, 12));
+  });
+
+  test('an end that is not understood or before the start', () => {
+    assert.equal(parseDateRange('tomorrow at 2pm', 'later', { now: NOW }), null);
+    assert.equal(parseDateRange('June 14', 'June 10', { now: NOW }), null);
+    assert.equal(parseDateRange('tomorrow', undefined, { now: NOW }), null);
+  });
+});
+
+describe('durations', () => {
+  test('for minutes and hours', () => {
+    assertRange('tomorrow at 9am for 30 minutes', [2024, 5, 16, 9], [2024, 5, 16, 9, 30]);
+    assertRange('friday 2pm for 2 hours', [2024, 5, 17, 14], [2024, 5, 17, 16]);
+    assertRange('friday 2pm for 1.5 hours', [2024, 5, 17, 14], [2024, 5, 17, 15, 30]);
+    assertRange('friday 2pm for an hour and a half', [2024, 5, 17, 14], [2024, 5, 17, 15, 30]);
+    assertRange('tomorrow for half an hour at 3pm', [2024, 5, 16, 15], [2024, 5, 16, 15, 30]);
+    assertRange('tomorrow at noon for 45 min', [2024, 5, 16, 12], [2024, 5, 16, 12, 45]);
+  });
+
+  test('for days', () => {
+    assertRange('next monday for 3 days', [2024, 5, 20], [2024, 5, 23], true);
+    assertRange('friday 9am for 2 days', [2024, 5, 17, 9], [2024, 5, 19, 9]);
+  });
+
+  test('an hour-long duration without a start time starts in the morning and is flagged', () => {
+    const result = assertRange('tomorrow for 2 hours', [2024, 5, 16, 9], [2024, 5, 16, 11]);
+    assert.ok(result.confidence < 0.8);
+  });
+
+  test('a repeat until a month lasts through the month', () => {
+    // create_calendar_event reads the repeat first and parses the rest as the start
+    const { rule, remainder } = parseRecurrence('every tuesday at 10am until december', { now: NOW });
+    assert.deepEqual(rule.until, local(2024, 12, 31));
+    assert.deepEqual(parse(remainder).start, local(2024, 5, 15, 10));
+  });
+
+  test('a duration alone is not a date', () => {
+    assert.equal(parse('for 30 minutes'), null);
+  });
+
+  test('withDuration', () => {
+    const timed = parse('tomorrow at 2pm');
+    assert.deepEqual(withDuration(timed, 90).end, local(2024, 5, 16, 15, 30));
+    const allDay = parse('tomorrow');
+    assert.deepEqual(withDuration(allDay, 2 * 24 * 60).end, local(2024, 5, 18));
+    assert.equal(withDuration(allDay, 90), null);
+    assert.equal(withDuration(timed, 0), null);
+  });
+});
+
+describe('time spans', () => {
+  function span(text, now = NOW) {
+    return parseTimeSpan(text, { now });
+  }
+
+  test('a part of the day covers all of it', () => {
+    const afternoon = span('thursday afternoon');
+    assert.deepEqual([afternoon.start, afternoon.end], [local(2024, 5, 16, 12), local(2024, 5, 16, 17)]);
+    assert.equal(afternoon.confidence, 1);
+    const morning = span('tomorrow morning');
+    assert.deepEqual([morning.start, morning.end], [local(2024, 5, 16, 6), local(2024, 5, 16, 12)]);
+    const tonight = span('tonight');
+    assert.deepEqual([tonight.start, tonight.end], [local(2024, 5, 15, 17), local(2024, 5, 16)]);
+  });
+
+  test('without a date, the part of the day still to come', () => {
+    assert.deepEqual(span('this morning').start, local(2024, 5, 15, 6));
+    assert.deepEqual(span('this morning', local(2024, 5, 15, 13)).start, local(2024, 5, 16, 6));
+  });
+
+  test('everything else parses like parseDateTime', () => {
+    for (const text of ['tomorrow', 'next week', 'friday at 3pm', 'june 10-12', 'tomorrow 2-4pm']) {
+      assert.deepEqual(span(text), parse(text), text);
+    }
+  });
+});
+
+describe('moving a schedule', () => {
+  // Tomorrow 9:30 to 10:15, and an all-day event on Monday and Tuesday
+  const meeting = { start: local(2024, 5, 16, 9, 30), end: local(2024, 5, 16, 10, 15), allDay: false };
+  const offsite = { start: local(2024, 5, 20), end: local(2024, 5, 22), allDay: true };
+
+  function move(schedule, text) {
+    return moveSchedule(schedule, text, { now: NOW });
+  }
+
+  test('a new day keeps the time and length', () => {
+    const moved = move(meeting, 'friday');
+    assert.deepEqual([moved.start, moved.end, moved.allDay], [local(2024, 5, 17, 9, 30), local(2024, 5, 17, 10, 15), false]);
+    const days = move(offsite, 'next thursday');
+    assert.deepEqual([days.start, days.end, days.allDay], [local(2024, 5, 23), local(2024, 5, 25), true]);
+  });
+
+  test('a new time keeps the day and length', () => {
+    const moved = move(meeting, '3pm');
+    assert.deepEqual([moved.start, moved.end], [local(2024, 5, 16, 15), local(2024, 5, 16, 15, 45)]);
+    const timed = move(offsite, 'at 10am');
+    assert.deepEqual([timed.start, timed.end, timed.allDay], [local(2024, 5, 20, 10), local(2024, 5, 20, 11), false]);
+  });
+
+  test('a date and time, a range or a duration', () => {
+    assert.deepEqual(move(meeting, 'june 3 at 8am').start, local(2024, 6, 3, 8));
+    const range = move(meeting, 'friday 2-4pm');
+    assert.deepEqual([range.start, range.end], [local(2024, 5, 17, 14), local(2024, 5, 17, 16)]);
+    const longer = move(meeting, 'monday at 9 for 2 hours');
+    assert.deepEqual([longer.start, longer.end], [local(2024, 5, 20, 9), local(2024, 5, 20, 11)]);
+  });
+
+  test('text without a date or time', () => {
+    assert.equal(move(meeting, 'later'), null);
+    assert.equal(move(meeting, ''), null);
+  });
+});
+
+describe('locales', () => {
+  const GERMAN = { language: 'de', dateOrder: 'DMY', hourCycle: 24 };
+  const inLocale = (text, locale) => parseDateTime(text, { now: NOW, locale });
+  const span = (result) => [result.start, result.end];
+
+  test('the date order decides slashed dates', () => {
+    assert.deepEqual(inLocale('12/05', { dateOrder: 'MDY' }).start, local(2024, 12, 5));
+    assert.deepEqual(inLocale('12/05', { dateOrder: 'DMY' }).start, local(2025, 5, 12));
+    assert.deepEqual(inLocale('25/12/2024 at 3pm', { dateOrder: 'DMY' }).start, local(2024, 12, 25, 15));
+    assert.equal(inLocale('25/12', { dateOrder: 'MDY' }), null);
+  });
+
+  test('the 24-hour clock takes bare hours as written', () => {
+    assert.deepEqual(inLocale('tomorrow at 3', { hourCycle: 24 }).start, local(2024, 5, 16, 3));
+    assert.deepEqual(inLocale('tomorrow at 3:30', { hourCycle: 24 }).start, local(2024, 5, 16, 3, 30));
+    assert.equal(inLocale('tomorrow at 9', { hourCycle: 24 }).confidence, 1);
+    assert.deepEqual(inLocale('tonight at 8', { hourCycle: 24 }).start, local(2024, 5, 15, 20));
+    assert.deepEqual(inLocale('tomorrow at 3pm', { hourCycle: 24 }).start, local(2024, 5, 16, 15));
+  });
+
+  test('weeks starting on Sunday', () => {
+    const sunday = { weekStart: 'sunday' };
+    assert.deepEqual(span(inLocale('next week', sunday)), [local(2024, 5, 19), local(2024, 5, 26)]);
+    assert.deepEqual(span(inLocale('this week', sunday)), [local(2024, 5, 15), local(2024, 5, 19)]);
+    assert.deepEqual(inLocale('next sunday', sunday).start, local(2024, 5, 19));
+    assert.deepEqual(inLocale('next sunday').start, local(2024, 5, 26));
+  });
+
+  test('German dates', () => {
+    assert.deepEqual(inLocale('morgen um 14 Uhr', GERMAN).start, local(2024, 5, 16, 14));
+    assert.deepEqual(inLocale('nächsten Freitag um 9:30', GERMAN).start, local(2024, 5, 24, 9, 30));
+    assert.deepEqual(inLocale('am 10. Juni', GERMAN).start, local(2024, 6, 10));
+    assert.deepEqual(inLocale('10.06.2025 14:30 Uhr', GERMAN).start, local(2025, 6, 10, 14, 30));
+    assert.deepEqual(inLocale('3.12.', GERMAN).start, local(2024, 12, 3));
+    assert.deepEqual(inLocale('heute abend um 8', GERMAN).start, local(2024, 5, 15, 20));
+    assert.deepEqual(inLocale('in drei Tagen', GERMAN).start, local(2024, 5, 18));
+    assert.deepEqual(span(inLocale('nächste Woche', GERMAN)), [local(2024, 5, 20), local(2024, 5, 27)]);
+  });
+
+  test('German ranges and durations', () => {
+    assert.deepEqual(span(inLocale('übermorgen von 9 bis 11 Uhr', GERMAN)), [local(2024, 5, 17, 9), local(2024, 5, 17, 11)]);
+    assert.deepEqual(span(inLocale('Montag bis Mittwoch', GERMAN)), [local(2024, 5, 20), local(2024, 5, 23)]);
+    assert.deepEqual(span(inLocale('morgen um 10 für eine halbe Stunde', GERMAN)), [local(2024, 5, 16, 10), local(2024, 5, 16, 10, 30)]);
+    assert.deepEqual(span(parseDateRange('Freitag 13 Uhr', '15 Uhr', { now: NOW, locale: GERMAN })), [local(2024, 5, 17, 13), local(2024, 5, 17, 15)]);
+  });
+
+  test('English still works with the German pack', () => {
+    assert.deepEqual(inLocale('friday 10 am', GERMAN).start, local(2024, 5, 17, 10));
+    assert.deepEqual(inLocale('Freitag 2pm', GERMAN).start, local(2024, 5, 17, 14));
+  });
+});
+
+describe('confidence and unknown input', () => {
+  test('clear input is fully confident', () => {
+    assert.equal(parse('tomorrow at 2pm').confidence, 1);
+    assert.equal(parse('2024-07-04').confidence, 1);
+  });
+
+  test('words that were not understood lower the confidence', () => {
+    const result = parse('tomorrow at 2pm with the team');
+    assert.deepEqual(result.start, local(2024, 5, 16, 14));
+    assert.ok(result.confidence < 1);
+  });
+
+  test('text without a date or time', () => {
+    assert.equal(parse(''), null);
+    assert.equal(parse('   '), null);
+    assert.equal(parse(undefined), null);
+    assert.equal(parse('team lunch'), null);
+    assert.equal(parse('may I join'), null);
+  });
+
+  test('uses the current time by default', () => {
+    const result = parseDateTime('tomorrow');
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    assert.equal(result.start.getDate(), tomorrow.getDate());
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Unit tests for the extension socket (see extension-bridge.js), run with `npm test`.
+ *
+ * The bridge is attached to an HTTP server on a free local port and the "extension" is
+ * a ws client that sends the Origin header a Chrome extension would.
+ */
+
+import { after, before, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { once } from "events";
+import WebSocket from "ws";
+import { attachExtensionBridge, isExtensionConnected, isExtensionOrigin, sendExtensionCommand } from "./extension-bridge.js";
+
+const EXTENSION_ORIGIN = `chrome-extension://${'abcdefghijklmnop'.repeat(2)}`;
+
+let server;
+let wss;
+let url;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  server = http.createServer();
+  wss = attachExtensionBridge(server);
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  url = `ws://127.0.0.1:${server.address().port}/extension`;
+});
+
+after(async () => {
+  for (const client of wss.clients) client.terminate();
+  wss.close();
+  server.close();
+});
+
+// Resolves with the open socket, or rejects with the HTTP status of a refused one
+function connect(origin) {
+  const socket = new WebSocket(url, origin ? { origin } : {});
+  return new Promise((resolve, reject) => {
+    socket.once('open', () => resolve(socket));
+    socket.once('unexpected-response', (request, response) => reject(new Error(`Refused with ${response.statusCode}`)));
+    socket.once('error', reject);
+  });
+}
+
+// Waits until the helper has registered the socket as the extension
+async function connected(socket) {
+  while (!isExtensionConnected()) await new Promise(resolve => setImmediate(resolve));
+  return socket;
+}
+
+describe('isExtensionOrigin', () => {
+  test('accepts Chrome extension origins', () => {
+    assert.equal(isExtensionOrigin(EXTENSION_ORIGIN, undefined), true);
+  });
+
+  test('refuses web pages, malformed ids and missing origins', () => {
+    assert.equal(isExtensionOrigin('https://example.com', undefined), false);
+    assert.equal(isExtensionOrigin('http://localhost:5185', undefined), false);
+    assert.equal(isExtensionOrigin('chrome-extension://abc', undefined), false);
+    assert.equal(isExtensionOrigin(`${EXTENSION_ORIGIN}.example.com`, undefined), false);
+    assert.equal(isExtensionOrigin(undefined, undefined), false);
+  });
+
+  test('EXTENSION_ID pins one extension', () => {
+    const pinned = 'a'.repeat(32);
+    assert.equal(isExtensionOrigin(`chrome-extension://${pinned}`, pinned), true);
+    assert.equal(isExtensionOrigin(EXTENSION_ORIGIN, pinned), false);
+  });
+});
+
+describe('attachExtensionBridge', () => {
+  test('refuses sockets from web pages and without an origin', async () => {
+    await assert.rejects(connect('https://example.com'), { message: 'Refused with 401' });
+    await assert.rejects(connect(null), { message: 'Refused with 401' });
+  });
+
+  test('runs commands on the connected extension', async () => {
+    const socket = await connected(await connect(EXTENSION_ORIGIN));
+    socket.on('message', (raw) => {
+      const { id, action, payload } = JSON.parse(raw.toString());
+      socket.send(JSON.stringify({ type: 'result', id, success: true, result: { action, url: payload.url } }));
+    });
+
+    assert.deepEqual(await sendExtensionCommand('openTab', { url: 'https://mail.google.com' }), { action: 'openTab', url: 'https://mail.google.com' });
+
+    socket.close();
+    await once(socket, 'close');
+    while (isExtensionConnected()) await new Promise(resolve => setImmediate(resolve));
+  });
+
+  test('a newer socket rejects the commands of the one it replaces', async () => {
+    const first = await connected(await connect(EXTENSION_ORIGIN));
+    const command = assert.rejects(sendExtensionCommand('captureScreenshot'), { message: 'Chrome extension reconnected before finishing the request' });
+    await once(first, 'message');
+
+    const closed = once(first, 'close');
+    const second = await connect(EXTENSION_ORIGIN);
+
+    await command;
+    const [code] = await closed;
+    assert.equal(code, 1000);
+    assert.equal(isExtensionConnected(), true);
+
+    second.close();
+    await once(second, 'close');
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Tests for reading Gmail's message lists and threads (see gmail-inbox.js), run with
+ * `npm test`.
+ *
+ * Pages, rows and thread messages are fakes: they answer querySelector() with the fields
+ * they were given, so the same reading runs as in Gmail.
+ */
+
+import { before, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { describeMessage, MAX_MESSAGES, openThread, readInbox, threadQuery } from "./gmail-inbox.js";
+import { describeStrategy } from "./selectors.js";
+
+function fakeField(text, attributes = {}) {
+  return { textContent: text, getAttribute: (name) => attributes[name] ?? null };
+}
+
+// fields maps CSS selectors inside the row to fake elements
+function fakeRow(fields, { visible = true, classes = [], text = '', onClick } = {}) {
+  const row = {
+    textContent: text,
+    classList: { contains: (name) => classes.includes(name) },
+    querySelector: (selector) => fields[selector] ?? null
+  };
+  return { isVisible: async () => visible, evaluate: async (fn, arg) => fn(row, arg), click: async () => onClick?.() };
+}
+
+function messageRow(n, options) {
+  return fakeRow({
+    'span[email]': fakeField(`Sender ${n}`, { name: `Sender ${n}`, email: `sender${n}@example.com` }),
+    'span.bog': fakeField(`Subject ${n}`),
+    'span.y2': fakeField(` - Snippet ${n}`),
+    'td.xW span[title]': fakeField('9:14 AM', { title: 'Mon, Oct 19, 2026, 9:14 AM' })
+  }, options);
+}
+
+// elements maps describeStrategy() of a strategy to the elements it finds
+function fakePage(elements = {}) {
+  const visited = [];
+  const find = (strategy) => ({ all: async () => elements[describeStrategy(strategy)] ?? [] });
+  return {
+    visited,
+    getByRole: (role, { name } = {}) => find({ role, name }),
+    getByPlaceholder: (placeholder) => find({ placeholder }),
+    getByLabel: (label) => find({ label }),
+    getByText: (text) => find({ text }),
+    locator: (css) => find({ css }),
+    goto: async (url) => visited.push(url),
+    url: () => visited[visited.length - 1]
+  };
+}
+
+function threadMessage(n, text) {
+  return fakeRow({
+    'span.gD[email]': fakeField(`Sender ${n}`, { name: `Sender ${n}`, email: `sender${n}@example.com` }),
+    'span.g3[title]': fakeField('Oct 12', { title: `Mon, Oct ${n}, 2026, 9:14 AM` }),
+    'div.a3s': fakeField(`  ${text}\n`)
+  });
+}
+
+const ROWS = 'css=div[role="main"] tr[role="row"]';
+
+before(() => mock.method(console, 'log', () => {}));
+
+describe('readInbox', () => {
+  test('reads the fields of each row', async () => {
+    const page = fakePage({ [ROWS]: [messageRow(1, { classes: ['zA', 'zE'] }), messageRow(2)] });
+    const messages = await readInbox(page);
+
+    assert.deepEqual(page.visited, ['https://mail.google.com/mail/u/0/#search/is%3Aunread+in%3Ainbox']);
+    assert.deepEqual(messages, [
+      { sender: 'Sender 1', email: 'sender1@example.com', subject: 'Subject 1', snippet: 'Snippet 1', time: 'Mon, Oct 19, 2026, 9:14 AM', unread: true },
+      { sender: 'Sender 2', email: 'sender2@example.com', subject: 'Subject 2', snippet: 'Snippet 2', time: 'Mon, Oct 19, 2026, 9:14 AM', unread: false }
+    ]);
+  });
+
+  test('falls back to other selectors for the fields', async () => {
+    const row = fakeRow({
+      '.yW': fakeField('  Ana\n Lopez '),
+      '.xT .y6': fakeField('Launch date'),
+      'td.xW span': fakeField('Oct 12')
+    });
+    const [message] = await readInbox(fakePage({ [ROWS]: [row] }), { scope: 'recent' });
+    assert.deepEqual(message, { sender: 'Ana Lopez', email: null, subject: 'Launch date', snippet: '', time: 'Oct 12', unread: false });
+  });
+
+  test('skips hidden rows and stops at the limit', async () => {
+    const rows = [messageRow(1, { visible: false }), ...Array.from({ length: 5 }, (_, i) => messageRow(i + 2))];
+    const messages = await readInbox(fakePage({ [ROWS]: rows }), { limit: 3 });
+    assert.deepEqual(messages.map(message => message.subject), ['Subject 2', 'Subject 3', 'Subject 4']);
+  });
+
+  test(`never reads more than ${MAX_MESSAGES} messages`, async () => {
+    const rows = Array.from({ length: MAX_MESSAGES + 5 }, (_, i) => messageRow(i));
+    assert.equal((await readInbox(fakePage({ 'css=tr.zA': rows }), { limit: 500 })).length, MAX_MESSAGES);
+  });
+
+  test('an empty list', async () => {
+    const page = fakePage({ 'text=/no messages matched your search/i': [{ isVisible: async () => true }] });
+    assert.deepEqual(await readInbox(page, { timeout: 0 }), []);
+  });
+
+  test('a list that is not there', async () => {
+    await assert.rejects(readInbox(fakePage(), { timeout: 0 }), /Could not find the message rows of the inbox \(gmail\.messageRow\)/);
+  });
+});
+
+describe('openThread', () => {
+  test('searches Gmail for the sender and subject', () => {
+    assert.equal(threadQuery({ from: 'mark@example.com' }), 'from:(mark@example.com)');
+    assert.equal(threadQuery({ from: 'Mark', subject: 'launch date' }), 'from:(Mark) subject:(launch date)');
+  });
+
+  test('opens the newest thread found and reads its last messages', async () => {
+    const elements = {};
+    const page = fakePage(elements);
+    elements[ROWS] = [messageRow(1, { visible: false }), messageRow(2, { onClick: () => page.visited.push('https://mail.google.com/mail/u/0/#inbox/thread2') }), messageRow(3)];
+    elements['css=div[role="main"] div[role="listitem"]'] = Array.from({ length: 7 }, (_, i) => threadMessage(i + 1, 'x'.repeat(2500)));
+
+    const { message, url, thread } = await openThread(page, { from: 'Mark', subject: 'launch date' }, { timeout: 0 });
+    assert.equal(page.visited[0], 'https://mail.google.com/mail/u/0/#search/from%3A(Mark)+subject%3A(launch+date)');
+    assert.equal(message.subject, 'Subject 2');
+    assert.equal(url, 'https://mail.google.com/mail/u/0/#inbox/thread2');
+    assert.deepEqual(thread.map(item => item.sender), ['Sender 3', 'Sender 4', 'Sender 5', 'Sender 6', 'Sender 7']);
+    assert.deepEqual({ ...thread[0], text: thread[0].text.length }, { sender: 'Sender 3', email: 'sender3@example.com', time: 'Mon, Oct 3, 2026, 9:14 AM', text: 2000 });
+  });
+
+  test('collapsed messages are read whole', async () => {
+    const collapsed = fakeRow({ 'span[email]': fakeField('Ana', { email: 'ana@example.com' }) }, { text: ' Ana  Sounds good ' });
+    const page = fakePage({ [ROWS]: [messageRow(1)], 'css=div.adn': [collapsed, threadMessage(2, 'See you')] });
+
+    const { thread } = await openThread(page, { from: 'ana' }, { timeout: 0 });
+    assert.deepEqual(thread, [
+      { sender: 'Ana', email: 'ana@example.com', time: '', text: 'Ana  Sounds good' },
+      { sender: 'Sender 2', email: 'sender2@example.com', time: 'Mon, Oct 2, 2026, 9:14 AM', text: 'See you' }
+    ]);
+  });
+
+  test('null when nothing is found', async () => {
+    const page = fakePage({ 'css=td.TC': [{ isVisible: async () => true }] });
+    assert.equal(await openThread(page, { from: 'nobody' }, { timeout: 0 }), null);
+  });
+});
+
+describe('describeMessage', () => {
+  test('one line per message', () => {
+    const message = { sender: 'Ana Lopez', email: 'ana@example.com', subject: 'Launch date', snippet: 'Can we move it?', time: 'Oct 12' };
+    assert.equal(describeMessage(message), '- Ana Lopez <ana@example.com>, Oct 12: Launch date - Can we move it?');
+    assert.equal(describeMessage({ ...message, sender: 'ana@example.com', subject: '', snippet: '' }), '- ana@example.com, Oct 12: (no subject)');
+  });
+});
@@ -0,0 +1,248 @@
+/**
+ * Tests for ics.js and import_calendar_events, run with `npm test`.
+ *
+ * Files are written in the helper's time zone, so the tests compare local times and pass
+ * in any zone (npm test runs them in the machine's). Imports go to a fake Calendar API
+ * client, approvals are answered through the run context's emit().
+ */
+
+import { afterEach, before, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { getOrganizer, parseICS, toICS } from "./ics.js";
+import { getSettings } from "./settings.js";
+import { parseRecurrence } from "./recurrence.js";
+import { saveUpload } from "./uploads.js";
+import { setCalendarClient } from "./google-calendar.js";
+import { resolveApproval } from "./approvals.js";
+import { runWithContext } from "./run-context.js";
+import importCalendarEvents from "./tools/import-calendar-events.js";
+
+const NOW = new Date(Date.UTC(2024, 4, 15, 8, 0));
+const TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Local time on a day in May 2024
+function may(day, hour = 0, minute = 0) {
+  return new Date(2024, 4, day, hour, minute);
+}
+
+function lines(text) {
+  return text.replace(/\r\n /g, '').split('\r\n');
+}
+
+const sync = {
+  title: 'Team sync; planning, Q3',
+  start: may(21, 10),
+  end: may(21, 11),
+  allDay: false,
+  recurrence: parseRecurrence('every tuesday until december 15', { now: NOW }).rule,
+  location: 'Room 4B',
+  description: 'Agenda:\n- budget\n- hiring',
+  guests: ['ana@example.com', 'bo@example.com']
+};
+const offsite = { title: 'Offsite', start: may(27), end: may(30), allDay: true, recurrence: null, guests: [] };
+
+describe('toICS', () => {
+  test('a calendar with the events in the local time zone', () => {
+    const text = toICS([sync, offsite], { now: NOW, organizer: 'me@example.com' });
+    const written = lines(text);
+
+    assert.ok(text.endsWith('END:VCALENDAR\r\n'));
+    assert.deepEqual(written.slice(0, 4), ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//OpenSesame//Calendar Events//EN', 'CALSCALE:GREGORIAN']);
+    assert.ok(written.includes(`TZID:${TIME_ZONE}`));
+    assert.ok(written.includes(`DTSTART;TZID=${TIME_ZONE}:20240521T100000`));
+    assert.ok(written.includes(`DTEND;TZID=${TIME_ZONE}:20240521T110000`));
+    assert.ok(written.includes('DTSTAMP:20240515T080000Z'));
+    assert.ok(written.includes('SUMMARY:Team sync\\; planning\\, Q3'));
+    assert.ok(written.includes('DESCRIPTION:Agenda:\\n- budget\\n- hiring'));
+    assert.ok(written.some(line => /^RRULE:FREQ=WEEKLY;BYDAY=TU;UNTIL=\d{8}T\d{6}Z$/.test(line)));
+    assert.ok(written.includes('ORGANIZER:mailto:me@example.com'));
+    assert.equal(written.filter(line => line.startsWith('ATTENDEE;')).length, 2);
+    assert.ok(written.includes('DTSTART;VALUE=DATE:20240527'));
+    assert.ok(written.includes('DTEND;VALUE=DATE:20240530'));
+  });
+
+  test('all-day rules end on a date', () => {
+    const weekly = { ...offsite, end: may(28), recurrence: parseRecurrence('weekly until june 30', { now: NOW }).rule };
+    assert.ok(lines(toICS([weekly], { now: NOW })).includes('RRULE:FREQ=WEEKLY;UNTIL=20240630'));
+  });
+
+  test('long lines are folded at 75 octets', () => {
+    const text = toICS([{ ...offsite, title: 'Überraschungsparty für das ganze Team 🎉 '.repeat(4) }], { now: NOW });
+    assert.ok(text.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+    assert.equal(parseICS(text).events[0].title, 'Überraschungsparty für das ganze Team 🎉 '.repeat(4).trim());
+  });
+
+  test('guests need an organizer', () => {
+    assert.ok(!toICS([sync], { now: NOW, organizer: null }).includes('ATTENDEE'));
+  });
+
+  test('the organizer comes from the settings, then helper/.env', (t) => {
+    const settings = getSettings();
+    const savedSetting = settings.organizerEmail;
+    const savedEnv = process.env.ICS_ORGANIZER_EMAIL;
+    t.after(() => {
+      settings.organizerEmail = savedSetting;
+      if (savedEnv === undefined) delete process.env.ICS_ORGANIZER_EMAIL;
+      else process.env.ICS_ORGANIZER_EMAIL = savedEnv;
+    });
+
+    settings.organizerEmail = '';
+    delete process.env.ICS_ORGANIZER_EMAIL;
+    assert.equal(getOrganizer(), null);
+
+    process.env.ICS_ORGANIZER_EMAIL = 'env@example.com';
+    assert.equal(getOrganizer(), 'env@example.com');
+
+    settings.organizerEmail = 'me@example.com';
+    assert.equal(getOrganizer(), 'me@example.com');
+    assert.match(toICS([sync], { now: NOW }), /ORGANIZER:mailto:me@example\.com/);
+  });
+});
+
+describe('parseICS', () => {
+  test('reads back what toICS writes', () => {
+    const { events, skipped } = parseICS(toICS([sync, offsite], { now: NOW, organizer: 'me@example.com' }));
+    const [timed, allDay] = events;
+
+    assert.equal(skipped, 0);
+    assert.deepEqual([timed.title, timed.start, timed.end, timed.allDay], [sync.title, sync.start, sync.end, false]);
+    assert.deepEqual([timed.location, timed.description, timed.attendees], [sync.location, sync.description, sync.guests]);
+    assert.deepEqual(timed.rule, sync.recurrence);
+    assert.deepEqual([allDay.start, allDay.end, allDay.allDay, allDay.rule], [offsite.start, offsite.end, true, null]);
+  });
+
+  test('a Google Calendar export', () => {
+    const { events, skipped } = parseICS([
+      'BEGIN:VCALENDAR', 'PRODID:-//Google Inc//Google Calendar 70.9054//EN', 'VERSION:2.0',
+      'BEGIN:VEVENT',
+      'DTSTART;TZID=America/Los_Angeles:20240516T090000', 'DTEND;TZID=America/Los_Angeles:20240516T100000',
+      'RRULE:FREQ=WEEKLY;BYDAY=TH', 'EXDATE;TZID=America/Los_Angeles:20240523T090000',
+      'UID:planning@google.com', 'ATTENDEE;CN=Ana;PARTSTAT=ACCEPTED:mailto:ana@example.com',
+      'SUMMARY:Planning', 'BEGIN:VALARM', 'ACTION:DISPLAY', 'TRIGGER:-PT10M', 'END:VALARM',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'DTSTART;TZID=America/Los_Angeles:20240523T100000', 'RECURRENCE-ID;TZID=America/Los_Angeles:20240523T090000',
+      'UID:planning@google.com', 'SUMMARY:Planning (moved)',
+      'END:VEVENT',
+      'BEGIN:VEVENT', 'DTSTART:20240517T150000Z', 'DURATION:PT45M', 'SUMMARY:Call', 'END:VEVENT',
+      'BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20240520', 'SUMMARY:Holiday', 'END:VEVENT',
+      'BEGIN:VEVENT', 'DTSTART:20240521T080000Z', 'STATUS:CANCELLED', 'SUMMARY:Gone', 'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n'));
+    const [planning, call, holiday] = events;
+
+    assert.equal(skipped, 2);
+    assert.equal(events.length, 3);
+    assert.deepEqual([planning.start.toISOString(), planning.end.toISOString()], ['2024-05-16T16:00:00.000Z', '2024-05-16T17:00:00.000Z']);
+    assert.equal(planning.timeZone, 'America/Los_Angeles');
+    assert.equal(planning.uid, 'planning@google.com');
+    assert.deepEqual(planning.attendees, ['ana@example.com']);
+    assert.deepEqual(planning.recurrence, ['RRULE:FREQ=WEEKLY;BYDAY=TH', 'EXDATE;TZID=America/Los_Angeles:20240523T090000']);
+    assert.deepEqual(planning.rule.weekdays, ['TH']);
+    assert.deepEqual([call.start.toISOString(), call.end.toISOString()], ['2024-05-17T15:00:00.000Z', '2024-05-17T15:45:00.000Z']);
+    assert.deepEqual([holiday.start, holiday.end, holiday.allDay], [may(20), may(21), true]);
+  });
+
+  test('an Outlook invitation with a Windows time zone', () => {
+    const { events } = parseICS([
+      'BEGIN:VCALENDAR', 'METHOD:REQUEST', 'VERSION:2.0',
+      'BEGIN:VTIMEZONE', 'TZID:W. Europe Standard Time',
+      'BEGIN:STANDARD', 'DTSTART:16010101T030000', 'TZOFFSETFROM:+0200', 'TZOFFSETTO:+0100',
+      'RRULE:FREQ=YEARLY;INTERVAL=1;BYDAY=-1SU;BYMONTH=10', 'END:STANDARD',
+      'BEGIN:DAYLIGHT', 'DTSTART:16010101T020000', 'TZOFFSETFROM:+0100', 'TZOFFSETTO:+0200',
+      'RRULE:FREQ=YEARLY;INTERVAL=1;BYDAY=-1SU;BYMONTH=3', 'END:DAYLIGHT',
+      'END:VTIMEZONE',
+      'BEGIN:VEVENT', 'SUMMARY;LANGUAGE=de-DE:Besprechung',
+      'DTSTART;TZID="W. Europe Standard Time":20240516T090000', 'DTEND;TZID="W. Europe Standard Time":20240516T100000',
+      'LOCATION:Raum 1\\, Berlin', 'END:VEVENT',
+      'BEGIN:VEVENT', 'SUMMARY:Winter',
+      'DTSTART;TZID="W. Europe Standard Time":20240116T090000', 'DTEND;TZID="W. Europe Standard Time":20240116T100000',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\n'));
+
+    assert.equal(events[0].title, 'Besprechung');
+    assert.equal(events[0].location, 'Raum 1, Berlin');
+    assert.equal(events[0].start.toISOString(), '2024-05-16T07:00:00.000Z');
+    assert.equal(events[1].start.toISOString(), '2024-01-16T08:00:00.000Z');
+  });
+
+  test('not a calendar file', () => {
+    assert.throws(() => parseICS('Hello'), /not a calendar file/);
+  });
+});
+
+describe('import_calendar_events', () => {
+  // The tool logs each approval and import, which only clutters the test output
+  before(() => mock.method(console, 'log', () => {}));
+  afterEach(() => setCalendarClient(null));
+
+  function fakeCalendar(importEvent) {
+    const requests = [];
+    setCalendarClient({
+      events: {
+        import: async (params) => {
+          requests.push(params);
+          return { data: importEvent(params.requestBody) };
+        }
+      }
+    });
+    return requests;
+  }
+
+  const imported = (body) => ({ id: body.iCalUID, ...body });
+
+  async function runImport(file, answer) {
+    const asked = [];
+    const emit = (event, data) => {
+      if (event !== 'approval-required') return;
+      asked.push(data);
+      setImmediate(() => resolveApproval(data.id, answer));
+    };
+    const result = await runWithContext({ runId: 'test', emit }, () => importCalendarEvents.func({ file }));
+    return { result, asked };
+  }
+
+  test('imports every event after approval', async () => {
+    saveUpload('team.ics', toICS([sync, offsite], { now: NOW, organizer: 'me@example.com' }));
+    const requests = fakeCalendar(imported);
+    const { result, asked } = await runImport('Team.ics', { decision: 'approve' });
+
+    assert.equal(asked[0].title, 'Import 2 events from "team.ics" into Google Calendar?');
+    assert.match(asked[0].fields[0].value, /: Team sync; planning, Q3 \(weekly on tuesday, until december 15, 2024\)\n.*: Offsite$/);
+    assert.equal(result.status, 'success');
+    assert.equal(result.message, 'Imported 2 events from "team.ics" into Google Calendar.');
+
+    const [timed, allDay] = requests.map(request => request.requestBody);
+    assert.deepEqual(timed.start, { dateTime: sync.start.toISOString(), timeZone: TIME_ZONE });
+    assert.match(timed.recurrence[0], /^RRULE:FREQ=WEEKLY;BYDAY=TU;UNTIL=/);
+    assert.deepEqual(timed.attendees, [{ email: 'ana@example.com' }, { email: 'bo@example.com' }]);
+    assert.deepEqual([allDay.start, allDay.end], [{ date: '2024-05-27' }, { date: '2024-05-30' }]);
+    assert.equal(allDay.recurrence, undefined);
+  });
+
+  test('failed events are reported, the rest imported', async () => {
+    saveUpload('team.ics', toICS([sync, offsite], { now: NOW }));
+    fakeCalendar((body) => {
+      if (body.summary === 'Offsite') throw Object.assign(new Error('Invalid start time.'), { response: { status: 400 } });
+      return imported(body);
+    });
+    const { result } = await runImport('team.ics', { decision: 'approve' });
+
+    assert.equal(result.message, 'Imported 1 event from "team.ics" into Google Calendar. 1 event failed: "Offsite" (Could not import the event: Invalid start time.).');
+  });
+
+  test('cancelled', async () => {
+    saveUpload('team.ics', toICS([offsite], { now: NOW }));
+    const requests = fakeCalendar(imported);
+    const { result } = await runImport('team.ics', { decision: 'cancel' });
+
+    assert.equal(result.status, 'cancelled');
+    assert.deepEqual(requests, []);
+  });
+
+  test('a file that was not dropped', async () => {
+    fakeCalendar(imported);
+    await assert.rejects(runImport('other.ics', { decision: 'approve' }), /no dropped file named "other\.ics"/);
+  });
+});
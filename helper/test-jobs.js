@@ -0,0 +1,126 @@
+/**
+ * Unit tests for the job queue (see jobs.js), run with `npm test`.
+ *
+ * The jobs' work is a promise each test settles itself.
+ */
+
+import { before, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { createJobQueue, isFinished, JobCancelledError } from "./jobs.js";
+
+before(() => {
+  mock.method(console, 'log', () => {});
+});
+
+// A queue whose jobs wait until the test finishes them through work.get(prompt)
+function controlledQueue(options) {
+  const work = new Map();
+  const queue = createJobQueue((job, { signal, emit }) => new Promise((resolve, reject) => {
+    work.set(job.prompt, { job, signal, emit, resolve, reject });
+  }), options);
+  return { queue, work };
+}
+
+const statuses = (queue) => queue.list().map(job => `${job.prompt}: ${job.status}`);
+
+describe('createJobQueue', () => {
+  test('runs up to the concurrency and starts the rest in order', async () => {
+    const { queue, work } = controlledQueue({ concurrency: 2 });
+    const first = queue.enqueue({ prompt: 'first' });
+    queue.enqueue({ prompt: 'second' });
+    queue.enqueue({ prompt: 'third' });
+
+    assert.equal(first.status, 'running');
+    assert.deepEqual(statuses(queue), ['first: running', 'second: running', 'third: queued']);
+
+    work.get('second').resolve('done');
+    const second = await queue.wait(queue.list()[1].id);
+    assert.equal(second.status, 'succeeded');
+    assert.equal(second.result, 'done');
+    assert.ok(second.startedAt && second.finishedAt);
+    assert.deepEqual(statuses(queue), ['first: running', 'second: succeeded', 'third: running']);
+
+    work.get('first').reject(new Error('No browser connected'));
+    work.get('third').resolve('done');
+    const failed = await queue.wait(first.id);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.error, 'No browser connected');
+    assert.equal(isFinished(failed), true);
+  });
+
+  test('jobs get their input and report progress to onEvent', async () => {
+    const { queue, work } = controlledQueue();
+    const events = [];
+    const job = queue.enqueue({ prompt: 'send', input: { chatHistory: [] }, onEvent: (event, data) => events.push([event, data]) });
+
+    const { job: running, emit, resolve } = work.get('send');
+    assert.deepEqual(running.input, { chatHistory: [] });
+    emit('tool-start', { tool: 'send_email' });
+    resolve('sent');
+
+    await queue.wait(job.id);
+    assert.deepEqual(events, [['tool-start', { tool: 'send_email' }]]);
+  });
+
+  test('queued jobs are cancelled right away', async () => {
+    const { queue, work } = controlledQueue({ concurrency: 1 });
+    queue.enqueue({ prompt: 'first' });
+    const second = queue.enqueue({ prompt: 'second' });
+
+    const cancelled = queue.cancel(second.id);
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(cancelled.error, 'Cancelled by user');
+
+    work.get('first').resolve('done');
+    await queue.wait(queue.list()[0].id);
+    assert.equal(work.has('second'), false);
+  });
+
+  test('running jobs stay cancelling, and keep their slot, until their work stops', async () => {
+    const { queue, work } = controlledQueue({ concurrency: 1 });
+    const first = queue.enqueue({ prompt: 'first' });
+    queue.enqueue({ prompt: 'second' });
+
+    const cancelling = queue.cancel(first.id);
+    const { signal, resolve } = work.get('first');
+    assert.equal(cancelling.status, 'cancelling');
+    assert.equal(signal.aborted, true);
+    assert.ok(signal.reason instanceof JobCancelledError);
+    assert.deepEqual(statuses(queue), ['first: cancelling', 'second: queued']);
+
+    // Whatever the work returns, the job ends as cancelled
+    resolve('sent anyway');
+    const cancelled = await queue.wait(first.id);
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(cancelled.result, null);
+    assert.equal(cancelled.error, 'Cancelled by user');
+    assert.deepEqual(statuses(queue), ['first: cancelled', 'second: running']);
+
+    work.get('second').resolve('done');
+  });
+
+  test('unknown and finished jobs are not cancelled', async () => {
+    const { queue, work } = controlledQueue();
+    const job = queue.enqueue({ prompt: 'first' });
+    work.get('first').resolve('done');
+    await queue.wait(job.id);
+
+    assert.equal(queue.cancel('nope'), null);
+    assert.equal(queue.cancel(job.id).status, 'succeeded');
+    assert.equal(queue.get('nope'), null);
+    assert.equal(queue.wait('nope'), undefined);
+  });
+
+  test('only the newest finished jobs are kept', async () => {
+    const { queue, work } = controlledQueue({ concurrency: 3, historyLimit: 2 });
+    const jobs = ['first', 'second', 'third'].map(prompt => queue.enqueue({ prompt }));
+
+    for (const [index, prompt] of ['first', 'second', 'third'].entries()) {
+      work.get(prompt).resolve('done');
+      await queue.wait(jobs[index].id);
+    }
+
+    assert.equal(queue.get(jobs[0].id), null);
+    assert.deepEqual(statuses(queue), ['second: succeeded', 'third: succeeded']);
+  });
+});
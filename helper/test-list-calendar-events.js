@@ -0,0 +1,168 @@
+/**
+ * Tests for google-calendar.js and the list_calendar_events tool, run with `npm test`.
+ *
+ * The Calendar API client is replaced with a local fake through setCalendarClient(), it
+ * records the requests and answers with canned pages of events in the API's format.
+ */
+
+import { afterEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { listEvents, setCalendarClient } from "./google-calendar.js";
+import { parseTimeSpan } from "./date-parser.js";
+import listCalendarEvents from "./tools/list-calendar-events.js";
+
+// Answers events.list with the given pages in turn, an Error is thrown instead
+function fakeCalendar(...pages) {
+  const requests = [];
+  const client = {
+    requests,
+    events: {
+      list: async (params) => {
+        requests.push(params);
+        const page = pages[requests.length - 1] ?? {};
+        if (page instanceof Error) throw page;
+        return { data: page };
+      }
+    }
+  };
+  setCalendarClient(client);
+  return client;
+}
+
+function apiError(status, message) {
+  return Object.assign(new Error(message), { response: { status, data: { error: { message } } } });
+}
+
+// A timed event in the API's format, hours on the given local day
+function timedEvent(summary, day, startHour, endHour, extra = {}) {
+  const at = (hour) => new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour).toISOString();
+  return { id: summary, summary, start: { dateTime: at(startHour) }, end: { dateTime: at(endHour) }, ...extra };
+}
+
+const MAY_16 = new Date(2024, 4, 16);
+const range = { start: new Date(2024, 4, 16), end: new Date(2024, 4, 17) };
+
+afterEach(() => setCalendarClient(null));
+
+describe('listEvents', () => {
+  test('asks for single events in the range, in order', async () => {
+    const client = fakeCalendar({ items: [] });
+    await listEvents(range);
+    assert.deepEqual(client.requests[0], {
+      calendarId: 'primary',
+      timeMin: range.start.toISOString(),
+      timeMax: range.end.toISOString(),
+      singleEvents: true,
+      orderBy: 'startTime',
+      maxResults: 250,
+      pageToken: undefined
+    });
+  });
+
+  test('reads timed and all-day events', async () => {
+    fakeCalendar({
+      items: [
+        { id: 'holiday', summary: 'Holiday', start: { date: '2024-05-16' }, end: { date: '2024-05-17' } },
+        timedEvent('Standup', MAY_16, 9, 10, { location: 'Room 4B', recurringEventId: 'standup' })
+      ]
+    });
+    const [holiday, standup] = await listEvents(range);
+
+    assert.equal(holiday.allDay, true);
+    assert.deepEqual([holiday.start, holiday.end], [new Date(2024, 4, 16), new Date(2024, 4, 17)]);
+    assert.equal(standup.allDay, false);
+    assert.deepEqual([standup.start, standup.end], [new Date(2024, 4, 16, 9), new Date(2024, 4, 16, 10)]);
+    assert.equal(standup.location, 'Room 4B');
+    assert.equal(standup.recurring, true);
+  });
+
+  test('leaves out cancelled events and marks time that is not blocked', async () => {
+    fakeCalendar({
+      items: [
+        timedEvent('Moved', MAY_16, 9, 10, { status: 'cancelled' }),
+        timedEvent('Focus time', MAY_16, 10, 12, { transparency: 'transparent' }),
+        timedEvent('Review', MAY_16, 14, 15, {
+          attendees: [{ email: 'me@example.com', self: true, responseStatus: 'declined' }, { email: 'ana@example.com' }]
+        }),
+        timedEvent('Lunch', MAY_16, 12, 13)
+      ]
+    });
+    const events = await listEvents(range);
+
+    assert.deepEqual(events.map(event => [event.title, event.busy]), [['Focus time', false], ['Review', false], ['Lunch', true]]);
+    assert.deepEqual(events[1].attendees, ['ana@example.com']);
+  });
+
+  test('follows the pages', async () => {
+    const client = fakeCalendar(
+      { items: [timedEvent('One', MAY_16, 9, 10)], nextPageToken: 'page-2' },
+      { items: [timedEvent('Two', MAY_16, 11, 12)] }
+    );
+    const events = await listEvents(range);
+
+    assert.deepEqual(events.map(event => event.title), ['One', 'Two']);
+    assert.equal(client.requests[1].pageToken, 'page-2');
+  });
+
+  test('explains failed requests', async () => {
+    fakeCalendar(apiError(401, 'Invalid Credentials'));
+    await assert.rejects(listEvents(range), /refresh token may have expired/);
+
+    fakeCalendar(apiError(500, 'Backend Error'));
+    await assert.rejects(listEvents(range), /Could not read the calendar: Backend Error/);
+  });
+
+  test('explains missing credentials', async () => {
+    const saved = process.env.GOOGLE_REFRESH_TOKEN;
+    delete process.env.GOOGLE_REFRESH_TOKEN;
+    try {
+      await assert.rejects(listEvents(range), /GOOGLE_REFRESH_TOKEN/);
+    } finally {
+      if (saved !== undefined) process.env.GOOGLE_REFRESH_TOKEN = saved;
+    }
+  });
+});
+
+describe('list_calendar_events', () => {
+  test('lists the parsed day', async () => {
+    const span = parseTimeSpan('tomorrow');
+    const client = fakeCalendar({
+      items: [
+        timedEvent('Standup', span.start, 9, 10, { location: 'Room 4B' }),
+        timedEvent('Focus time', span.start, 13, 15, { transparency: 'transparent' })
+      ]
+    });
+    const result = await listCalendarEvents.func({ when: 'tomorrow' });
+
+    assert.equal(client.requests[0].timeMin, span.start.toISOString());
+    assert.equal(client.requests[0].timeMax, span.end.toISOString());
+    assert.equal(result.status, 'success');
+    assert.match(result.message, /^2 events for \w+day, /);
+    assert.match(result.message, /\n- 9:00 AM - 10:00 AM: Standup \(Room 4B\)\n- 1:00 PM - 3:00 PM: Focus time \[free\]$/);
+    assert.equal(result.data.events.length, 2);
+  });
+
+  test('a part of the day is all of it', async () => {
+    const client = fakeCalendar({ items: [] });
+    const result = await listCalendarEvents.func({ when: 'thursday afternoon' });
+
+    assert.equal(new Date(client.requests[0].timeMin).getHours(), 12);
+    assert.equal(new Date(client.requests[0].timeMax).getHours(), 17);
+    assert.match(result.message, /^Nothing on the calendar for Thursday, .*, 12:00 PM - 5:00 PM\.$/);
+  });
+
+  test('ranges of days show the dates', async () => {
+    const span = parseTimeSpan('next week');
+    fakeCalendar({ items: [{ id: 'offsite', summary: 'Offsite', start: { date: '2030-01-01' }, end: { date: '2030-01-03' } }] });
+    const result = await listCalendarEvents.func({ when: 'next week' });
+
+    assert.match(result.message, /^1 event for Monday, .* - Sunday, /);
+    assert.match(result.message, /\n- Tue, Jan 1 - Wed, Jan 2: Offsite$/);
+    assert.deepEqual(result.data.start, span.start);
+  });
+
+  test('text that is not a date fails', async () => {
+    fakeCalendar({ items: [] });
+    await assert.rejects(listCalendarEvents.func({ when: 'soonish' }), /Could not understand the day or range "soonish"/);
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Unit tests for the LLM provider settings (see llm.js), run with `npm test`.
+ *
+ * Each test starts without any LLM settings in the environment and puts back the
+ * real ones afterwards.
+ */
+
+import { afterEach, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { getLlmConfig } from "./llm.js";
+
+const isLlmSetting = (name) => /^((AGENT|DRAFTING)_)?LLM_/.test(name) || name === 'OPENAI_API_KEY';
+
+let savedEnv;
+
+beforeEach(() => {
+  savedEnv = Object.fromEntries(Object.entries(process.env).filter(([name]) => isLlmSetting(name)));
+  for (const name of Object.keys(savedEnv)) delete process.env[name];
+});
+
+afterEach(() => {
+  for (const name of Object.keys(process.env).filter(isLlmSetting)) delete process.env[name];
+  Object.assign(process.env, savedEnv);
+});
+
+describe('getLlmConfig', () => {
+  test('defaults to OpenAI', () => {
+    process.env.OPENAI_API_KEY = 'sk-test';
+    assert.deepEqual(getLlmConfig(), {
+      role: 'agent',
+      provider: 'openai',
+      baseURL: undefined,
+      apiKey: 'sk-test',
+      model: 'gpt-4o-mini',
+      temperature: 0
+    });
+  });
+
+  test('role settings override the shared ones', () => {
+    Object.assign(process.env, {
+      LLM_MODEL: 'gpt-4o-mini',
+      LLM_TEMPERATURE: '0.2',
+      DRAFTING_LLM_MODEL: 'gpt-4o',
+      DRAFTING_LLM_TEMPERATURE: '',
+      LLM_API_KEY: 'sk-shared',
+      OPENAI_API_KEY: 'sk-openai'
+    });
+
+    const drafting = getLlmConfig('drafting');
+    assert.equal(drafting.model, 'gpt-4o');
+    assert.equal(drafting.temperature, 0.2);
+    assert.equal(drafting.apiKey, 'sk-shared');
+    assert.equal(getLlmConfig('agent').model, 'gpt-4o-mini');
+  });
+
+  test('local servers need a base URL but no key', () => {
+    process.env.AGENT_LLM_PROVIDER = 'OpenAI-Compatible';
+    assert.throws(() => getLlmConfig('agent'), /LLM_BASE_URL \(or AGENT_LLM_BASE_URL\) is required/);
+
+    process.env.AGENT_LLM_BASE_URL = 'http://localhost:11434/v1';
+    const config = getLlmConfig('agent');
+    assert.equal(config.provider, 'openai-compatible');
+    assert.equal(config.baseURL, 'http://localhost:11434/v1');
+    assert.equal(config.apiKey, 'not-needed');
+    assert.equal(getLlmConfig('drafting').provider, 'openai');
+  });
+
+  test('unknown roles, providers and bad temperatures are errors', () => {
+    assert.throws(() => getLlmConfig('summaries'), { message: 'Unknown LLM role "summaries". Expected one of: agent, drafting' });
+
+    process.env.LLM_PROVIDER = 'anthropic';
+    assert.throws(() => getLlmConfig(), { message: 'Unknown LLM provider "anthropic" for agent. Expected one of: openai, openai-compatible' });
+
+    process.env.LLM_PROVIDER = 'openai';
+    process.env.LLM_TEMPERATURE = 'warm';
+    assert.throws(() => getLlmConfig(), { message: 'Invalid LLM temperature "warm" for agent' });
+  });
+});
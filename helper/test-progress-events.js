@@ -0,0 +1,105 @@
+/**
+ * Unit tests for the progress events of /invoke/stream (see progress-events.js), run
+ * with `npm test`.
+ *
+ * The LangChain callbacks are called the way the agent executor calls them, and the
+ * HTTP response is a fake that records what is written to it.
+ */
+
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import { createProgressCallbacks, openEventStream, sendJobOutcome } from "./progress-events.js";
+import { failure, serializeToolResult, success } from "./tool-result.js";
+
+function recordEvents() {
+  const events = [];
+  return { events, sendEvent: (event, data) => events.push([event, data]) };
+}
+
+function fakeResponse() {
+  const res = new EventEmitter();
+  res.written = [];
+  res.writeHead = (status, headers) => { res.status = status; res.headers = headers; };
+  res.write = (chunk) => res.written.push(chunk);
+  return res;
+}
+
+describe('createProgressCallbacks', () => {
+  test('the agent thought becomes a log event', () => {
+    const { events, sendEvent } = recordEvents();
+    const [callbacks] = createProgressCallbacks(sendEvent);
+
+    callbacks.handleAgentAction({ tool: 'send_email', log: 'I should email Ana.\nAction:\n```{"action":"send_email"}```' });
+    callbacks.handleAgentAction({ tool: 'wait', log: 'Action: wait' });
+
+    assert.deepEqual(events, [['log', { message: 'I should email Ana.' }]]);
+  });
+
+  test('tool start and end events carry the tool name and result', () => {
+    const { events, sendEvent } = recordEvents();
+    const [callbacks] = createProgressCallbacks(sendEvent);
+
+    callbacks.handleAgentAction({ tool: 'open_new_tab', log: '' });
+    callbacks.handleToolStart({ id: ['langchain', 'tools', 'DynamicStructuredTool'] }, '{"url":"gmail.com"}', 'run-1');
+    callbacks.handleToolEnd(serializeToolResult(success('Opened gmail.com', { tabId: 3 })), 'run-1');
+
+    callbacks.handleToolStart({ id: ['DynamicStructuredTool'] }, '{}', 'run-2', undefined, [], {}, 'send_email');
+    callbacks.handleToolEnd(serializeToolResult(failure('No browser connected')), 'run-2');
+
+    assert.deepEqual(events, [
+      ['tool-start', { tool: 'open_new_tab', input: '{"url":"gmail.com"}' }],
+      ['tool-end', { tool: 'open_new_tab', status: 'success', output: 'Opened gmail.com', data: { tabId: 3 } }],
+      ['tool-start', { tool: 'send_email', input: '{}' }],
+      ['tool-end', { tool: 'send_email', status: 'error', output: 'No browser connected', data: {} }]
+    ]);
+  });
+
+  test('thrown tool errors end the tool with the error', () => {
+    const { events, sendEvent } = recordEvents();
+    const [callbacks] = createProgressCallbacks(sendEvent);
+
+    callbacks.handleToolStart({ id: ['DynamicStructuredTool'] }, '{}', 'run-1', undefined, [], {}, 'take_screenshot');
+    callbacks.handleToolError(new Error('Timed out'), 'run-1');
+
+    assert.deepEqual(events.at(-1), ['tool-end', { tool: 'take_screenshot', error: 'Timed out' }]);
+  });
+});
+
+describe('openEventStream', () => {
+  test('writes Server-Sent Events until the client goes away', () => {
+    const res = fakeResponse();
+    let closed = 0;
+    const sendEvent = openEventStream(res, { onClose: () => closed++ });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['Content-Type'], 'text/event-stream');
+
+    sendEvent('job', { jobId: 'job-1', status: 'queued' });
+    res.emit('close');
+    sendEvent('log', { message: 'too late' });
+
+    assert.deepEqual(res.written, ['event: job\ndata: {"jobId":"job-1","status":"queued"}\n\n']);
+    assert.equal(closed, 1);
+  });
+});
+
+describe('sendJobOutcome', () => {
+  test('a succeeded job sends its final answer', () => {
+    const { events, sendEvent } = recordEvents();
+    const result = { result: 'Sent the email', intermediateSteps: [], toolResults: [] };
+    sendJobOutcome(sendEvent, { status: 'succeeded', result, error: null });
+    assert.deepEqual(events, [['final-answer', result]]);
+  });
+
+  test('failed and cancelled jobs send an error', () => {
+    const { events, sendEvent } = recordEvents();
+    sendJobOutcome(sendEvent, { status: 'failed', result: null, error: 'Failed to execute agent: rate limited' });
+    sendJobOutcome(sendEvent, { status: 'cancelled', result: null, error: 'Cancelled by user' });
+
+    assert.deepEqual(events, [
+      ['error', { error: 'Failed to execute agent: rate limited', cancelled: false }],
+      ['error', { error: 'Cancelled by user', cancelled: true }]
+    ]);
+  });
+});
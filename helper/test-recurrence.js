@@ -0,0 +1,237 @@
+/**
+ * Unit tests for recurrence.js, run with `npm test`.
+ *
+ * Like test-date-parser.js, everything runs against a fixed clock: Wednesday
+ * 15 May 2024, 10:00 local time.
+ */
+
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { parseDateTime } from "./date-parser.js";
+import { parseRecurrence, firstOccurrence, toRRule, describeRecurrence, parseRRule } from "./recurrence.js";
+
+const NOW = new Date(2024, 4, 15, 10, 0);
+
+function parse(text) {
+  return parseRecurrence(text, { now: NOW });
+}
+
+// Local time, months are 1-based
+function local(year, month, day, hour = 0, minute = 0) {
+  return new Date(year, month - 1, day, hour, minute);
+}
+
+function assertRule(text, expected, remainder) {
+  const result = parse(text);
+  assert.ok(result, `"${text}" should repeat`);
+  const { frequency, interval = 1, weekdays = [], monthWeek = null, count = null } = expected;
+  assert.deepEqual(
+    { frequency: result.rule.frequency, interval: result.rule.interval, weekdays: result.rule.weekdays, monthWeek: result.rule.monthWeek, count: result.rule.count },
+    { frequency, interval, weekdays, monthWeek, count },
+    `rule of "${text}"`
+  );
+  if (remainder !== undefined) {
+    assert.equal(result.remainder, remainder, `remainder of "${text}"`);
+  }
+  return result;
+}
+
+describe('frequencies', () => {
+  test('daily', () => {
+    assertRule('daily at 9am', { frequency: 'DAILY' }, 'at 9am');
+    assertRule('every day', { frequency: 'DAILY' }, '');
+    assertRule('every other day', { frequency: 'DAILY', interval: 2 });
+    assertRule('every 3 days', { frequency: 'DAILY', interval: 3 });
+  });
+
+  test('weekdays', () => {
+    const workweek = ['MO', 'TU', 'WE', 'TH', 'FR'];
+    assertRule('every weekday at 9:30', { frequency: 'WEEKLY', weekdays: workweek }, 'at 9:30');
+    assertRule('daily standup weekdays at 9:30', { frequency: 'WEEKLY', weekdays: workweek }, 'standup at 9:30');
+    assertRule('on weekdays', { frequency: 'WEEKLY', weekdays: workweek });
+  });
+
+  test('weekly', () => {
+    assertRule('weekly', { frequency: 'WEEKLY' });
+    assertRule('every week', { frequency: 'WEEKLY' });
+    assertRule('every 2 weeks', { frequency: 'WEEKLY', interval: 2 });
+    assertRule('biweekly', { frequency: 'WEEKLY', interval: 2 });
+    assertRule('bi-weekly', { frequency: 'WEEKLY', interval: 2 });
+  });
+
+  test('on given weekdays', () => {
+    assertRule('every Tuesday at 10am', { frequency: 'WEEKLY', weekdays: ['TU'] }, 'at 10am');
+    assertRule('every other Friday', { frequency: 'WEEKLY', interval: 2, weekdays: ['FR'] });
+    assertRule('every tue, thu and fri', { frequency: 'WEEKLY', weekdays: ['TU', 'TH', 'FR'] });
+    assertRule('every Friday and Monday', { frequency: 'WEEKLY', weekdays: ['MO', 'FR'] });
+    assertRule('on Mondays and Wednesdays at 6pm', { frequency: 'WEEKLY', weekdays: ['MO', 'WE'] }, 'at 6pm');
+    assertRule('tuesdays', { frequency: 'WEEKLY', weekdays: ['TU'] });
+  });
+
+  test('an interval followed by weekdays', () => {
+    assertRule('every 2 weeks on monday and wednesday at 3pm', { frequency: 'WEEKLY', interval: 2, weekdays: ['MO', 'WE'] }, 'at 3pm');
+    assertRule('every 2 weeks on mondays and wednesdays', { frequency: 'WEEKLY', interval: 2, weekdays: ['MO', 'WE'] }, '');
+    assertRule('biweekly on tuesday', { frequency: 'WEEKLY', interval: 2, weekdays: ['TU'] }, '');
+    assertRule('weekly on mon, wed and fri', { frequency: 'WEEKLY', weekdays: ['MO', 'WE', 'FR'] }, '');
+    const result = assertRule('every week on friday until june 28', { frequency: 'WEEKLY', weekdays: ['FR'] }, '');
+    assert.deepEqual(result.rule.until, local(2024, 6, 28));
+  });
+
+  test('monthly', () => {
+    assertRule('monthly', { frequency: 'MONTHLY' });
+    assertRule('on the 15th of every month', { frequency: 'MONTHLY' }, 'on the 15th');
+    assertRule('every 3 months', { frequency: 'MONTHLY', interval: 3 });
+    assertRule('the first Monday of every month at noon', { frequency: 'MONTHLY', weekdays: ['MO'], monthWeek: 1 }, 'at noon');
+    assertRule('last friday of the month', { frequency: 'MONTHLY', weekdays: ['FR'], monthWeek: -1 });
+    assertRule('every 2nd Tuesday of each month', { frequency: 'MONTHLY', weekdays: ['TU'], monthWeek: 2 });
+  });
+
+  test('yearly', () => {
+    assertRule('yearly', { frequency: 'YEARLY' });
+    assertRule('annually on June 10', { frequency: 'YEARLY' }, 'on june 10');
+    assertRule('every year', { frequency: 'YEARLY' });
+  });
+
+  test('single dates do not repeat', () => {
+    assert.equal(parse('on monday at 3'), null);
+    assert.equal(parse('tomorrow at 2pm'), null);
+    assert.equal(parse('next friday'), null);
+    assert.equal(parse(''), null);
+    assert.equal(parse(undefined), null);
+  });
+});
+
+describe('ends', () => {
+  test('a number of times', () => {
+    assertRule('every 2 weeks for 10 times', { frequency: 'WEEKLY', interval: 2, count: 10 }, '');
+    assertRule('daily 5 times', { frequency: 'DAILY', count: 5 });
+    assertRule('weekly for six sessions', { frequency: 'WEEKLY', count: 6 });
+  });
+
+  test('until a date', () => {
+    const result = assertRule('every Tuesday at 10am until December 15', { frequency: 'WEEKLY', weekdays: ['TU'] }, 'at 10am');
+    assert.deepEqual(result.rule.until, local(2024, 12, 15));
+    assert.equal(result.confidence, 1);
+  });
+
+  test('until a month is its last day and flagged', () => {
+    const result = parse('every tuesday at 10am until december');
+    assert.deepEqual(result.rule.until, local(2024, 12, 31));
+    assert.ok(result.confidence < 0.8);
+  });
+
+  test('the time after the until date stays in the remainder', () => {
+    const result = parse('every tuesday until june 30 at 10am');
+    assert.deepEqual(result.rule.until, local(2024, 6, 30));
+    assert.equal(parseDateTime(result.remainder, { now: NOW }).start.getHours(), 10);
+  });
+
+  test('through and ending on', () => {
+    assert.deepEqual(parse('daily through friday').rule.until, local(2024, 5, 17));
+    assert.deepEqual(parse('weekly ending on 2024-08-01').rule.until, local(2024, 8, 1));
+  });
+
+  test('for a period, last day included', () => {
+    assert.deepEqual(parse('every day for 2 weeks').rule.until, local(2024, 5, 28));
+    assert.deepEqual(parse('weekly for 3 months').rule.until, local(2024, 8, 14));
+    assert.deepEqual(parse('every monday for a month').rule.until, local(2024, 6, 14));
+  });
+
+  test('rules without an end never end', () => {
+    const { rule } = parse('every friday');
+    assert.equal(rule.count, null);
+    assert.equal(rule.until, null);
+  });
+});
+
+describe('firstOccurrence', () => {
+  test('moves to the first matching weekday and keeps the time and length', () => {
+    const { rule, remainder } = parse('every Tuesday at 10am');
+    const schedule = firstOccurrence(parseDateTime(remainder, { now: NOW }), rule);
+    assert.deepEqual(schedule.start, local(2024, 5, 21, 10));
+    assert.deepEqual(schedule.end, local(2024, 5, 21, 11));
+  });
+
+  test('keeps a start that already matches', () => {
+    const { rule } = parse('weekdays');
+    const schedule = parseDateTime('tomorrow at 9', { now: NOW });
+    assert.equal(firstOccurrence(schedule, rule), schedule);
+  });
+
+  test('the nth weekday of the month', () => {
+    const first = parse('first monday of every month');
+    assert.deepEqual(firstOccurrence(parseDateTime('today', { now: NOW }), first.rule).start, local(2024, 6, 3));
+    const last = parse('last friday of the month');
+    assert.deepEqual(firstOccurrence(parseDateTime('today', { now: NOW }), last.rule).start, local(2024, 5, 31));
+  });
+
+  test('rules without weekdays start on the given day', () => {
+    const { rule } = parse('monthly');
+    const schedule = parseDateTime('the 20th', { now: NOW });
+    assert.deepEqual(firstOccurrence(schedule, rule).start, local(2024, 5, 20));
+  });
+});
+
+describe('formatting', () => {
+  test('toRRule', () => {
+    assert.equal(toRRule(parse('daily').rule), 'RRULE:FREQ=DAILY');
+    assert.equal(toRRule(parse('every other tue and thu').rule), 'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH');
+    assert.equal(toRRule(parse('last friday of the month').rule), 'RRULE:FREQ=MONTHLY;BYDAY=-1FR');
+    assert.equal(toRRule(parse('weekly 4 times').rule), 'RRULE:FREQ=WEEKLY;COUNT=4');
+    assert.match(toRRule(parse('daily until june 1').rule), /^RRULE:FREQ=DAILY;UNTIL=\d{8}T\d{6}Z$/);
+    assert.equal(toRRule(parse('daily until june 1').rule, { dateOnly: true }), 'RRULE:FREQ=DAILY;UNTIL=20240601');
+  });
+
+  test('describeRecurrence', () => {
+    assert.equal(describeRecurrence(parse('daily').rule), 'Daily');
+    assert.equal(describeRecurrence(parse('weekdays').rule), 'Every weekday (Monday to Friday)');
+    assert.equal(describeRecurrence(parse('every other tue and thu').rule), 'Every 2 weeks on Tuesday and Thursday');
+    assert.equal(describeRecurrence(parse('first monday of every month').rule), 'Monthly on the first Monday');
+    assert.equal(describeRecurrence(parse('every tuesday until december 15').rule), 'Weekly on Tuesday, until December 15, 2024');
+    assert.equal(describeRecurrence(parse('annually 3 times').rule), 'Annually, 3 times');
+  });
+});
+
+describe('other languages', () => {
+  test('German repeat phrases', () => {
+    const german = (text) => parseRecurrence(text, { now: NOW, locale: { language: 'de', dateOrder: 'DMY', hourCycle: 24 } });
+
+    const weekly = german('jeden Dienstag um 10 bis 15. Dezember');
+    assert.deepEqual(weekly.rule.weekdays, ['TU']);
+    assert.deepEqual(weekly.rule.until, local(2024, 12, 15));
+    assert.equal(weekly.remainder, 'at 10');
+    assert.deepEqual(german('werktags um 9').rule.weekdays, ['MO', 'TU', 'WE', 'TH', 'FR']);
+    assert.equal(german('jeden zweiten Freitag').rule.interval, 2);
+    assert.equal(german('täglich 10 mal').rule.count, 10);
+    assert.equal(german('morgen um 9'), null);
+  });
+
+  test('until dates follow the date order', () => {
+    const until = (dateOrder) => parseRecurrence('every monday until 1/3', { now: NOW, locale: { dateOrder } }).rule.until;
+    assert.deepEqual(until('MDY'), local(2025, 1, 3));
+    assert.deepEqual(until('DMY'), local(2025, 3, 1));
+  });
+});
+
+describe('parseRRule', () => {
+  test('reads the rules toRRule writes', () => {
+    for (const text of ['daily', 'every other tue and thu', 'last friday of the month', 'weekly 4 times', 'weekdays until june 1']) {
+      const { rule } = parse(text);
+      assert.deepEqual(parseRRule(toRRule(rule)), rule, text);
+    }
+  });
+
+  test('rules from other calendars', () => {
+    assert.deepEqual(parseRRule('FREQ=WEEKLY;WKST=SU;BYDAY=TH,TU'), {
+      frequency: 'WEEKLY', interval: 1, weekdays: ['TU', 'TH'], monthWeek: null, count: null, until: null
+    });
+    assert.deepEqual(parseRRule('RRULE:FREQ=MONTHLY;INTERVAL=2;BYDAY=2MO').monthWeek, 2);
+    assert.deepEqual(parseRRule('FREQ=YEARLY;UNTIL=20241215').until, new Date(2024, 11, 15));
+  });
+
+  test('rules it cannot express', () => {
+    assert.equal(parseRRule('FREQ=MONTHLY;BYMONTHDAY=15'), null);
+    assert.equal(parseRRule('FREQ=MONTHLY;BYDAY=MO,TU'), null);
+    assert.equal(parseRRule('FREQ=HOURLY'), null);
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Tests for the selector registry (see selectors.js) and the selector diagnostics (see
+ * selector-diagnostics.js), run with `npm test`.
+ *
+ * Pages are fakes that know which strategies find which elements, the live pages are
+ * checked with `npm run test:selectors`.
+ */
+
+import { before, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { SELECTORS, clickElement, describeStrategy, findElement } from "./selectors.js";
+import { formatSelectorReports, runSelectorDiagnostics, summarizeSelectorReport } from "./selector-diagnostics.js";
+import { runWithContext } from "./run-context.js";
+
+function fakeElement(name, { visible = true, clicks = [] } = {}) {
+  return { name, isVisible: async () => visible, click: async () => clicks.push(name) };
+}
+
+// elements maps describeStrategy() of a strategy to the elements it finds
+function fakePage(elements = {}) {
+  const find = (strategy) => ({ all: async () => elements[describeStrategy(strategy)] ?? [] });
+  return {
+    getByRole: (role, { name } = {}) => find({ role, name }),
+    getByPlaceholder: (placeholder) => find({ placeholder }),
+    getByLabel: (label) => find({ label }),
+    getByText: (text) => find({ text }),
+    locator: (css) => find({ css }),
+    goto: async () => {},
+    url: () => 'https://calendar.google.com/calendar/r'
+  };
+}
+
+before(() => mock.method(console, 'log', () => {}));
+
+describe('registry', () => {
+  test('every element has a description and strategies', () => {
+    for (const [key, { description, strategies }] of Object.entries(SELECTORS)) {
+      assert.match(key, /^(calendar|gmail)\.\w+$/);
+      assert.ok(description, key);
+      assert.ok(strategies.length > 0, key);
+      for (const strategy of strategies) {
+        assert.equal(['role', 'placeholder', 'label', 'text', 'css'].filter(kind => strategy[kind]).length, 1, key);
+      }
+    }
+  });
+
+  test('Gmail class names are only fallbacks', () => {
+    const [first, ...rest] = SELECTORS['gmail.composeButton'].strategies;
+    assert.deepEqual(first, { role: 'button', name: /^compose$/i });
+    assert.ok(rest.some(strategy => strategy.css === '.T-I.T-I-KE.L3'));
+  });
+});
+
+describe('findElement', () => {
+  test('prefers the first strategy', async () => {
+    const page = fakePage({
+      'role=button name=Create': [fakeElement('button')],
+      'css=[aria-label="Create"]': [fakeElement('label')]
+    });
+    const { locator, index } = await findElement(page, 'calendar.createButton', { timeout: 0 });
+    assert.deepEqual([locator.name, index], ['button', 0]);
+  });
+
+  test('falls back in order and logs it', async () => {
+    const page = fakePage({
+      'css=.T-I.T-I-KE.L3': [fakeElement('class')],
+      'css=div[jsaction*="compose"]': [fakeElement('jsaction')]
+    });
+    const log = mock.method(console, 'log', () => {});
+    try {
+      const { locator, strategy, index } = await findElement(page, 'gmail.composeButton', { timeout: 0 });
+      assert.deepEqual([locator.name, strategy, index], ['class', { css: '.T-I.T-I-KE.L3' }, 2]);
+      assert.match(log.mock.calls[0].arguments[0], /fallback 3 of 5 \(css=\.T-I\.T-I-KE\.L3\), gmail\.composeButton may need updating/);
+    } finally {
+      log.mock.restore();
+    }
+  });
+
+  test('skips hidden elements', async () => {
+    const page = fakePage({
+      'role=button name=/^compose$/i': [fakeElement('hidden', { visible: false })],
+      'css=[gh="cm"]': [fakeElement('hidden too', { visible: false }), fakeElement('shown')]
+    });
+    const { locator, index } = await findElement(page, 'gmail.composeButton', { timeout: 0 });
+    assert.deepEqual([locator.name, index], ['shown', 1]);
+  });
+
+  test('waits for the element to show up', async () => {
+    const elements = {};
+    setTimeout(() => { elements['role=button name=Save'] = [fakeElement('save')]; }, 300);
+    const { locator } = await findElement(fakePage(elements), 'calendar.saveButton', { timeout: 2000 });
+    assert.equal(locator.name, 'save');
+  });
+
+  test('names the strategies it tried', async () => {
+    await assert.rejects(
+      findElement(fakePage(), 'calendar.allDayCheckbox', { timeout: 0 }),
+      { message: 'Could not find the "All day" checkbox (calendar.allDayCheckbox), tried role=checkbox name=All day, label=All day' }
+    );
+    await assert.rejects(findElement(fakePage(), 'calendar.nothing'), /Unknown page element "calendar.nothing"/);
+  });
+
+  test('stops waiting when the request is cancelled', async () => {
+    const controller = new AbortController();
+    controller.abort(new Error('Cancelled by the user'));
+    await assert.rejects(
+      runWithContext({ runId: 'test', signal: controller.signal }, () => findElement(fakePage(), 'calendar.saveButton', { timeout: 5000 })),
+      /Cancelled by the user/
+    );
+  });
+
+  test('clickElement clicks what it found', async () => {
+    const clicks = [];
+    const page = fakePage({ 'role=menuitem name=Event': [fakeElement('event', { clicks })] });
+    await clickElement(page, 'calendar.eventMenuItem', { timeout: 0 });
+    assert.deepEqual(clicks, ['event']);
+  });
+});
+
+describe('runSelectorDiagnostics', () => {
+  test('reports the strategy each element was found by', async () => {
+    const page = fakePage({
+      'role=button name=/^compose$/i': [fakeElement('compose')],
+      'css=div[role="main"] tr[role="row"]': [fakeElement('message'), fakeElement('message')],
+      'role=combobox name=/^to recipients$/i': [fakeElement('to')],
+      'role=link name=/^add cc recipients/i': [fakeElement('cc')],
+      'role=link name=/^add bcc recipients/i': [fakeElement('bcc')],
+      'role=combobox name=/^cc recipients$/i': [fakeElement('cc field')],
+      'role=combobox name=/^bcc recipients$/i': [fakeElement('bcc field')],
+      'css=input[name="subjectbox"]': [fakeElement('subject', { visible: false }), fakeElement('subject')],
+      'role=button name=/^send\\b/i': [fakeElement('send')],
+      'role=img name=Save & close': [fakeElement('close')]
+    });
+    const [report] = await runSelectorDiagnostics(page, { areas: ['gmail'], timeout: 0 });
+
+    assert.equal(report.area, 'gmail');
+    assert.deepEqual(report.stages.map(stage => [stage.name, stage.opened]), [['inbox', true], ['compose window', true], ['Cc and Bcc fields', true]]);
+    const byKey = Object.fromEntries(report.elements.map(element => [element.key, element]));
+    assert.equal(byKey['gmail.composeButton'].resolvedBy, 'role=button name=/^compose$/i');
+    assert.equal(byKey['gmail.subjectField'].resolvedBy, 'css=input[name="subjectbox"]');
+    assert.equal(byKey['gmail.subjectField'].fallback, true);
+    assert.deepEqual(byKey['gmail.subjectField'].strategies[2], { strategy: 'css=input[name="subjectbox"]', matches: 2, visible: 1 });
+    assert.equal(byKey['gmail.bodyField'].resolvedBy, null);
+    assert.deepEqual(summarizeSelectorReport(report), { checked: 11, resolved: 9, fallbacks: 1, missing: 1, notChecked: 4 });
+
+    const text = formatSelectorReports([report]);
+    assert.match(text, /gmail \(https:\/\/mail\.google\.com\/mail\/\): 9 of 11 found by their first strategy, 1 by a fallback, 1 missing/);
+    assert.match(text, /✗ gmail\.bodyField: the message body of the compose window was not found/);
+    assert.equal(byKey['gmail.emptyList'].note, 'only shown when there are no messages');
+  });
+
+  test('stages after one that did not open are not checked', async () => {
+    const page = fakePage({ 'role=button name=Create': [fakeElement('create')] });
+    const [report] = await runSelectorDiagnostics(page, { areas: ['calendar'], timeout: 0 });
+
+    const [, , quickDialog, editor] = report.stages;
+    assert.equal(quickDialog.opened, true);
+    assert.equal(editor.opened, false);
+    assert.match(editor.error, /Could not find the "More options" button/);
+    const guests = report.elements.find(element => element.key === 'calendar.guestsInput');
+    assert.deepEqual([guests.checked, guests.note], [false, 'the event editor was not reached']);
+    const invitations = report.elements.find(element => element.key === 'calendar.sendInvitationsButton');
+    assert.equal(invitations.note, 'only shown after saving an event with guests');
+  });
+
+  test('unknown areas', async () => {
+    await assert.rejects(runSelectorDiagnostics(fakePage(), { areas: ['drive'] }), /Unknown selector area "drive", use one of: calendar, gmail/);
+  });
+});
@@ -33,7 +33,28 @@ async function testSendEmail() {
       }),
     });
     
-    const result = await response.json();
+    let result = await response.json();
+    
+    // /invoke queues a job, wait for it to finish
+    if (result.jobId) {
+      console.log(`⏳ Queued as job ${result.jobId}`);
+      let job;
+      const announced = new Set();
+      do {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        job = await (await fetch(`http://localhost:5185/jobs/${result.jobId}`)).json();
+        
+        for (const approval of job.pendingApprovals || []) {
+          if (announced.has(approval.id)) continue;
+          announced.add(approval.id);
+          console.log(`✋ Waiting for approval, answer with: curl -X POST http://localhost:5185/approvals/${approval.id} -H "Content-Type: application/json" -d '{"decision":"approve"}'`);
+        }
+      } while (['queued', 'running', 'cancelling'].includes(job.status));
+      
+      result = job.status === 'succeeded'
+        ? { success: true, ...job.result }
+        : { success: false, error: job.error };
+    }
     
     if (result.success) {
       console.log("✅ Email sent successfully!");
@@ -0,0 +1,159 @@
+/**
+ * Unit tests for @tool commands (see tool-commands.js), run with `npm test`.
+ *
+ * The tools and the LLM are small fakes, nothing is opened or sent.
+ */
+
+import { before, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import { z } from "zod";
+import { parseToolCommand, resolveToolArguments, runToolCommand, ToolCommandError } from "./tool-commands.js";
+import { failure, serializeToolResult, success } from "./tool-result.js";
+
+before(() => {
+  mock.method(console, 'log', () => {});
+});
+
+const openTab = {
+  name: 'open_new_tab',
+  description: 'Opens a URL in a new tab',
+  schema: z.object({ url: z.string() })
+};
+
+const wait = {
+  name: 'wait',
+  description: 'Waits a number of seconds',
+  schema: z.object({ seconds: z.number().min(1), reason: z.string().optional() })
+};
+
+const listTabs = {
+  name: 'list_tabs',
+  description: 'Lists the open tabs',
+  schema: z.object({})
+};
+
+const createEvent = {
+  name: 'create_calendar_event',
+  description: 'Creates a calendar event',
+  schema: z.object({ summary: z.string(), start: z.string() })
+};
+
+// Answers with the given text and records what it was asked
+function fakeLlm(content) {
+  return {
+    calls: [],
+    async invoke(messages) {
+      this.calls.push(messages);
+      return { content };
+    }
+  };
+}
+
+function fakeRegistry(plugins, run) {
+  const calls = [];
+  return {
+    calls,
+    getPlugin: (name) => plugins.find(plugin => plugin.name === name),
+    describe: () => plugins.map(({ name, description }) => ({ name, description })),
+    getLangChainTool: (name) => ({
+      async call(args) {
+        calls.push({ name, args });
+        return run(name, args);
+      }
+    })
+  };
+}
+
+describe('parseToolCommand', () => {
+  test('an @-mention at the start is a command', () => {
+    assert.deepEqual(parseToolCommand('  @Open_New_Tab  gmail.com '), { toolName: 'open_new_tab', text: 'gmail.com' });
+    assert.deepEqual(parseToolCommand('@list_tabs'), { toolName: 'list_tabs', text: '' });
+    assert.deepEqual(parseToolCommand('@send_email to ana\nsubject: hi'), { toolName: 'send_email', text: 'to ana\nsubject: hi' });
+  });
+
+  test('other messages are not commands', () => {
+    assert.equal(parseToolCommand('email ana@example.com'), null);
+    assert.equal(parseToolCommand('@ hello'), null);
+    assert.equal(parseToolCommand('@1tool'), null);
+  });
+});
+
+describe('resolveToolArguments', () => {
+  test('the plugin parser goes first', async () => {
+    const plugin = { ...createEvent, parseArguments: (text) => ({ summary: text, start: 'tomorrow' }) };
+    assert.deepEqual(await resolveToolArguments(plugin, 'Lunch', fakeLlm('{}')), { summary: 'Lunch', start: 'tomorrow' });
+  });
+
+  test('a JSON object is used as is', async () => {
+    const llm = fakeLlm('{}');
+    const args = await resolveToolArguments(createEvent, '{"summary":"Lunch","start":"noon"}', llm);
+    assert.deepEqual(args, { summary: 'Lunch', start: 'noon' });
+    assert.equal(llm.calls.length, 0);
+  });
+
+  test('simple schemas take the text directly', async () => {
+    const llm = fakeLlm('{}');
+    assert.deepEqual(await resolveToolArguments(listTabs, 'anything', llm), {});
+    assert.deepEqual(await resolveToolArguments(openTab, 'https://mail.google.com', llm), { url: 'https://mail.google.com' });
+    assert.deepEqual(await resolveToolArguments(wait, '5', llm), { seconds: 5 });
+    assert.equal(llm.calls.length, 0);
+  });
+
+  test('the LLM works out anything else', async () => {
+    const llm = fakeLlm('```json\n{"summary":"Lunch with Ana","start":"tomorrow at noon"}\n```');
+    const args = await resolveToolArguments(createEvent, 'lunch with Ana tomorrow at noon', llm);
+
+    assert.deepEqual(args, { summary: 'Lunch with Ana', start: 'tomorrow at noon' });
+    assert.equal(llm.calls.length, 1);
+    assert.match(llm.calls[0][1].content, /Command: lunch with Ana tomorrow at noon/);
+  });
+
+  test('an LLM answer that is not JSON is an error', async () => {
+    await assert.rejects(
+      resolveToolArguments(createEvent, 'lunch', fakeLlm('Sorry, I cannot help')),
+      (error) => error instanceof ToolCommandError && /Could not work out the arguments for @create_calendar_event/.test(error.message)
+    );
+  });
+
+  test('arguments are checked against the schema', async () => {
+    await assert.rejects(
+      resolveToolArguments(wait, '0', fakeLlm('{}')),
+      { name: 'ToolCommandError', message: /^Invalid arguments for @wait: seconds: / }
+    );
+    await assert.rejects(
+      resolveToolArguments(createEvent, '{"summary":"Lunch"}', fakeLlm('{}')),
+      { message: /^Invalid arguments for @create_calendar_event: start: Required$/ }
+    );
+  });
+});
+
+describe('runToolCommand', () => {
+  test('runs the tool and returns an agent-like result', async () => {
+    const observation = serializeToolResult(success('Opened gmail.com', { tabId: 3 }));
+    const registry = fakeRegistry([openTab, listTabs], () => observation);
+
+    const result = await runToolCommand(registry, parseToolCommand('@open_new_tab gmail.com'), { llm: fakeLlm('{}') });
+
+    assert.deepEqual(registry.calls, [{ name: 'open_new_tab', args: { url: 'gmail.com' } }]);
+    assert.deepEqual(result, {
+      output: 'Opened gmail.com',
+      intermediateSteps: [{ action: { tool: 'open_new_tab', toolInput: { url: 'gmail.com' }, log: '' }, observation }]
+    });
+  });
+
+  test('unknown tools list the available ones', async () => {
+    const registry = fakeRegistry([openTab, listTabs], () => '');
+    await assert.rejects(
+      runToolCommand(registry, parseToolCommand('@close_tab 3')),
+      { name: 'ToolCommandError', message: 'Unknown tool @close_tab. Available tools: @open_new_tab, @list_tabs' }
+    );
+  });
+
+  test('failed tools are raised as errors', async () => {
+    const failing = fakeRegistry([openTab], () => serializeToolResult(failure('No browser connected')));
+    await assert.rejects(runToolCommand(failing, parseToolCommand('@open_new_tab x')), { message: '@open_new_tab failed: No browser connected' });
+
+    const throwing = fakeRegistry([openTab], () => { throw new Error('Timed out'); });
+    await assert.rejects(runToolCommand(throwing, parseToolCommand('@open_new_tab x')), { message: '@open_new_tab failed: Timed out' });
+  });
+});
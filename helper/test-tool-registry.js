@@ -0,0 +1,135 @@
+/**
+ * Unit tests for the tool plugin loader (see tool-registry.js), run with `npm test`.
+ *
+ * The plugins are small files written to a temporary directory, and the audit log is
+ * written there too, nothing is written to helper/data.
+ */
+
+import { after, before, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { loadToolRegistry } from "./tool-registry.js";
+import { queryAuditLog, setAuditLogFile } from "./audit-log.js";
+import { parseToolCommand, runToolCommand } from "./tool-commands.js";
+import { parseToolResult } from "./tool-result.js";
+
+// The plugins live outside helper, so they import zod and tool-result.js by URL
+const ZOD_URL = import.meta.resolve('zod');
+const TOOL_RESULT_URL = new URL('./tool-result.js', import.meta.url).href;
+
+let tmpDir;
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tool-registry-'));
+  setAuditLogFile(path.join(tmpDir, 'audit.jsonl'));
+});
+
+after(() => {
+  setAuditLogFile(null);
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// Writes each { file: pluginSource } to a fresh plugin directory and returns it
+function writePlugins(name, files) {
+  const dir = path.join(tmpDir, name);
+  fs.mkdirSync(dir);
+  for (const [file, source] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, file), `import { z } from "${ZOD_URL}";\nimport { success } from "${TOOL_RESULT_URL}";\n${source}\n`);
+  }
+  return dir;
+}
+
+const greet = `export default {
+  name: "greet",
+  description: "Greets someone",
+  schema: z.object({ name: z.string() }),
+  func: async ({ name }) => success("Hello " + name, { name })
+};`;
+
+describe('loadToolRegistry', () => {
+  test('loads plugins in file order and skips "_" files and other files', async () => {
+    const dir = writePlugins('loads', {
+      'b-greet.js': greet,
+      'a-wait.js': `export default {
+        name: "wait",
+        description: "Waits a number of seconds",
+        summary: "Wait",
+        examples: ["@wait 5"],
+        requiresApproval: true,
+        schema: z.object({ seconds: z.number() }),
+        func: async () => success("Waited")
+      };`,
+      '_shared.js': 'export default { name: "Not a tool" };',
+      'notes.txt': ''
+    });
+
+    const registry = await loadToolRegistry(dir);
+
+    assert.deepEqual(registry.getLangChainTools().map(tool => tool.name), ['wait', 'greet']);
+    assert.equal(registry.getPlugin('greet').requiresApproval, false);
+    assert.deepEqual(registry.getPlugin('greet').examples, []);
+    assert.deepEqual(registry.describe().map(({ parameters, ...tool }) => tool), [
+      { name: 'wait', summary: 'Wait', description: 'Waits a number of seconds', examples: ['@wait 5'], requiresApproval: true },
+      { name: 'greet', summary: 'Greets someone', description: 'Greets someone', examples: [], requiresApproval: false }
+    ]);
+    assert.deepEqual(registry.describe()[1].parameters.required, ['name']);
+  });
+
+  test('rejects plugins without a default export', async () => {
+    const dir = writePlugins('no-default', { 'greet.js': 'export const tool = {};' });
+    await assert.rejects(loadToolRegistry(dir), { message: 'Tool plugin greet.js must have a default export' });
+  });
+
+  test('rejects plugins with a missing name, schema or func', async () => {
+    const dir = writePlugins('invalid', {
+      'broken.js': 'export default { description: "Broken", schema: { name: "string" }, parseArguments: "text" };'
+    });
+    await assert.rejects(loadToolRegistry(dir), {
+      message: 'Invalid tool plugin broken.js: name must be snake_case, schema must be a zod object, func must be a function, parseArguments must be a function'
+    });
+  });
+
+  test('rejects two plugins with the same name', async () => {
+    const dir = writePlugins('duplicate', { 'a.js': greet, 'b.js': greet });
+    await assert.rejects(loadToolRegistry(dir), { message: 'Duplicate tool name "greet" in b.js' });
+  });
+});
+
+describe('registry tools', () => {
+  test('@tool commands use the plugin parseArguments', async () => {
+    const dir = writePlugins('parse-arguments', {
+      'greet.js': greet.replace('func:', 'parseArguments: (text) => ({ name: text.toUpperCase() }),\n  func:')
+    });
+    const registry = await loadToolRegistry(dir);
+    const llm = { invoke: async () => assert.fail('The LLM should not be asked') };
+
+    const result = await runToolCommand(registry, parseToolCommand('@greet ana'), { llm });
+
+    assert.equal(result.output, 'Hello ANA');
+    assert.deepEqual(result.intermediateSteps[0].action.toolInput, { name: 'ANA' });
+  });
+
+  test('thrown errors become failure results and every call is audited', async () => {
+    const dir = writePlugins('throws', {
+      'greet.js': greet,
+      'explode.js': `export default {
+        name: "explode",
+        description: "Always fails",
+        schema: z.object({}),
+        func: async () => { throw new Error("Boom"); }
+      };`
+    });
+    const registry = await loadToolRegistry(dir);
+    setAuditLogFile(path.join(dir, 'audit.jsonl'));
+
+    assert.deepEqual(parseToolResult(await registry.getLangChainTool('greet').call({ name: 'Ana' })), { status: 'success', message: 'Hello Ana', data: { name: 'Ana' } });
+    assert.equal(parseToolResult(await registry.getLangChainTool('explode').call({})).message, 'Boom');
+
+    const entries = await queryAuditLog();
+    assert.deepEqual(entries.map(entry => [entry.tool, entry.outcome]).sort(), [['explode', 'error'], ['greet', 'success']]);
+  });
+});
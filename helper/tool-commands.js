@@ -0,0 +1,132 @@
+/**
+ * Explicit @tool commands.
+ *
+ * When a chat message starts with "@tool_name", the tool is run directly instead of
+ * letting the agent decide. The rest of the message is mapped onto the tool's schema:
+ *
+ * 1. The plugin's own parseArguments(text), if it has one and recognizes the text
+ * 2. A JSON object typed after the tool name
+ * 3. Simple schemas: no arguments, or a single required string/number argument
+ * 4. Otherwise the LLM extracts the arguments from the text
+ *
+ * The arguments are validated against the zod schema before the tool runs. Problems,
+ * including an 'error' result from the tool, are raised as ToolCommandError so the
+ * chat can show them as a plain message.
+ */
+
+import { HumanMessage, SystemMessage } from "@langchain/core/messages";
+import { zodToJsonSchema } from "zod-to-json-schema";
+import { parseToolResult } from "./tool-result.js";
+
+const COMMAND_PATTERN = /^@([a-z][a-z0-9_]*)(?:\s+([\s\S]*))?$/i;
+
+export class ToolCommandError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ToolCommandError';
+  }
+}
+
+// Returns { toolName, text } when the prompt starts with an @-mention, otherwise null
+export function parseToolCommand(prompt) {
+  const match = prompt.trim().match(COMMAND_PATTERN);
+  if (!match) return null;
+
+  return { toolName: match[1].toLowerCase(), text: (match[2] || '').trim() };
+}
+
+function formatValidationError(toolName, zodError) {
+  const problems = zodError.issues.map(issue => {
+    const field = issue.path.join('.') || 'arguments';
+    return `${field}: ${issue.message}`;
+  });
+  return `Invalid arguments for @${toolName}: ${problems.join('; ')}`;
+}
+
+function parseJsonArguments(text) {
+  if (!text.startsWith('{')) return null;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
+
+function parseSimpleArguments(schema, text) {
+  const entries = Object.entries(schema.shape);
+  if (entries.length === 0) return {};
+
+  const required = entries.filter(([, field]) => !field.isOptional());
+  if (required.length !== 1 || !text) return null;
+
+  const [key, field] = required[0];
+  const typeName = (field._def.innerType || field)._def.typeName;
+
+  if (typeName === 'ZodString') return { [key]: text };
+  if (typeName === 'ZodNumber' && /^-?\d+(\.\d+)?$/.test(text)) return { [key]: Number(text) };
+  return null;
+}
+
+async function extractArgumentsWithLlm(llm, plugin, text) {
+  const schema = JSON.stringify(zodToJsonSchema(plugin.schema, { target: 'openApi3' }));
+  const response = await llm.invoke([
+    new SystemMessage("You convert a user's command into arguments for a tool. Return only a JSON object that matches the tool's JSON schema, with no explanation and no code fences. Leave out optional arguments the command does not mention."),
+    new HumanMessage(`Tool: ${plugin.name}\nDescription: ${plugin.description}\nJSON schema: ${schema}\nCurrent date: ${new Date().toDateString()}\n\nCommand: ${text}`)
+  ]);
+
+  const content = String(response.content).trim().replace(/^```(?:json)?\s*|\s*```$/g, '');
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new ToolCommandError(`Could not work out the arguments for @${plugin.name} from "${text}". Try describing the request in plain English instead.`);
+  }
+}
+
+export async function resolveToolArguments(plugin, text, llm) {
+  const candidate = plugin.parseArguments?.(text)
+    ?? parseJsonArguments(text)
+    ?? parseSimpleArguments(plugin.schema, text)
+    ?? await extractArgumentsWithLlm(llm, plugin, text);
+
+  const parsed = plugin.schema.safeParse(candidate);
+  if (!parsed.success) {
+    throw new ToolCommandError(formatValidationError(plugin.name, parsed.error));
+  }
+  return parsed.data;
+}
+
+/**
+ * Runs an @tool command and returns a result shaped like the agent executor's,
+ * so callers can treat both paths the same way.
+ */
+export async function runToolCommand(toolRegistry, command, { llm, callbacks = [] } = {}) {
+  const plugin = toolRegistry.getPlugin(command.toolName);
+  if (!plugin) {
+    const names = toolRegistry.describe().map(tool => `@${tool.name}`).join(', ');
+    throw new ToolCommandError(`Unknown tool @${command.toolName}. Available tools: ${names}`);
+  }
+
+  const args = await resolveToolArguments(plugin, command.text, llm);
+  console.log(`Running @${plugin.name} directly with`, args);
+
+  const tool = toolRegistry.getLangChainTool(plugin.name);
+  let observation;
+  try {
+    observation = await tool.call(args, { callbacks, runName: plugin.name });
+  } catch (error) {
+    throw new ToolCommandError(`@${plugin.name} failed: ${error.message}`);
+  }
+
+  const result = parseToolResult(observation);
+  if (result.status === 'error') {
+    throw new ToolCommandError(`@${plugin.name} failed: ${result.message}`);
+  }
+
+  return {
+    output: result.message,
+    intermediateSteps: [{
+      action: { tool: plugin.name, toolInput: args, log: '' },
+      observation
+    }]
+  };
+}
@@ -0,0 +1,149 @@
+/**
+ * Tool plugin registry.
+ *
+ * Every .js file in helper/tools is a plugin whose default export describes one tool:
+ *
+ *    export default {
+ *      name: "open_new_tab",               // tool name, also used for @-mentions
+ *      description: "...",                // what the LLM reads to pick the tool
+ *      summary: "...",                    // optional short text for the @ dropdown
+ *      examples: ['@open_new_tab sheets'], // shown in the @ dropdown
+ *      schema: z.object({ ... }),         // zod schema of the arguments
+ *      parseArguments: (text) => ({...}), // optional, maps "@tool <text>" to arguments
+ *      requiresApproval: true,            // optional, the tool asks before acting (approvals.js)
+ *      func: async (args) => success("Opened Gmail", { url })  // does the work
+ *    };
+ *
+ * func returns a structured result built with success(), failure() or cancelled() from
+ * tool-result.js. Errors it throws are turned into failure results.
+ *
+ * Files starting with "_" are skipped so plugins can share helper modules.
+ * The registry builds the LangChain tools for the agent and the metadata served by
+ * GET /tools, which the extension uses to build the @-mention dropdown. Every call of
+ * a tool is recorded in the audit log (see audit-log.js).
+ */
+
+import path from "path";
+import fs from "fs";
+import { pathToFileURL } from "url";
+import { DynamicStructuredTool } from "@langchain/core/tools";
+import { ZodObject } from "zod";
+import { zodToJsonSchema } from "zod-to-json-schema";
+import { getRunContext, throwIfCancelled } from "./run-context.js";
+import { recordToolInvocation } from "./audit-log.js";
+import { cancelled, failure, normalizeToolResult, serializeToolResult } from "./tool-result.js";
+
+function validatePlugin(plugin, file) {
+  const problems = [];
+
+  if (!plugin || typeof plugin !== 'object') {
+    throw new Error(`Tool plugin ${file} must have a default export`);
+  }
+  if (typeof plugin.name !== 'string' || !/^[a-z][a-z0-9_]*$/.test(plugin.name)) {
+    problems.push('name must be snake_case');
+  }
+  if (typeof plugin.description !== 'string' || !plugin.description) {
+    problems.push('description is required');
+  }
+  if (!(plugin.schema instanceof ZodObject)) {
+    problems.push('schema must be a zod object');
+  }
+  if (typeof plugin.func !== 'function') {
+    problems.push('func must be a function');
+  }
+  if (plugin.parseArguments !== undefined && typeof plugin.parseArguments !== 'function') {
+    problems.push('parseArguments must be a function');
+  }
+  if (plugin.requiresApproval !== undefined && typeof plugin.requiresApproval !== 'boolean') {
+    problems.push('requiresApproval must be a boolean');
+  }
+  if (plugin.examples !== undefined && !Array.isArray(plugin.examples)) {
+    problems.push('examples must be an array');
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid tool plugin ${file}: ${problems.join(', ')}`);
+  }
+}
+
+export async function loadToolRegistry(pluginDir) {
+  const files = fs.readdirSync(pluginDir)
+    .filter(file => file.endsWith('.js') && !file.startsWith('_'))
+    .sort();
+
+  const plugins = new Map();
+
+  for (const file of files) {
+    const module = await import(pathToFileURL(path.join(pluginDir, file)).href);
+    const plugin = module.default;
+    validatePlugin(plugin, file);
+
+    if (plugins.has(plugin.name)) {
+      throw new Error(`Duplicate tool name "${plugin.name}" in ${file}`);
+    }
+    plugins.set(plugin.name, { examples: [], requiresApproval: false, ...plugin });
+  }
+
+  console.log(`Loaded ${plugins.size} tools: ${[...plugins.keys()].join(', ')}`);
+  return createToolRegistry(plugins);
+}
+
+// LangChain has validated args against the schema by the time this runs.
+// Returns the structured result as JSON, which is what the agent sees as the observation.
+async function runPlugin(plugin, args) {
+  // A cancelled job must not start new side effects, even if the agent is still planning
+  throwIfCancelled();
+
+  const { prompt, runId, signal } = getRunContext();
+  const startedAt = new Date();
+  let result;
+  try {
+    result = normalizeToolResult(await plugin.func(args));
+  } catch (error) {
+    // Failures caused by cancelling (e.g. the browser being closed) end the job instead
+    if (signal?.aborted) {
+      recordToolInvocation({ tool: plugin.name, args, prompt, jobId: runId, startedAt, finishedAt: new Date(), result: cancelled('The request was cancelled') });
+      throw signal.reason;
+    }
+    console.error(`Tool ${plugin.name} failed:`, error.message);
+    result = failure(error.message);
+  }
+
+  recordToolInvocation({ tool: plugin.name, args, prompt, jobId: runId, startedAt, finishedAt: new Date(), result });
+  return serializeToolResult(result);
+}
+
+function createToolRegistry(plugins) {
+  const langChainTools = [...plugins.values()].map(plugin => new DynamicStructuredTool({
+    name: plugin.name,
+    description: plugin.description,
+    schema: plugin.schema,
+    func: (args) => runPlugin(plugin, args)
+  }));
+
+  return {
+    getPlugin(name) {
+      return plugins.get(name);
+    },
+
+    getLangChainTools() {
+      return langChainTools;
+    },
+
+    getLangChainTool(name) {
+      return langChainTools.find(tool => tool.name === name);
+    },
+
+    // Metadata for GET /tools, parameters are the JSON schema of the arguments
+    describe() {
+      return [...plugins.values()].map(plugin => ({
+        name: plugin.name,
+        summary: plugin.summary || plugin.description,
+        description: plugin.description,
+        examples: plugin.examples,
+        requiresApproval: plugin.requiresApproval,
+        parameters: zodToJsonSchema(plugin.schema, { target: 'openApi3' })
+      }));
+    }
+  };
+}
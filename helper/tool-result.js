@@ -0,0 +1,51 @@
+/**
+ * Structured tool results.
+ *
+ * Tools return { status, message, data } instead of free text:
+ *    - status: 'success', 'error' or 'cancelled' (the user declined, e.g. an approval)
+ *    - message: one sentence for the user and the agent
+ *    - data: machine-readable details, e.g. { url, tabId } or { recipients, subject }
+ *
+ * The registry passes results to the agent as JSON (LangChain observations are
+ * strings) and the agent guard reads them back to decide when a request is done
+ * (see agent-guard.js). Thrown errors become 'error' results so the agent can report
+ * them or try another way.
+ */
+
+export const TOOL_STATUSES = ['success', 'error', 'cancelled'];
+
+export function success(message, data = {}) {
+  return { status: 'success', message, data };
+}
+
+export function failure(message, data = {}) {
+  return { status: 'error', message, data };
+}
+
+export function cancelled(message, data = {}) {
+  return { status: 'cancelled', message, data };
+}
+
+// Plugins that still return plain text are treated as successful
+export function normalizeToolResult(value) {
+  if (value && typeof value === 'object' && TOOL_STATUSES.includes(value.status)) {
+    return { status: value.status, message: String(value.message ?? ''), data: value.data ?? {} };
+  }
+  return success(typeof value === 'string' ? value : JSON.stringify(value ?? ''));
+}
+
+export function serializeToolResult(result) {
+  return JSON.stringify(result);
+}
+
+// Reads an observation back into a result, text from elsewhere counts as a success message
+export function parseToolResult(observation) {
+  if (typeof observation === 'string' && observation.startsWith('{')) {
+    try {
+      return normalizeToolResult(JSON.parse(observation));
+    } catch (error) {
+      // not JSON after all, fall through
+    }
+  }
+  return normalizeToolResult(observation);
+}
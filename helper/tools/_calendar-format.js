@@ -0,0 +1,54 @@
+/**
+ * Date and time formatting shared by the calendar tools.
+ *
+ * Schedules and events are { start, end, allDay } with local Dates and an exclusive end,
+ * all-day ends are the midnight after the last day (see date-parser.js).
+ */
+
+// "2:00 PM"
+export function formatTime(date) {
+  return date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+}
+
+export const LONG_DATE = { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' };
+const SHORT_DATE = { weekday: 'short', month: 'short', day: 'numeric' };
+
+export function isSameDay(a, b) {
+  return a.toDateString() === b.toDateString();
+}
+
+// All-day ends are exclusive (midnight after the last day), this is the last day itself
+export function lastDayOf(schedule) {
+  return schedule.allDay ? new Date(schedule.end.getTime() - 1) : schedule.end;
+}
+
+// "Thursday, May 16, 2024, 2:00 PM - 4:00 PM", "Monday, June 10, 2024 - Wednesday, June 12, 2024"
+export function describeWhen(schedule) {
+  const { start, end, allDay } = schedule;
+  const startDate = start.toLocaleDateString('en-US', LONG_DATE);
+  const lastDay = lastDayOf(schedule);
+  const endDate = lastDay.toLocaleDateString('en-US', LONG_DATE);
+
+  if (allDay) {
+    return isSameDay(start, lastDay) ? `${startDate} (all day)` : `${startDate} - ${endDate} (all day)`;
+  }
+  return isSameDay(start, end)
+    ? `${startDate}, ${formatTime(start)} - ${formatTime(end)}`
+    : `${startDate}, ${formatTime(start)} - ${endDate}, ${formatTime(end)}`;
+}
+
+// "Thu, May 16, 2:00 PM - 3:00 PM", or "2:00 PM - 3:00 PM" and "All day" without the date
+export function describeShortWhen(schedule, { withDate = true } = {}) {
+  const { start, end, allDay } = schedule;
+  const shortDate = (date) => date.toLocaleDateString('en-US', SHORT_DATE);
+  const lastDay = lastDayOf(schedule);
+
+  if (allDay) {
+    const first = withDate ? shortDate(start) : 'All day';
+    return isSameDay(start, lastDay) ? first : `${first} - ${shortDate(lastDay)}`;
+  }
+  const day = withDate ? `${shortDate(start)}, ` : '';
+  return isSameDay(start, end)
+    ? `${day}${formatTime(start)} - ${formatTime(end)}`
+    : `${day}${formatTime(start)} - ${shortDate(end)}, ${formatTime(end)}`;
+}
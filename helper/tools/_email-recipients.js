@@ -0,0 +1,94 @@
+/**
+ * Recipients of emails, shared by the tools that write them (send_email).
+ *
+ * A request names the To, Cc and Bcc recipients as email addresses, contacts or groups
+ * of the address book ("Sarah", "the design team", see address-book.js). They are all
+ * turned into addresses before the email is drafted: names nobody in the address book
+ * has are an error, and when a name matches several entries the chat asks which one is
+ * meant. An address gets the email once, in the first of To, Cc and Bcc it is in.
+ */
+
+import { z } from "zod";
+import { requestApproval } from "../approvals.js";
+import { describeRecipient, isEmailAddress, resolveRecipient } from "../address-book.js";
+
+export const RECIPIENT_FIELDS = ['to', 'cc', 'bcc'];
+
+// Models sometimes pass "Sarah, Bob" instead of a list
+export const recipientList = z.preprocess(
+  value => typeof value === 'string' ? value.split(/\s*[,;]\s*/).filter(Boolean) : value,
+  z.array(z.string())
+);
+
+/**
+ * The addresses of { to, cc, bcc }, asking in the chat about names that match several
+ * address book entries, with the tool's name for the approval policy. Resolves with
+ * { recipients } or with { approval, name } when the user cancelled instead of picking
+ * who name is. Throws when a name matches nobody.
+ */
+export async function resolveRecipients({ to = [], cc = [], bcc = [] }, { tool }) {
+  const lookups = RECIPIENT_FIELDS.flatMap(field => ({ to, cc, bcc })[field].map(name => ({ field, name, matches: resolveRecipient(name) })));
+
+  const unknown = lookups.filter(({ matches }) => matches.length === 0).map(({ name }) => `"${name}"`);
+  if (unknown.length > 0) {
+    const verb = unknown.length === 1 ? 'is' : 'are';
+    throw new Error(`${unknown.join(', ')} ${verb} not in the address book. Add them under ⚙ in the extension or give their email addresses.`);
+  }
+
+  const recipients = { to: [], cc: [], bcc: [] };
+  const added = new Set();
+  for (const { field, name, matches } of lookups) {
+    let match = matches[0];
+    if (matches.length > 1) {
+      const approval = await requestApproval({
+        tool,
+        title: `"${name}" matches ${matches.length} entries of the address book. Who is meant?`,
+        choices: matches.map((candidate, index) => ({ id: `recipient-${index}`, label: describeRecipient(candidate) })),
+        requireChoice: true
+      });
+      if (!approval.approved) return { approval, name };
+      match = matches[Number(approval.choice.replace('recipient-', ''))];
+    }
+
+    for (const email of match.emails) {
+      if (added.has(email.toLowerCase())) continue;
+      added.add(email.toLowerCase());
+      recipients[field].push(email);
+    }
+  }
+  return { recipients };
+}
+
+// Whether a command names someone emails can go to: an address, or whole words of an
+// address book name ("sarah" for Sarah Chen, but not "an" for Ana). A group with a
+// removed member still counts, sending to it explains the problem.
+export function isKnownRecipient(name) {
+  if (isEmailAddress(name)) return true;
+
+  const words = (text) => text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  try {
+    return resolveRecipient(name).some(match => words(name).every(word => words(match.name).includes(word)));
+  } catch (error) {
+    return true;
+  }
+}
+
+// The addresses of an edited To, Cc or Bcc field of the approval card
+export function parseAddressList(text, label) {
+  const addresses = (text ?? '').split(/[\s,;]+/).filter(Boolean);
+  const invalid = addresses.filter(address => !isEmailAddress(address));
+  if (invalid.length > 0) {
+    throw new Error(`Not valid ${label} email addresses: ${invalid.join(', ')}`);
+  }
+  return [...new Set(addresses)];
+}
+
+// "ana@example.com and bob@example.com (cc carl@example.com, bcc dana@example.com)"
+export function describeRecipients({ to, cc = [], bcc = [] }) {
+  const list = (addresses) => addresses.length > 1
+    ? `${addresses.slice(0, -1).join(', ')} and ${addresses[addresses.length - 1]}`
+    : addresses[0];
+
+  const copies = [cc.length > 0 && `cc ${cc.join(', ')}`, bcc.length > 0 && `bcc ${bcc.join(', ')}`].filter(Boolean);
+  return copies.length > 0 ? `${list(to)} (${copies.join(', ')})` : list(to);
+}
@@ -0,0 +1,112 @@
+/**
+ * Finding the existing event a request is about, shared by the tools that change events
+ * (reschedule_calendar_event, rename_calendar_event, delete_calendar_event).
+ *
+ * The event is described by words of its title ("dentist", "standup with ana") and
+ * optionally a day or range ("tomorrow", "next week"), parsed with parseTimeSpan().
+ * Without one, the events from today to SEARCH_DAYS ahead are searched. The events whose
+ * titles match the most words win; when several do, the chat asks which one is meant.
+ */
+
+import { requestApproval } from "../approvals.js";
+import { listEvents } from "../google-calendar.js";
+import { parseTimeSpan } from "../date-parser.js";
+import { getSettings } from "../settings.js";
+import { describeShortWhen } from "./_calendar-format.js";
+
+const SEARCH_DAYS = 30;
+// More equally good matches are cut, the first ones are the soonest
+const MAX_CHOICES = 5;
+
+// Words that describe any event rather than a particular one
+const IGNORED_WORDS = new Set(['my', 'the', 'a', 'an', 'our', 'event', 'meeting', 'appointment']);
+
+function words(text) {
+  return text.toLowerCase().split(/[^\p{L}\p{N}@.]+/u).filter(Boolean);
+}
+
+function matchScore(event, queryWords) {
+  const titleWords = words(event.title);
+  const matched = queryWords.filter(word => titleWords.some(titleWord => titleWord.startsWith(word)));
+  return matched.length / queryWords.length;
+}
+
+/**
+ * The events whose titles match the query best, in order of their start. A query of only
+ * generic words ("my meeting") matches every event, an event title matching none of the
+ * words never matches.
+ */
+export function matchEvents(events, query) {
+  const queryWords = words(query ?? '').filter(word => !IGNORED_WORDS.has(word));
+  if (queryWords.length === 0) return events;
+
+  const scored = events.map(event => ({ event, score: matchScore(event, queryWords) }));
+  const best = Math.max(0, ...scored.map(({ score }) => score));
+  if (best === 0) return [];
+  return scored.filter(({ score }) => score === best).map(({ event }) => event);
+}
+
+/**
+ * Splits "@tool standup tomorrow" text into the event's title words and the day it is
+ * on, { event: 'standup', when: 'tomorrow' }. Only a clear day or range at the end counts,
+ * so titles like "march planning" stay whole.
+ */
+export function parseEventText(text) {
+  const parts = text.trim().split(/\s+/);
+  for (let count = Math.min(4, parts.length - 1); count > 0; count--) {
+    const when = parts.slice(-count).join(' ');
+    if (parseTimeSpan(when, { locale: getSettings().dateLocale })?.confidence === 1) {
+      return { event: parts.slice(0, -count).join(' ').replace(/\s+(?:on|at)$/i, ''), when };
+    }
+  }
+  return { event: text.trim() };
+}
+
+// "Thu, May 16, 9:00 AM - 9:30 AM: Standup"
+export function describeEventChoice(event) {
+  return `${describeShortWhen(event)}: ${event.title}`;
+}
+
+function searchSpan(when) {
+  if (!when) {
+    const now = new Date();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    return { start: today, end: new Date(today.getFullYear(), today.getMonth(), today.getDate() + SEARCH_DAYS) };
+  }
+
+  const span = parseTimeSpan(when, { locale: getSettings().dateLocale });
+  if (!span) {
+    throw new Error(`Could not understand the day or range "${when}". Try something like "tomorrow", "friday" or "next week".`);
+  }
+  return span;
+}
+
+/**
+ * The one event the user means. Asks in the chat when several match, using the tool's
+ * name for the approval policy. Resolves with { event } or with { approval } when the
+ * user cancelled instead of picking one. Throws when no event matches.
+ */
+export async function findCalendarEvent({ tool, query, when, action }) {
+  const span = searchSpan(when);
+  const matches = matchEvents(await listEvents(span), query);
+  const where = when ? ` ${when}` : ` in the next ${SEARCH_DAYS} days`;
+
+  if (matches.length === 0) {
+    throw new Error(`No event matching "${query}" found${where}.`);
+  }
+  if (matches.length === 1) {
+    return { event: matches[0] };
+  }
+
+  const choices = matches.slice(0, MAX_CHOICES);
+  const shown = matches.length > MAX_CHOICES ? `, the first ${MAX_CHOICES} are shown` : '';
+  const approval = await requestApproval({
+    tool,
+    title: `${matches.length} events match "${query}"${where}${shown}. Which one should be ${action}?`,
+    choices: choices.map((event, index) => ({ id: `event-${index}`, label: describeEventChoice(event) })),
+    requireChoice: true
+  });
+  if (!approval.approved) return { approval };
+
+  return { event: choices[Number(approval.choice.replace('event-', ''))] };
+}
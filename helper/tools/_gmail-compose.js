@@ -0,0 +1,43 @@
+/**
+ * Typing into Gmail's compose window, shared by the tools that write emails (send_email,
+ * reply_to_email). The fields are found through the selector registry (see selectors.js)
+ * with keyboard fallbacks, since Gmail's page changes.
+ */
+
+import { clickElement, findElement } from "../selectors.js";
+
+export const DRAFTS_URL = 'https://mail.google.com/mail/#drafts';
+
+// Clicks a field of the compose window, or moves to it with Tab
+export async function focusField(page, key) {
+  try {
+    await (await findElement(page, key)).locator.click();
+  } catch (e) {
+    console.log(`${e.message}, pressing Tab instead`);
+    await page.keyboard.press('Tab');
+  }
+  await page.waitForTimeout(500);
+}
+
+// Sends the open email using Ctrl+Enter (Windows/Linux) or Cmd+Enter (Mac)
+export async function sendWithShortcut(page) {
+  const modifier = process.platform === 'darwin' ? 'Meta' : 'Control';
+  await page.keyboard.down(modifier);
+  await page.keyboard.press('Enter');
+  await page.keyboard.up(modifier);
+}
+
+// Gmail keeps an email or a reply in Drafts when its compose window is closed
+export async function saveDraft(page) {
+  try {
+    await clickElement(page, 'gmail.saveAndCloseButton');
+  } catch (e) {
+    // Fallback to keyboard, Escape closes the compose window
+    console.log(`${e.message}, pressing Escape to close the compose window`);
+    await page.keyboard.press('Escape');
+  }
+
+  // Wait for Gmail to save it
+  await page.waitForTimeout(2000);
+  console.log('✓ Saved the email to Drafts');
+}
@@ -0,0 +1,293 @@
+/**
+ * create_calendar_event: creates a Google Calendar event from a title and date/time text.
+ *
+ * The date/time text ("tomorrow at 2pm", "next Monday", "June 10 at 14:30") is parsed
+ * with date-parser.js, text it can't understand fails the tool instead of silently
+ * creating the event today. The end comes from, in order: endDateTime, durationMinutes,
+ * a range or duration in dateTime itself ("2-4pm", "for 30 minutes"), or one hour.
+ * A date without a time makes an all-day event.
+ *
+ * Repeating events ("every Tuesday at 10am until December", or a separate recurrence)
+ * are parsed with recurrence.js and start on the first matching day.
+ *
+ * The user approves the title, date/time, location, description and guests in the chat
+ * before anything is created (see approvals.js). When the Calendar API is set up, the
+ * time is first checked against the existing events: an overlap is shown in the approval
+ * card with the nearest free times of the same length as choices. Without the API the
+ * card says that the time was not checked.
+ *
+ * The approved event is handed to the calendar backend of the settings (see
+ * calendar-backends/): typed into Google Calendar in the browser, created with the
+ * Calendar API or saved as an .ics file.
+ */
+
+import { z } from "zod";
+import { selectCalendarBackend } from "../calendar-backends/index.js";
+import { getSettings } from "../settings.js";
+import { describeRejection, requestApproval } from "../approvals.js";
+import { cancelled, success } from "../tool-result.js";
+import { parseDateRange, parseDateTime, withDuration } from "../date-parser.js";
+import { describeRecurrence, firstOccurrence, parseRecurrence, toRRule } from "../recurrence.js";
+import { checkAvailability } from "../calendar-availability.js";
+import { describeShortWhen, describeWhen } from "./_calendar-format.js";
+
+// Schedules parsed with less confidence are flagged in the approval preview
+const LOW_CONFIDENCE = 0.8;
+
+const guestEmail = z.string().email();
+
+// How the date/time will be entered, shown in the approval preview
+function describeSchedule(schedule) {
+  if (!schedule) return 'Calendar default (no date/time given)';
+  
+  let when = describeWhen(schedule);
+  if (schedule.recurrence) when += `, ${describeRepeat(schedule.recurrence)}`;
+  return schedule.confidence < LOW_CONFIDENCE ? `${when} (a guess, please check)` : when;
+}
+
+// "repeating every weekday (Monday to Friday)"
+function describeRepeat(rule) {
+  const description = describeRecurrence(rule);
+  return `repeating ${description[0].toLowerCase()}${description.slice(1)}`;
+}
+
+// The repeat rule, from recurrence or from the date/time text, and the date/time text without it
+function parseRepeat(dateTime, recurrence, locale) {
+  const inDateTime = dateTime ? parseRecurrence(dateTime, { locale }) : null;
+  const text = inDateTime ? inDateTime.remainder : dateTime;
+  if (!recurrence) {
+    return { rule: inDateTime?.rule ?? null, confidence: inDateTime?.confidence ?? 1, text };
+  }
+  
+  const parsed = parseRecurrence(recurrence, { locale });
+  if (!parsed) {
+    throw new Error(`Could not understand how the event repeats: "${recurrence}". Try something like "every Tuesday" or "weekdays until June 30".`);
+  }
+  // "every Tuesday at 10am" as the recurrence also carries the time
+  return { rule: parsed.rule, confidence: parsed.confidence, text: [text, parsed.remainder].filter(Boolean).join(' ') };
+}
+
+/**
+ * The start and end of the event, with the repeat rule as recurrence, null when no
+ * date/time was given. Throws when the date/time can't be understood or the end
+ * doesn't fit the start. The text follows the date format of the settings (dateLocale).
+ */
+function parseSchedule({ dateTime, endDateTime, durationMinutes, recurrence }) {
+  const { dateLocale: locale } = getSettings();
+  const repeat = parseRepeat(dateTime, recurrence, locale);
+  let schedule = parseStartAndEnd(repeat.text, { endDateTime, durationMinutes, locale });
+  if (!repeat.rule) return schedule;
+  
+  // "every Tuesday" alone starts on the next Tuesday, all day
+  schedule = firstOccurrence(schedule ?? parseDateTime('today'), repeat.rule);
+  if (repeat.rule.until && repeat.rule.until < new Date(schedule.start.toDateString())) {
+    throw new Error(`The event stops repeating (${describeRecurrence(repeat.rule)}) before its first day.`);
+  }
+  return { ...schedule, recurrence: repeat.rule, confidence: Math.min(schedule.confidence, repeat.confidence) };
+}
+
+function parseStartAndEnd(dateTime, { endDateTime, durationMinutes, locale }) {
+  if (!dateTime) {
+    if (endDateTime || durationMinutes) {
+      throw new Error('An end time or duration needs a start date/time as well.');
+    }
+    return null;
+  }
+  
+  const schedule = parseDateTime(dateTime, { locale });
+  if (!schedule) {
+    throw new Error(`Could not understand the date/time "${dateTime}". Try something like "tomorrow at 2pm" or "June 10 at 14:30".`);
+  }
+  
+  if (endDateTime) {
+    const range = parseDateRange(dateTime, endDateTime, { locale });
+    if (!range) {
+      throw new Error(`Could not understand the end "${endDateTime}" or it is not after "${dateTime}".`);
+    }
+    return range;
+  }
+  
+  if (durationMinutes) {
+    const withEnd = withDuration(schedule, durationMinutes);
+    if (!withEnd) {
+      throw new Error(`A duration of ${durationMinutes} minutes needs a start time, "${dateTime}" has none.`);
+    }
+    return withEnd;
+  }
+  
+  return schedule;
+}
+
+// Guests are edited as "a@x.com, b@y.com" in the approval card
+function parseGuests(text) {
+  const guests = text.split(/[\s,;]+/).filter(Boolean);
+  const invalid = guests.filter(guest => !guestEmail.safeParse(guest).success);
+  if (invalid.length > 0) {
+    throw new Error(`Not valid guest email addresses: ${invalid.join(', ')}`);
+  }
+  return [...new Set(guests)];
+}
+
+function describeEvent(title, schedule, { location, guests }) {
+  let description = `"${title}"`;
+  if (schedule) description += ` for ${describeWhen(schedule)}`;
+  if (schedule?.recurrence) description += `, ${describeRepeat(schedule.recurrence)}`;
+  if (location) description += ` at ${location}`;
+  if (guests.length > 0) description += `, inviting ${guests.join(', ')}`;
+  return description;
+}
+
+// "Standup (9:00 AM - 9:30 AM)", one event per line
+function describeConflicts(conflicts) {
+  return conflicts
+    .map(event => `${event.title} (${describeShortWhen(event, { withDate: false })})`)
+    .join('\n');
+}
+
+function approvalRequest(args, schedule, availability) {
+  const fields = [
+    { name: 'title', label: 'Title', value: args.title },
+    { name: 'dateTime', label: 'Date/time', value: args.dateTime || '' },
+    { name: 'endDateTime', label: 'Ends', value: args.endDateTime || '' },
+    { name: 'recurrence', label: 'Repeats', value: args.recurrence || '' },
+    { name: 'location', label: 'Location', value: args.location || '' },
+    { name: 'guests', label: 'Guests', value: (args.guests || []).join(', ') },
+    { name: 'description', label: 'Description', value: args.description || '', multiline: true },
+    { name: 'when', label: 'Scheduled for', value: describeSchedule(schedule), readOnly: true }
+  ];
+  
+  const conflicts = availability?.conflicts ?? [];
+  if (conflicts.length === 0) {
+    if (availability?.unchecked) {
+      fields.push({ name: 'conflicts', label: 'Overlaps with', value: availability.unchecked, readOnly: true });
+    }
+    return { tool: 'create_calendar_event', title: 'Create this event?', fields };
+  }
+  
+  const overlapped = conflicts.length === 1 ? `"${conflicts[0].title}"` : `${conflicts.length} events`;
+  const { slots } = availability;
+  return {
+    tool: 'create_calendar_event',
+    title: slots.length > 0
+      ? `This overlaps ${overlapped}. Pick a free time, or create it anyway?`
+      : `This overlaps ${overlapped} and there is no free time nearby. Create it anyway?`,
+    fields: [...fields, { name: 'conflicts', label: 'Overlaps with', value: describeConflicts(conflicts), readOnly: true }],
+    choices: slots.map((slot, index) => ({ id: `slot-${index}`, label: describeShortWhen(slot) }))
+  };
+}
+
+function isSameTime(a, b) {
+  return a?.start.getTime() === b?.start.getTime() && a?.end.getTime() === b?.end.getTime();
+}
+
+/**
+ * Asks the user to approve the event, after checking its time against the calendar
+ * (see calendar-availability.js). Overlaps are shown with the nearest free times as
+ * choices. A time edited in the card is checked again, so the user sees its overlaps
+ * before anything is created too.
+ *
+ * Resolves with the approval, the schedule to create and the events it overlaps.
+ */
+async function approveEvent(args) {
+  let request = args;
+  let schedule = parseSchedule(args);
+  // Repeating events stay on their day, so the repeat rule still fits
+  let availability = await checkAvailability(schedule, { sameDay: Boolean(schedule?.recurrence) });
+  
+  for (;;) {
+    const approval = await requestApproval(approvalRequest(request, schedule, availability));
+    if (!approval.approved) return { approval };
+    
+    if (approval.choice) {
+      const slot = availability.slots[Number(approval.choice.replace('slot-', ''))];
+      return { approval, schedule: { ...schedule, start: slot.start, end: slot.end, confidence: 1 }, conflicts: [] };
+    }
+    
+    // The user may have edited the date/time in the approval card
+    const { values } = approval;
+    const edited = {
+      title: values.title,
+      dateTime: values.dateTime || undefined,
+      endDateTime: values.endDateTime || undefined,
+      durationMinutes: args.durationMinutes,
+      recurrence: values.recurrence || undefined,
+      location: values.location,
+      description: values.description,
+      guests: parseGuests(values.guests)
+    };
+    const editedSchedule = parseSchedule(edited);
+    if (isSameTime(editedSchedule, schedule)) {
+      return { approval, schedule: editedSchedule, conflicts: availability?.conflicts ?? [] };
+    }
+    
+    availability = await checkAvailability(editedSchedule, { sameDay: Boolean(editedSchedule?.recurrence) });
+    if (!availability?.conflicts.length) {
+      return { approval, schedule: editedSchedule, conflicts: [] };
+    }
+    request = edited;
+    schedule = editedSchedule;
+  }
+}
+
+export default {
+  name: "create_calendar_event",
+  summary: "Create a Google Calendar event",
+  description: "Create a calendar event with title and optional date/time, end time or duration, location, description and guests to invite. Depending on the settings the event is entered in Google Calendar through the browser, created with the Calendar API or saved as an .ics file to the Downloads folder.",
+  examples: ['@create_calendar_event Meeting tomorrow at 2pm', '@create_calendar_event Workshop tomorrow 2-4pm', '@create_calendar_event Conference June 10-12', '@create_calendar_event Lunch with ana@example.com at Cafe Luna Friday noon', '@create_calendar_event Standup every weekday at 9:30'],
+  requiresApproval: true,
+  schema: z.object({
+    title: z.string().describe("The title of the calendar event"),
+    dateTime: z.string().optional().describe("The date and time of the event, may include the end (e.g., 'tomorrow at 2pm', 'next Monday at noon', 'friday 2-4pm', 'June 10-12')"),
+    endDateTime: z.string().optional().describe("When the event ends, if not included in dateTime (e.g., '4pm', 'Sunday at noon')"),
+    durationMinutes: z.number().int().positive().optional().describe("How long the event lasts in minutes, ignored when endDateTime is given. Defaults to 60."),
+    recurrence: z.string().optional().describe("How the event repeats, if it does (e.g., 'every Tuesday until December', 'weekdays', 'every other Friday', 'first Monday of every month', 'daily for 10 times')"),
+    location: z.string().optional().describe("Where the event takes place (e.g., 'Cafe Luna', 'Room 4B', an address)"),
+    description: z.string().optional().describe("Notes, agenda or other details for the event description"),
+    guests: z.array(guestEmail).optional().describe("Email addresses of the people to invite")
+  }),
+  func: async (args) => {
+    const { backend, fallbackFrom } = selectCalendarBackend();
+    if (backend.missingDateError && !args.dateTime && !args.recurrence) {
+      throw new Error(backend.missingDateError);
+    }
+    
+    const { approval, schedule: finalSchedule, conflicts } = await approveEvent(args);
+    
+    if (!approval.approved) {
+      const reason = describeRejection(approval);
+      return cancelled(`The calendar event "${args.title}" was not created because ${reason}.`, { title: args.title, reason: approval.reason });
+    }
+    if (backend.missingDateError && !finalSchedule) {
+      throw new Error(backend.missingDateError);
+    }
+    
+    const title = approval.values.title;
+    const dateTime = approval.choice ? describeWhen(finalSchedule) : approval.values.dateTime || undefined;
+    const { start, end, allDay } = finalSchedule ?? {};
+    const event = {
+      title,
+      ...finalSchedule,
+      location: approval.values.location.trim() || undefined,
+      description: approval.values.description.trim() || undefined,
+      guests: parseGuests(approval.values.guests)
+    };
+    const overlap = conflicts.length > 0 ? `, overlapping ${conflicts.map(event => `"${event.title}"`).join(', ')}` : '';
+    const describe = (created) => `${describeEvent(title, finalSchedule, created)}${overlap}`;
+    
+    const { message, data } = await backend.createEvent(event, { describe });
+    const fallbackNote = fallbackFrom ? ' The Calendar API is not set up, so it was entered in the browser.' : '';
+    return success(`${message}${fallbackNote}`, {
+      title,
+      dateTime: dateTime || null,
+      start: start?.toISOString() ?? null,
+      end: end?.toISOString() ?? null,
+      allDay: allDay ?? false,
+      recurrence: finalSchedule?.recurrence ? toRRule(finalSchedule.recurrence) : null,
+      location: event.location ?? null,
+      guests: event.guests,
+      overlaps: conflicts.map(event => event.title),
+      backend: backend.name,
+      ...data
+    });
+  }
+};
@@ -0,0 +1,59 @@
+/**
+ * delete_calendar_event: deletes an existing Google Calendar event through the Calendar
+ * API (see google-calendar.js).
+ *
+ * The event is found by title words and an optional day (see _find-calendar-event.js).
+ * Only the matching occurrence of a repeating event is deleted, the series stays.
+ */
+
+import { z } from "zod";
+import { describeRejection, requestApproval } from "../approvals.js";
+import { deleteEvent } from "../google-calendar.js";
+import { cancelled, success } from "../tool-result.js";
+import { describeEventChoice, findCalendarEvent, parseEventText } from "./_find-calendar-event.js";
+import { describeWhen } from "./_calendar-format.js";
+
+export default {
+  name: "delete_calendar_event",
+  summary: "Delete or cancel a Google Calendar event",
+  description: "Delete an existing Google Calendar event, e.g. \"cancel tomorrow's standup\". The event is found by words from its title and, if known, the day it is on. When several events match, the user is asked which one. Only one occurrence of a repeating event is deleted.",
+  examples: ['@delete_calendar_event standup tomorrow', '@delete_calendar_event dentist'],
+  requiresApproval: true,
+  parseArguments: (text) => text ? parseEventText(text) : null,
+  schema: z.object({
+    event: z.string().describe("Words from the title of the event to delete (e.g., 'standup', 'dentist')"),
+    when: z.string().optional().describe("The day or range the event is on, if known (e.g., 'tomorrow', 'friday', 'next week')")
+  }),
+  func: async ({ event: query, when }) => {
+    const found = await findCalendarEvent({ tool: 'delete_calendar_event', query, when, action: 'deleted' });
+    if (!found.event) {
+      const reason = describeRejection(found.approval, 'picked one');
+      return cancelled(`No event was deleted because ${reason}.`, { query, reason: found.approval.reason });
+    }
+
+    const { event } = found;
+    const fields = [{ name: 'event', label: 'Event', value: describeEventChoice(event), readOnly: true }];
+    if (event.recurring) {
+      fields.push({ name: 'series', label: 'Repeats', value: 'Only this occurrence is deleted, the rest of the series stays', readOnly: true });
+    }
+    if (event.attendees.length > 0) {
+      fields.push({ name: 'guests', label: 'Guests to notify', value: event.attendees.join(', '), readOnly: true });
+    }
+
+    const approval = await requestApproval({ tool: 'delete_calendar_event', title: 'Delete this event?', fields });
+    if (!approval.approved) {
+      const reason = describeRejection(approval);
+      return cancelled(`"${event.title}" was not deleted because ${reason}.`, { id: event.id, title: event.title, reason: approval.reason });
+    }
+
+    await deleteEvent(event);
+    console.log(`✓ Deleted "${event.title}"`);
+
+    return success(`Deleted "${event.title}" on ${describeWhen(event)}.`, {
+      id: event.id,
+      title: event.title,
+      start: event.start.toISOString(),
+      recurring: event.recurring
+    });
+  }
+};
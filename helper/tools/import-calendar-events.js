@@ -0,0 +1,109 @@
+/**
+ * import_calendar_events: adds the events of an .ics file dropped on the chat to Google
+ * Calendar through the Calendar API (see google-calendar.js).
+ *
+ * The extension uploads the dropped file (see uploads.js) and runs this tool with its
+ * name. The file is read with parseICS() from ics.js, the user approves the list of
+ * events and each one is imported on its own, so one bad event doesn't stop the rest.
+ * Importing the same file again updates its events instead of adding them twice.
+ */
+
+import { z } from "zod";
+import { describeRejection, requestApproval } from "../approvals.js";
+import { importEvent, isCalendarApiAvailable } from "../google-calendar.js";
+import { cancelled, success } from "../tool-result.js";
+import { parseICS } from "../ics.js";
+import { getUpload } from "../uploads.js";
+import { getRunContext } from "../run-context.js";
+import { describeRecurrence } from "../recurrence.js";
+import { describeShortWhen } from "./_calendar-format.js";
+
+// Longer files are cut in the approval card, every event is still imported
+const MAX_PREVIEWED = 20;
+
+// "Thu, May 16, 9:00 AM - 10:00 AM: Planning (weekly on Thursday)"
+function describeImport(event) {
+  let line = `${describeShortWhen(event)}: ${event.title}`;
+  if (event.rule) line += ` (${describeRecurrence(event.rule).toLowerCase()})`;
+  else if (event.recurrence.length > 0) line += ' (repeating)';
+  return line;
+}
+
+function describeImports(events) {
+  const lines = events.slice(0, MAX_PREVIEWED).map(describeImport);
+  if (events.length > MAX_PREVIEWED) {
+    lines.push(`and ${events.length - MAX_PREVIEWED} more`);
+  }
+  return lines.join('\n');
+}
+
+function countEvents(count) {
+  return count === 1 ? '1 event' : `${count} events`;
+}
+
+export default {
+  name: "import_calendar_events",
+  summary: "Import the events of a dropped .ics file into Google Calendar",
+  description: "Import the events of an .ics calendar file the user dropped on the chat into their Google Calendar. Takes the file name. Repeating events, locations and descriptions are kept, guests are listed but not invited.",
+  examples: ['@import_calendar_events team-offsite.ics'],
+  requiresApproval: true,
+  parseArguments: (text) => (text ? { file: text.trim() } : null),
+  schema: z.object({
+    file: z.string().describe("The name of the dropped .ics file (e.g., 'team-offsite.ics')")
+  }),
+  func: async ({ file }) => {
+    const upload = getUpload(file);
+    if (!upload) {
+      throw new Error(`There is no dropped file named "${file}". Drop the .ics file on the chat to import it.`);
+    }
+
+    const { events, skipped } = parseICS(upload.content);
+    if (events.length === 0) {
+      throw new Error(`"${upload.name}" has no events to import.`);
+    }
+    if (!isCalendarApiAvailable()) {
+      throw new Error('Importing events needs the Google Calendar API, add GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET and GOOGLE_REFRESH_TOKEN to helper/.env (see docs/CALENDAR_USAGE.md).');
+    }
+
+    const fields = [{ name: 'events', label: 'Events', value: describeImports(events), multiline: true, readOnly: true }];
+    if (skipped > 0) {
+      fields.push({ name: 'skipped', label: 'Left out', value: `${countEvents(skipped)} cancelled or changed occurrences of repeating events`, readOnly: true });
+    }
+    const approval = await requestApproval({
+      tool: 'import_calendar_events',
+      title: `Import ${countEvents(events.length)} from "${upload.name}" into Google Calendar?`,
+      fields
+    });
+    if (!approval.approved) {
+      const reason = describeRejection(approval);
+      return cancelled(`The events of "${upload.name}" were not imported because ${reason}.`, { file: upload.name, reason: approval.reason });
+    }
+
+    const imported = [];
+    const failed = [];
+    for (const event of events) {
+      try {
+        imported.push(await importEvent(event));
+        console.log(`✓ Imported "${event.title}"`);
+      } catch (error) {
+        // Stopping the request stops the import, failed events are reported at the end
+        if (getRunContext().signal?.aborted) throw error;
+        failed.push({ title: event.title, error: error.message });
+      }
+    }
+    if (imported.length === 0) {
+      throw new Error(`None of the events of "${upload.name}" could be imported: ${failed[0].error}`);
+    }
+
+    let message = `Imported ${countEvents(imported.length)} from "${upload.name}" into Google Calendar.`;
+    if (failed.length > 0) {
+      message += ` ${countEvents(failed.length)} failed: ${failed.map(({ title, error }) => `"${title}" (${error})`).join(', ')}.`;
+    }
+    return success(message, {
+      file: upload.name,
+      imported: imported.map(event => ({ id: event.id, title: event.title, start: event.start.toISOString() })),
+      failed,
+      skipped
+    });
+  }
+};
@@ -0,0 +1,69 @@
+/**
+ * list_calendar_events: reads the events of a day or range from Google Calendar, so the
+ * agent can answer "what's on my calendar tomorrow?" or "am I free Thursday afternoon?".
+ *
+ * The day or range is parsed with parseTimeSpan() from date-parser.js, a part of the
+ * day ("thursday afternoon") covers all of it. Events come from the Calendar API
+ * (see google-calendar.js), nothing is changed so no approval is needed.
+ */
+
+import { z } from "zod";
+import { listEvents } from "../google-calendar.js";
+import { success } from "../tool-result.js";
+import { parseTimeSpan } from "../date-parser.js";
+import { getSettings } from "../settings.js";
+import { describeShortWhen, describeWhen, isSameDay, lastDayOf, LONG_DATE } from "./_calendar-format.js";
+
+// Longer lists are cut in the message, data still has every event
+const MAX_LISTED = 30;
+
+// "Thursday, May 16, 2024", "Monday, May 20, 2024 - Sunday, May 26, 2024" or a time range
+function describeSpan(span) {
+  if (!span.allDay) return describeWhen(span);
+
+  const first = span.start.toLocaleDateString('en-US', LONG_DATE);
+  const lastDay = lastDayOf(span);
+  return isSameDay(span.start, lastDay) ? first : `${first} - ${lastDay.toLocaleDateString('en-US', LONG_DATE)}`;
+}
+
+// The dates are shown when the list covers several days
+function describeEvent(event, withDate) {
+  let line = `- ${describeShortWhen(event, { withDate })}: ${event.title}`;
+  if (event.location) line += ` (${event.location})`;
+  if (!event.busy) line += ' [free]';
+  return line;
+}
+
+function describeEvents(span, events) {
+  const when = describeSpan(span);
+  if (events.length === 0) {
+    return `Nothing on the calendar for ${when}.`;
+  }
+
+  const withDate = !isSameDay(span.start, lastDayOf(span));
+  const lines = events.slice(0, MAX_LISTED).map(event => describeEvent(event, withDate));
+  if (events.length > MAX_LISTED) {
+    lines.push(`- and ${events.length - MAX_LISTED} more`);
+  }
+  const count = events.length === 1 ? '1 event' : `${events.length} events`;
+  return `${count} for ${when}:\n${lines.join('\n')}`;
+}
+
+export default {
+  name: "list_calendar_events",
+  summary: "List Google Calendar events for a day or range",
+  description: "List the events in the user's Google Calendar for a day, part of a day or range of days, e.g. to answer \"what's on my calendar tomorrow?\" or \"am I free Thursday afternoon?\". Returns each event's time, title and location, events marked [free] don't block the time. Only reads the calendar.",
+  examples: ['@list_calendar_events today', '@list_calendar_events thursday afternoon', '@list_calendar_events next week'],
+  schema: z.object({
+    when: z.string().describe("The day or range to list (e.g., 'today', 'tomorrow', 'thursday afternoon', 'next week', 'June 10-14')")
+  }),
+  func: async ({ when }) => {
+    const span = parseTimeSpan(when, { locale: getSettings().dateLocale });
+    if (!span) {
+      throw new Error(`Could not understand the day or range "${when}". Try something like "tomorrow", "thursday afternoon" or "next week".`);
+    }
+
+    const events = await listEvents({ start: span.start, end: span.end });
+    return success(describeEvents(span, events), { start: span.start, end: span.end, events });
+  }
+};
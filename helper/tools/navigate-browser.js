@@ -0,0 +1,22 @@
+/**
+ * navigate_browser: opens a URL in a new tab of the user's current Chrome window.
+ */
+
+import { z } from "zod";
+import { sendExtensionCommand } from "../extension-bridge.js";
+import { success } from "../tool-result.js";
+
+export default {
+  name: "navigate_browser",
+  summary: "Navigate to a URL",
+  description: "Open a URL in a new tab in the current browser window. Use this to navigate to any website in your actual Chrome browser.",
+  examples: ['@navigate_browser https://example.com'],
+  schema: z.object({
+    url: z.string().describe("The URL to navigate to")
+  }),
+  func: async ({ url }) => {
+    const { tabId } = await sendExtensionCommand('openTab', { url });
+    
+    return success(`Opened ${url} in a new tab in your current browser window.`, { url, tabId });
+  }
+};
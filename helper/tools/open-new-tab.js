@@ -0,0 +1,101 @@
+/**
+ * open_new_tab: opens new tabs for Google services, URLs, and search queries
+ * in the user's own Chrome browser (through the extension).
+ */
+
+import { z } from "zod";
+import { sendExtensionCommand } from "../extension-bridge.js";
+import { success } from "../tool-result.js";
+
+const GOOGLE_SERVICES = {
+  'sheets': 'https://sheets.google.com',
+  'docs': 'https://docs.google.com',
+  'slides': 'https://slides.google.com',
+  'forms': 'https://forms.google.com',
+  'drive': 'https://drive.google.com',
+  'calendar': 'https://calendar.google.com',
+  'gmail': 'https://mail.google.com',
+  'mail': 'https://mail.google.com',
+  'maps': 'https://maps.google.com',
+  'meet': 'https://meet.google.com',
+  'keep': 'https://keep.google.com',
+  'photos': 'https://photos.google.com',
+  'contacts': 'https://contacts.google.com',
+  'tasks': 'https://tasks.google.com',
+  'translate': 'https://translate.google.com',
+  'news': 'https://news.google.com',
+  'youtube': 'https://youtube.com',
+  'scholar': 'https://scholar.google.com',
+  'books': 'https://books.google.com',
+  'earth': 'https://earth.google.com'
+};
+const CREATE_NEW_URLS = {
+  'sheets': 'https://sheets.google.com/create',
+  'docs': 'https://docs.google.com/create',
+  'slides': 'https://slides.google.com/create',
+  'forms': 'https://forms.google.com/create'
+};
+
+export default {
+  name: "open_new_tab",
+  summary: "Opens a new tab with Google services, any URL or a Google search",
+  description: "Opens a new tab in the user's Chrome browser with the specified URL. Use this for opening Google services like Sheets, Docs, Gmail, etc., any URL, or Google searches.",
+  examples: ['@open_new_tab sheets', '@open_new_tab new docs', '@open_new_tab pizza recipes'],
+  // "@open_new_tab <service | new doc type | url | anything else to search>"
+  parseArguments: (text) => {
+    const lowerText = text.toLowerCase();
+    if (!lowerText) return null;
+    
+    if (/^https?:\/\//.test(lowerText) || /^[\w-]+(\.[\w-]+)+(\/\S*)?$/.test(lowerText)) {
+      return { url: /^https?:\/\//.test(lowerText) ? text : `https://${text}` };
+    }
+    if (GOOGLE_SERVICES[lowerText] || lowerText === 'google' ||
+        (lowerText.startsWith('new ') && CREATE_NEW_URLS[lowerText.replace('new ', '')])) {
+      return { service: lowerText };
+    }
+    return { search: text };
+  },
+  schema: z.object({
+    service: z.string().optional().describe("The Google service name (e.g., 'sheets', 'docs', 'gmail') or 'new docs', 'new sheets' to create new documents"),
+    url: z.string().optional().describe("Direct URL to open (if not a Google service)"),
+    search: z.string().optional().describe("Search query to google (will be automatically formatted into a Google search URL)")
+  }),
+  func: async ({ service, url, search }) => {
+    let finalUrl = url;
+    let serviceName = service;
+    
+
+    if (search && !url && !service) {
+      finalUrl = `https://www.google.com/search?q=${encodeURIComponent(search)}`;
+      serviceName = `Google Search: ${search}`;
+    }
+    
+
+    if (service && !url && !search) {
+      const lowerService = service.toLowerCase();
+      
+   
+      if (lowerService.startsWith('new ')) {
+        const docType = lowerService.replace('new ', '');
+        if (CREATE_NEW_URLS[docType]) {
+          finalUrl = CREATE_NEW_URLS[docType];
+          serviceName = `New ${docType.charAt(0).toUpperCase() + docType.slice(1)}`;
+        }
+      } else if (GOOGLE_SERVICES[lowerService]) {
+        finalUrl = GOOGLE_SERVICES[lowerService];
+        serviceName = lowerService.charAt(0).toUpperCase() + lowerService.slice(1);
+      } else if (lowerService === 'google') {
+        finalUrl = 'https://www.google.com';
+        serviceName = 'Google';
+      }
+    }
+    
+    if (!finalUrl) {
+      throw new Error("Please provide either a service name, URL, or search query");
+    }
+    
+    const { tabId } = await sendExtensionCommand('openTab', { url: finalUrl });
+    
+    return success(`Opened ${serviceName || finalUrl} in a new tab.`, { url: finalUrl, tabId });
+  }
+};
@@ -0,0 +1,67 @@
+/**
+ * rename_calendar_event: changes the title of an existing Google Calendar event through
+ * the Calendar API (see google-calendar.js).
+ *
+ * The event is found by title words and an optional day (see _find-calendar-event.js).
+ * One occurrence of a repeating event is renamed on its own.
+ */
+
+import { z } from "zod";
+import { describeRejection, requestApproval } from "../approvals.js";
+import { updateEvent } from "../google-calendar.js";
+import { cancelled, success } from "../tool-result.js";
+import { describeEventChoice, findCalendarEvent, parseEventText } from "./_find-calendar-event.js";
+import { describeShortWhen } from "./_calendar-format.js";
+
+export default {
+  name: "rename_calendar_event",
+  summary: "Rename an existing Google Calendar event",
+  description: "Change the title of an existing Google Calendar event, e.g. \"rename tomorrow's sync to Design review\". The event is found by words from its title and, if known, the day it is on. When several events match, the user is asked which one.",
+  examples: ['@rename_calendar_event sync tomorrow to Design review'],
+  requiresApproval: true,
+  // "sync tomorrow to Design review", the new title follows the first "to"
+  parseArguments: (text) => {
+    const match = text.match(/^(.+?)\s+to\s+(.+)$/i);
+    return match ? { ...parseEventText(match[1]), newTitle: match[2] } : null;
+  },
+  schema: z.object({
+    event: z.string().describe("Words from the current title of the event (e.g., 'sync', 'lunch')"),
+    when: z.string().optional().describe("The day or range the event is on, if known (e.g., 'tomorrow', 'friday', 'next week')"),
+    newTitle: z.string().describe("The new title of the event")
+  }),
+  func: async ({ event: query, when, newTitle }) => {
+    const found = await findCalendarEvent({ tool: 'rename_calendar_event', query, when, action: 'renamed' });
+    if (!found.event) {
+      const reason = describeRejection(found.approval, 'picked one');
+      return cancelled(`No event was renamed because ${reason}.`, { query, reason: found.approval.reason });
+    }
+
+    const { event } = found;
+    const approval = await requestApproval({
+      tool: 'rename_calendar_event',
+      title: 'Rename this event?',
+      fields: [
+        { name: 'event', label: 'Event', value: describeEventChoice(event), readOnly: true },
+        { name: 'title', label: 'New title', value: newTitle }
+      ]
+    });
+    if (!approval.approved) {
+      const reason = describeRejection(approval);
+      return cancelled(`"${event.title}" was not renamed because ${reason}.`, { id: event.id, title: event.title, reason: approval.reason });
+    }
+
+    const title = approval.values.title.trim();
+    if (!title) {
+      throw new Error('The new title is empty.');
+    }
+    const updated = await updateEvent(event, { title });
+    console.log(`✓ Renamed "${event.title}" to "${updated.title}"`);
+
+    return success(`Renamed "${event.title}" (${describeShortWhen(event)}) to "${updated.title}".`, {
+      id: updated.id,
+      title: updated.title,
+      previousTitle: event.title,
+      start: updated.start.toISOString()
+    });
+  }
+};
@@ -0,0 +1,89 @@
+/**
+ * reschedule_calendar_event: moves an existing Google Calendar event to another day or
+ * time through the Calendar API (see google-calendar.js).
+ *
+ * The event is found by title words and an optional day (see _find-calendar-event.js).
+ * The new time is parsed with moveSchedule() from date-parser.js: "friday" keeps the time
+ * of day, "3pm" keeps the day, both keep the length. Events the new time overlaps are
+ * shown in the approval card. One occurrence of a repeating event moves on its own.
+ */
+
+import { z } from "zod";
+import { describeRejection, requestApproval } from "../approvals.js";
+import { updateEvent } from "../google-calendar.js";
+import { cancelled, success } from "../tool-result.js";
+import { moveSchedule } from "../date-parser.js";
+import { getSettings } from "../settings.js";
+import { checkAvailability } from "../calendar-availability.js";
+import { describeEventChoice, findCalendarEvent, parseEventText } from "./_find-calendar-event.js";
+import { describeShortWhen, describeWhen } from "./_calendar-format.js";
+
+function parseMove(event, newDateTime) {
+  const moved = moveSchedule(event, newDateTime, { locale: getSettings().dateLocale });
+  if (!moved) {
+    throw new Error(`Could not understand the new date/time "${newDateTime}". Try something like "friday", "3pm" or "monday 2-3pm".`);
+  }
+  return moved;
+}
+
+export default {
+  name: "reschedule_calendar_event",
+  summary: "Move an existing Google Calendar event",
+  description: "Move an existing Google Calendar event to another day and/or time, e.g. \"move my dentist appointment to Friday\". The event is found by words from its title and, if known, the day it is on. When several events match, the user is asked which one.",
+  examples: ['@reschedule_calendar_event dentist to friday', '@reschedule_calendar_event standup tomorrow to 10am'],
+  requiresApproval: true,
+  // "standup tomorrow to 10am", the new time follows the last "to"
+  parseArguments: (text) => {
+    const match = text.match(/^(.+)\s+to\s+(.+?)$/i);
+    return match ? { ...parseEventText(match[1]), newDateTime: match[2] } : null;
+  },
+  schema: z.object({
+    event: z.string().describe("Words from the title of the event to move (e.g., 'dentist', 'standup')"),
+    when: z.string().optional().describe("The day or range the event is on now, if known (e.g., 'tomorrow', 'friday', 'next week')"),
+    newDateTime: z.string().describe("The new date and/or time (e.g., 'friday' keeps the time, '3pm' keeps the day, 'monday 2-3pm', 'june 10 at 9')")
+  }),
+  func: async ({ event: query, when, newDateTime }) => {
+    const found = await findCalendarEvent({ tool: 'reschedule_calendar_event', query, when, action: 'moved' });
+    if (!found.event) {
+      const reason = describeRejection(found.approval, 'picked one');
+      return cancelled(`No event was moved because ${reason}.`, { query, reason: found.approval.reason });
+    }
+
+    const { event } = found;
+    const moved = parseMove(event, newDateTime);
+    const availability = await checkAvailability(moved, { sameDay: true });
+    const overlaps = (availability?.conflicts ?? []).filter(conflict => conflict.id !== event.id);
+
+    const fields = [
+      { name: 'event', label: 'Event', value: describeEventChoice(event), readOnly: true },
+      { name: 'newDateTime', label: 'New date/time', value: newDateTime },
+      { name: 'when', label: 'Moves to', value: describeWhen(moved), readOnly: true }
+    ];
+    if (overlaps.length > 0) {
+      const value = overlaps.map(conflict => `${conflict.title} (${describeShortWhen(conflict, { withDate: false })})`).join('\n');
+      fields.push({ name: 'conflicts', label: 'Overlaps with', value, readOnly: true });
+    } else if (availability?.unchecked) {
+      fields.push({ name: 'conflicts', label: 'Overlaps with', value: availability.unchecked, readOnly: true });
+    }
+
+    const approval = await requestApproval({ tool: 'reschedule_calendar_event', title: 'Move this event?', fields });
+    if (!approval.approved) {
+      const reason = describeRejection(approval);
+      return cancelled(`"${event.title}" was not moved because ${reason}.`, { id: event.id, title: event.title, reason: approval.reason });
+    }
+
+    // The user may have edited the new date/time in the approval card
+    const schedule = parseMove(event, approval.values.newDateTime);
+    const updated = await updateEvent(event, { start: schedule.start, end: schedule.end, allDay: schedule.allDay });
+    console.log(`✓ Moved "${event.title}" to ${describeWhen(updated)}`);
+
+    return success(`Moved "${event.title}" from ${describeWhen(event)} to ${describeWhen(updated)}.`, {
+      id: updated.id,
+      title: updated.title,
+      start: updated.start.toISOString(),
+      end: updated.end.toISOString(),
+      allDay: updated.allDay,
+      previousStart: event.start.toISOString()
+    });
+  }
+};
@@ -0,0 +1,229 @@
+/**
+ * send_email: sends an email through Gmail using browser automation. The subject and
+ * body are generated from the request with the drafting LLM (see llm.js) and shown to
+ * the user for approval before Gmail is opened (see approvals.js).
+ *
+ * Recipients can be several To, Cc and Bcc addresses, or names and groups of the address
+ * book, which are looked up first (see _email-recipients.js).
+ *
+ * In draft mode the email is composed the same way but saved to Gmail's Drafts instead
+ * of sent: when the request asks for a draft, or always with the emailMode setting on
+ * "draft" (see settings.js).
+ */
+
+import { z } from "zod";
+import { HumanMessage, SystemMessage } from "@langchain/core/messages";
+import { hasStoredSession, withBrowser } from "../browser.js";
+import { createChatModel } from "../llm.js";
+import { describeRejection, requestApproval } from "../approvals.js";
+import { clickElement, findElement } from "../selectors.js";
+import { getSettings } from "../settings.js";
+import { cancelled, success } from "../tool-result.js";
+import { describeRecipients, isKnownRecipient, parseAddressList, recipientList, resolveRecipients } from "./_email-recipients.js";
+import { DRAFTS_URL, focusField, saveDraft, sendWithShortcut } from "./_gmail-compose.js";
+
+const draftingLlm = createChatModel('drafting');
+
+async function draftEmail(request) {
+  // Generate subject using LLM
+  const subjectPrompt = `Generate a concise, professional email subject line for an email that is ${request}. Keep it under 10 words. Only return the subject line, nothing else.`;
+  const subjectResponse = await draftingLlm.invoke([
+    new SystemMessage("You are a helpful assistant that generates email subject lines."),
+    new HumanMessage(subjectPrompt)
+  ]);
+  const subject = subjectResponse.content.trim().replace(/^["']|["']$/g, ''); // Remove quotes if present
+  
+  // Generate email body using LLM
+  const bodyPrompt = `Write a professional email body for ${request}. 
+  Keep it concise, polite, and to the point. 
+  Include a proper greeting and sign-off.
+  Do not include a subject line or email headers.
+  Keep it under 150 words.`;
+  
+  const bodyResponse = await draftingLlm.invoke([
+    new SystemMessage("You are a helpful assistant that writes professional emails."),
+    new HumanMessage(bodyPrompt)
+  ]);
+  const body = bodyResponse.content.trim();
+  
+  return { subject, body };
+}
+
+// Types the addresses into the focused recipient field, a comma ends each one without
+// picking one of Gmail's suggestions
+async function typeAddresses(page, addresses) {
+  for (const address of addresses) {
+    await page.keyboard.type(`${address},`);
+    await page.waitForTimeout(300);
+  }
+}
+
+// The Cc or Bcc field is opened with its link, or with Ctrl/Cmd+Shift+C or B
+async function enterCopies(page, kind, addresses) {
+  if (addresses.length === 0) return;
+
+  const name = kind === 'cc' ? 'Cc' : 'Bcc';
+  try {
+    await clickElement(page, `gmail.${kind}Button`);
+    await (await findElement(page, `gmail.${kind}Field`)).locator.click();
+  } catch (e) {
+    // Fallback to keyboard shortcut
+    console.log(`${e.message}, using the keyboard shortcut for ${name}`);
+    await page.keyboard.press(`${process.platform === 'darwin' ? 'Meta' : 'Control'}+Shift+${kind === 'cc' ? 'C' : 'B'}`);
+  }
+  await page.waitForTimeout(500);
+
+  await typeAddresses(page, addresses);
+  console.log(`✓ Entered ${name} recipients: ${addresses.join(', ')}`);
+}
+
+export default {
+  name: "send_email",
+  summary: "Send an email through Gmail",
+  description: "Send an email through Gmail using browser automation. This tool will open Gmail, compose an email to the To, Cc and Bcc recipients, generate an appropriate subject and body from the request, and send it. Recipients are email addresses or names and group names from the user's address book (\"Sarah\", \"the design team\"); the tool asks the user when a name is ambiguous. With draft: true (\"draft an email to...\") the email is saved to Gmail's Drafts instead of sent.",
+  examples: [
+    '@send_email alice@example.com asking for the project update',
+    '@send_email Sarah,design cc:bob@example.com the launch date moved to Friday',
+    '@send_email draft bob@example.com declining the offer'
+  ],
+  requiresApproval: true,
+  // "@send_email [draft] <to> [cc:<list>] [bcc:<list>] <what the email is about>", lists
+  // are comma-separated addresses or names without spaces. "draft" is only the keyword
+  // when recipients follow it, "draft an email to bob..." is left to the LLM.
+  parseArguments: (text) => {
+    const match = text.match(/^(draft\s+)?(\S+)((?:\s+(?:cc|bcc):\S+)*)\s+([\s\S]+)$/i);
+    if (!match) return null;
+
+    const list = (value) => value.split(',').filter(Boolean);
+    const args = { to: list(match[2]), request: match[4] };
+    if (match[1] && !args.to.every(isKnownRecipient)) return null;
+    for (const [, field, value] of match[3].matchAll(/(cc|bcc):(\S+)/gi)) {
+      args[field.toLowerCase()] = list(value);
+    }
+    if (match[1]) args.draft = true;
+    return args;
+  },
+  schema: z.object({
+    to: recipientList.describe("Who the email is to: email addresses, names or group names from the address book, as the user said them (e.g. ['Sarah', 'design team', 'bob@example.com'])"),
+    cc: recipientList.optional().describe("Cc recipients, like to"),
+    bcc: recipientList.optional().describe("Bcc recipients, like to"),
+    request: z.string().describe("What the email is requesting or about (e.g., 'requesting a meeting next week', 'asking for project update')"),
+    draft: z.boolean().optional().describe("true when the user asks for a draft ('draft an email to...'), saves it to Gmail's Drafts instead of sending it")
+  }),
+  func: async ({ to: toNames, cc: ccNames = [], bcc: bccNames = [], request, draft: draftRequested = false }) => {
+    // The setting can't be overridden per request, teams that turn it on never send
+    const saveAsDraft = draftRequested || getSettings().emailMode === 'draft';
+
+    if (toNames.length === 0) {
+      throw new Error("Who should the email go to? Give at least one recipient.");
+    }
+
+    // Check if logged into Gmail
+    if (!hasStoredSession()) {
+      throw new Error("Not logged into Gmail. Please log in first using the Google login tool.");
+    }
+
+    const resolved = await resolveRecipients({ to: toNames, cc: ccNames, bcc: bccNames }, { tool: 'send_email' });
+    if (resolved.approval) {
+      const reason = describeRejection(resolved.approval, 'answered');
+      return cancelled(`The email was not ${saveAsDraft ? 'saved' : 'sent'} because it is unclear who "${resolved.name}" is and ${reason}.`, { name: resolved.name, reason: resolved.approval.reason });
+    }
+    const { recipients } = resolved;
+    
+    const draft = await draftEmail(request);
+    console.log(`✓ Drafted email: "${draft.subject}"`);
+    
+    const approval = await requestApproval({
+      tool: 'send_email',
+      title: saveAsDraft ? 'Save this email as a draft?' : 'Send this email?',
+      fields: [
+        { name: 'to', label: 'To', value: recipients.to.join(', ') },
+        { name: 'cc', label: 'Cc', value: recipients.cc.join(', ') },
+        { name: 'bcc', label: 'Bcc', value: recipients.bcc.join(', ') },
+        { name: 'subject', label: 'Subject', value: draft.subject },
+        { name: 'body', label: 'Body', value: draft.body, multiline: true }
+      ]
+    });
+    
+    if (!approval.approved) {
+      const reason = describeRejection(approval);
+      const outcome = saveAsDraft ? `draft to ${describeRecipients(recipients)} was not saved` : `email to ${describeRecipients(recipients)} was not sent`;
+      return cancelled(`The ${outcome} because ${reason}.`, { recipients, reason: approval.reason });
+    }
+    
+    // The user may have edited the recipients in the approval card
+    const { subject, body: emailBody } = approval.values;
+    const final = {
+      to: parseAddressList(approval.values.to, 'To'),
+      cc: parseAddressList(approval.values.cc, 'Cc'),
+      bcc: parseAddressList(approval.values.bcc, 'Bcc')
+    };
+    if (final.to.length === 0) {
+      throw new Error("The email needs at least one To recipient.");
+    }
+    const described = describeRecipients(final);
+    
+    try {
+      // The browser is closed again once the email is sent or saved
+      return await withBrowser(async (page) => {
+        console.log(`${saveAsDraft ? 'Drafting' : 'Sending'} email to: ${described} about: ${request}`);
+      
+        // Navigate to Gmail
+        await page.goto('https://mail.google.com/mail/', { 
+          waitUntil: 'domcontentloaded',
+          timeout: 30000
+        });
+      
+        // Click the compose button (see gmail.composeButton in selectors.js)
+        try {
+          await clickElement(page, 'gmail.composeButton', { timeout: 10000 });
+          console.log('✓ Opened compose window');
+        } catch (e) {
+          // Fallback to keyboard shortcut
+          console.log(`${e.message}, using keyboard shortcut "c" for compose`);
+          await page.keyboard.press('c');
+        }
+      
+        // Wait for compose window to open
+        await page.waitForTimeout(2000);
+      
+        // Fill in the recipients - the To field should be focused
+        await typeAddresses(page, final.to);
+        console.log(`✓ Entered recipients: ${final.to.join(', ')}`);
+        await enterCopies(page, 'cc', final.cc);
+        await enterCopies(page, 'bcc', final.bcc);
+      
+        await focusField(page, 'gmail.subjectField');
+        await page.keyboard.type(subject);
+        console.log(`✓ Entered subject: ${subject}`);
+      
+        await focusField(page, 'gmail.bodyField');
+        await page.keyboard.type(emailBody);
+        console.log('✓ Entered email body');
+      
+        // Wait a moment before sending
+        await page.waitForTimeout(1000);
+      
+        if (saveAsDraft) {
+          await saveDraft(page);
+          return success(
+            `Saved a draft to ${described} with subject "${subject}", it is in Gmail's Drafts folder (${DRAFTS_URL}) and was not sent.`,
+            { recipients: final, subject, mode: 'draft', location: DRAFTS_URL }
+          );
+        }
+      
+        await sendWithShortcut(page);
+      
+        console.log('✓ Email sent successfully');
+      
+        // Wait for confirmation
+        await page.waitForTimeout(2000);
+      
+        return success(`Sent the email to ${described} with subject "${subject}".`, { recipients: final, subject, mode: 'send' });
+      });
+    } catch (error) {
+      console.error(`Error ${saveAsDraft ? 'saving the draft' : 'sending email'}:`, error);
+      throw new Error(`Failed to ${saveAsDraft ? 'save the draft' : 'send email'}: ${error.message}`);
+    }
+  }
+};
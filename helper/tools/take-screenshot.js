@@ -0,0 +1,31 @@
+/**
+ * take_screenshot: captures the visible tab through the Chrome extension and saves
+ * it to the Downloads folder.
+ */
+
+import { z } from "zod";
+import { sendExtensionCommand } from "../extension-bridge.js";
+import { success } from "../tool-result.js";
+
+export default {
+  name: "take_screenshot",
+  summary: "Take a screenshot of the current page",
+  description: "Take a screenshot of the current browser tab using Chrome Extension API",
+  examples: ['@take_screenshot'],
+  schema: z.object({}),
+  func: async () => {
+    try {
+      const { filename } = await sendExtensionCommand('screenshot');
+      
+      if (filename) {
+        return success(`Saved a screenshot to the Downloads folder as "${filename}".`, { filename });
+      }
+      
+      return success('Took a screenshot using the Chrome Extension API.');
+      
+    } catch (error) {
+      console.error('Error taking screenshot:', error);
+      throw new Error(`Failed to take screenshot: ${error.message}`);
+    }
+  }
+};
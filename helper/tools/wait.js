@@ -0,0 +1,20 @@
+/**
+ * wait: utility tool for adding delays in automation sequences.
+ */
+
+import { z } from "zod";
+import { success } from "../tool-result.js";
+
+export default {
+  name: "wait",
+  summary: "Wait for a number of milliseconds",
+  description: "Wait for a specified number of milliseconds",
+  examples: ['@wait 2000'],
+  schema: z.object({
+    milliseconds: z.number().describe("Number of milliseconds to wait")
+  }),
+  func: async ({ milliseconds }) => {
+    await new Promise(resolve => setTimeout(resolve, milliseconds));
+    return success(`Waited for ${milliseconds}ms.`, { milliseconds });
+  }
+};
@@ -0,0 +1,37 @@
+/**
+ * Files dropped on the chat, kept in memory for the tools that read them.
+ *
+ * The extension posts a dropped file to POST /uploads?name=<file name> and then asks for
+ * it by name, e.g. "@import_calendar_events team-offsite.ics". A file with the same name
+ * replaces the earlier one, only the MAX_UPLOADS most recent files are kept and nothing
+ * survives a restart of the helper.
+ */
+
+export const MAX_UPLOAD_BYTES = 1024 * 1024;
+const MAX_UPLOADS = 10;
+
+const uploads = new Map();
+
+export function saveUpload(name, content) {
+  const fileName = typeof name === 'string' ? name.trim() : '';
+  if (!fileName) {
+    throw new Error('The file needs a name');
+  }
+  if (typeof content !== 'string' || !content) {
+    throw new Error(`"${fileName}" is empty`);
+  }
+
+  // Re-inserting moves the name to the end, the oldest file is the first key
+  uploads.delete(fileName);
+  uploads.set(fileName, { name: fileName, content, receivedAt: new Date().toISOString() });
+  while (uploads.size > MAX_UPLOADS) {
+    uploads.delete(uploads.keys().next().value);
+  }
+  return uploads.get(fileName);
+}
+
+// The file with that name, matched case-insensitively, or null
+export function getUpload(name) {
+  const wanted = name.trim().toLowerCase();
+  return [...uploads.values()].find(upload => upload.name.toLowerCase() === wanted) ?? null;
+}
@@ -4,12 +4,9 @@
  * 
  * Key Features:
  * 
- * Tool Discovery System displays available tools when users type '@', including:
- *    - open_new_tab: Opens Google services or any URL
- *    - navigate_browser: Navigate to specific URLs
- *    - create_calendar_event: Create Google Calendar events
- *    - search: Search Google
- *    - take_screenshot: Capture the current page
+ * Tool Discovery System displays available tools when users type '@'. The list is
+ *    loaded from the helper service's /tools endpoint, so it always matches the tool
+ *    plugins the agent actually has.
  * 
  * Authentication Management gandles Google login flow for Calendar access,
  *    showing login button when needed and tracking authentication status.
@@ -19,7 +16,18 @@
  * 
  * Chat Interface maintains conversation history and sends user requests to
  *    the background script for processing by the LLM agent. Features an
- *    expanding dialogue area that shows the full conversation.
+ *    expanding dialogue area that shows the full conversation. While a request runs
+ *    the submit button turns into a Stop button that cancels its helper job.
+ * 
+ * Approvals show a preview card with Approve / Edit / Cancel when a tool such as
+ *    send_email asks before acting. The ⚙ settings panel chooses which tools ask and
+ *    whether new calendar events are entered in the browser, created with the Calendar API
+ *    or saved as .ics files, whether emails are sent or only saved as Gmail drafts, the
+ *    address book of people and groups emails can go to by name, and how dates in requests
+ *    are read (language, date order, clock and first day of the week).
+ * 
+ * History lists every tool the helper ran (tool, arguments, time, outcome and the
+ *    prompt that caused it) from its audit log, filtered by tool and date.
  * 
  * Status Feedback provides visual feedback for success, errors, loading states,
  *    and informational messages with appropriate styling and auto-dismiss behavior.
@@ -75,34 +83,28 @@ document.addEventListener('DOMContentLoaded', function() {
     return true;
   });
 
-  const availableTools = [
-    {
-      name: 'open_new_tab',
-      description: 'Opens a new tab with Google services or any URL',
-      examples: ['@open_new_tab sheets', '@open_new_tab gmail', '@open_new_tab new docs']
-    },
-    {
-      name: 'navigate_browser',
-      description: 'Navigate to a URL',
-      examples: ['@navigate_browser https://example.com']
-    },
-    {
-      name: 'create_calendar_event',
-      description: 'Create a Google Calendar event',
-      examples: ['@create_calendar_event Meeting tomorrow at 2pm']
-    },
-    {
-      name: 'search',
-      description: 'Search Google for anything',
-      examples: ['@search pizza recipes', '@search how to bake cookies']
-    },
-
-    {
-      name: 'take_screenshot',
-      description: 'Take a screenshot of current page',
-      examples: ['@take_screenshot']
-    }
-  ];
+  // Tool metadata comes from the helper service's /tools endpoint
+  let availableTools = [];
+
+  async function loadAvailableTools() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getTools' });
+      if (response && response.success) {
+        availableTools = response.tools;
+      }
+    } catch (error) {
+      console.error('Could not load tools:', error);
+    }
+    return availableTools;
+  }
+
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text ?? '';
+    return div.innerHTML;
+  }
+
+  loadAvailableTools();
 
   const toolsDropdown = document.createElement('div');
   toolsDropdown.id = 'toolsDropdown';
@@ -120,7 +122,11 @@ document.addEventListener('DOMContentLoaded', function() {
   `;
   document.body.appendChild(toolsDropdown);
 
-  function showToolsDropdown() {
+  async function showToolsDropdown() {
+    if (availableTools.length === 0) {
+      await loadAvailableTools();
+    }
+    
     // Find the active input wrapper
     const activeInputWrapper = currentInputElement.closest('.input-wrapper');
     const rect = activeInputWrapper.getBoundingClientRect();
@@ -142,17 +148,20 @@ document.addEventListener('DOMContentLoaded', function() {
         <div style="font-size: 14px; font-weight: 600; color: #202124; margin-bottom: 4px;">Available Tools</div>
         <div style="font-size: 12px; color: #5f6368;">Type @ followed by a tool name</div>
       </div>
+      ${availableTools.length === 0 ? `
+        <div style="padding: 12px; font-size: 12px; color: #5f6368;">Tools are unavailable. Is the helper service running?</div>
+      ` : ''}
       ${availableTools.map(tool => `
-        <div class="tool-item" data-tool="${tool.name}" style="
+        <div class="tool-item" data-tool="${escapeHtml(tool.name)}" style="
           padding: 12px;
           cursor: pointer;
           border-bottom: 1px solid #f8f9fa;
           transition: background-color 0.2s;
         " onmouseover="this.style.backgroundColor='#f8f9fa'" onmouseout="this.style.backgroundColor='white'">
-          <div style="font-size: 14px; font-weight: 500; color: #1a73e8; margin-bottom: 4px;">@${tool.name}</div>
-          <div style="font-size: 12px; color: #5f6368; margin-bottom: 6px;">${tool.description}</div>
+          <div style="font-size: 14px; font-weight: 500; color: #1a73e8; margin-bottom: 4px;">@${escapeHtml(tool.name)}</div>
+          <div style="font-size: 12px; color: #5f6368; margin-bottom: 6px;">${escapeHtml(tool.summary || tool.description)}</div>
           <div style="font-size: 11px; color: #80868b;">
-            ${tool.examples.map(ex => `<code style="background: #f8f9fa; padding: 2px 4px; border-radius: 3px; margin-right: 6px;">${ex}</code>`).join('')}
+            ${(tool.examples || []).map(ex => `<code style="background: #f8f9fa; padding: 2px 4px; border-radius: 3px; margin-right: 6px;">${escapeHtml(ex)}</code>`).join('')}
           </div>
         </div>
       `).join('')}
@@ -221,6 +230,8 @@ document.addEventListener('DOMContentLoaded', function() {
           return;
         }
         event.preventDefault();
+        // Enter never stops a running request, only the Stop button does
+        if (agentChat.isRunning()) return;
         submitButton.click();
       } else if (event.key === 'Escape') {
         hideToolsDropdown();
@@ -323,6 +334,12 @@ document.addEventListener('DOMContentLoaded', function() {
                 showStatus('✅ Successfully logged into Google Calendar!', 'success');
                 submitBtn.disabled = false;
                 submitBtnExpanded.disabled = false;
+              } else if (['interrupted', 'timed-out'].includes(statusData.login?.status)) {
+                // The helper closed the login window, e.g. because a request needed the browser
+                clearInterval(checkInterval);
+                showStatus(`⚠️ ${statusData.login.message}`, 'error');
+                loginBtn.disabled = false;
+                loginBtn.textContent = '🔐 Login to Google';
               }
             }, 2000);
             
@@ -363,6 +380,8 @@ document.addEventListener('DOMContentLoaded', function() {
       return;
     }
 
+    hidePanels();
+
     // Create new chat if needed
     if (!currentChatId) {
       currentChatId = Date.now().toString();
@@ -401,18 +420,15 @@ document.addEventListener('DOMContentLoaded', function() {
     try {
       console.log('Sending request to agent:', input);
       
-      const response = await chrome.runtime.sendMessage({
-        action: 'invokeAgent',
-        prompt: input,
-        chatHistory: chatHistory
-      });
+      const response = await agentChat.run(input, chatHistory);
 
       console.log('Response from agent:', response);
       hideLoadingIndicator();
 
       if (response && response.success) {
         // Update chat history with assistant response
-        chatHistory.push({ role: 'assistant', content: response.result });
+        // Tool results are kept with the answer so follow-up requests can refer back to them
+        chatHistory.push({ role: 'assistant', content: response.result, toolResults: response.toolResults || [] });
         allChats[currentChatId].messages = chatHistory;
         
         // Add assistant response to chat display
@@ -436,6 +452,12 @@ document.addEventListener('DOMContentLoaded', function() {
         await saveChats();
         showStatus('❌ Please log into Google Calendar first', 'error');
         await checkAuthStatus();
+      } else if (response && response.cancelled) {
+        const stoppedMsg = '⏹ Stopped';
+        chatHistory.push({ role: 'assistant', content: stoppedMsg });
+        allChats[currentChatId].messages = chatHistory;
+        addChatMessage(stoppedMsg, false, false);
+        await saveChats();
       } else {
         const errorMessage = response?.error || 'Failed to process request';
         console.error('Agent request failed:', errorMessage);
@@ -466,9 +488,323 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   }
 
-  // Set up submit handlers for both buttons
-  submitBtn.addEventListener('click', handleSubmit);
-  submitBtnExpanded.addEventListener('click', handleSubmit);
+  function setStopButton(visible) {
+    [submitBtn, submitBtnExpanded].forEach(button => {
+      button.textContent = visible ? '■' : '⏎';
+      button.title = visible ? 'Stop' : '';
+    });
+    if (visible) currentSubmitBtn.disabled = false;
+  }
+
+  // Streams requests and shows their steps, approval cards and the Stop button (see agent-chat.js)
+  const agentChat = createAgentChat({
+    getMessagesContainer: () => chatMessages,
+    setStopButton,
+    showStatus
+  });
+
+  // Settings panel: which tools ask for approval before acting, where events are created,
+  // whether emails are sent or only drafted
+  const settingsBtn = document.getElementById('settingsBtn');
+  const settingsPanel = document.getElementById('settingsPanel');
+  const approvalSettings = document.getElementById('approvalSettings');
+  const calendarBackendSetting = document.getElementById('calendarBackendSetting');
+  const emailModeSetting = document.getElementById('emailModeSetting');
+  const organizerEmailSetting = document.getElementById('organizerEmailSetting');
+  
+  calendarBackendSetting.addEventListener('change', async () => {
+    const response = await chrome.runtime.sendMessage({
+      action: 'updateSettings',
+      settings: { calendarBackend: calendarBackendSetting.value }
+    });
+    if (response?.success) {
+      calendarBackendSetting.dataset.saved = response.settings.calendarBackend;
+    } else {
+      calendarBackendSetting.value = calendarBackendSetting.dataset.saved;
+      showStatus(`❌ ${response?.error || 'Could not save settings'}`, 'error');
+    }
+  });
+
+  // .ics files only list guests with an organizer, the user's own address
+  organizerEmailSetting.addEventListener('change', async () => {
+    const response = await chrome.runtime.sendMessage({
+      action: 'updateSettings',
+      settings: { organizerEmail: organizerEmailSetting.value.trim() }
+    });
+    if (response?.success) {
+      organizerEmailSetting.dataset.saved = response.settings.organizerEmail;
+    } else {
+      organizerEmailSetting.value = organizerEmailSetting.dataset.saved;
+      showStatus(`❌ ${response?.error || 'Could not save settings'}`, 'error');
+    }
+  });
+
+  emailModeSetting.addEventListener('change', async () => {
+    const response = await chrome.runtime.sendMessage({
+      action: 'updateSettings',
+      settings: { emailMode: emailModeSetting.value }
+    });
+    if (response?.success) {
+      emailModeSetting.dataset.saved = response.settings.emailMode;
+    } else {
+      emailModeSetting.value = emailModeSetting.dataset.saved;
+      showStatus(`❌ ${response?.error || 'Could not save settings'}`, 'error');
+    }
+  });
+
+  // The date format is saved one part at a time, the helper merges it into the rest
+  const dateLocaleSelects = document.querySelectorAll('#dateLocaleSettings select');
+  dateLocaleSelects.forEach(select => {
+    select.addEventListener('change', async () => {
+      const key = select.dataset.localeKey;
+      const value = key === 'hourCycle' ? Number(select.value) : select.value;
+      const response = await chrome.runtime.sendMessage({
+        action: 'updateSettings',
+        settings: { dateLocale: { [key]: value } }
+      });
+      if (response?.success) {
+        select.dataset.saved = select.value;
+      } else {
+        select.value = select.dataset.saved;
+        showStatus(`❌ ${response?.error || 'Could not save settings'}`, 'error');
+      }
+    });
+  });
+
+  // Address book: contacts and groups send_email knows by name
+  const addressBookList = document.getElementById('addressBookList');
+  const contactForm = document.getElementById('contactForm');
+  const groupForm = document.getElementById('groupForm');
+
+  function addressBookEntry(kind, id, label) {
+    const row = document.createElement('div');
+    row.className = 'address-book-entry';
+
+    const text = document.createElement('span');
+    text.textContent = label;
+    text.title = label;
+
+    const remove = document.createElement('button');
+    remove.textContent = '✕';
+    remove.title = 'Remove';
+    remove.addEventListener('click', async () => {
+      const response = await chrome.runtime.sendMessage({ action: 'deleteAddressBookEntry', kind, id });
+      if (response?.success) {
+        loadAddressBook();
+      } else {
+        showStatus(`❌ ${response?.error || 'Could not remove it'}`, 'error');
+      }
+    });
+
+    row.append(text, remove);
+    return row;
+  }
+
+  async function loadAddressBook() {
+    const response = await chrome.runtime.sendMessage({ action: 'getAddressBook' });
+    addressBookList.innerHTML = '';
+    if (!response?.success) {
+      addressBookList.textContent = `⚠️ ${response?.error || 'Could not load the address book'}`;
+      return;
+    }
+    if (response.contacts.length === 0 && response.groups.length === 0) {
+      addressBookList.textContent = 'Add people to email them by name, e.g. "email Sarah".';
+    }
+
+    for (const contact of response.contacts) {
+      addressBookList.appendChild(addressBookEntry('contacts', contact.id, `${contact.name} <${contact.email}>`));
+    }
+    for (const group of response.groups) {
+      addressBookList.appendChild(addressBookEntry('groups', group.id, `👥 ${group.name}: ${group.members.join(', ')}`));
+    }
+  }
+
+  async function saveAddressBookEntry(form, kind, entry) {
+    const response = await chrome.runtime.sendMessage({ action: 'saveAddressBookEntry', kind, entry });
+    if (response?.success) {
+      form.reset();
+      loadAddressBook();
+    } else {
+      showStatus(`❌ ${response?.error || 'Could not save it'}`, 'error');
+    }
+  }
+
+  contactForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    saveAddressBookEntry(contactForm, 'contacts', {
+      name: contactForm.elements.name.value,
+      email: contactForm.elements.email.value
+    });
+  });
+
+  groupForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    saveAddressBookEntry(groupForm, 'groups', {
+      name: groupForm.elements.name.value,
+      members: groupForm.elements.members.value.split(',').map(member => member.trim()).filter(Boolean)
+    });
+  });
+
+  async function showSettings() {
+    const [settingsResponse, tools] = await Promise.all([
+      chrome.runtime.sendMessage({ action: 'getSettings' }),
+      loadAvailableTools()
+    ]);
+    
+    if (!settingsResponse?.success) {
+      showStatus('⚠️ Could not load settings from the helper service', 'error');
+      return;
+    }
+    
+    const policies = settingsResponse.settings.approvals || {};
+    calendarBackendSetting.value = settingsResponse.settings.calendarBackend || 'browser';
+    calendarBackendSetting.dataset.saved = calendarBackendSetting.value;
+    emailModeSetting.value = settingsResponse.settings.emailMode || 'send';
+    emailModeSetting.dataset.saved = emailModeSetting.value;
+    organizerEmailSetting.value = settingsResponse.settings.organizerEmail || '';
+    organizerEmailSetting.dataset.saved = organizerEmailSetting.value;
+    const dateLocale = settingsResponse.settings.dateLocale || {};
+    dateLocaleSelects.forEach(select => {
+      if (dateLocale[select.dataset.localeKey] !== undefined) {
+        select.value = String(dateLocale[select.dataset.localeKey]);
+      }
+      select.dataset.saved = select.value;
+    });
+    approvalSettings.innerHTML = '';
+    
+    const gatedTools = tools.filter(tool => tool.requiresApproval);
+    if (gatedTools.length === 0) {
+      approvalSettings.textContent = 'No tools ask for approval.';
+    }
+    
+    for (const tool of gatedTools) {
+      const label = document.createElement('label');
+      label.className = 'settings-row';
+      
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = policies[tool.name] ?? true;
+      checkbox.addEventListener('change', async () => {
+        const response = await chrome.runtime.sendMessage({
+          action: 'updateSettings',
+          settings: { approvals: { [tool.name]: checkbox.checked } }
+        });
+        if (!response?.success) {
+          checkbox.checked = !checkbox.checked;
+          showStatus(`❌ ${response?.error || 'Could not save settings'}`, 'error');
+        }
+      });
+      
+      const text = document.createElement('span');
+      text.innerHTML = `<code>@${escapeHtml(tool.name)}</code> ${escapeHtml(tool.summary)}`;
+      
+      label.append(checkbox, text);
+      approvalSettings.appendChild(label);
+    }
+    
+    loadAddressBook();
+    showPanel(settingsPanel);
+  }
+
+  // History panel: the helper's audit log of tool invocations
+  const historyBtn = document.getElementById('historyBtn');
+  const historyPanel = document.getElementById('historyPanel');
+  const historyTool = document.getElementById('historyTool');
+  const historyFrom = document.getElementById('historyFrom');
+  const historyTo = document.getElementById('historyTo');
+  const historyList = document.getElementById('historyList');
+
+  const AUDIT_OUTCOME_ICONS = { success: '✓', error: '⚠️', cancelled: '✕' };
+
+  function formatAuditArgs(args) {
+    return Object.entries(args || {})
+      .map(([key, value]) => `${key}: ${typeof value === 'string' ? value : JSON.stringify(value)}`)
+      .join(' · ');
+  }
+
+  async function loadHistory() {
+    const response = await chrome.runtime.sendMessage({
+      action: 'getAuditLog',
+      query: { tool: historyTool.value, from: historyFrom.value, to: historyTo.value }
+    });
+    
+    if (!response?.success) {
+      historyList.textContent = `⚠️ ${response?.error || 'Could not load history from the helper service'}`;
+      return;
+    }
+    
+    if (response.entries.length === 0) {
+      historyList.textContent = 'Nothing has run yet.';
+      return;
+    }
+    
+    historyList.innerHTML = response.entries.map(entry => `
+      <div class="history-entry">
+        <div class="history-entry-header">
+          <span>${AUDIT_OUTCOME_ICONS[entry.outcome] || '⚠️'} <code>@${escapeHtml(entry.tool)}</code></span>
+          <span class="history-time">${escapeHtml(new Date(entry.startedAt).toLocaleString())}</span>
+        </div>
+        <div class="history-args">${escapeHtml(formatAuditArgs(entry.args))}</div>
+        ${entry.prompt ? `<div class="history-prompt">“${escapeHtml(entry.prompt)}”</div>` : ''}
+        ${entry.error ? `<div class="history-error">${escapeHtml(entry.error)}</div>` : ''}
+      </div>
+    `).join('');
+  }
+
+  async function showHistory() {
+    const tools = await loadAvailableTools();
+    const selected = historyTool.value;
+    historyTool.innerHTML = '<option value="">All tools</option>' + tools
+      .map(tool => `<option value="${escapeHtml(tool.name)}">@${escapeHtml(tool.name)}</option>`)
+      .join('');
+    historyTool.value = selected;
+    
+    showPanel(historyPanel);
+    await loadHistory();
+  }
+
+  [historyTool, historyFrom, historyTo].forEach(filter => {
+    filter.addEventListener('change', loadHistory);
+  });
+
+  // Side panels are shown in place of the chat, one at a time
+  const sidePanels = [settingsPanel, historyPanel];
+
+  function showPanel(panel) {
+    sidePanels.forEach(sidePanel => {
+      sidePanel.style.display = sidePanel === panel ? 'flex' : 'none';
+    });
+    chatContainer.style.display = 'none';
+  }
+
+  function hidePanels() {
+    sidePanels.forEach(sidePanel => {
+      sidePanel.style.display = 'none';
+    });
+    chatContainer.style.display = '';
+  }
+
+  function togglePanel(panel, show) {
+    if (panel.style.display === 'flex') {
+      hidePanels();
+    } else {
+      show();
+    }
+  }
+
+  settingsBtn.addEventListener('click', () => togglePanel(settingsPanel, showSettings));
+  historyBtn.addEventListener('click', () => togglePanel(historyPanel, showHistory));
+
+  // Set up submit handlers for both buttons, while a request runs they stop it
+  function handleSubmitClick() {
+    if (agentChat.isRunning()) {
+      agentChat.stop();
+    } else {
+      handleSubmit();
+    }
+  }
+  submitBtn.addEventListener('click', handleSubmitClick);
+  submitBtnExpanded.addEventListener('click', handleSubmitClick);
 
   function showStatus(message, type) {
     // Show in both status areas